@@ -0,0 +1,290 @@
+// Ability registry - every ability's cooldown, cost, targeting, indicator and effect hook.
+// Classes pick a kit below; input, the ability bar and Adventurer weapon swaps all read from here.
+
+// How an ability is aimed
+export const Targeting = {
+    SELF: 'self',                   // Around the caster, no aim
+    CONE: 'cone',                   // Cone toward the mouse
+    GROUND_CIRCLE: 'groundCircle',  // Circle placed at the mouse
+    LINE: 'line',                   // Line/projectile toward the mouse
+    DIRECTION: 'direction'          // Movement or projectile toward the mouse
+};
+
+// Ability bar keys, in bar order
+export const ABILITY_SLOTS = ['q', 'f', 'e', 'r', 'c'];
+
+// Ability definitions
+//   cooldown: seconds between casts, cost: resource spent per cast (defaults to 0)
+//   indicator: suffix of the caster's show/update<Indicator>Indicator methods - hold the key
+//              to aim and release to fire. Casters without the methods fire on key press.
+//   params: starting fields on the caster's runtime ability object (tuning and state)
+//   cast(caster, aim): effect hook - aim is { position, direction, enemies }
+export const ABILITIES = {
+    // === WARRIOR ===
+    cleave: {
+        name: 'Cleave',
+        targeting: Targeting.CONE,
+        indicator: 'Cleave',
+        cooldown: 4,
+        cost: 20,
+        params: { damage: 45, range: 8.0, angle: Math.PI * 0.6, isCharging: false }, // 108 degrees
+        cast: (caster, aim) => caster.useCleave(aim.enemies, aim.direction)
+    },
+    whirlwind: {
+        name: 'Whirlwind',
+        targeting: Targeting.DIRECTION,
+        cooldown: 6,
+        cost: 25,
+        params: { damage: 35, range: 3.5, dashDistance: 10, dashDuration: 0.5, activeTime: 0, dashDirection: null },
+        cast: (caster, aim) => caster.useWhirlwind(aim.direction)
+    },
+    parry: {
+        name: 'Parry',
+        targeting: Targeting.SELF,
+        cooldown: 5,
+        params: { damage: 50, range: 4, spinDuration: 0.4, activeTime: 0, tauntDuration: 3 }, // range is the AoE radius, enemies hit are taunted
+        cast: (caster) => caster.useParry()
+    },
+    heroicLeap: {
+        name: 'Heroic Leap',
+        targeting: Targeting.GROUND_CIRCLE,
+        indicator: 'HeroicLeap',
+        cooldown: 10,
+        cost: 30,
+        params: {
+            damage: 50, stunDuration: 0.8, range: 20, aoeRadius: 4,
+            activeTime: 0, leapDuration: 0.5, targetPos: null, startPos: null
+        },
+        cast: (caster, aim) => caster.useHeroicLeap(aim.position)
+    },
+    sunder: {
+        name: 'Sunder',
+        targeting: Targeting.LINE,
+        indicator: 'Sunder',
+        cooldown: 5,
+        cost: 20,
+        params: { damage: 40, range: 16, width: 3.5, spikeCount: 8, activeTime: 0 },
+        cast: (caster, aim) => caster.useSunder(aim.direction)
+    },
+
+    // === MAGE ===
+    blizzard: {
+        name: 'Blizzard',
+        targeting: Targeting.GROUND_CIRCLE,
+        indicator: 'Blizzard',
+        cooldown: 8,
+        cost: 30,
+        params: { damage: 10, slowAmount: 0.5, duration: 4, radius: 5 }, // damage per tick, 50% slow
+        cast: (caster, aim) => caster.useBlizzard(aim.position)
+    },
+    flameWave: {
+        name: 'Flame Wave',
+        targeting: Targeting.CONE,
+        indicator: 'FlameWave',
+        cooldown: 6,
+        cost: 20,
+        params: { damage: 35, range: 8, angle: Math.PI * 0.6, burnDamage: 4, burnDuration: 3 }, // 108 degrees, burn damage is per half-second tick
+        cast: (caster, aim) => caster.useFlameWave(aim.enemies, aim.direction)
+    },
+    frostNova: {
+        name: 'Frost Nova',
+        targeting: Targeting.SELF,
+        cooldown: 8,
+        cost: 25,
+        params: { damage: 25, radius: 6, freezeDuration: 2.5, icePatchDuration: 0 }, // Ice patch comes from talents
+        cast: (caster) => caster.useFrostNova()
+    },
+    backstep: {
+        name: 'Backstep',
+        targeting: Targeting.DIRECTION,
+        cooldown: 5,
+        cost: 10,
+        params: { distance: 6 },
+        cast: (caster, aim) => caster.useBackstep(aim.direction)
+    },
+    blink: {
+        name: 'Blink',
+        targeting: Targeting.DIRECTION,
+        cooldown: 4,
+        cost: 10,
+        params: { distance: 8 },
+        cast: (caster, aim) => caster.useBlink(aim.direction)
+    },
+    frozenOrb: {
+        name: 'Frozen Orb',
+        targeting: Targeting.LINE,
+        cooldown: 10,
+        cost: 35,
+        params: {
+            damage: 15, explosionDamage: 40, // per tick as it passes, then on the final explosion
+            speed: 6, range: 25, aoeRadius: 3, tickInterval: 0.3
+        },
+        cast: (caster, aim) => caster.useFrozenOrb(aim.direction)
+    },
+
+    // === HUNTER ===
+    arrowWave: {
+        name: 'Arrow Wave',
+        targeting: Targeting.CONE,
+        indicator: 'ArrowWave',
+        cooldown: 6,
+        cost: 25,
+        params: { damage: 20, arrowCount: 8, range: 15, angle: Math.PI * 0.5 }, // 90 degree spread
+        cast: (caster, aim) => caster.useArrowWave(aim.direction)
+    },
+    spinDash: {
+        name: 'Spin Dash',
+        targeting: Targeting.DIRECTION,
+        cooldown: 8,
+        cost: 20,
+        params: { damage: 25, dashDistance: 10, arrowsPerSpin: 12, radius: 4 },
+        cast: (caster, aim) => caster.useSpinDash(aim.direction)
+    },
+    shotgun: {
+        name: 'Shotgun',
+        targeting: Targeting.CONE,
+        indicator: 'Shotgun',
+        cooldown: 5,
+        cost: 30,
+        params: { damage: 40, range: 8, angle: Math.PI * 0.4, knockback: 5, arrowCount: 6 }, // 72 degree cone
+        cast: (caster, aim) => caster.useShotgun(aim.direction)
+    },
+    trap: {
+        name: 'Trap',
+        targeting: Targeting.GROUND_CIRCLE,
+        cooldown: 12,
+        cost: 20,
+        params: { damage: 60, radius: 4, armTime: 1.0, slowDuration: 0, bleedDamage: 6, bleedDuration: 4 }, // armTime: seconds before the trap is live, slowDuration comes from talents
+        cast: (caster, aim) => caster.useTrap(aim.position)
+    },
+    giantArrow: {
+        name: 'Giant Arrow',
+        targeting: Targeting.LINE,
+        indicator: 'GiantArrow',
+        cooldown: 10,
+        cost: 40,
+        params: { damage: 50, range: 30, width: 1.5, speed: 25, piercing: true },
+        cast: (caster, aim) => caster.useGiantArrow(aim.direction)
+    },
+
+    // === SHARED ===
+    potion: {
+        name: 'Potion',
+        targeting: Targeting.SELF,
+        cooldown: 12,
+        params: { healAmount: 100 },
+        cast: (caster) => caster.usePotion()
+    }
+};
+
+// Class kits - which ability sits on each key, the resource its costs are paid from
+// (see resource.js), plus per-kit tuning over the base definition - tuning only overrides keys from params
+export const ABILITY_KITS = {
+    warrior: {
+        resource: 'rage',
+        slots: { q: 'cleave', f: 'whirlwind', e: 'parry', r: 'heroicLeap', c: 'sunder' },
+        extra: ['potion']
+    },
+    mage: {
+        resource: 'mana',
+        slots: { q: 'blizzard', f: 'flameWave', e: 'frostNova', r: 'backstep', c: 'frozenOrb' },
+        extra: ['potion'],
+        tuning: { potion: { cooldown: 10 } }
+    },
+    hunter: {
+        resource: 'focus',
+        slots: { q: 'arrowWave', f: 'spinDash', e: 'shotgun', r: 'trap', c: 'giantArrow' },
+        extra: ['potion'],
+        tuning: { potion: { cooldown: 10 } }
+    },
+
+    // Adventurer kits follow the equipped weapon - unarmed has none
+    adventurer: {
+        slots: {}
+    },
+    adventurerMelee: {
+        resource: 'rage',
+        slots: { q: 'cleave', f: 'whirlwind', e: 'parry', r: 'heroicLeap' },
+        extra: ['potion'],
+        tuning: {
+            heroicLeap: { cooldown: 8, damage: 60, range: 15 },
+            potion: { cooldown: 30 }
+        }
+    },
+    adventurerStaff: {
+        resource: 'mana',
+        slots: { q: 'blizzard', f: 'flameWave', e: 'frostNova', r: 'blink', c: 'frozenOrb' },
+        extra: ['potion'],
+        tuning: {
+            blizzard: { cooldown: 6, damage: 15, duration: 3 },
+            flameWave: { cooldown: 5, damage: 40, range: 10 },
+            frostNova: { damage: 30, radius: 5, freezeDuration: 3 },
+            frozenOrb: { damage: 25, range: 15 },
+            potion: { cooldown: 30 }
+        }
+    },
+    adventurerBow: {
+        resource: 'focus',
+        slots: { q: 'arrowWave', f: 'spinDash', e: 'shotgun', r: 'trap', c: 'giantArrow' },
+        extra: ['potion'],
+        tuning: {
+            arrowWave: { cooldown: 5, damage: 30, range: 15, arrowCount: 5, angle: Math.PI * 0.4 },
+            spinDash: { cooldown: 6, damage: 25, dashDistance: 8, arrowsPerSpin: 8 },
+            shotgun: { cooldown: 4, damage: 15, range: 8, arrowCount: 8, angle: Math.PI * 0.3, knockback: 3 },
+            trap: { cooldown: 10, damage: 40, radius: 2 },
+            giantArrow: { cooldown: 12, damage: 100, range: 20 },
+            potion: { cooldown: 30 }
+        }
+    }
+};
+
+// Adventurer kit for an equipped weapon type
+const WEAPON_KITS = {
+    sword: 'adventurerMelee',
+    dagger: 'adventurerMelee',
+    staff: 'adventurerStaff',
+    bow: 'adventurerBow'
+};
+
+export function getWeaponKit(weaponType) {
+    return WEAPON_KITS[weaponType] || 'adventurer';
+}
+
+// Fresh runtime ability objects for a kit, keyed by ability id
+//   modifiers: talent stat modifiers from Talents.getModifiers() - { abilityId: { stat: { mult, add } } }
+export function createAbilityKit(kitId, modifiers = null) {
+    const kit = ABILITY_KITS[kitId];
+    if (!kit) {
+        console.warn(`Unknown ability kit: ${kitId}`);
+        return {};
+    }
+
+    const abilities = {};
+    for (const id of [...Object.values(kit.slots), ...(kit.extra || [])]) {
+        const def = ABILITIES[id];
+        abilities[id] = {
+            id,
+            cooldown: def.cooldown,
+            cooldownRemaining: 0,
+            cost: def.cost || 0,
+            isActive: false,
+            ...def.params,
+            ...kit.tuning?.[id]
+        };
+
+        for (const [stat, mod] of Object.entries(modifiers?.[id] || {})) {
+            abilities[id][stat] = Math.max(0, (abilities[id][stat] || 0) * mod.mult + mod.add);
+        }
+    }
+    return abilities;
+}
+
+// Resource type a kit's abilities cost, or null
+export function getKitResource(kitId) {
+    return ABILITY_KITS[kitId]?.resource || null;
+}
+
+// Ability id bound to a key in a kit, or null
+export function getSlotAbility(kitId, key) {
+    return ABILITY_KITS[kitId]?.slots[key] || null;
+}
@@ -1,51 +1,27 @@
 import * as THREE from 'three';
-import { KayKitCharacter } from './kayKitCharacter.js';
 import { WeaponFactory } from './weaponFactory.js';
-import { Inventory } from './inventory.js';
+import { Character } from './character.js';
+import { getWeaponKit } from './abilityDatabase.js';
+import { DamageType } from './damage.js';
 
 // Classless character for adventure/tutorial mode
 // Can equip any weapon type and has no class-specific abilities
-export class Adventurer {
+export class Adventurer extends Character {
     constructor(scene, game) {
-        this.scene = scene;
-        this.game = game;
-        this.position = new THREE.Vector3(0, 0, 0);
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.rotation = 0;
-
         // Special class name that bypasses weapon restrictions
-        this.className = 'adventurer';
-
-        // Inventory system
-        this.inventory = new Inventory(24);
-        this.inventory.giveStarterItems(this.className);
-
-        // Set up equipment change callback
-        this.inventory.onEquipmentChanged = () => {
-            this.updateWeaponFromEquipment();
-        };
-
-        // Buff system
-        this.buffs = {};
-
-        // Balanced stats
-        this.maxHealth = 400;
-        this.health = this.maxHealth;
-        this.moveSpeed = 7.5;
-        this.jumpForce = 12;
-        this.isGrounded = true;
-
-        // Combat - Melee by default, adapts to equipped weapon
-        this.targetEnemy = null;
-        this.attackRange = 2.5;
-        this.autoAttackCooldown = 0;
-        this.autoAttackCooldownMax = 0.9;
-        this.autoAttackDamage = 20;
+        super(scene, game, {
+            className: 'adventurer',
+            kit: 'adventurer', // Swapped for a weapon kit on equip
+            model: 'barbarian',
+            maxHealth: 400, // Balanced stats
+            moveSpeed: 7.5,
+            attackRange: 2.5, // Melee by default, adapts to equipped weapon
+            autoAttackCooldown: 0.9,
+            autoAttackDamage: 20
+        });
 
         // Dynamic abilities based on equipped weapon
-        // Start with no usable abilities (high cooldowns prevent activation)
         this.currentWeaponType = null;
-        this.abilities = this.getDisabledAbilities();
 
         // Projectiles and effects tracking
         this.projectiles = [];
@@ -55,8 +31,6 @@ export class Adventurer {
         this.traps = [];
 
         // Character model
-        this.character = new KayKitCharacter(this.scene);
-        this.useAnimatedCharacter = false;
         this.weapon = null;
         this.weaponMesh = null;
 
@@ -64,20 +38,12 @@ export class Adventurer {
         this.loadCharacter();
     }
 
-    async loadCharacter() {
-        console.log('Adventurer: Starting character load...');
-        try {
-            const success = await this.character.load('adventurers', 'barbarian');
-            console.log('Adventurer: load() returned:', success);
-            if (success) {
-                this.useAnimatedCharacter = true;
-                console.log('Adventurer: Model loaded successfully, useAnimatedCharacter =', this.useAnimatedCharacter);
-            } else {
-                console.warn('Adventurer: load() returned false');
-            }
-        } catch (error) {
-            console.error('Adventurer: Failed to load character:', error);
-        }
+    updateEffects(deltaTime) {
+        this.updateProjectiles(deltaTime);
+        this.updateGroundEffects(deltaTime);
+        this.updateFrozenOrbs(deltaTime);
+        this.updateGiantArrows(deltaTime);
+        this.updateTraps(deltaTime);
     }
 
     updateWeaponFromEquipment() {
@@ -136,157 +102,37 @@ export class Adventurer {
 
             // Update damage from weapon stats
             const baseDamage = 20;
-            const weaponDamage = weaponDef.stats?.damage || 0;
-            this.autoAttackDamage = baseDamage + weaponDamage;
+            const weaponDamage = equipped.stats.damage || 0;
+            this.setBaseStat('damage', baseDamage + weaponDamage + this.levelDamageBonus);
 
             // Always set abilities based on weapon type (not just when type changes)
             this.currentWeaponType = weaponType;
-            if (weaponType === 'sword' || weaponType === 'dagger') {
-                this.abilities = this.getWarriorAbilities();
-                console.log('Adventurer: Equipped melee weapon - Warrior abilities unlocked!');
-                console.log('Warrior ability cooldowns:', {
-                    cleave: this.abilities.cleave?.cooldownRemaining,
-                    whirlwind: this.abilities.whirlwind?.cooldownRemaining,
-                    parry: this.abilities.parry?.cooldownRemaining,
-                    heroicLeap: this.abilities.heroicLeap?.cooldownRemaining
-                });
-            } else if (weaponType === 'staff') {
-                this.abilities = this.getMageAbilities();
-                console.log('Adventurer: Equipped staff - Mage abilities unlocked!');
-                console.log('Mage ability cooldowns:', {
-                    blizzard: this.abilities.blizzard?.cooldownRemaining,
-                    flameWave: this.abilities.flameWave?.cooldownRemaining,
-                    frostNova: this.abilities.frostNova?.cooldownRemaining,
-                    blink: this.abilities.blink?.cooldownRemaining,
-                    frozenOrb: this.abilities.frozenOrb?.cooldownRemaining
-                });
-            } else if (weaponType === 'bow') {
-                this.abilities = this.getHunterAbilities();
-                console.log('Adventurer: Equipped bow - Hunter abilities unlocked!');
-                console.log('Hunter ability cooldowns:', {
-                    arrowWave: this.abilities.arrowWave?.cooldownRemaining,
-                    spinDash: this.abilities.spinDash?.cooldownRemaining,
-                    shotgun: this.abilities.shotgun?.cooldownRemaining,
-                    trap: this.abilities.trap?.cooldownRemaining,
-                    giantArrow: this.abilities.giantArrow?.cooldownRemaining
-                });
-            }
-            // Notify game to update UI
-            if (this.game && this.game.updateAbilityUI) {
-                this.game.updateAbilityUI();
-            }
+            this.setAbilityKit(getWeaponKit(weaponType));
+            console.log(`Adventurer: Equipped ${weaponType} - ${this.kitId} abilities unlocked!`);
         } else {
             this.attackRange = 2.5;
-            this.autoAttackDamage = 20;
+            this.setBaseStat('damage', 20 + this.levelDamageBonus);
             // No weapon - disable all abilities
             this.currentWeaponType = null;
-            this.abilities = this.getDisabledAbilities();
+            this.setAbilityKit('adventurer');
             console.log('Adventurer: Unequipped weapon - Abilities disabled');
-            if (this.game && this.game.updateAbilityUI) {
-                this.game.updateAbilityUI();
-            }
-        }
-    }
-
-    update(deltaTime, input) {
-        // Update cooldowns
-        if (this.autoAttackCooldown > 0) {
-            this.autoAttackCooldown -= deltaTime;
-        }
-
-        // Update ability cooldowns
-        for (const key in this.abilities) {
-            if (this.abilities[key].cooldownRemaining > 0) {
-                this.abilities[key].cooldownRemaining -= deltaTime;
-            }
-        }
-
-        // Update buffs
-        this.updateBuffs(deltaTime);
-
-        // Handle movement
-        const isMoving = this.handleMovement(deltaTime, input);
-
-        // Update character animation
-        if (this.useAnimatedCharacter) {
-            this.character.update(deltaTime, isMoving, true, this.isGrounded);
-            this.character.setPosition(this.position.x, this.position.y, this.position.z);
-            this.character.setRotation(this.rotation);
-        }
-
-        // Update projectiles and effects
-        this.updateProjectiles(deltaTime);
-        this.updateGroundEffects(deltaTime);
-        this.updateFrozenOrbs(deltaTime);
-        this.updateGiantArrows(deltaTime);
-        this.updateTraps(deltaTime);
-
-        // Auto-attack target if in range
-        if (this.targetEnemy && this.targetEnemy.isAlive) {
-            const dist = this.position.distanceTo(this.targetEnemy.position);
-            if (dist <= this.attackRange && this.autoAttackCooldown <= 0) {
-                this.performAutoAttack();
-            }
         }
-    }
-
-    handleMovement(deltaTime, input) {
-        const moveDir = new THREE.Vector3(0, 0, 0);
-        let isMoving = false;
-
-        if (input.keys.w) moveDir.z -= 1;
-        if (input.keys.s) moveDir.z += 1;
-        if (input.keys.a) moveDir.x -= 1;
-        if (input.keys.d) moveDir.x += 1;
-
-        // Apply movement speed modifiers from buffs
-        let speedMult = 1;
-        if (this.buffs.speed) speedMult *= this.buffs.speed.multiplier;
-
-        if (moveDir.length() > 0) {
-            moveDir.normalize();
-            this.position.x += moveDir.x * this.moveSpeed * speedMult * deltaTime;
-            this.position.z += moveDir.z * this.moveSpeed * speedMult * deltaTime;
-
-            // Face movement direction
-            this.rotation = Math.atan2(moveDir.x, moveDir.z);
-            isMoving = true;
-        }
-
-        // Jump
-        if (input.keys[' '] && this.isGrounded) {
-            this.velocity.y = this.jumpForce;
-            this.isGrounded = false;
-            input.keys[' '] = false;
-
-            if (this.useAnimatedCharacter) {
-                this.character.playJump();
-            }
-        }
-
-        // Apply gravity
-        if (!this.isGrounded) {
-            this.velocity.y -= 30 * deltaTime;
-        }
-        this.position.y += this.velocity.y * deltaTime;
 
-        if (this.position.y <= 0) {
-            this.position.y = 0;
-            this.velocity.y = 0;
-            this.isGrounded = true;
+        // Notify game to update UI
+        if (this.game && this.game.updateAbilityLabels) {
+            this.game.updateAbilityLabels();
         }
-
-        return isMoving;
     }
 
     performAutoAttack() {
         if (!this.targetEnemy || !this.targetEnemy.isAlive) return;
 
         this.autoAttackCooldown = this.autoAttackCooldownMax;
+        if (this.resource) {
+            this.resource.onAutoAttack();
+        }
 
-        // Apply damage modifiers from buffs
         let damage = this.autoAttackDamage;
-        if (this.buffs.damage) damage *= this.buffs.damage.multiplier;
 
         // Apply equipment stats
         const equipStats = this.inventory.getEquipmentStats();
@@ -297,13 +143,31 @@ export class Adventurer {
         const dz = this.targetEnemy.position.z - this.position.z;
         this.rotation = Math.atan2(dx, dz);
 
-        // Play attack animation
-        if (this.useAnimatedCharacter) {
-            this.character.playAnimation('attack', { once: true });
-        }
+        const isRanged = this.currentWeaponType === 'staff' || this.currentWeaponType === 'bow';
+        if (isRanged) {
+            // Play attack animation
+            if (this.useAnimatedCharacter) {
+                this.character.playAnimation('attack', { once: true });
+            }
 
-        // Deal damage
-        this.targetEnemy.takeDamage(damage, this);
+            // Deal damage
+            this.dealDamage(this.targetEnemy, damage, this.currentWeaponType === 'staff' ? DamageType.FIRE : DamageType.PHYSICAL, ['auto']);
+        } else {
+            // Melee slash and hit land on the swing's hit frame
+            const target = this.targetEnemy;
+            this.startSwing(1, () => {
+                if (this.inventory.equipment.weapon) {
+                    this.game.createProjectile(
+                        this.position.clone(),
+                        new THREE.Vector3(dx, 0, dz).normalize(),
+                        'slash',
+                        0,
+                        5
+                    );
+                }
+                this.dealDamage(target, damage, DamageType.PHYSICAL, ['auto']);
+            });
+        }
 
         // Create attack effect based on weapon type
         const equipped = this.inventory.equipment.weapon;
@@ -327,155 +191,10 @@ export class Adventurer {
                     damage,
                     15
                 );
-            } else {
-                // Melee slash effect
-                this.game.createProjectile(
-                    this.position.clone(),
-                    new THREE.Vector3(dx, 0, dz).normalize(),
-                    'slash',
-                    0,
-                    5
-                );
-            }
-        }
-
-        // Visual feedback
-        if (this.game.effects) {
-            this.game.effects.createDamageNumber(this.targetEnemy.position, damage);
-        }
-    }
-
-    takeDamage(amount, source = null) {
-        // Apply defense from equipment
-        const equipStats = this.inventory.getEquipmentStats();
-        const defense = equipStats.defense || 0;
-        const damageReduction = defense / (defense + 100);
-        const finalDamage = Math.max(1, Math.round(amount * (1 - damageReduction)));
-
-        // Apply defense buff
-        if (this.buffs.defense) {
-            amount = Math.round(amount * this.buffs.defense.multiplier);
-        }
-
-        this.health = Math.max(0, this.health - finalDamage);
-
-        // Screen flash
-        if (this.game) {
-            this.game.triggerDamageFlash();
-        }
-
-        return finalDamage;
-    }
-
-    heal(amount) {
-        const oldHealth = this.health;
-        this.health = Math.min(this.maxHealth, this.health + amount);
-        return this.health - oldHealth;
-    }
-
-    applyBuff(type, config) {
-        this.buffs[type] = {
-            ...config,
-            timeRemaining: config.duration
-        };
-    }
-
-    updateBuffs(deltaTime) {
-        for (const [type, buff] of Object.entries(this.buffs)) {
-            buff.timeRemaining -= deltaTime;
-            if (buff.timeRemaining <= 0) {
-                delete this.buffs[type];
             }
         }
     }
 
-    // Get disabled abilities (high cooldowns prevent use)
-    getDisabledAbilities() {
-        return {
-            cleave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            whirlwind: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            parry: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            heroicLeap: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            blizzard: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            flameWave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            frostNova: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            blink: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            frozenOrb: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            arrowWave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            spinDash: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            shotgun: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            trap: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            giantArrow: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            potion: { cooldown: 999, cooldownRemaining: 999 }
-        };
-    }
-
-    // Get warrior abilities for melee weapons
-    getWarriorAbilities() {
-        return {
-            cleave: { cooldown: 4, cooldownRemaining: 0, damage: 45, range: 8.0, angle: Math.PI * 0.6, isActive: false },
-            whirlwind: { cooldown: 6, cooldownRemaining: 0, damage: 35, range: 3.5, dashDistance: 10, dashDuration: 0.5, isActive: false },
-            parry: { cooldown: 5, cooldownRemaining: 0, damage: 50, range: 4, spinDuration: 0.4, isActive: false },
-            heroicLeap: { cooldown: 8, cooldownRemaining: 0, damage: 60, range: 15, radius: 4, isActive: false },
-            potion: { cooldown: 30, cooldownRemaining: 0 },
-            // Disable other class abilities
-            blizzard: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            flameWave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            frostNova: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            blink: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            frozenOrb: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            arrowWave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            spinDash: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            shotgun: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            trap: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            giantArrow: { cooldown: 999, cooldownRemaining: 999, isActive: false }
-        };
-    }
-
-    // Get mage abilities for staff weapons
-    getMageAbilities() {
-        return {
-            blizzard: { cooldown: 6, cooldownRemaining: 0, damage: 15, range: 12, radius: 5, duration: 3, tickRate: 0.5, isActive: false },
-            flameWave: { cooldown: 5, cooldownRemaining: 0, damage: 40, range: 10, width: 6, isActive: false },
-            frostNova: { cooldown: 8, cooldownRemaining: 0, damage: 30, radius: 5, slowDuration: 3, isActive: false },
-            blink: { cooldown: 4, cooldownRemaining: 0, distance: 8, isActive: false },
-            frozenOrb: { cooldown: 10, cooldownRemaining: 0, damage: 25, range: 15, radius: 3, duration: 4, isActive: false },
-            potion: { cooldown: 30, cooldownRemaining: 0 },
-            // Disable other class abilities
-            cleave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            whirlwind: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            parry: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            heroicLeap: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            arrowWave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            spinDash: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            shotgun: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            trap: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            giantArrow: { cooldown: 999, cooldownRemaining: 999, isActive: false }
-        };
-    }
-
-    // Get hunter abilities for bow weapons
-    getHunterAbilities() {
-        return {
-            arrowWave: { cooldown: 5, cooldownRemaining: 0, damage: 30, range: 15, count: 5, spread: Math.PI * 0.4, isActive: false },
-            spinDash: { cooldown: 6, cooldownRemaining: 0, damage: 25, distance: 8, duration: 0.4, isActive: false },
-            shotgun: { cooldown: 4, cooldownRemaining: 0, damage: 15, range: 8, count: 8, spread: Math.PI * 0.3, isActive: false },
-            trap: { cooldown: 10, cooldownRemaining: 0, damage: 40, radius: 2, duration: 10, isActive: false },
-            giantArrow: { cooldown: 12, cooldownRemaining: 0, damage: 100, range: 20, piercing: true, isActive: false },
-            potion: { cooldown: 30, cooldownRemaining: 0 },
-            // Disable other class abilities
-            cleave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            whirlwind: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            parry: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            heroicLeap: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            blizzard: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            flameWave: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            frostNova: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            blink: { cooldown: 999, cooldownRemaining: 999, isActive: false },
-            frozenOrb: { cooldown: 999, cooldownRemaining: 999, isActive: false }
-        };
-    }
-
     // ============ UPDATE METHODS FOR PROJECTILES AND EFFECTS ============
 
     updateProjectiles(deltaTime) {
@@ -496,13 +215,9 @@ export class Adventurer {
                         const dz = enemy.position.z - proj.mesh.position.z;
                         const dist = Math.sqrt(dx * dx + dz * dz);
                         if (dist < 1.5) {
-                            enemy.takeDamage(proj.damage, this);
+                            this.dealDamage(enemy, proj.damage, DamageType.PHYSICAL, ['projectile', proj.type]);
                             proj.hitEnemies.add(enemy);
 
-                            if (this.game && this.game.effects) {
-                                this.game.effects.createDamageNumber(enemy.position, proj.damage);
-                            }
-
                             // Non-piercing projectiles stop on hit
                             if (proj.type === 'shotgun') {
                                 this.scene.remove(proj.mesh);
@@ -553,17 +268,11 @@ export class Adventurer {
 
                         const dist = enemy.position.distanceTo(effect.position);
                         if (dist < effect.radius) {
-                            enemy.takeDamage(effect.damage, this);
-
-                            if (this.game.effects) {
-                                this.game.effects.createDamageNumber(enemy.position, effect.damage);
+                            if (effect.damage > 0) {
+                                this.dealDamage(enemy, effect.damage, DamageType.FROST, ['ability', effect.type, 'dot']);
                             }
 
-                            if (!enemy.originalMoveSpeed) {
-                                enemy.originalMoveSpeed = enemy.moveSpeed;
-                            }
-                            enemy.moveSpeed = enemy.originalMoveSpeed * effect.slowAmount;
-                            enemy.slowTimer = 1.0;
+                            enemy.applyStatus('chill', { duration: 1.0, moveSpeed: effect.slowAmount, source: this });
                         }
                     }
                 }
@@ -604,18 +313,10 @@ export class Adventurer {
                         ).length();
 
                         if (dist < orb.aoeRadius && !orb.hitEnemies.has(enemy)) {
-                            enemy.takeDamage(orb.damage, this);
+                            this.dealDamage(enemy, orb.damage, DamageType.FROST, ['ability', 'frozenOrb', 'dot']);
                             orb.hitEnemies.add(enemy);
 
-                            if (this.game && this.game.effects) {
-                                this.game.effects.createDamageNumber(enemy.position, orb.damage);
-                            }
-
-                            if (!enemy.originalMoveSpeed) {
-                                enemy.originalMoveSpeed = enemy.moveSpeed;
-                            }
-                            enemy.moveSpeed = enemy.originalMoveSpeed * 0.7;
-                            enemy.slowTimer = 0.5;
+                            enemy.applyStatus('chill', { duration: 0.5, moveSpeed: 0.7, source: this });
                         }
                     }
                 }
@@ -640,15 +341,8 @@ export class Adventurer {
                 ).length();
 
                 if (dist < orb.aoeRadius * 1.5) {
-                    enemy.takeDamage(orb.explosionDamage, this);
-
-                    if (this.game && this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, orb.explosionDamage);
-                    }
-
-                    if (enemy.stun) {
-                        enemy.stun(0.5);
-                    }
+                    this.dealDamage(enemy, orb.explosionDamage, DamageType.FROST, ['ability', 'frozenOrb']);
+                    enemy.applyStatus('freeze', { duration: 0.5, source: this });
                 }
             }
         }
@@ -684,12 +378,8 @@ export class Adventurer {
                     ).length();
 
                     if (dist < arrow.width + 0.5) {
-                        enemy.takeDamage(arrow.damage, this);
+                        this.dealDamage(enemy, arrow.damage, DamageType.PHYSICAL, ['ability', 'giantArrow']);
                         arrow.hitEnemies.add(enemy);
-
-                        if (this.game && this.game.effects) {
-                            this.game.effects.createDamageNumber(enemy.position, arrow.damage);
-                        }
                     }
                 }
             }
@@ -741,14 +431,14 @@ export class Adventurer {
 
                 const dist = enemy.position.distanceTo(trap.position);
                 if (dist < trap.radius) {
-                    enemy.takeDamage(trap.damage, this);
+                    this.dealDamage(enemy, trap.damage, DamageType.PHYSICAL, ['ability', 'trap']);
 
-                    if (this.game && this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, trap.damage);
-                    }
+                    enemy.stun(0.5);
+                    enemy.applyStatus('bleed', { duration: trap.bleedDuration, damage: trap.bleedDamage, source: this });
 
-                    if (enemy.stun) {
-                        enemy.stun(0.5);
+                    // Crippling Trap talent
+                    if (trap.slowDuration > 0) {
+                        enemy.applyStatus('chill', { duration: trap.slowDuration, moveSpeed: 0.5, source: this });
                     }
                 }
             }
@@ -784,40 +474,32 @@ export class Adventurer {
             forward = new THREE.Vector3(Math.sin(this.rotation), 0, Math.cos(this.rotation));
         }
 
-        if (this.useAnimatedCharacter) {
-            this.character.playAttack(2);
-        }
-
-        console.log('Cleave - game:', !!this.game, 'effects:', !!this.game?.effects);
-        if (this.game && this.game.effects) {
-            console.log('Calling createCleaveEffect');
-            this.game.effects.createCleaveEffect(this.position, this.rotation);
-        }
+        // Effects and damage land on the swing's hit frame
+        this.startSwing(2, () => {
+            if (this.game && this.game.effects) {
+                this.game.effects.createCleaveEffect(this.position, this.rotation);
+            }
 
-        let hitCount = 0;
-        for (const enemy of enemies) {
-            if (!enemy.isAlive) continue;
+            for (const enemy of enemies) {
+                if (!enemy.isAlive) continue;
 
-            const dx = enemy.position.x - this.position.x;
-            const dz = enemy.position.z - this.position.z;
-            const horizontalDist = Math.sqrt(dx * dx + dz * dz);
+                const dx = enemy.position.x - this.position.x;
+                const dz = enemy.position.z - this.position.z;
+                const horizontalDist = Math.sqrt(dx * dx + dz * dz);
 
-            if (horizontalDist > ability.range) continue;
+                if (horizontalDist > ability.range) continue;
 
-            const toEnemy = new THREE.Vector3(dx, 0, dz).normalize();
-            const dot = forward.dot(toEnemy);
-            const angleToEnemy = Math.acos(Math.min(1, Math.max(-1, dot)));
+                const toEnemy = new THREE.Vector3(dx, 0, dz).normalize();
+                const dot = forward.dot(toEnemy);
+                const angleToEnemy = Math.acos(Math.min(1, Math.max(-1, dot)));
 
-            if (angleToEnemy <= ability.angle / 2) {
-                enemy.takeDamage(ability.damage, this);
-                if (this.game && this.game.effects) {
-                    this.game.effects.createDamageNumber(enemy.position, ability.damage);
+                if (angleToEnemy <= ability.angle / 2) {
+                    this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'cleave']);
                 }
-                hitCount++;
             }
-        }
+        }, () => this.refundAbility('cleave'));
 
-        return hitCount > 0;
+        return true;
     }
 
     useWhirlwind(direction = null) {
@@ -847,10 +529,7 @@ export class Adventurer {
                 const dz = enemy.position.z - this.position.z;
                 const dist = Math.sqrt(dx * dx + dz * dz);
                 if (dist <= ability.range) {
-                    enemy.takeDamage(ability.damage, this);
-                    if (this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                    }
+                    this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'whirlwind']);
                 }
             }
         }
@@ -889,10 +568,8 @@ export class Adventurer {
                     const dist = Math.sqrt(dx * dx + dz * dz);
 
                     if (dist <= ability.range) {
-                        enemy.takeDamage(ability.damage, this);
-                        if (this.game.effects) {
-                            this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                        }
+                        this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'parry']);
+                        enemy.taunt(this, ability.tauntDuration);
                     }
                 }
             }
@@ -936,7 +613,7 @@ export class Adventurer {
         // AoE damage on landing
         if (this.game) {
             if (this.game.effects) {
-                this.game.effects.createGroundSlamEffect(this.position, ability.radius);
+                this.game.effects.createGroundSlamEffect(this.position, ability.aoeRadius);
             }
 
             this.game.addScreenShake(0.8);
@@ -946,12 +623,9 @@ export class Adventurer {
                 const edx = enemy.position.x - this.position.x;
                 const edz = enemy.position.z - this.position.z;
                 const edist = Math.sqrt(edx * edx + edz * edz);
-                if (edist <= ability.radius) {
-                    enemy.takeDamage(ability.damage, this);
-                    if (enemy.stun) enemy.stun(0.8);
-                    if (this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                    }
+                if (edist <= ability.aoeRadius) {
+                    this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'heroicLeap']);
+                    enemy.stun(ability.stunDuration);
                 }
             }
         }
@@ -1008,7 +682,7 @@ export class Adventurer {
             position: targetPosition.clone(),
             radius: ability.radius,
             damage: ability.damage,
-            slowAmount: 0.5,
+            slowAmount: ability.slowAmount,
             duration: ability.duration,
             tickTimer: 0
         });
@@ -1053,12 +727,9 @@ export class Adventurer {
             const dot = forward.dot(toEnemy);
             const angleToEnemy = Math.acos(Math.min(1, Math.max(-1, dot)));
 
-            if (angleToEnemy <= ability.width / 2) {
-                enemy.takeDamage(ability.damage, this);
-
-                if (this.game && this.game.effects) {
-                    this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                }
+            if (angleToEnemy <= ability.angle / 2) {
+                this.dealDamage(enemy, ability.damage, DamageType.FIRE, ['ability', 'flameWave']);
+                enemy.applyStatus('burn', { duration: ability.burnDuration, damage: ability.burnDamage, source: this });
                 hitCount++;
             }
         }
@@ -1083,19 +754,17 @@ export class Adventurer {
 
                 const dist = this.position.distanceTo(enemy.position);
                 if (dist < ability.radius) {
-                    enemy.takeDamage(ability.damage, this);
-
-                    if (this.game && this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                    }
-
-                    if (enemy.stun) {
-                        enemy.stun(ability.slowDuration);
-                    }
+                    this.dealDamage(enemy, ability.damage, DamageType.FROST, ['ability', 'frostNova']);
+                    enemy.applyStatus('freeze', { duration: ability.freezeDuration, source: this });
                 }
             }
         }
 
+        // Ice Field talent
+        if (ability.icePatchDuration > 0) {
+            this.createIcePatch(this.position, ability.radius, ability.icePatchDuration);
+        }
+
         if (this.game) {
             this.game.addScreenShake(0.5);
         }
@@ -1175,12 +844,12 @@ export class Adventurer {
             swirlGroup: swirlGroup,
             direction: dir.clone(),
             startPos: startPos.clone(),
-            speed: 6,
+            speed: ability.speed,
             maxRange: ability.range,
             damage: ability.damage,
-            explosionDamage: 40,
-            aoeRadius: 3,
-            tickInterval: 0.3,
+            explosionDamage: ability.explosionDamage,
+            aoeRadius: ability.aoeRadius,
+            tickInterval: ability.tickInterval,
             tickTimer: 0,
             distanceTraveled: 0,
             hitEnemies: new Set()
@@ -1210,10 +879,10 @@ export class Adventurer {
             this.character.playAttack(2);
         }
 
-        const startAngle = this.rotation - ability.spread / 2;
-        const angleStep = ability.spread / (ability.count - 1);
+        const startAngle = this.rotation - ability.angle / 2;
+        const angleStep = ability.angle / (ability.arrowCount - 1);
 
-        for (let i = 0; i < ability.count; i++) {
+        for (let i = 0; i < ability.arrowCount; i++) {
             const angle = startAngle + angleStep * i;
             const dir = new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle));
             this.createArrowProjectile(dir, ability.damage, ability.range, 0x88ff44);
@@ -1242,14 +911,14 @@ export class Adventurer {
         }
 
         // Fire arrows in all directions
-        for (let i = 0; i < 8; i++) {
-            const angle = (i / 8) * Math.PI * 2;
+        for (let i = 0; i < ability.arrowsPerSpin; i++) {
+            const angle = (i / ability.arrowsPerSpin) * Math.PI * 2;
             const dir = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
-            this.createArrowProjectile(dir, ability.damage, 8, 0xffff44);
+            this.createArrowProjectile(dir, ability.damage, ability.radius * 2, 0xffff44);
         }
 
         // Dash forward
-        this.position.addScaledVector(dashDir, ability.distance);
+        this.position.addScaledVector(dashDir, ability.dashDistance);
 
         const bounds = 95;
         this.position.x = Math.max(-bounds, Math.min(bounds, this.position.x));
@@ -1281,10 +950,10 @@ export class Adventurer {
             this.character.playAttack(1);
         }
 
-        const startAngle = this.rotation - ability.spread / 2;
-        const angleStep = ability.spread / (ability.count - 1);
+        const startAngle = this.rotation - ability.angle / 2;
+        const angleStep = ability.angle / (ability.arrowCount - 1);
 
-        for (let i = 0; i < ability.count; i++) {
+        for (let i = 0; i < ability.arrowCount; i++) {
             const angle = startAngle + angleStep * i;
             const dir = new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle));
 
@@ -1315,7 +984,7 @@ export class Adventurer {
 
         // Knockback player backwards
         const backDir = forward.clone().multiplyScalar(-1);
-        this.position.addScaledVector(backDir, 3);
+        this.position.addScaledVector(backDir, ability.knockback);
 
         const bounds = 95;
         this.position.x = Math.max(-bounds, Math.min(bounds, this.position.x));
@@ -1371,7 +1040,10 @@ export class Adventurer {
             position: trapPos.clone(),
             radius: ability.radius,
             damage: ability.damage,
-            armTime: 1.0,
+            slowDuration: ability.slowDuration,
+            bleedDamage: ability.bleedDamage,
+            bleedDuration: ability.bleedDuration,
+            armTime: ability.armTime,
             isArmed: false
         });
 
@@ -1424,10 +1096,10 @@ export class Adventurer {
         this.giantArrows.push({
             mesh: arrowGroup,
             direction: forward.clone(),
-            speed: 25,
+            speed: ability.speed,
             damage: ability.damage,
             maxRange: ability.range,
-            width: 1.5,
+            width: ability.width,
             distanceTraveled: 0,
             hitEnemies: new Set()
         });
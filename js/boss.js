@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+import { SkeletonEnemy } from './skeletonEnemy.js';
+import { DamageType } from './damage.js';
+
+// Data-driven boss - phases, telegraphed attacks, enrage and add waves
+// Definitions live in bossDatabase.js
+export class Boss extends SkeletonEnemy {
+    constructor(scene, x, z, definition) {
+        super(scene, x, z, definition.skeletonType || 'warrior');
+
+        this.definition = definition;
+        this.isBoss = true;
+        this.bossId = definition.id;
+        this.name = definition.name;
+        this.lootTable = definition.lootTable || 'skeleton_boss';
+
+        this.maxHealth = definition.maxHealth;
+        this.health = this.maxHealth;
+        this.attackDamage = definition.attackDamage;
+        this.moveSpeed = definition.moveSpeed;
+        this.baseMoveSpeed = definition.moveSpeed;
+        this.attackRange = definition.attackRange;
+        this.healthBarHeight = 2.5 * (definition.scale || 1);
+        if (definition.armor !== undefined) this.armor = definition.armor;
+        if (definition.resistances) this.resistances = { ...definition.resistances };
+        for (const id of definition.statusImmunities || []) {
+            this.statusEffects.immunities.add(id);
+        }
+
+        // Bosses run their own fight logic instead of the generic AI
+        this.ai = null;
+
+        this.phaseIndex = 0;
+        this.phaseAnnouncement = null;
+        this.attackCooldowns = {};
+        this.currentAttack = null; // { key, def, timer, center, facing, telegraph }
+
+        this.fightTime = 0;
+        this.enraged = false;
+
+        // Skeleton types queued for the game to spawn (add waves)
+        this.pendingAdds = [];
+    }
+
+    async loadModel() {
+        await super.loadModel();
+        if (this.mesh && this.definition?.scale) {
+            this.mesh.scale.setScalar(this.definition.scale);
+        }
+    }
+
+    get phase() {
+        return this.definition.phases[this.phaseIndex];
+    }
+
+    updateBehavior(deltaTime, player, navGrid) {
+        this.isMoving = false;
+
+        const distToPlayer = this.position.distanceTo(player.position);
+        if (distToPlayer < this.aggroRange) {
+            this.addThreat(player, 0);
+        }
+        if (!this.isAggro) return;
+
+        this.fightTime += deltaTime;
+        this.updateEnrage();
+        this.updatePhase();
+
+        for (const key in this.attackCooldowns) {
+            this.attackCooldowns[key] -= deltaTime * this.statusEffects.attackSpeedMultiplier;
+        }
+
+        // Committed to a telegraphed attack - stand still until it lands
+        if (this.currentAttack) {
+            this.updateCurrentAttack(deltaTime, player);
+            return;
+        }
+
+        const attackKey = this.pickAttack(distToPlayer);
+        if (attackKey) {
+            this.startAttack(attackKey, player);
+            return;
+        }
+
+        this.updateNavigation(player.position, deltaTime, navGrid);
+        if (distToPlayer > this.attackRange || !this.hasLineOfSight) {
+            this.followPath(player.position, deltaTime, navGrid);
+        } else {
+            this.faceTowards(player.position);
+            this.tryAttack(player);
+        }
+    }
+
+    updateEnrage() {
+        const { enrageTime, enrage } = this.definition;
+        if (this.enraged || !enrageTime || this.fightTime < enrageTime) return;
+
+        this.enraged = true;
+        this.attackDamage *= enrage.damageMultiplier || 1;
+        this.baseMoveSpeed *= enrage.speedMultiplier || 1;
+        this.moveSpeed = this.baseMoveSpeed * (this.phase.speedMultiplier || 1);
+        this.phaseAnnouncement = `${this.name} is enraged!`;
+    }
+
+    // Advance through every phase whose threshold we've dropped below
+    updatePhase() {
+        const phases = this.definition.phases;
+        const healthPercent = this.health / this.maxHealth;
+
+        while (this.phaseIndex < phases.length - 1 && healthPercent <= phases[this.phaseIndex + 1].threshold) {
+            this.phaseIndex++;
+            const phase = phases[this.phaseIndex];
+
+            this.moveSpeed = this.baseMoveSpeed * (phase.speedMultiplier || 1);
+            if (phase.announce) {
+                this.phaseAnnouncement = phase.announce;
+            }
+            if (phase.adds) {
+                this.pendingAdds.push(...phase.adds);
+            }
+        }
+    }
+
+    // First ready attack in the phase list that can reach the player
+    pickAttack(distToPlayer) {
+        for (const key of this.phase.attacks) {
+            if ((this.attackCooldowns[key] || 0) > 0) continue;
+
+            const attack = this.definition.attacks[key];
+            if (attack.target === 'player') return key;
+
+            const reach = attack.shape === 'cone' ? attack.range : attack.radius;
+            if (distToPlayer <= reach * 0.8) return key;
+        }
+        return null;
+    }
+
+    startAttack(key, player) {
+        const attack = this.definition.attacks[key];
+        const center = attack.target === 'player' ? player.position.clone() : this.position.clone();
+        center.y = 0;
+        const facing = Math.atan2(player.position.x - this.position.x, player.position.z - this.position.z);
+
+        this.currentAttack = {
+            key,
+            def: attack,
+            timer: 0,
+            center,
+            facing,
+            telegraph: this.createTelegraph(attack, center, facing)
+        };
+
+        this.faceTowards(player.position);
+        if (this.modelLoaded) {
+            this.playAnimation('idle');
+        }
+    }
+
+    updateCurrentAttack(deltaTime, player) {
+        const attack = this.currentAttack;
+        attack.timer += deltaTime;
+
+        // Fill grows from the center until the hit lands
+        const progress = Math.min(1, attack.timer / attack.def.windup);
+        attack.telegraph.userData.fill.scale.setScalar(Math.max(0.01, progress));
+
+        if (attack.timer >= attack.def.windup) {
+            this.resolveAttack(attack, player);
+        }
+    }
+
+    resolveAttack(attack, player) {
+        const def = attack.def;
+
+        if (def.leap) {
+            this.position.x = attack.center.x;
+            this.position.z = attack.center.z;
+        }
+
+        if (this.isInTelegraph(attack, player.position)) {
+            const damage = def.damage * (this.enraged ? this.definition.enrage.damageMultiplier || 1 : 1);
+            this.hitPlayer(player, damage, def.damageType || DamageType.PHYSICAL, ['boss', attack.key]);
+        }
+
+        // Impact feedback
+        const game = player.game;
+        if (game) {
+            if (game.particles) {
+                if (def.shape === 'circle') {
+                    game.particles.groundSlam(attack.center, def.radius);
+                } else {
+                    const dir = new THREE.Vector3(Math.sin(attack.facing), 0, Math.cos(attack.facing));
+                    game.particles.cleaveWave(this.position, dir, def.range);
+                }
+            }
+            game.addScreenShake(0.6);
+            game.sound?.play(def.shape === 'circle' ? 'groundSlam' : 'cleave');
+        }
+
+        if (this.modelLoaded) {
+            this.playAnimation('attack');
+        }
+
+        const cooldownMultiplier = this.enraged ? this.definition.enrage.cooldownMultiplier || 1 : 1;
+        this.attackCooldowns[attack.key] = def.cooldown * cooldownMultiplier;
+        this.removeTelegraph(attack);
+        this.currentAttack = null;
+    }
+
+    isInTelegraph(attack, point) {
+        const dx = point.x - attack.center.x;
+        const dz = point.z - attack.center.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+
+        if (attack.def.shape === 'circle') {
+            return dist <= attack.def.radius;
+        }
+
+        if (dist > attack.def.range) return false;
+        let angleDiff = Math.atan2(dx, dz) - attack.facing;
+        angleDiff = Math.atan2(Math.sin(angleDiff), Math.cos(angleDiff));
+        return Math.abs(angleDiff) <= attack.def.angle / 2;
+    }
+
+    // Ground telegraph - faint outline of the full area plus a fill that grows with the windup
+    createTelegraph(def, center, facing) {
+        const group = new THREE.Group();
+        const makeGeometry = () => def.shape === 'cone'
+            ? new THREE.RingGeometry(0, def.range, 32, 1, -def.angle / 2 - Math.PI / 2, def.angle)
+            : new THREE.CircleGeometry(def.radius, 40);
+
+        const area = new THREE.Mesh(makeGeometry(), new THREE.MeshBasicMaterial({
+            color: 0xff2222,
+            transparent: true,
+            opacity: 0.2,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        area.rotation.x = -Math.PI / 2;
+        area.position.y = 0.06;
+        group.add(area);
+
+        // Outline ring so the edge reads clearly
+        if (def.shape === 'circle') {
+            const edge = new THREE.Mesh(
+                new THREE.RingGeometry(def.radius - 0.15, def.radius, 48),
+                new THREE.MeshBasicMaterial({
+                    color: 0xff6644,
+                    transparent: true,
+                    opacity: 0.8,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                })
+            );
+            edge.rotation.x = -Math.PI / 2;
+            edge.position.y = 0.07;
+            group.add(edge);
+        }
+
+        const fill = new THREE.Mesh(makeGeometry(), new THREE.MeshBasicMaterial({
+            color: 0xff4400,
+            transparent: true,
+            opacity: 0.45,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        fill.rotation.x = -Math.PI / 2;
+        fill.position.y = 0.08;
+        fill.scale.setScalar(0.01);
+        group.add(fill);
+        group.userData.fill = fill;
+
+        group.position.set(center.x, 0, center.z);
+        group.rotation.y = facing;
+        this.scene.add(group);
+        return group;
+    }
+
+    removeTelegraph(attack) {
+        if (!attack.telegraph) return;
+        this.scene.remove(attack.telegraph);
+        attack.telegraph.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        attack.telegraph = null;
+    }
+
+    die() {
+        if (this.currentAttack) {
+            this.removeTelegraph(this.currentAttack);
+            this.currentAttack = null;
+        }
+        super.die();
+    }
+}
+
+export function createBoss(scene, x, z, definition) {
+    return new Boss(scene, x, z, definition);
+}
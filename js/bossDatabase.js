@@ -0,0 +1,89 @@
+// Boss definitions - spawned from level data with { "boss": "<id>" }
+//
+// armor/resistances: replace the skeleton type's profile (see skeletonEnemy.js)
+// statusImmunities: status effect ids that never land (see statusEffects.js)
+// attacks: shape 'cone' (range, angle) or 'circle' (radius)
+//          target 'self' centers the telegraph on the boss, 'player' on the player's position
+//          windup is how long the telegraph shows before damage lands
+//          leap moves the boss to the telegraph center when it lands
+//          damageType is a DamageType from damage.js, physical when left out
+// phases:  entered when health falls to threshold (fraction of max health)
+//          adds spawn a wave of skeletons around the boss on entry
+export const BOSSES = {
+    skeleton_champion: {
+        id: 'skeleton_champion',
+        name: 'Skeleton Champion',
+        skeletonType: 'warrior',
+        maxHealth: 500,
+        attackDamage: 25,
+        moveSpeed: 2.8,
+        attackRange: 2.5,
+        scale: 1.5,
+        lootTable: 'skeleton_boss',
+        armor: 60,
+        statusImmunities: ['stun', 'freeze'],
+
+        enrageTime: 180,
+        enrage: {
+            damageMultiplier: 1.5,
+            speedMultiplier: 1.3,
+            cooldownMultiplier: 0.6
+        },
+
+        attacks: {
+            cleave: {
+                name: 'Bone Cleave',
+                shape: 'cone',
+                target: 'self',
+                range: 6,
+                angle: Math.PI * 2 / 3,
+                windup: 1.2,
+                damage: 30,
+                cooldown: 6
+            },
+            slam: {
+                name: 'Grave Slam',
+                shape: 'circle',
+                target: 'self',
+                radius: 5,
+                windup: 1.6,
+                damage: 40,
+                cooldown: 11
+            },
+            leap: {
+                name: 'Bone Leap',
+                shape: 'circle',
+                target: 'player',
+                radius: 3.5,
+                windup: 1.8,
+                damage: 35,
+                cooldown: 14,
+                leap: true
+            }
+        },
+
+        phases: [
+            {
+                threshold: 1.0,
+                attacks: ['cleave']
+            },
+            {
+                threshold: 0.66,
+                announce: 'The Champion calls his guard!',
+                attacks: ['cleave', 'slam'],
+                adds: ['minion', 'minion', 'rogue', 'rogue']
+            },
+            {
+                threshold: 0.33,
+                announce: 'The Champion is furious!',
+                attacks: ['cleave', 'slam', 'leap'],
+                adds: ['minion', 'minion', 'minion', 'mage'],
+                speedMultiplier: 1.2
+            }
+        ]
+    }
+};
+
+export function getBossDefinition(id) {
+    return BOSSES[id] || null;
+}
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
 
+// Default mouse rotate speed (radians per pixel) - the sensitivity setting multiplies it
+const BASE_MOUSE_SENSITIVITY = 0.005;
+
 export class ThirdPersonCamera {
     constructor(camera, target) {
         this.camera = camera;
@@ -26,7 +29,7 @@ export class ThirdPersonCamera {
         this.currentLookAt = new THREE.Vector3();
 
         // Mouse sensitivity
-        this.mouseSensitivity = 0.005;
+        this.mouseSensitivity = BASE_MOUSE_SENSITIVITY;
         this.scrollSensitivity = 1.5;
 
         // Mouse drag state
@@ -86,6 +89,17 @@ export class ThirdPersonCamera {
         this.targetYaw -= deltaX * this.mouseSensitivity;
     }
 
+    // Player settings - sensitivity is a multiplier on the default speed
+    setSensitivity(multiplier) {
+        this.mouseSensitivity = BASE_MOUSE_SENSITIVITY * multiplier;
+    }
+
+    setZoomLimits(minDistance, maxDistance) {
+        this.minDistance = minDistance;
+        this.maxDistance = maxDistance;
+        this.distance = Math.max(minDistance, Math.min(maxDistance, this.distance));
+    }
+
     handleScroll(delta) {
         this.distance += delta * this.scrollSensitivity;
         this.distance = Math.max(this.minDistance, Math.min(this.maxDistance, this.distance));
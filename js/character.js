@@ -0,0 +1,955 @@
+import * as THREE from 'three';
+import { KayKitCharacter } from './kayKitCharacter.js';
+import { Inventory } from './inventory.js';
+import { ABILITIES, createAbilityKit, getSlotAbility, getKitResource } from './abilityDatabase.js';
+import { Resource } from './resource.js';
+import { DamageType, BASE_CRIT_CHANCE, BASE_CRIT_MULTIPLIER } from './damage.js';
+import { StatusEffects } from './statusEffects.js';
+
+// Dodge roll tuning, shared by every class
+//   the roll covers distance over duration and ignores hits for the first invulnerableTime seconds
+//   stamina regenerates at staminaRegen per second once regenDelay has passed since the last roll
+const DODGE = {
+    staminaCost: 35,
+    distance: 7,
+    duration: 0.35,
+    invulnerableTime: 0.3,
+    maxStamina: 100,
+    staminaRegen: 30,
+    regenDelay: 0.6
+};
+
+// Seconds from swing to hit for the fallback mesh, which has no attack clips to time it
+const FALLBACK_SWING_HIT_TIME = 0.25;
+
+// Shared core for every playable class - movement, targeting, abilities, buffs, damage, death and stats.
+// Subclasses pass their base stats and ability kit to super() and hook into
+// update/damage/healing through the on*/update* methods below.
+export class Character {
+    constructor(scene, game, config) {
+        this.scene = scene;
+        this.game = game; // Reference to game for effects
+        this.position = new THREE.Vector3(0, 0, 0);
+        this.velocity = new THREE.Vector3(0, 0, 0);
+        this.rotation = 0; // Y-axis rotation
+
+        // Class identifier and KayKit adventurer model
+        this.className = config.className;
+        this.modelName = config.model;
+
+        // Inventory system
+        this.inventory = new Inventory(24);
+        this.inventory.giveStarterItems(this.className);
+
+        // Set up equipment change callback
+        this.inventory.onEquipmentChanged = () => {
+            this.updateWeaponFromEquipment();
+            this.applyEquipmentStats();
+        };
+
+        // Buff system
+        this.buffs = {};
+
+        // Burn, poison, chill, stun... - see statusEffects.js
+        this.statusEffects = new StatusEffects(this);
+
+        // Stats
+        this.maxHealth = config.maxHealth;
+        this.health = this.maxHealth;
+        this.moveSpeed = config.moveSpeed;
+        this.jumpForce = 12;
+        this.isGrounded = true;
+        this.isDead = false;
+        this.levelDamageBonus = 0; // Damage gained from levels
+
+        // Dodge roll
+        this.maxStamina = DODGE.maxStamina;
+        this.stamina = this.maxStamina;
+        this.staminaRegenDelay = 0;
+        this.dodgeState = null; // { direction, elapsed } while rolling
+        this.lastMoveDirection = new THREE.Vector3(); // Last movement direction, the roll follows it
+
+        // Combat
+        this.targetEnemy = null;
+        this.attackRange = config.attackRange;
+        this.autoAttackCooldown = 0;
+        this.autoAttackCooldownMax = config.autoAttackCooldown;
+        this.autoAttackDamage = config.autoAttackDamage;
+        this.threatMultiplier = config.threatMultiplier || 1; // Scales threat from our damage - see threat.js
+        this.pendingSwings = []; // Melee swings waiting for their hit frame
+
+        // Gear bonuses currently added to maxHealth, auto attack speed and moveSpeed - see applyEquipmentStats
+        this.equipmentBonus = { maxHealth: 0, attackSpeed: 0, moveSpeed: 0 };
+        this.applyEquipmentStats();
+
+        // Ability kit from the ability registry, modified by talents once the game assigns them
+        this.talents = null;
+        this.kitId = config.kit;
+        this.abilities = createAbilityKit(this.kitId);
+
+        // Mana, rage or focus - whichever the kit's abilities cost
+        this.resource = null;
+        this.setResourceType(getKitResource(this.kitId));
+
+        // KayKit character controller for animated model
+        this.character = new KayKitCharacter(scene);
+        this.useAnimatedCharacter = false;
+        this.characterLoading = false;
+
+        // Click-to-move target
+        this.moveTarget = null;
+        this.moveTargetThreshold = 0.5; // Distance at which we consider target reached
+    }
+
+    // Override to attach the equipped weapon to the model
+    updateWeaponFromEquipment() {}
+
+    async loadCharacter() {
+        this.characterLoading = true;
+        if (this.group) this.group.visible = false;
+
+        try {
+            const success = await this.character.load('adventurers', this.modelName);
+            if (success) {
+                this.useAnimatedCharacter = true;
+                console.log(`Using KayKit ${this.modelName} character model for ${this.className}`);
+
+                // Update weapon based on equipment
+                this.updateWeaponFromEquipment();
+            } else if (this.group) {
+                this.group.visible = true;
+            }
+        } catch (error) {
+            console.warn(`Failed to load KayKit ${this.modelName} character, using fallback:`, error);
+            if (this.group) this.group.visible = true;
+        }
+        this.characterLoading = false;
+    }
+
+    setTarget(enemy) {
+        // Clear previous target highlight
+        if (this.targetEnemy && this.targetEnemy.setTargeted) {
+            this.targetEnemy.setTargeted(false);
+        }
+
+        this.targetEnemy = enemy;
+
+        // Set new target highlight
+        if (enemy && enemy.setTargeted) {
+            enemy.setTargeted(true);
+        }
+    }
+
+    setMoveTarget(position) {
+        this.moveTarget = position;
+    }
+
+    clearMoveTarget() {
+        this.moveTarget = null;
+    }
+
+    update(deltaTime, input, cameraController) {
+        this.statusEffects.update(deltaTime, this.game?.damage);
+        const stunned = this.statusEffects.isStunned;
+
+        // Process movement (pass input to check if mouse turning)
+        const isMoving = this.handleMovement(deltaTime, input, cameraController, input.rightMouseDown);
+        this.updateDodge(deltaTime);
+        this.updateStamina(deltaTime);
+        this.updateSwings(deltaTime);
+
+        // Process abilities
+        this.updateAbilities(deltaTime);
+        if (this.resource) {
+            this.resource.update(deltaTime);
+        }
+
+        // Class projectiles, ground effects, indicators...
+        this.updateEffects(deltaTime);
+
+        // Auto-attack cooldown
+        if (this.autoAttackCooldown > 0) {
+            this.autoAttackCooldown -= deltaTime * this.statusEffects.attackSpeedMultiplier;
+        }
+
+        // Automatically attack target if in range
+        if (!stunned && !this.isDodging && this.targetEnemy && this.targetEnemy.isAlive && this.autoAttackCooldown <= 0 && this.canAutoAttack()) {
+            const dx = this.targetEnemy.position.x - this.position.x;
+            const dz = this.targetEnemy.position.z - this.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist <= this.attackRange) {
+                this.performAutoAttack();
+            }
+        }
+
+        // Update visual position - use animated character if loaded
+        if (this.useAnimatedCharacter) {
+            this.character.setPosition(this.position.x, this.position.y, this.position.z);
+            this.character.setRotation(this.rotation);
+            this.character.update(deltaTime, isMoving, true, this.isGrounded);
+        } else if (this.group) {
+            // Fallback to procedural mesh
+            this.group.position.copy(this.position);
+            this.group.rotation.y = this.rotation;
+            this.animateFallbackMesh(deltaTime, isMoving);
+        }
+    }
+
+    // Per-frame hooks for subclasses
+    updateEffects(deltaTime) {}
+
+    animateFallbackMesh(deltaTime, isMoving) {}
+
+    canAutoAttack() {
+        return true;
+    }
+
+    performAutoAttack() {
+        return false;
+    }
+
+    handleMovement(deltaTime, input, cameraController, isMouseTurning = false) {
+        // Forward/backward movement (W/S)
+        const forwardBack = new THREE.Vector3();
+        if (input.isHeld('moveForward') || input.keys.arrowup) forwardBack.z -= 1;
+        if (input.isHeld('moveBack') || input.keys.arrowdown) forwardBack.z += 1;
+
+        // Strafe movement (A/D) - sideways, no turning
+        const strafe = new THREE.Vector3();
+        if (input.isHeld('moveLeft') || input.keys.arrowleft) strafe.x -= 1;
+        if (input.isHeld('moveRight') || input.keys.arrowright) strafe.x += 1;
+
+        // Check if using keyboard movement
+        const usingKeyboard = forwardBack.length() > 0 || strafe.length() > 0;
+
+        // Clear move target if using keyboard
+        if (usingKeyboard && this.moveTarget) {
+            this.clearMoveTarget();
+        }
+
+        // Calculate final movement direction
+        const moveDir = new THREE.Vector3();
+        const cameraYaw = -(cameraController?.yaw || 0);
+        const cos = Math.cos(cameraYaw);
+        const sin = Math.sin(cameraYaw);
+
+        // Rotate forward/back by camera yaw
+        if (forwardBack.length() > 0) {
+            const rotatedZ = forwardBack.z * cos;
+            const rotatedX = -forwardBack.z * sin;
+            moveDir.x += rotatedX;
+            moveDir.z += rotatedZ;
+        }
+
+        // Rotate strafe by camera yaw (perpendicular)
+        if (strafe.length() > 0) {
+            const rotatedX = strafe.x * cos;
+            const rotatedZ = strafe.x * sin;
+            moveDir.x += rotatedX;
+            moveDir.z += rotatedZ;
+        }
+
+        let isMoving = false;
+        const moveSpeed = this.moveSpeed * this.statusEffects.moveSpeedMultiplier;
+        const canMove = !this.statusEffects.isStunned; // Stuns root the character, gravity still applies
+
+        // Save old position for collision resolution
+        const oldX = this.position.x;
+        const oldZ = this.position.z;
+
+        if (this.isDodging) {
+            // Rolling - keep going the way the roll started
+            const rollSpeed = DODGE.distance / DODGE.duration;
+            this.position.x += this.dodgeState.direction.x * rollSpeed * deltaTime;
+            this.position.z += this.dodgeState.direction.z * rollSpeed * deltaTime;
+            this.rotation = Math.atan2(this.dodgeState.direction.x, this.dodgeState.direction.z);
+            isMoving = true;
+        } else if (canMove && this.moveTarget && !usingKeyboard) {
+            // Click-to-move: if we have a move target and not using keyboard, move toward it
+            const dx = this.moveTarget.x - this.position.x;
+            const dz = this.moveTarget.z - this.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+
+            if (dist > this.moveTargetThreshold) {
+                // Move toward target
+                moveDir.x = dx / dist;
+                moveDir.z = dz / dist;
+                isMoving = true;
+
+                // Apply movement
+                this.position.x += moveDir.x * moveSpeed * deltaTime;
+                this.position.z += moveDir.z * moveSpeed * deltaTime;
+
+                // Face movement direction
+                this.rotation = Math.atan2(moveDir.x, moveDir.z);
+                this.lastMoveDirection.set(moveDir.x, 0, moveDir.z);
+            } else {
+                // Reached target
+                this.clearMoveTarget();
+            }
+        } else if (canMove && moveDir.length() > 0) {
+            isMoving = true;
+            moveDir.normalize();
+
+            // Apply movement
+            this.position.x += moveDir.x * moveSpeed * deltaTime;
+            this.position.z += moveDir.z * moveSpeed * deltaTime;
+
+            // Character faces the direction they're moving
+            this.rotation = Math.atan2(moveDir.x, moveDir.z);
+            this.lastMoveDirection.copy(moveDir);
+        } else {
+            this.lastMoveDirection.set(0, 0, 0);
+        }
+
+        // Wall collision check
+        if (this.game && this.game.resolveWallCollision) {
+            const resolved = this.game.resolveWallCollision(oldX, oldZ, this.position.x, this.position.z, 0.5);
+            this.position.x = resolved.x;
+            this.position.z = resolved.z;
+        }
+
+        // Jumping
+        if (canMove && !this.isDodging && input.isHeld('jump') && this.isGrounded) {
+            this.velocity.y = this.jumpForce;
+            this.isGrounded = false;
+            input.consume('jump'); // Consume jump input
+
+            // Play jump animation
+            if (this.useAnimatedCharacter) {
+                this.character.playJump();
+            }
+        }
+
+        // Apply gravity
+        if (!this.isGrounded) {
+            this.velocity.y -= 30 * deltaTime;
+            this.position.y += this.velocity.y * deltaTime;
+
+            if (this.position.y <= 0) {
+                this.position.y = 0;
+                this.velocity.y = 0;
+                this.isGrounded = true;
+            }
+        }
+
+        // Keep in bounds
+        const bounds = 95;
+        this.position.x = Math.max(-bounds, Math.min(bounds, this.position.x));
+        this.position.z = Math.max(-bounds, Math.min(bounds, this.position.z));
+
+        return isMoving;
+    }
+
+    updateAbilities(deltaTime) {
+        // Update cooldowns
+        for (const key in this.abilities) {
+            const ability = this.abilities[key];
+            if (ability.cooldownRemaining > 0) {
+                ability.cooldownRemaining -= deltaTime;
+                if (ability.cooldownRemaining < 0) ability.cooldownRemaining = 0;
+            }
+        }
+    }
+
+    // ==================== DODGE ====================
+
+    get isDodging() {
+        return this.dodgeState !== null;
+    }
+
+    // Roll the way we're moving, or forward when standing still - returns true if the roll started
+    dodge() {
+        if (this.isDead || this.isDodging || this.statusEffects.isStunned) return false;
+        if (!this.canAffordDodge()) {
+            this.game?.showCastFailed?.(null, 'Not enough stamina');
+            return false;
+        }
+
+        const direction = this.lastMoveDirection.lengthSq() > 0
+            ? this.lastMoveDirection.clone().normalize()
+            : new THREE.Vector3(Math.sin(this.rotation), 0, Math.cos(this.rotation));
+
+        this.stamina -= DODGE.staminaCost;
+        this.staminaRegenDelay = DODGE.regenDelay;
+        this.dodgeState = { direction, elapsed: 0 };
+        this.clearMoveTarget();
+        this.cancelSwings();
+
+        if (this.useAnimatedCharacter) {
+            this.character.playDodge();
+        }
+        if (this.game && this.game.sound) {
+            this.game.sound.play('dodge');
+        }
+        return true;
+    }
+
+    canAffordDodge() {
+        return this.stamina >= DODGE.staminaCost;
+    }
+
+    updateDodge(deltaTime) {
+        if (!this.isDodging) return;
+
+        this.dodgeState.elapsed += deltaTime;
+        if (this.game && this.game.particles) {
+            this.game.particles.dashTrail(this.position, this.dodgeState.direction);
+        }
+        if (this.dodgeState.elapsed >= DODGE.duration) {
+            this.dodgeState = null;
+        }
+    }
+
+    updateStamina(deltaTime) {
+        if (this.staminaRegenDelay > 0) {
+            this.staminaRegenDelay -= deltaTime;
+        } else if (this.stamina < this.maxStamina) {
+            this.stamina = Math.min(this.maxStamina, this.stamina + DODGE.staminaRegen * deltaTime);
+        }
+    }
+
+    // ==================== HIT FRAMES ====================
+
+    // Swing a melee attack - strike() runs when the attack clip reaches its hit frame,
+    // unless a stun, dodge or death cancels the swing first - then onCancel() runs instead
+    startSwing(attackNum, strike, onCancel = null) {
+        const swing = { strike, onCancel, elapsed: 0, hitTime: FALLBACK_SWING_HIT_TIME };
+        this.pendingSwings.push(swing);
+
+        if (this.useAnimatedCharacter) {
+            swing.hitTime = null; // Timed by the clip's hit notify instead
+            this.character.playAttack(
+                attackNum,
+                () => this.landSwing(swing),
+                // Clip cut short or never left the queue - land on the fallback timing instead
+                () => { swing.hitTime = FALLBACK_SWING_HIT_TIME; }
+            );
+        }
+    }
+
+    landSwing(swing) {
+        const index = this.pendingSwings.indexOf(swing);
+        if (index === -1) return; // Cancelled
+
+        if (this.isDead || this.isDodging || this.statusEffects.isStunned) {
+            this.cancelSwings();
+            return;
+        }
+        this.pendingSwings.splice(index, 1);
+        swing.strike();
+    }
+
+    cancelSwings() {
+        if (this.pendingSwings.length === 0) return;
+        const swings = this.pendingSwings;
+        this.pendingSwings = [];
+
+        // Only stop the attack clip if a swing is still waiting on it
+        if (this.useAnimatedCharacter && swings.some(swing => swing.hitTime === null)) {
+            this.character.cancelAnimation();
+        }
+        for (const swing of swings) {
+            if (swing.onCancel) swing.onCancel();
+        }
+    }
+
+    updateSwings(deltaTime) {
+        if (this.pendingSwings.length === 0) return;
+        if (this.statusEffects.isStunned) {
+            this.cancelSwings();
+            return;
+        }
+
+        for (const swing of [...this.pendingSwings]) {
+            swing.elapsed += deltaTime;
+            if (swing.hitTime !== null && swing.elapsed >= swing.hitTime) {
+                this.landSwing(swing);
+            }
+        }
+    }
+
+    // Give back an ability's cooldown and cost - for swings cancelled before they land
+    refundAbility(id) {
+        const ability = this.abilities[id];
+        if (!ability) return;
+        ability.cooldownRemaining = 0;
+        if (ability.cost > 0 && this.resource) {
+            this.resource.gain(ability.cost);
+        }
+    }
+
+    // ==================== ABILITIES ====================
+
+    // Swap to another kit - cooldowns start fresh
+    setAbilityKit(kitId) {
+        this.kitId = kitId;
+        this.abilities = createAbilityKit(kitId, this.talents?.getModifiers());
+        this.setResourceType(getKitResource(kitId));
+    }
+
+    // Swapping to a kit with the same resource keeps the current pool
+    setResourceType(type) {
+        if (this.resource?.type === type) return;
+        this.resource = type ? new Resource(type, this) : null;
+    }
+
+    // Re-apply talent modifiers to the current kit - only talent-modified stats are rewritten,
+    // so cooldowns and in-progress abilities carry over
+    applyTalents() {
+        const modifiers = this.talents ? this.talents.getModifiers() : {};
+        const fresh = createAbilityKit(this.kitId, modifiers);
+        for (const id in fresh) {
+            const ability = this.abilities[id];
+            if (!ability) continue;
+            for (const stat in modifiers[id] || {}) {
+                ability[stat] = fresh[id][stat];
+            }
+        }
+    }
+
+    // Ability id on a bar key, or null if the key is empty
+    getSlotAbility(key) {
+        return getSlotAbility(this.kitId, key);
+    }
+
+    // Run an ability's effect hook - aim is { position, direction, enemies }
+    castAbility(id, aim) {
+        const def = ABILITIES[id];
+        const ability = this.abilities[id];
+        if (!def || !ability || ability.cooldownRemaining > 0 || this.isDodging) return false;
+        if (this.statusEffects.isStunned) {
+            if (this.game && this.game.showCastFailed) {
+                this.game.showCastFailed(id, 'Stunned');
+            }
+            return false;
+        }
+        if (!this.checkAbilityCost(id)) return false;
+
+        def.cast(this, aim);
+
+        // Effect hooks put the ability on cooldown when it actually fires - only then is the cost paid
+        const fired = ability.cooldownRemaining > 0;
+        if (fired && ability.cost > 0) {
+            this.resource.spend(ability.cost);
+        }
+        return fired;
+    }
+
+    // True if the ability's cost can be paid - otherwise tells the player why it failed
+    checkAbilityCost(id) {
+        const cost = this.abilities[id]?.cost || 0;
+        if (cost <= 0) return true;
+        if (this.resource && this.resource.canAfford(cost)) return true;
+
+        const resourceName = this.resource ? this.resource.name.toLowerCase() : 'resource';
+        if (this.game && this.game.showCastFailed) {
+            this.game.showCastFailed(id, `Not enough ${resourceName}`);
+        }
+        return false;
+    }
+
+    // Aimed abilities are held to show their indicator and fire on release
+    canAimAbility(id) {
+        const indicator = ABILITIES[id]?.indicator;
+        return !!indicator && typeof this[`show${indicator}Indicator`] === 'function';
+    }
+
+    showAbilityIndicator(id, show) {
+        if (this.canAimAbility(id)) {
+            this[`show${ABILITIES[id].indicator}Indicator`](show);
+        }
+    }
+
+    updateAbilityIndicator(id, mouseWorldPos) {
+        const method = this[`update${ABILITIES[id]?.indicator}Indicator`];
+        if (this.canAimAbility(id) && method) {
+            method.call(this, mouseWorldPos);
+        }
+    }
+
+    // Slowing ice on the ground (Frost Nova talents) - a ground effect that deals no damage.
+    // Kits that use it keep a groundEffects list and update it themselves.
+    createIcePatch(position, radius, duration) {
+        const patchGeometry = new THREE.CircleGeometry(radius, 32);
+        const patchMaterial = new THREE.MeshBasicMaterial({
+            color: 0xcceeff,
+            transparent: true,
+            opacity: 0.4,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const patch = new THREE.Mesh(patchGeometry, patchMaterial);
+        patch.rotation.x = -Math.PI / 2;
+        patch.position.set(position.x, 0.34, position.z);
+        this.scene.add(patch);
+
+        const borderGeometry = new THREE.RingGeometry(radius - 0.1, radius, 32);
+        const borderMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const border = new THREE.Mesh(borderGeometry, borderMaterial);
+        border.rotation.x = -Math.PI / 2;
+        border.position.set(position.x, 0.35, position.z);
+        this.scene.add(border);
+
+        this.groundEffects.push({
+            type: 'icePatch',
+            mesh: patch,
+            border: border,
+            position: new THREE.Vector3(position.x, 0, position.z),
+            radius: radius,
+            damage: 0,
+            slowAmount: 0.6,
+            duration: duration,
+            tickTimer: 0
+        });
+    }
+
+    // ==================== HEALTH ====================
+
+    // Ability: Health Potion
+    usePotion() {
+        const ability = this.abilities.potion;
+        if (!ability || ability.cooldownRemaining > 0) return false;
+
+        ability.cooldownRemaining = ability.cooldown;
+        this.heal(ability.healAmount, 'potion');
+
+        // Healing effect
+        if (this.game && this.game.effects) {
+            this.game.effects.createPotionEffect(this.position);
+            this.game.effects.createDamageNumber(this.position, ability.healAmount, true);
+        }
+
+        return true;
+    }
+
+    // Returns the amount actually healed - ability names the heal in the combat log
+    heal(amount, ability = 'heal') {
+        const oldHealth = this.health;
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        if (this.game && this.game.combatLog) {
+            this.game.combatLog.recordHeal({ source: this, target: this, amount: this.health - oldHealth, ability });
+        }
+
+        if (this.game && this.game.particles) {
+            this.game.particles.healEffect(this.position);
+        }
+        if (this.game && this.game.sound) {
+            this.game.sound.play('heal');
+        }
+        if (this.game && this.game.addScreenFlash) {
+            this.game.addScreenFlash('heal');
+        }
+        this.onHealed(amount);
+
+        return this.health - oldHealth;
+    }
+
+    // Returns false if the character is immune or mid-roll
+    applyStatus(id, options) {
+        if (this.isInvulnerable()) return false;
+        return this.statusEffects.apply(id, options);
+    }
+
+    // Applies an already-mitigated hit from the damage pipeline - returns the damage actually taken
+    takeDamage(amount, source = null) {
+        if (this.isDead || this.isInvulnerable()) {
+            return 0;
+        }
+
+        const finalDamage = amount;
+        this.health -= finalDamage;
+
+        // Play impact animation
+        if (this.useAnimatedCharacter) {
+            this.character.playImpact();
+        }
+
+        // Hit particles
+        if (this.game && this.game.particles) {
+            this.game.particles.playerHit(this.position);
+            this.game.addScreenShake(Math.min(finalDamage / 20, 0.5));
+        }
+
+        // Play hit sound
+        if (this.game && this.game.sound) {
+            this.game.sound.play('playerHit');
+        }
+
+        // Screen flash effect
+        if (this.game && this.game.addScreenFlash) {
+            this.game.addScreenFlash(finalDamage > 20 ? 'critical' : 'damage');
+        }
+        if (this.resource) {
+            this.resource.onDamageTaken(finalDamage);
+        }
+        this.onDamaged(finalDamage, source);
+
+        if (this.health <= 0) {
+            this.health = 0;
+            this.die();
+        }
+
+        return finalDamage;
+    }
+
+    // ==================== DAMAGE PIPELINE ====================
+
+    // Hit a target through the game's damage pipeline - returns the damage that landed
+    dealDamage(target, amount, type = DamageType.PHYSICAL, tags = []) {
+        const hit = this.game.damage.deal({ target, amount, type, source: this, tags });
+        return hit ? hit.amount : 0;
+    }
+
+    // Attacker stats read by the pipeline - critChance and lifesteal are percentages on gear
+    getOffenseStats() {
+        const equipStats = this.inventory.getEquipmentStats();
+        return {
+            critChance: BASE_CRIT_CHANCE + (equipStats.critChance || 0) / 100,
+            critMultiplier: BASE_CRIT_MULTIPLIER,
+            magicPower: equipStats.magicPower || 0,
+            lifesteal: (equipStats.lifesteal || 0) / 100
+        };
+    }
+
+    // Armor from equipment
+    getArmor() {
+        return this.inventory.getEquipmentStats().defense || 0;
+    }
+
+    // The defense buff resists every type (multiplier below 1 means less damage)
+    getResistance(type) {
+        return this.buffs.defense ? 1 - this.buffs.defense.multiplier : 0;
+    }
+
+    // Damage/heal hooks for class-specific effects - the start of a dodge roll ignores hits
+    isInvulnerable() {
+        return this.isDodging && this.dodgeState.elapsed < DODGE.invulnerableTime;
+    }
+
+    onDamaged(amount, source) {}
+
+    onHealed(amount) {}
+
+    die() {
+        if (this.isDead) return;
+        this.isDead = true;
+        this.dodgeState = null;
+        this.cancelSwings();
+        this.statusEffects.clear();
+        console.log(`${this.className} died!`);
+
+        // Play death animation
+        if (this.useAnimatedCharacter) {
+            this.character.playDeath();
+        }
+
+        // Play death sound
+        if (this.game && this.game.sound) {
+            this.game.sound.play('playerDeath');
+        }
+
+        // Respawn at the level's spawn point
+        setTimeout(() => {
+            const spawn = this.game?.level?.playerSpawn || { x: 0, z: 0 };
+            this.isDead = false;
+            this.health = this.maxHealth;
+            this.stamina = this.maxStamina;
+            this.position.set(spawn.x, 0, spawn.z);
+            // Reset to idle after respawn
+            if (this.useAnimatedCharacter) {
+                this.character.playAnimation('idle', true);
+            }
+        }, 2000);
+    }
+
+    // ==================== BUFFS ====================
+
+    // Apply a temporary buff - options: { multiplier, duration }
+    applyBuff(buffType, options) {
+        const { multiplier, duration } = options;
+
+        // Store original value if not already buffed
+        if (!this.buffs[buffType]) {
+            this.buffs[buffType] = {
+                originalValue: this.getBuffBaseValue(buffType),
+                multiplier: multiplier,
+                remaining: duration
+            };
+        } else {
+            // Refresh duration if already buffed
+            this.buffs[buffType].remaining = duration;
+            this.buffs[buffType].multiplier = multiplier;
+        }
+
+        // Apply the buff effect
+        this.applyBuffEffect(buffType);
+
+        // Visual feedback
+        if (this.game && this.game.particles) {
+            this.game.particles.shockwave(this.position, this.getBuffColor(buffType));
+        }
+    }
+
+    getBuffBaseValue(buffType) {
+        switch (buffType) {
+            case 'speed': return this.moveSpeed;
+            case 'damage': return this.autoAttackDamage;
+            case 'defense': return 1; // Damage multiplier
+            default: return 1;
+        }
+    }
+
+    getBuffColor(buffType) {
+        switch (buffType) {
+            case 'speed': return 0x44aaff;
+            case 'damage': return 0xff6644;
+            case 'defense': return 0x888888;
+            case 'maxResource':
+            case 'resourceRegen': return 0x8844ff;
+            default: return 0x44ff88;
+        }
+    }
+
+    applyBuffEffect(buffType) {
+        const buff = this.buffs[buffType];
+        if (!buff) return;
+
+        switch (buffType) {
+            case 'speed':
+                this.moveSpeed = buff.originalValue * buff.multiplier;
+                break;
+            case 'damage':
+                this.autoAttackDamage = Math.floor(buff.originalValue * buff.multiplier);
+                break;
+            // Defense is checked by getResistance, resource buffs by Resource
+        }
+    }
+
+    removeBuffEffect(buffType) {
+        const buff = this.buffs[buffType];
+        if (!buff) return;
+
+        switch (buffType) {
+            case 'speed':
+                this.moveSpeed = buff.originalValue;
+                break;
+            case 'damage':
+                this.autoAttackDamage = buff.originalValue;
+                break;
+        }
+
+        delete this.buffs[buffType];
+    }
+
+    updateBuffs(deltaTime) {
+        for (const buffType in this.buffs) {
+            const buff = this.buffs[buffType];
+            buff.remaining -= deltaTime;
+
+            if (buff.remaining <= 0) {
+                this.removeBuffEffect(buffType);
+            }
+        }
+    }
+
+    // Unbuffed value of a buffable stat
+    getBaseStat(buffType) {
+        return this.buffs[buffType] ? this.buffs[buffType].originalValue : this.getBuffBaseValue(buffType);
+    }
+
+    // Change a buffable stat's unbuffed value - an active buff stays applied on top
+    setBaseStat(buffType, value) {
+        if (this.buffs[buffType]) {
+            this.buffs[buffType].originalValue = value;
+            this.applyBuffEffect(buffType);
+            return;
+        }
+
+        switch (buffType) {
+            case 'speed':
+                this.moveSpeed = value;
+                break;
+            case 'damage':
+                this.autoAttackDamage = value;
+                break;
+        }
+    }
+
+    // Put equipment maxHealth, attackSpeed (%) and moveSpeed (%) on the character's stats.
+    // Only the change since the last call is applied, so level-ups and buffs on the same stats are kept.
+    applyEquipmentStats() {
+        const stats = this.inventory.getEquipmentStats();
+        const bonus = {
+            maxHealth: stats.maxHealth || 0,
+            attackSpeed: stats.attackSpeed || 0,
+            moveSpeed: stats.moveSpeed || 0
+        };
+        const old = this.equipmentBonus;
+
+        this.maxHealth += bonus.maxHealth - old.maxHealth;
+        this.health = Math.min(this.health, this.maxHealth);
+
+        const baseSpeed = this.getBaseStat('speed') / (1 + old.moveSpeed / 100);
+        this.setBaseStat('speed', baseSpeed * (1 + bonus.moveSpeed / 100));
+
+        const baseCooldown = this.autoAttackCooldownMax * (1 + old.attackSpeed / 100);
+        this.autoAttackCooldownMax = baseCooldown / (1 + bonus.attackSpeed / 100);
+
+        this.equipmentBonus = bonus;
+    }
+
+    // Get total stats including equipment bonuses
+    getStats() {
+        const baseStats = {
+            damage: this.autoAttackDamage,
+            defense: 0,
+            maxHealth: this.maxHealth,
+            attackSpeed: 0,
+            moveSpeed: this.moveSpeed,
+            magicPower: 0,
+            maxResource: this.resource ? this.resource.config.max : 0,
+            resourceRegen: this.resource ? this.resource.config.regen : 0,
+            critChance: BASE_CRIT_CHANCE * 100,
+            lifesteal: 0
+        };
+
+        // Add equipment bonuses
+        if (this.inventory) {
+            const equipStats = this.inventory.getEquipmentStats();
+            return {
+                damage: baseStats.damage + (equipStats.damage || 0),
+                defense: baseStats.defense + (equipStats.defense || 0),
+                maxHealth: baseStats.maxHealth, // Already includes equipment - see applyEquipmentStats
+                attackSpeed: baseStats.attackSpeed + (equipStats.attackSpeed || 0),
+                moveSpeed: baseStats.moveSpeed,
+                magicPower: baseStats.magicPower + (equipStats.magicPower || 0),
+                maxResource: this.resource ? this.resource.max : 0,
+                resourceRegen: this.resource ? this.resource.regen : 0,
+                critChance: baseStats.critChance + (equipStats.critChance || 0),
+                lifesteal: baseStats.lifesteal + (equipStats.lifesteal || 0)
+            };
+        }
+
+        return baseStats;
+    }
+
+    // Cleanup - subclasses remove their own projectiles and indicators first
+    dispose() {
+        // Remove character
+        if (this.character) {
+            this.character.dispose();
+        }
+
+        // Remove fallback mesh
+        if (this.group) {
+            this.scene.remove(this.group);
+        }
+    }
+}
@@ -0,0 +1,199 @@
+// Combat log - every damage and heal event, with per-fight totals for the DPS/HPS meter
+//   entry: { time, kind, source, target, ability, amount, isCrit, damageType, fromPlayer, toPlayer }
+//     kind: 'damage' or 'heal', source/target: display names, time: seconds since the log was reset
+//     ability: what caused it - taken from the damage pipeline's hit tags (see abilityFromTags)
+//   A fight starts with the first event and ends once nothing happens for FIGHT_TIMEOUT seconds
+const MAX_ENTRIES = 2000;
+const MAX_FIGHTS = 20;
+const FIGHT_TIMEOUT = 5;
+
+// Meter rates never divide by less than this, so a single opening hit doesn't read as huge DPS
+const MIN_FIGHT_DURATION = 1;
+
+// Filters for the log panel
+export const CombatLogFilter = {
+    ALL: 'all',
+    DAMAGE_DONE: 'damageDone',
+    DAMAGE_TAKEN: 'damageTaken',
+    HEALING: 'healing'
+};
+
+// Hit tags lead with a category when the next tag names the cause - ['ability', 'cleave'],
+// ['status', 'burn', 'dot'], ['boss', 'slam'] - otherwise the first tag is the cause ('auto', 'bolt')
+const TAG_CATEGORIES = ['ability', 'status', 'boss'];
+
+export function abilityFromTags(tags = []) {
+    if (TAG_CATEGORIES.includes(tags[0]) && tags[1]) return tags[1];
+    return tags[0] || 'unknown';
+}
+
+function nameOf(entity) {
+    if (!entity) return 'Environment';
+    if (entity.name) return entity.name;
+    if (entity.className) return entity.className.charAt(0).toUpperCase() + entity.className.slice(1);
+    return 'Unknown';
+}
+
+function matchesFilter(entry, filter) {
+    switch (filter) {
+        case CombatLogFilter.DAMAGE_DONE: return entry.kind === 'damage' && entry.fromPlayer;
+        case CombatLogFilter.DAMAGE_TAKEN: return entry.kind === 'damage' && entry.toPlayer;
+        case CombatLogFilter.HEALING: return entry.kind === 'heal';
+        default: return true;
+    }
+}
+
+export class CombatLog {
+    constructor(now = () => performance.now() / 1000) {
+        this.now = now;
+        this.player = null; // Whose damage and healing the meter counts
+        this.reset();
+    }
+
+    reset() {
+        this.startTime = this.now();
+        this.entries = [];
+        this.fights = []; // Finished fight summaries, oldest first
+        this.fight = null;
+        this.version = 0; // Bumped on every event, for panel redraws
+    }
+
+    get time() {
+        return this.now() - this.startTime;
+    }
+
+    get inCombat() {
+        return !!this.fight && this.time - this.fight.end <= FIGHT_TIMEOUT;
+    }
+
+    // Damage pipeline hit - see DamagePipeline.onHit
+    recordHit(hit) {
+        this.record({
+            kind: 'damage',
+            source: hit.source,
+            target: hit.target,
+            ability: abilityFromTags(hit.tags),
+            amount: hit.amount,
+            isCrit: hit.isCrit,
+            damageType: hit.type
+        });
+    }
+
+    // event: { source, target, amount, ability }
+    recordHeal(event) {
+        if (!(event.amount > 0)) return;
+        this.record({ kind: 'heal', isCrit: false, damageType: null, ...event });
+    }
+
+    record(event) {
+        const time = this.time;
+        const entry = {
+            time: Math.round(time * 100) / 100,
+            kind: event.kind,
+            source: nameOf(event.source),
+            target: nameOf(event.target),
+            ability: event.ability,
+            amount: Math.round(event.amount),
+            isCrit: event.isCrit,
+            damageType: event.damageType,
+            fromPlayer: !!this.player && event.source === this.player,
+            toPlayer: !!this.player && event.target === this.player
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.shift();
+        }
+
+        this.updateFight(entry, time);
+        this.version++;
+    }
+
+    updateFight(entry, time) {
+        if (!this.inCombat) {
+            this.endFight();
+            this.fight = { start: time, end: time, damage: {}, healing: {}, damageTaken: 0 };
+        }
+        const fight = this.fight;
+        fight.end = time;
+
+        if (entry.kind === 'damage' && entry.toPlayer) {
+            fight.damageTaken += entry.amount;
+        }
+        if (!entry.fromPlayer) return;
+
+        const totals = entry.kind === 'damage' ? fight.damage : fight.healing;
+        const stats = totals[entry.ability] || (totals[entry.ability] = { total: 0, hits: 0, crits: 0, max: 0 });
+        stats.total += entry.amount;
+        stats.hits++;
+        if (entry.isCrit) stats.crits++;
+        stats.max = Math.max(stats.max, entry.amount);
+    }
+
+    endFight() {
+        if (!this.fight) return;
+        this.fights.push(this.getMeter(this.fight));
+        if (this.fights.length > MAX_FIGHTS) {
+            this.fights.shift();
+        }
+        this.fight = null;
+    }
+
+    // Newest-first entries matching a CombatLogFilter and an optional search over names and abilities
+    getEntries(filter = CombatLogFilter.ALL, search = '', limit = 100) {
+        const query = search.trim().toLowerCase();
+        const results = [];
+        for (let i = this.entries.length - 1; i >= 0 && results.length < limit; i--) {
+            const entry = this.entries[i];
+            if (!matchesFilter(entry, filter)) continue;
+            if (query && ![entry.source, entry.target, entry.ability].some(text => text.toLowerCase().includes(query))) continue;
+            results.push(entry);
+        }
+        return results;
+    }
+
+    // DPS/HPS breakdown for a fight (the current or last one by default), or null before any fight
+    //   { start, duration, damage, healing, dps, hps, damageTaken, abilities, heals }
+    //   abilities/heals: [{ ability, total, hits, crits, max, perSecond, share }], biggest first
+    getMeter(fight = this.fight) {
+        if (!fight) return this.fights[this.fights.length - 1] || null;
+
+        const end = fight === this.fight && this.inCombat ? this.time : fight.end;
+        const duration = Math.max(MIN_FIGHT_DURATION, end - fight.start);
+        const breakdown = (totals) => {
+            const sum = Object.values(totals).reduce((total, stats) => total + stats.total, 0);
+            const rows = Object.entries(totals).map(([ability, stats]) => ({
+                ability,
+                ...stats,
+                perSecond: Math.round(stats.total / duration * 10) / 10,
+                share: sum > 0 ? Math.round(stats.total / sum * 1000) / 10 : 0
+            }));
+            return { sum, rows: rows.sort((a, b) => b.total - a.total) };
+        };
+
+        const damage = breakdown(fight.damage);
+        const healing = breakdown(fight.healing);
+        return {
+            start: Math.round(fight.start * 100) / 100,
+            duration: Math.round(duration * 10) / 10,
+            damage: damage.sum,
+            healing: healing.sum,
+            dps: Math.round(damage.sum / duration * 10) / 10,
+            hps: Math.round(healing.sum / duration * 10) / 10,
+            damageTaken: fight.damageTaken,
+            abilities: damage.rows,
+            heals: healing.rows
+        };
+    }
+
+    // Everything logged so far, for comparing builds offline
+    toJSON() {
+        const current = this.fight ? [this.getMeter(this.fight)] : [];
+        return {
+            exportedAt: new Date().toISOString(),
+            player: nameOf(this.player),
+            entries: this.entries,
+            fights: [...this.fights, ...current]
+        };
+    }
+}
@@ -0,0 +1,167 @@
+import { CombatLogFilter } from './combatLog.js';
+
+// Seconds between meter redraws while the panel is open - DPS keeps changing between events
+const METER_REFRESH = 0.5;
+
+// Combat log panel - filtered event list, DPS/HPS meter for the current fight and JSON export
+export class CombatLogUI {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.filter = CombatLogFilter.ALL;
+        this.search = '';
+        this.shownVersion = -1;
+        this.lastRefresh = 0;
+
+        this.panel = document.getElementById('combat-log-panel');
+        this.meterEl = document.getElementById('combat-meter');
+        this.entriesEl = document.getElementById('combat-log-entries');
+        this.filterSelect = document.getElementById('combat-log-filter');
+        this.searchInput = document.getElementById('combat-log-search');
+
+        this.initEventListeners();
+    }
+
+    get log() {
+        return this.game.combatLog;
+    }
+
+    initEventListeners() {
+        document.getElementById('combat-log-close').addEventListener('click', () => this.close());
+        document.getElementById('combat-log-export').addEventListener('click', () => this.exportLog());
+        document.getElementById('combat-log-clear').addEventListener('click', () => {
+            this.log.reset();
+            this.refresh();
+        });
+
+        this.filterSelect.addEventListener('change', () => {
+            this.filter = this.filterSelect.value;
+            this.refresh();
+        });
+
+        // Typing in the search box shouldn't move the player or cast abilities
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') e.stopPropagation();
+        });
+        this.searchInput.addEventListener('input', () => {
+            this.search = this.searchInput.value;
+            this.refresh();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.add('visible');
+        this.refresh();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.searchInput.blur();
+        this.panel.classList.remove('visible');
+    }
+
+    // Called every frame from the HUD update
+    update() {
+        if (!this.isOpen) return;
+
+        const now = performance.now() / 1000;
+        if (this.log.version !== this.shownVersion || now - this.lastRefresh >= METER_REFRESH) {
+            this.refresh();
+        }
+    }
+
+    refresh() {
+        this.shownVersion = this.log.version;
+        this.lastRefresh = performance.now() / 1000;
+        this.renderMeter();
+        this.renderEntries();
+    }
+
+    renderMeter() {
+        const meter = this.log.getMeter();
+        this.meterEl.innerHTML = '';
+        if (!meter) {
+            this.meterEl.textContent = 'No fights yet';
+            return;
+        }
+
+        const summary = document.createElement('div');
+        summary.className = 'combat-meter-summary';
+        summary.textContent = `${this.log.inCombat ? 'Current fight' : 'Last fight'} ${meter.duration}s - ` +
+            `${meter.dps} DPS, ${meter.hps} HPS, ${meter.damageTaken} taken`;
+        this.meterEl.appendChild(summary);
+
+        for (const row of meter.abilities) {
+            this.meterEl.appendChild(this.createMeterRow(row, 'damage'));
+        }
+        for (const row of meter.heals) {
+            this.meterEl.appendChild(this.createMeterRow(row, 'heal'));
+        }
+    }
+
+    createMeterRow(row, kind) {
+        const el = document.createElement('div');
+        el.className = `combat-meter-row ${kind}`;
+        el.title = `${row.hits} hits, ${row.crits} crits, biggest ${row.max}`;
+
+        const bar = document.createElement('div');
+        bar.className = 'combat-meter-bar';
+        bar.style.width = `${row.share}%`;
+        el.appendChild(bar);
+
+        const label = document.createElement('span');
+        label.className = 'combat-meter-label';
+        label.textContent = row.ability;
+        el.appendChild(label);
+
+        const value = document.createElement('span');
+        value.className = 'combat-meter-value';
+        value.textContent = `${row.total} (${row.perSecond}/s, ${row.share}%)`;
+        el.appendChild(value);
+
+        return el;
+    }
+
+    renderEntries() {
+        this.entriesEl.innerHTML = '';
+        for (const entry of this.log.getEntries(this.filter, this.search)) {
+            const el = document.createElement('div');
+            el.className = `combat-log-entry ${entry.kind}`;
+            if (entry.isCrit) el.classList.add('crit');
+
+            const verb = entry.kind === 'heal' ? 'heals' : 'hits';
+            const crit = entry.isCrit ? ' (crit)' : '';
+            const type = entry.damageType ? ` ${entry.damageType}` : '';
+            el.textContent = `[${entry.time.toFixed(1)}] ${entry.source}'s ${entry.ability} ${verb} ` +
+                `${entry.target} for ${entry.amount}${type}${crit}`;
+            this.entriesEl.appendChild(el);
+        }
+    }
+
+    // Download the whole log as JSON
+    exportLog() {
+        const blob = new Blob([JSON.stringify(this.log, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `combat-log-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,75 @@
+// Damage pipeline - every hit in the game goes through DamagePipeline.deal so attacker stats,
+// crits, resistances and armor are applied the same way for players and enemies
+//   event: { target, amount, type, source, isCrit, tags }
+//     type: a DamageType, defaults to physical
+//     source: attacker or null (hazards) - attackers may provide getOffenseStats()
+//     isCrit: true/false skips the crit roll, leave it out to roll the attacker's crit chance
+//     tags: what caused the hit, e.g. ['ability', 'cleave'] - 'dot' hits never crit
+//   Targets provide takeDamage(amount, source) and optionally getResistance(type) / getArmor()
+export const DamageType = {
+    PHYSICAL: 'physical',
+    FIRE: 'fire',
+    FROST: 'frost',
+    POISON: 'poison'
+};
+
+export const BASE_CRIT_CHANCE = 0.05;
+export const BASE_CRIT_MULTIPLIER = 1.5;
+
+// Resistances above this still let some damage through
+const MAX_RESISTANCE = 0.9;
+
+export class DamagePipeline {
+    constructor(random = Math.random) {
+        this.random = random;
+        this.listeners = [];
+    }
+
+    // listener(hit) runs for every hit that lands - hit is { target, source, amount, type, isCrit, tags, lifesteal }
+    onHit(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Resolve and apply a damage event - returns the landed hit, or null if nothing got through
+    deal(event) {
+        const { target, source = null, type = DamageType.PHYSICAL, tags = [] } = event;
+        if (!target || target.isAlive === false || target.isDead) return null;
+
+        // Attacker stats
+        const offense = source?.getOffenseStats?.() || {};
+        let amount = event.amount;
+        if (type !== DamageType.PHYSICAL && offense.magicPower) {
+            amount *= 1 + offense.magicPower / 100;
+        }
+
+        // Crit roll
+        let isCrit = event.isCrit;
+        if (isCrit === undefined) {
+            isCrit = !tags.includes('dot') && this.random() < (offense.critChance || 0);
+        }
+        if (isCrit) {
+            amount *= offense.critMultiplier || BASE_CRIT_MULTIPLIER;
+        }
+
+        // Target mitigation - resistance first (negative means a weakness), then armor against physical
+        const resistance = Math.min(MAX_RESISTANCE, target.getResistance?.(type) || 0);
+        amount *= 1 - resistance;
+        if (type === DamageType.PHYSICAL) {
+            const armor = target.getArmor?.() || 0;
+            amount *= 1 - armor / (armor + 100);
+        }
+
+        amount = Math.max(1, Math.round(amount));
+        const dealt = target.takeDamage(amount, source);
+        if (!dealt) return null;
+
+        const hit = {
+            target, source, amount: dealt, type, isCrit, tags,
+            lifesteal: dealt * (offense.lifesteal || 0)
+        };
+        for (const listener of this.listeners) {
+            listener(hit);
+        }
+        return hit;
+    }
+}
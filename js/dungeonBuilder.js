@@ -187,7 +187,7 @@ export class DungeonBuilder {
     }
 
     // Add decorative props to a room
-    async decorateRoom(centerX, centerZ, width, depth, density = 0.3) {
+    async decorateRoom(centerX, centerZ, width, depth, density = 0.3, random = Math.random) {
         const halfWidth = (width * this.tileSize) / 2;
         const halfDepth = (depth * this.tileSize) / 2;
 
@@ -207,16 +207,16 @@ export class DungeonBuilder {
         for (let i = 0; i < propCount; i++) {
             // Random position within room (offset from walls)
             const margin = 1;
-            const x = centerX - halfWidth + margin + Math.random() * (width * this.tileSize - margin * 2);
-            const z = centerZ - halfDepth + margin + Math.random() * (depth * this.tileSize - margin * 2);
+            const x = centerX - halfWidth + margin + random() * (width * this.tileSize - margin * 2);
+            const z = centerZ - halfDepth + margin + random() * (depth * this.tileSize - margin * 2);
 
             // Pick random decoration based on chances
-            const roll = Math.random();
+            const roll = random();
             let cumulative = 0;
             for (const deco of decorations) {
                 cumulative += deco.chance;
                 if (roll < cumulative) {
-                    const rotation = Math.random() * Math.PI * 2;
+                    const rotation = random() * Math.PI * 2;
                     await this.placePiece(deco.category, deco.name, x, 0, z, rotation);
                     break;
                 }
@@ -292,6 +292,58 @@ export class DungeonBuilder {
         }
     }
 
+    // Build a generated layout from DungeonGenerator
+    // random should be seeded so the same seed places the same pieces
+    async buildFromLayout(layout, random = Math.random) {
+        console.log(`Building generated dungeon (seed ${layout.seed})...`);
+
+        for (const floor of layout.floors) {
+            const floorType = random() < 0.1 ? 'tileDecorated' : 'tileSmall';
+            await this.placePiece('floors', floorType, floor.x, 0, floor.z);
+        }
+
+        for (const wall of layout.walls) {
+            await this.placePiece('walls', 'basic', wall.x, 0, wall.z, wall.rotation);
+        }
+
+        for (const corner of layout.corners) {
+            await this.placePiece('walls', 'corner', corner.x, 0, corner.z, corner.rotation);
+        }
+
+        for (const doorway of layout.doorways) {
+            await this.placePiece('walls', 'doorway', doorway.x, 0, doorway.z, doorway.rotation);
+        }
+
+        for (let i = 0; i < layout.rooms.length; i++) {
+            const room = layout.rooms[i];
+            await this.decorateRoom(room.center.x, room.center.z, room.width, room.depth, layout.decorDensity ?? 0.1, random);
+
+            // A couple of torches per room on its own walls - keeps point light count low
+            const roomWalls = layout.walls.filter(wall => wall.room === i);
+            for (let t = 0; t < 2 && roomWalls.length > 0; t++) {
+                const wall = roomWalls.splice(Math.floor(random() * roomWalls.length), 1)[0];
+                await this.addWallTorch(wall);
+            }
+        }
+
+        console.log(`Generated dungeon complete: ${layout.rooms.length} rooms, ${layout.floors.length} tiles`);
+    }
+
+    // Mounted torch on the room side of a wall piece
+    async addWallTorch(wall) {
+        const inset = 0.3;
+        const x = wall.x + (wall.side === 'west' ? inset : wall.side === 'east' ? -inset : 0);
+        const z = wall.z + (wall.side === 'north' ? inset : wall.side === 'south' ? -inset : 0);
+        const torch = await this.placePiece('lighting', 'torchMounted', x, 1.5, z, wall.rotation);
+
+        if (torch) {
+            const light = new THREE.PointLight(0xff6622, 1.0, 10);
+            light.position.set(x, 2, z);
+            light.castShadow = false;
+            this.scene.add(light);
+        }
+    }
+
     // Create a simple test dungeon layout
     async buildTestDungeon() {
         console.log('Building test dungeon...');
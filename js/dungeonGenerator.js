@@ -0,0 +1,437 @@
+// Seeded room-and-corridor dungeon generator
+// Produces a tile grid plus world-space piece placements, wall collision
+// segments and spawn points. Same seed + options always gives the same layout.
+
+export const TILE = {
+    EMPTY: 0,
+    ROOM: 1,
+    CORRIDOR: 2
+};
+
+// Piece rotations per wall side (matches DungeonBuilder.buildRoom)
+const SIDE_ROTATION = {
+    north: 0,
+    south: Math.PI,
+    west: Math.PI / 2,
+    east: -Math.PI / 2
+};
+
+const SIDE_OFFSETS = {
+    north: { dx: 0, dz: -1 },
+    south: { dx: 0, dz: 1 },
+    west: { dx: -1, dz: 0 },
+    east: { dx: 1, dz: 0 }
+};
+
+// Skeleton type weights for generated spawns
+const ENEMY_WEIGHTS = [
+    { type: 'minion', weight: 0.35 },
+    { type: 'warrior', weight: 0.25 },
+    { type: 'rogue', weight: 0.2 },
+    { type: 'mage', weight: 0.2 }
+];
+
+// FNV-1a hash so string seeds map to a stable 32-bit integer
+export function hashSeed(seed) {
+    const str = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Mulberry32 PRNG - returns a function producing floats in [0, 1)
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Short random seed for runs that don't specify one
+export function randomSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+export class DungeonGenerator {
+    constructor(options = {}) {
+        this.seed = options.seed ?? randomSeed();
+        this.width = options.width || 40;         // Grid size in tiles
+        this.height = options.height || 40;
+        this.tileSize = options.tileSize || 2;    // KayKit tiles are 2x2 units
+        this.roomCount = options.roomCount || 8;
+        this.minRoomSize = options.minRoomSize || 4;
+        this.maxRoomSize = options.maxRoomSize || 8;
+        this.corridorWidth = options.corridorWidth || 2;
+        this.extraConnections = options.extraConnections ?? 0.15; // Chance of loop corridors
+        this.enemyDensity = options.enemyDensity ?? 1;
+        this.wallThickness = options.wallThickness || 0.5;
+        this.decorDensity = options.decorDensity ?? 0.1;
+
+        this.random = createSeededRandom(this.seed);
+    }
+
+    randInt(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    generate() {
+        this.grid = new Uint8Array(this.width * this.height);
+        this.roomIds = new Int16Array(this.width * this.height).fill(-1);
+        this.rooms = [];
+        this.doorwayEdges = new Map();
+        this.corridorRects = [];
+
+        this.placeRooms();
+        this.connectRooms();
+
+        // Grid is centered on the world origin
+        this.originX = -(this.width * this.tileSize) / 2;
+        this.originZ = -(this.height * this.tileSize) / 2;
+
+        const pieces = this.collectPieces();
+
+        return {
+            seed: this.seed,
+            width: this.width,
+            height: this.height,
+            tileSize: this.tileSize,
+            originX: this.originX,
+            originZ: this.originZ,
+            grid: this.grid,
+            rooms: this.rooms.map(room => ({ ...room, center: this.roomCenterWorld(room) })),
+            floors: pieces.floors,
+            walls: pieces.walls,
+            corners: pieces.corners,
+            doorways: pieces.doorways,
+            wallThickness: this.wallThickness,
+            decorDensity: this.decorDensity,
+            wallSegments: this.buildWallSegments(),
+            playerSpawn: this.roomCenterWorld(this.rooms[0]),
+            enemySpawns: this.buildEnemySpawns(),
+            minimapShapes: this.buildMinimapShapes(),
+            bounds: {
+                minX: this.originX,
+                maxX: this.originX + this.width * this.tileSize,
+                minZ: this.originZ,
+                maxZ: this.originZ + this.height * this.tileSize
+            }
+        };
+    }
+
+    getTile(gx, gz) {
+        if (gx < 0 || gz < 0 || gx >= this.width || gz >= this.height) return TILE.EMPTY;
+        return this.grid[gz * this.width + gx];
+    }
+
+    isFloor(gx, gz) {
+        return this.getTile(gx, gz) !== TILE.EMPTY;
+    }
+
+    // Random non-overlapping rooms with a one tile gap between them
+    placeRooms() {
+        const maxAttempts = this.roomCount * 20;
+        for (let attempt = 0; attempt < maxAttempts && this.rooms.length < this.roomCount; attempt++) {
+            const width = this.randInt(this.minRoomSize, this.maxRoomSize);
+            const depth = this.randInt(this.minRoomSize, this.maxRoomSize);
+            const x = this.randInt(1, this.width - width - 1);
+            const z = this.randInt(1, this.height - depth - 1);
+            const room = { x, z, width, depth };
+
+            const overlaps = this.rooms.some(other =>
+                room.x - 1 < other.x + other.width &&
+                room.x + room.width + 1 > other.x &&
+                room.z - 1 < other.z + other.depth &&
+                room.z + room.depth + 1 > other.z
+            );
+            if (overlaps) continue;
+
+            const roomIndex = this.rooms.length;
+            this.rooms.push(room);
+            for (let gz = z; gz < z + depth; gz++) {
+                for (let gx = x; gx < x + width; gx++) {
+                    this.grid[gz * this.width + gx] = TILE.ROOM;
+                    this.roomIds[gz * this.width + gx] = roomIndex;
+                }
+            }
+        }
+
+        if (this.rooms.length === 0) {
+            throw new Error(`Dungeon seed "${this.seed}" produced no rooms`);
+        }
+    }
+
+    // Connect each room to its nearest already-connected room, plus a few loops
+    connectRooms() {
+        const connected = [0];
+        const remaining = this.rooms.map((_, i) => i).slice(1);
+
+        while (remaining.length > 0) {
+            let best = null;
+            for (const from of connected) {
+                for (const to of remaining) {
+                    const dist = this.roomDistance(this.rooms[from], this.rooms[to]);
+                    if (!best || dist < best.dist) {
+                        best = { from, to, dist };
+                    }
+                }
+            }
+
+            this.carveCorridor(this.rooms[best.from], this.rooms[best.to]);
+            connected.push(best.to);
+            remaining.splice(remaining.indexOf(best.to), 1);
+        }
+
+        // Extra corridors create loops so the layout isn't a pure tree
+        for (let i = 1; i < this.rooms.length; i++) {
+            if (this.random() < this.extraConnections) {
+                const other = this.randInt(0, this.rooms.length - 1);
+                if (other !== i) {
+                    this.carveCorridor(this.rooms[i], this.rooms[other]);
+                }
+            }
+        }
+    }
+
+    roomCenter(room) {
+        return {
+            x: room.x + Math.floor(room.width / 2),
+            z: room.z + Math.floor(room.depth / 2)
+        };
+    }
+
+    roomDistance(a, b) {
+        const ca = this.roomCenter(a);
+        const cb = this.roomCenter(b);
+        return Math.abs(ca.x - cb.x) + Math.abs(ca.z - cb.z);
+    }
+
+    // L-shaped corridor between room centers
+    carveCorridor(a, b) {
+        const start = this.roomCenter(a);
+        const end = this.roomCenter(b);
+
+        if (this.random() < 0.5) {
+            this.carveLine(start.x, start.z, end.x, start.z);
+            this.carveLine(end.x, start.z, end.x, end.z);
+        } else {
+            this.carveLine(start.x, start.z, start.x, end.z);
+            this.carveLine(start.x, end.z, end.x, end.z);
+        }
+    }
+
+    // Carve a straight corridor leg, recording doorways where it crosses room edges
+    carveLine(x1, z1, x2, z2) {
+        const stepX = Math.sign(x2 - x1);
+        const stepZ = Math.sign(z2 - z1);
+        const horizontal = stepZ === 0;
+        const steps = Math.max(Math.abs(x2 - x1), Math.abs(z2 - z1));
+
+        for (let lane = 0; lane < this.corridorWidth; lane++) {
+            let prev = null;
+            for (let i = 0; i <= steps; i++) {
+                const gx = x1 + stepX * i + (horizontal ? 0 : lane);
+                const gz = z1 + stepZ * i + (horizontal ? lane : 0);
+                if (gx < 1 || gz < 1 || gx >= this.width - 1 || gz >= this.height - 1) {
+                    prev = null;
+                    continue;
+                }
+
+                const index = gz * this.width + gx;
+                if (this.grid[index] === TILE.EMPTY) {
+                    this.grid[index] = TILE.CORRIDOR;
+                }
+
+                // Crossing between a room tile and a corridor tile is a doorway
+                if (prev) {
+                    const prevTile = this.getTile(prev.gx, prev.gz);
+                    const tile = this.grid[index];
+                    if ((prevTile === TILE.ROOM) !== (tile === TILE.ROOM)) {
+                        this.addDoorway(prev, { gx, gz });
+                    }
+                }
+                prev = { gx, gz };
+            }
+        }
+
+        // Corridor footprint for the minimap
+        const minX = Math.min(x1, x2);
+        const minZ = Math.min(z1, z2);
+        this.corridorRects.push({
+            gx: minX,
+            gz: minZ,
+            width: horizontal ? steps + 1 : this.corridorWidth,
+            depth: horizontal ? this.corridorWidth : steps + 1
+        });
+    }
+
+    // Doorways are stored against the room-side cell so the piece faces into the room
+    addDoorway(a, b) {
+        const roomCell = this.getTile(a.gx, a.gz) === TILE.ROOM ? a : b;
+        const otherCell = roomCell === a ? b : a;
+        const dx = otherCell.gx - roomCell.gx;
+        const dz = otherCell.gz - roomCell.gz;
+        const side = Object.keys(SIDE_OFFSETS).find(key =>
+            SIDE_OFFSETS[key].dx === dx && SIDE_OFFSETS[key].dz === dz
+        );
+        if (side) {
+            this.doorwayEdges.set(`${roomCell.gx},${roomCell.gz},${side}`, { ...roomCell, side });
+        }
+    }
+
+    cellToWorld(gx, gz) {
+        return {
+            x: this.originX + gx * this.tileSize + this.tileSize / 2,
+            z: this.originZ + gz * this.tileSize + this.tileSize / 2
+        };
+    }
+
+    roomCenterWorld(room) {
+        return {
+            x: this.originX + (room.x + room.width / 2) * this.tileSize,
+            z: this.originZ + (room.z + room.depth / 2) * this.tileSize
+        };
+    }
+
+    // World-space floor, wall, corner and doorway placements
+    collectPieces() {
+        const floors = [];
+        const walls = [];
+        const corners = [];
+        const doorways = [];
+        const half = this.tileSize / 2;
+
+        for (let gz = 0; gz < this.height; gz++) {
+            for (let gx = 0; gx < this.width; gx++) {
+                const tile = this.getTile(gx, gz);
+                if (tile === TILE.EMPTY) continue;
+
+                const center = this.cellToWorld(gx, gz);
+                const roomIndex = this.roomIds[gz * this.width + gx];
+                floors.push({ x: center.x, z: center.z, room: roomIndex, isRoom: tile === TILE.ROOM });
+
+                const wallSides = {};
+                for (const side in SIDE_OFFSETS) {
+                    const offset = SIDE_OFFSETS[side];
+                    const edgeX = center.x + offset.dx * half;
+                    const edgeZ = center.z + offset.dz * half;
+
+                    if (!this.isFloor(gx + offset.dx, gz + offset.dz)) {
+                        wallSides[side] = true;
+                        walls.push({ x: edgeX, z: edgeZ, rotation: SIDE_ROTATION[side], side, room: roomIndex });
+                    } else if (this.doorwayEdges.has(`${gx},${gz},${side}`)) {
+                        doorways.push({ x: edgeX, z: edgeZ, rotation: SIDE_ROTATION[side] });
+                    }
+                }
+
+                // Convex corners where two walls meet on this cell
+                if (wallSides.north && wallSides.west) {
+                    corners.push({ x: center.x - half, z: center.z - half, rotation: 0 });
+                }
+                if (wallSides.north && wallSides.east) {
+                    corners.push({ x: center.x + half, z: center.z - half, rotation: -Math.PI / 2 });
+                }
+                if (wallSides.south && wallSides.west) {
+                    corners.push({ x: center.x - half, z: center.z + half, rotation: Math.PI / 2 });
+                }
+                if (wallSides.south && wallSides.east) {
+                    corners.push({ x: center.x + half, z: center.z + half, rotation: Math.PI });
+                }
+            }
+        }
+
+        return { floors, walls, corners, doorways };
+    }
+
+    // Merge floor/empty edges into long segments for Game.checkWallCollision
+    buildWallSegments() {
+        const segments = [];
+        const ts = this.tileSize;
+
+        // Horizontal edges: line between row gz-1 and gz
+        for (let gz = 0; gz <= this.height; gz++) {
+            let runStart = null;
+            for (let gx = 0; gx <= this.width; gx++) {
+                const isEdge = gx < this.width && this.isFloor(gx, gz - 1) !== this.isFloor(gx, gz);
+                if (isEdge && runStart === null) {
+                    runStart = gx;
+                } else if (!isEdge && runStart !== null) {
+                    const z = this.originZ + gz * ts;
+                    segments.push({ x1: this.originX + runStart * ts, z1: z, x2: this.originX + gx * ts, z2: z });
+                    runStart = null;
+                }
+            }
+        }
+
+        // Vertical edges: line between column gx-1 and gx
+        for (let gx = 0; gx <= this.width; gx++) {
+            let runStart = null;
+            for (let gz = 0; gz <= this.height; gz++) {
+                const isEdge = gz < this.height && this.isFloor(gx - 1, gz) !== this.isFloor(gx, gz);
+                if (isEdge && runStart === null) {
+                    runStart = gz;
+                } else if (!isEdge && runStart !== null) {
+                    const x = this.originX + gx * ts;
+                    segments.push({ x1: x, z1: this.originZ + runStart * ts, x2: x, z2: this.originZ + gz * ts });
+                    runStart = null;
+                }
+            }
+        }
+
+        return segments;
+    }
+
+    pickEnemyType() {
+        const roll = this.random();
+        let cumulative = 0;
+        for (const entry of ENEMY_WEIGHTS) {
+            cumulative += entry.weight;
+            if (roll < cumulative) return entry.type;
+        }
+        return ENEMY_WEIGHTS[ENEMY_WEIGHTS.length - 1].type;
+    }
+
+    // Enemies in every room except the player's starting room
+    buildEnemySpawns() {
+        const spawns = [];
+        for (let i = 1; i < this.rooms.length; i++) {
+            const room = this.rooms[i];
+            const area = room.width * room.depth;
+            const count = Math.max(1, Math.round(Math.min(area / 12, 5) * this.enemyDensity));
+
+            for (let n = 0; n < count; n++) {
+                // Keep one tile away from the walls
+                const gx = room.x + 1 + this.random() * (room.width - 2);
+                const gz = room.z + 1 + this.random() * (room.depth - 2);
+                spawns.push({
+                    x: this.originX + gx * this.tileSize,
+                    z: this.originZ + gz * this.tileSize,
+                    type: this.pickEnemyType()
+                });
+            }
+        }
+        return spawns;
+    }
+
+    buildMinimapShapes() {
+        const ts = this.tileSize;
+        const toShape = (rect, color) => ({
+            x: this.originX + (rect.gx + rect.width / 2) * ts,
+            z: this.originZ + (rect.gz + rect.depth / 2) * ts,
+            width: rect.width * ts,
+            length: rect.depth * ts,
+            color
+        });
+
+        return [
+            ...this.corridorRects.map(rect => toShape(rect, 'rgba(60, 60, 80, 0.5)')),
+            ...this.rooms.map(room => toShape({ gx: room.x, gz: room.z, width: room.width, depth: room.depth }, 'rgba(70, 70, 95, 0.6)'))
+        ];
+    }
+}
@@ -1,4 +1,12 @@
 import * as THREE from 'three';
+import { DamageType } from './damage.js';
+
+// Damage number colors for non-physical hits
+const ELEMENT_COLORS = {
+    [DamageType.FIRE]: { color: '#ff7722', glow: '#ff3300' },
+    [DamageType.FROST]: { color: '#88ddff', glow: '#2299ff' },
+    [DamageType.POISON]: { color: '#99ee44', glow: '#44aa00' }
+};
 
 export class EffectsManager {
     constructor(scene) {
@@ -9,6 +17,7 @@ export class EffectsManager {
         this.damageTextureCache = new Map();
         this.maxDamageNumbers = 15; // Limit concurrent damage numbers
         this.damageNumberCount = 0;
+        this.showHealNumbers = true; // Heal numbers setting
 
         // Shared materials for simple effects (no textures)
         this.sharedMaterials = {
@@ -67,8 +76,8 @@ export class EffectsManager {
     }
 
     // Get or create cached damage number texture with enhanced visuals
-    getDamageTexture(damage, isHeal, isCrit) {
-        const key = `${Math.round(damage)}_${isHeal ? 'h' : 'd'}_${isCrit ? 'c' : 'n'}`;
+    getDamageTexture(damage, isHeal, isCrit, damageType) {
+        const key = `${Math.round(damage)}_${isHeal ? 'h' : 'd'}_${isCrit ? 'c' : 'n'}_${damageType}`;
 
         if (this.damageTextureCache.has(key)) {
             return this.damageTextureCache.get(key);
@@ -99,6 +108,14 @@ export class EffectsManager {
             color = '#44ff88';
             glowColor = '#00ff44';
             prefix = '+';
+        } else if (ELEMENT_COLORS[damageType]) {
+            // Elemental hits keep their element's color, crits just get bigger
+            color = ELEMENT_COLORS[damageType].color;
+            glowColor = ELEMENT_COLORS[damageType].glow;
+            if (isCrit || damage > 40) {
+                fontSize = 72;
+                prefix = '!';
+            }
         } else if (isCrit || damage > 40) {
             color = '#ffdd44';
             glowColor = '#ffaa00';
@@ -1089,7 +1106,9 @@ export class EffectsManager {
     }
 
     // Damage number floating text (using sprite) with enhanced animation
-    createDamageNumber(position, damage, isHeal = false, isCrit = false) {
+    createDamageNumber(position, damage, isHeal = false, isCrit = false, damageType = DamageType.PHYSICAL) {
+        if (isHeal && !this.showHealNumbers) return;
+
         // Limit concurrent damage numbers to prevent texture overflow
         if (this.damageNumberCount >= this.maxDamageNumbers) {
             for (let i = 0; i < this.effects.length; i++) {
@@ -1101,7 +1120,7 @@ export class EffectsManager {
         }
 
         // Use cached texture
-        const texture = this.getDamageTexture(damage, isHeal, isCrit);
+        const texture = this.getDamageTexture(damage, isHeal, isCrit, damageType);
         const spriteMaterial = new THREE.SpriteMaterial({
             map: texture,
             transparent: true,
@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { DamageType } from './damage.js';
+import { StatusEffects } from './statusEffects.js';
+import { ThreatTable, pullPack } from './threat.js';
 
 export class Enemy {
     constructor(scene, x, z) {
@@ -18,10 +21,28 @@ export class Enemy {
         this.aggroRange = 10;
         this.isAggro = false;
 
-        this.stunTime = 0;
+        // Who this enemy is fighting - see threat.js. Evading enemies are leashing home and ignore hits.
+        this.threat = new ThreatTable(this);
+        this.isEvading = false;
+
+        // Burn, bleed, chill, stun... - see statusEffects.js
+        this.statusEffects = new StatusEffects(this);
+
+        // Mitigation read by the damage pipeline - armor reduces physical damage,
+        // resistances are the fraction of a damage type ignored (negative takes extra)
+        this.armor = 0;
+        this.resistances = {};
+
+        // Pathfinding state (only used on levels with a nav grid)
+        this.path = null;
+        this.pathIndex = 0;
+        this.repathInterval = 0.4;
+        this.repathTimer = Math.random() * this.repathInterval; // Stagger repaths across frames
+        this.hasLineOfSight = true;
 
         this.createMesh();
         this.createHealthBar();
+        this.createStatusIcons();
     }
 
     createMesh() {
@@ -78,50 +99,24 @@ export class Enemy {
         }
     }
 
-    update(deltaTime, player, camera) {
+    update(deltaTime, player, camera, navGrid = null) {
         if (!this.isAlive) return;
 
-        // Stun
-        if (this.stunTime > 0) {
-            this.stunTime -= deltaTime;
+        // Status effects keep ticking while stunned - damage over time can kill
+        this.statusEffects.update(deltaTime, player.game?.damage);
+        if (!this.isAlive) return;
+        this.threat.update(deltaTime);
+        if (this.statusEffects.isStunned) {
+            this.updateHealthBar(camera);
             return;
         }
 
-        // Slow effect timer (from mage blizzard)
-        if (this.slowTimer && this.slowTimer > 0) {
-            this.slowTimer -= deltaTime;
-            if (this.slowTimer <= 0 && this.originalMoveSpeed) {
-                // Restore original speed when slow expires
-                this.moveSpeed = this.originalMoveSpeed;
-                this.originalMoveSpeed = null;
-            }
-        }
-
         // Attack cooldown
         if (this.attackCooldown > 0) {
-            this.attackCooldown -= deltaTime;
-        }
-
-        // Check aggro
-        const distToPlayer = this.position.distanceTo(player.position);
-        if (distToPlayer < this.aggroRange) {
-            this.isAggro = true;
+            this.attackCooldown -= deltaTime * this.statusEffects.attackSpeedMultiplier;
         }
 
-        // Move toward player if aggro
-        if (this.isAggro && distToPlayer > this.attackRange) {
-            const dir = new THREE.Vector3()
-                .subVectors(player.position, this.position)
-                .normalize();
-            dir.y = 0;
-
-            this.position.add(dir.multiplyScalar(this.moveSpeed * deltaTime));
-
-            // Face player
-            if (this.mesh) {
-                this.mesh.rotation.y = Math.atan2(dir.x, dir.z);
-            }
-        }
+        this.updateBehavior(deltaTime, player, navGrid);
 
         // Update mesh position
         if (this.mesh) {
@@ -138,6 +133,106 @@ export class Enemy {
         this.updateHealthBar(camera);
     }
 
+    // Throttled line-of-sight check and repath - spreads nav work across frames
+    updateNavigation(target, deltaTime, navGrid) {
+        if (!navGrid) {
+            this.hasLineOfSight = true;
+            return;
+        }
+
+        this.repathTimer -= deltaTime;
+        if (this.repathTimer > 0) return;
+
+        this.hasLineOfSight = navGrid.hasLineOfSight(this.position, target);
+        if (this.hasLineOfSight) {
+            this.path = null;
+            this.repathTimer = this.repathInterval;
+        } else if (navGrid.canRequestPath()) {
+            this.path = navGrid.findPath(this.position, target);
+            this.pathIndex = 0;
+            this.repathTimer = this.repathInterval;
+        }
+        // Otherwise the frame's path budget is spent - retry next frame
+    }
+
+    // AI-driven enemies defer to their state machine, others just aggro and chase
+    updateBehavior(deltaTime, player, navGrid) {
+        this.isMoving = false;
+
+        if (this.ai) {
+            this.ai.update(deltaTime, player, navGrid);
+            return;
+        }
+
+        const distToPlayer = this.position.distanceTo(player.position);
+        if (distToPlayer < this.aggroRange) {
+            this.addThreat(player, 0);
+        }
+
+        // Keep closing in while a wall blocks the shot
+        if (this.isAggro) {
+            this.updateNavigation(player.position, deltaTime, navGrid);
+            if (distToPlayer > this.attackRange || !this.hasLineOfSight) {
+                this.followPath(player.position, deltaTime, navGrid);
+            }
+        }
+    }
+
+    // Path toward a point - straight line with line of sight, otherwise along the nav path
+    // Returns the movement direction, or null if already there
+    moveTo(target, deltaTime, navGrid, speedMultiplier = 1) {
+        this.updateNavigation(target, deltaTime, navGrid);
+        return this.followPath(target, deltaTime, navGrid, speedMultiplier);
+    }
+
+    // Step toward the current waypoint (or the target itself when it's in sight)
+    followPath(target, deltaTime, navGrid, speedMultiplier = 1) {
+        let goal = target;
+        if (!this.hasLineOfSight && this.path) {
+            // Skip waypoints we've reached
+            while (this.pathIndex < this.path.length - 1 &&
+                Math.hypot(this.path[this.pathIndex].x - this.position.x,
+                    this.path[this.pathIndex].z - this.position.z) < 0.5) {
+                this.pathIndex++;
+            }
+            goal = this.path[this.pathIndex];
+        }
+
+        const dir = new THREE.Vector3(goal.x - this.position.x, 0, goal.z - this.position.z);
+        if (dir.lengthSq() < 0.0001) return null;
+        dir.normalize();
+
+        this.moveInDirection(dir, deltaTime, navGrid, speedMultiplier);
+
+        // Face movement direction
+        if (this.mesh) {
+            this.mesh.rotation.y = Math.atan2(dir.x, dir.z);
+        }
+        return dir;
+    }
+
+    // Step along a normalized direction, sliding along walls
+    moveInDirection(dir, deltaTime, navGrid, speedMultiplier = 1) {
+        const step = this.moveSpeed * this.statusEffects.moveSpeedMultiplier * speedMultiplier * deltaTime;
+        const newX = this.position.x + dir.x * step;
+        const newZ = this.position.z + dir.z * step;
+
+        if (navGrid) {
+            const resolved = navGrid.resolveMovement(this.position.x, this.position.z, newX, newZ);
+            this.position.x = resolved.x;
+            this.position.z = resolved.z;
+        } else {
+            this.position.x = newX;
+            this.position.z = newZ;
+        }
+        this.isMoving = true;
+    }
+
+    faceTowards(point) {
+        if (!this.mesh) return;
+        this.mesh.rotation.y = Math.atan2(point.x - this.position.x, point.z - this.position.z);
+    }
+
     updateHealthBar(camera) {
         if (!this.healthBarGroup) return;
 
@@ -154,10 +249,63 @@ export class Enemy {
         const healthPercent = Math.max(0, Math.min(1, this.health / this.maxHealth));
         this.healthBarFill.scale.x = Math.max(0.001, healthPercent); // Prevent zero scale
         this.healthBarFill.position.x = (healthPercent - 1) * 0.55;
+
+        this.updateStatusIcons();
+    }
+
+    // Row of status effect icons just above the health bar
+    createStatusIcons() {
+        this.statusCanvas = document.createElement('canvas');
+        this.statusCanvas.width = 256;
+        this.statusCanvas.height = 64;
+        this.statusTexture = new THREE.CanvasTexture(this.statusCanvas);
+
+        const material = new THREE.SpriteMaterial({ map: this.statusTexture, transparent: true, depthTest: false });
+        this.statusSprite = new THREE.Sprite(material);
+        this.statusSprite.scale.set(1.2, 0.3, 1);
+        this.statusSprite.position.y = 0.3;
+        this.statusSprite.visible = false;
+        this.healthBarGroup.add(this.statusSprite);
+
+        this.statusIconVersion = -1;
+    }
+
+    // Redraws only when an effect is added, removed or stacks
+    updateStatusIcons() {
+        if (!this.statusSprite || this.statusIconVersion === this.statusEffects.version) return;
+        this.statusIconVersion = this.statusEffects.version;
+
+        const effects = this.statusEffects.list();
+        this.statusSprite.visible = effects.length > 0;
+        if (effects.length === 0) return;
+
+        const ctx = this.statusCanvas.getContext('2d');
+        ctx.clearRect(0, 0, 256, 64);
+        ctx.font = '40px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const spacing = 52;
+        const startX = 128 - (effects.length - 1) * spacing / 2;
+        effects.forEach((effect, i) => {
+            const x = startX + i * spacing;
+            ctx.fillText(effect.def.icon, x, 34);
+
+            if (effect.stacks > 1) {
+                ctx.font = 'bold 22px Arial';
+                ctx.lineWidth = 4;
+                ctx.strokeStyle = '#000000';
+                ctx.strokeText(effect.stacks, x + 16, 50);
+                ctx.fillStyle = effect.def.color;
+                ctx.fillText(effect.stacks, x + 16, 50);
+                ctx.font = '40px Arial';
+            }
+        });
+        this.statusTexture.needsUpdate = true;
     }
 
     tryAttack(player) {
-        if (this.attackCooldown > 0 || this.stunTime > 0) return false;
+        if (this.attackCooldown > 0 || this.statusEffects.isStunned) return false;
 
         // Check if player can parry
         if (player.tryParry && player.tryParry(this)) {
@@ -165,15 +313,31 @@ export class Enemy {
             return false;
         }
 
-        player.takeDamage(this.attackDamage);
+        this.hitPlayer(player, this.attackDamage, DamageType.PHYSICAL, ['melee']);
         this.attackCooldown = this.attackCooldownMax;
         return true;
     }
 
+    // Hit the player through the game's damage pipeline
+    hitPlayer(player, amount, type = DamageType.PHYSICAL, tags = []) {
+        return player.game.damage.deal({ target: player, amount, type, source: this, tags });
+    }
+
+    getArmor() {
+        return this.armor;
+    }
+
+    getResistance(type) {
+        return this.resistances[type] || 0;
+    }
+
+    // Applies an already-mitigated hit from the damage pipeline - returns the damage taken
     takeDamage(amount, source) {
+        if (this.isEvading) return 0;
+
         this.health -= amount;
         if (this.health < 0) this.health = 0; // Clamp to 0
-        this.isAggro = true;
+        this.addThreat(source, amount);
 
         // Update health bar immediately after damage
         this.updateHealthBar(null);
@@ -197,14 +361,62 @@ export class Enemy {
         if (this.health <= 0) {
             this.die();
         }
+        return amount;
+    }
+
+    // Returns false if the enemy is immune or evading - crowd control from an attacker pulls the enemy
+    applyStatus(id, options) {
+        if (this.isEvading) return false;
+        const applied = this.statusEffects.apply(id, options);
+        if (applied) {
+            this.addThreat(options.source, 0);
+        }
+        return applied;
     }
 
     stun(duration) {
-        this.stunTime = duration;
+        return this.applyStatus('stun', { duration });
+    }
+
+    // ==================== THREAT ====================
+
+    // Add threat from an attacker - the first threat pulls this enemy and, unless it was pulled
+    // along with another, the rest of its pack
+    addThreat(source, amount, pullsPack = true) {
+        if (!source || !this.isAlive || this.isEvading) return;
+
+        const wasEngaged = !this.threat.isEmpty;
+        this.threat.add(source, amount);
+        this.isAggro = true;
+        if (!wasEngaged && pullsPack && source.game) {
+            pullPack(this, source, source.game.enemies);
+        }
+    }
+
+    // Force this enemy onto source for duration seconds - returns false if it can't be taunted
+    taunt(source, duration) {
+        if (!this.isAlive || this.isEvading) return false;
+        this.addThreat(source, 0);
+        this.threat.forceTarget(source, duration);
+        return true;
+    }
+
+    getThreatTarget() {
+        return this.threat.getTarget();
+    }
+
+    // Leashed - forget the fight and head home
+    startEvading() {
+        this.threat.clear();
+        this.statusEffects.clear();
+        this.isAggro = false;
+        this.isEvading = true;
     }
 
     die() {
         this.isAlive = false;
+        this.statusEffects.clear();
+        this.threat.clear();
 
         // Store death position for particles
         this.deathPosition = this.position.clone();
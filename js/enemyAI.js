@@ -0,0 +1,325 @@
+import * as THREE from 'three';
+
+// Per-type tuning. States read these to decide where to go next.
+//   chaseTarget  - 'player', 'flank' (get behind the player) or 'swarm' (surround slot)
+//   afterAttack  - state to enter after landing a hit
+//   minRange     - flee when the player gets closer than this (kiting)
+//   guardRadius  - patrol area around spawn
+//   leashRange   - how far from spawn they'll follow before giving up and walking home
+//   fleeHealth   - health fraction below which the enemy runs - once, then it fights to the end
+const BEHAVIORS = {
+    warrior: {
+        initialState: 'patrol',
+        chaseTarget: 'player',
+        patrolRadius: 4,
+        guardRadius: 8,
+        leashRange: 16
+    },
+    mage: {
+        initialState: 'idle',
+        chaseTarget: 'player',
+        afterAttack: 'strafe',
+        minRange: 4,
+        strafeTime: 1.2,
+        leashRange: 22
+    },
+    rogue: {
+        initialState: 'patrol',
+        chaseTarget: 'flank',
+        afterAttack: 'flee',
+        patrolRadius: 6,
+        flankDistance: 1.5,
+        fleeTime: 1.2,
+        fleeHealth: 0.2,
+        leashRange: 24
+    },
+    minion: {
+        initialState: 'idle',
+        chaseTarget: 'swarm',
+        swarmRadius: 1.2,
+        aggroBonus: 5,
+        leashRange: 20
+    }
+};
+
+// Fraction of max health regenerated per second while walking home after a leash
+const LEASH_REGEN = 0.25;
+
+// State handlers: enter(ai, ctx), update(ai, deltaTime, ctx) -> next state name or null
+const STATES = {
+    idle: {
+        enter(ai) {
+            ai.timer = 1.5 + Math.random() * 2;
+        },
+        update(ai, deltaTime, ctx) {
+            if (ai.shouldEngage(ctx)) return 'chase';
+
+            ai.timer -= deltaTime;
+            if (ai.timer <= 0 && ai.behavior.patrolRadius) return 'patrol';
+            return null;
+        }
+    },
+
+    patrol: {
+        enter(ai) {
+            // Random point around spawn
+            const angle = Math.random() * Math.PI * 2;
+            const radius = Math.random() * ai.behavior.patrolRadius;
+            ai.moveTarget = new THREE.Vector3(
+                ai.home.x + Math.cos(angle) * radius,
+                0,
+                ai.home.z + Math.sin(angle) * radius
+            );
+            ai.timer = 6; // Give up on unreachable points
+        },
+        update(ai, deltaTime, ctx) {
+            if (ai.shouldEngage(ctx)) return 'chase';
+
+            ai.timer -= deltaTime;
+            if (ai.distanceTo(ai.moveTarget) < 0.5 || ai.timer <= 0) return 'idle';
+
+            ai.enemy.moveTo(ai.moveTarget, deltaTime, ctx.navGrid, 0.5);
+            return null;
+        }
+    },
+
+    chase: {
+        update(ai, deltaTime, ctx) {
+            const enemy = ai.enemy;
+            const dist = ai.distanceTo(ctx.player.position);
+
+            if (ai.shouldLeash()) return 'returnToSpawn';
+            if (ai.shouldFlee(dist)) return 'flee';
+            if (dist <= enemy.attackRange && ai.canSee(ctx)) return 'attack';
+
+            enemy.moveTo(ai.getChaseTarget(ctx.player), deltaTime, ctx.navGrid);
+            return null;
+        }
+    },
+
+    attack: {
+        update(ai, deltaTime, ctx) {
+            const enemy = ai.enemy;
+            const dist = ai.distanceTo(ctx.player.position);
+
+            if (ai.shouldLeash()) return 'returnToSpawn';
+            if (ai.shouldFlee(dist)) return 'flee';
+            // A little slack so we don't flicker at the edge of range
+            if (dist > enemy.attackRange * 1.1 || !ai.canSee(ctx)) return 'chase';
+
+            enemy.faceTowards(ctx.player.position);
+            if (enemy.attackCooldown <= 0 && enemy.tryAttack(ctx.player)) {
+                return ai.behavior.afterAttack || null;
+            }
+            return null;
+        }
+    },
+
+    // Circle the player sideways while keeping them in view
+    strafe: {
+        enter(ai) {
+            ai.timer = ai.behavior.strafeTime || 1;
+            ai.strafeDirection = Math.random() < 0.5 ? 1 : -1;
+        },
+        update(ai, deltaTime, ctx) {
+            const enemy = ai.enemy;
+            const toPlayer = new THREE.Vector3().subVectors(ctx.player.position, enemy.position);
+            toPlayer.y = 0;
+            toPlayer.normalize();
+
+            const side = new THREE.Vector3(-toPlayer.z, 0, toPlayer.x).multiplyScalar(ai.strafeDirection);
+            enemy.moveInDirection(side, deltaTime, ctx.navGrid, 0.7);
+            enemy.faceTowards(ctx.player.position);
+
+            ai.timer -= deltaTime;
+            if (ai.timer <= 0) return 'chase';
+            return null;
+        }
+    },
+
+    // Back away from the player - retreating after a strike or kiting
+    flee: {
+        enter(ai) {
+            ai.timer = ai.behavior.fleeTime || 1.5;
+        },
+        update(ai, deltaTime, ctx) {
+            const enemy = ai.enemy;
+            const away = new THREE.Vector3().subVectors(enemy.position, ctx.player.position);
+            away.y = 0;
+            if (away.lengthSq() < 0.0001) away.set(1, 0, 0);
+            away.normalize();
+
+            enemy.moveInDirection(away, deltaTime, ctx.navGrid);
+            enemy.faceTowards(ctx.player.position);
+
+            ai.timer -= deltaTime;
+            const dist = ai.distanceTo(ctx.player.position);
+            const kiting = ai.behavior.minRange && dist < ai.behavior.minRange;
+            if (ai.timer <= 0 && !kiting) return 'chase';
+            return null;
+        }
+    },
+
+    // Give up the chase and walk home, healing on the way - evading enemies ignore hits and threat
+    returnToSpawn: {
+        enter(ai) {
+            ai.enemy.startEvading();
+        },
+        update(ai, deltaTime, ctx) {
+            const enemy = ai.enemy;
+            enemy.health = Math.min(enemy.maxHealth, enemy.health + enemy.maxHealth * LEASH_REGEN * deltaTime);
+
+            if (ai.distanceTo(ai.home) < 0.5) {
+                enemy.health = enemy.maxHealth;
+                ai.hasFled = false;
+                return 'idle';
+            }
+            enemy.moveTo(ai.home, deltaTime, ctx.navGrid);
+            return null;
+        },
+        exit(ai) {
+            ai.enemy.isEvading = false;
+        }
+    }
+};
+
+// Add or replace a skeleton type's behavior
+export function registerBehavior(type, behavior) {
+    BEHAVIORS[type] = behavior;
+}
+
+// Add or replace a state handler
+export function registerState(name, state) {
+    STATES[name] = state;
+}
+
+// State machine driving one enemy
+export class EnemyAI {
+    constructor(enemy, type) {
+        this.enemy = enemy;
+        this.behavior = BEHAVIORS[type] || BEHAVIORS.minion;
+        this.spawnPosition = enemy.position.clone();
+
+        this.state = null;
+        this.stateName = null;
+        this.timer = 0;
+        this.moveTarget = null;
+        this.hasFled = false; // Low-health flee already used
+
+        // Each swarming enemy claims its own angle around the player
+        this.swarmAngle = Math.random() * Math.PI * 2;
+
+        if (this.behavior.aggroBonus) {
+            enemy.aggroRange += this.behavior.aggroBonus;
+        }
+
+        this.setState(this.behavior.initialState || 'idle');
+    }
+
+    setState(name) {
+        const state = STATES[name];
+        if (!state) {
+            console.warn(`Unknown AI state: ${name}`);
+            return;
+        }
+        if (this.state?.exit) this.state.exit(this);
+
+        this.stateName = name;
+        this.state = state;
+
+        // Repath right away for the new destination
+        this.enemy.path = null;
+        this.enemy.repathTimer = 0;
+
+        if (state.enter) state.enter(this);
+    }
+
+    // Where the enemy patrols, guards and leashes back to - the level's spawn point when it has one
+    get home() {
+        return this.enemy.spawnData || this.spawnPosition;
+    }
+
+    // Horde enemies always hunt the player - no guarding or leashing
+    setRelentless() {
+        this.behavior = { ...this.behavior, guardRadius: 0, leashRange: 0 };
+        this.enemy.isAggro = true;
+        this.setState('chase');
+    }
+
+    update(deltaTime, player, navGrid) {
+        // Go after whoever tops the threat table - the player until someone builds threat (horde waves)
+        const ctx = { player: this.enemy.getThreatTarget() || player, navGrid };
+        const next = this.state.update(this, deltaTime, ctx);
+        if (next && next !== this.stateName) {
+            this.setState(next);
+        }
+    }
+
+    distanceTo(point) {
+        const dx = point.x - this.enemy.position.x;
+        const dz = point.z - this.enemy.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    canSee(ctx) {
+        return !ctx.navGrid || ctx.navGrid.hasLineOfSight(this.enemy.position, ctx.player.position);
+    }
+
+    shouldEngage(ctx) {
+        const enemy = this.enemy;
+        if (enemy.isAggro) return true;
+
+        // Guards only react to intruders inside their area
+        const { guardRadius } = this.behavior;
+        const home = this.home;
+        const playerPos = ctx.player.position;
+        if (guardRadius && Math.hypot(playerPos.x - home.x, playerPos.z - home.z) > guardRadius) return false;
+
+        if (this.distanceTo(playerPos) < enemy.aggroRange && this.canSee(ctx)) {
+            enemy.addThreat(ctx.player, 0);
+            return true;
+        }
+        return false;
+    }
+
+    shouldLeash() {
+        return this.behavior.leashRange && this.distanceTo(this.home) > this.behavior.leashRange;
+    }
+
+    shouldFlee(distToPlayer) {
+        const { minRange, fleeHealth } = this.behavior;
+        if (minRange && distToPlayer < minRange) return true;
+        if (fleeHealth && !this.hasFled && this.enemy.health / this.enemy.maxHealth < fleeHealth) {
+            this.hasFled = true;
+            return true;
+        }
+        return false;
+    }
+
+    getChaseTarget(player) {
+        switch (this.behavior.chaseTarget) {
+            case 'flank': {
+                // Point behind the player, falling back to a direct chase when close
+                const rotation = player.rotation || 0;
+                const behind = new THREE.Vector3(
+                    player.position.x - Math.sin(rotation) * this.behavior.flankDistance,
+                    0,
+                    player.position.z - Math.cos(rotation) * this.behavior.flankDistance
+                );
+                return this.distanceTo(behind) < 1 ? player.position : behind;
+            }
+            case 'swarm':
+                return new THREE.Vector3(
+                    player.position.x + Math.cos(this.swarmAngle) * this.behavior.swarmRadius,
+                    0,
+                    player.position.z + Math.sin(this.swarmAngle) * this.behavior.swarmRadius
+                );
+            default:
+                return player.position;
+        }
+    }
+}
+
+export function createEnemyAI(enemy, type) {
+    return new EnemyAI(enemy, type);
+}
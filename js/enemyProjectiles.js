@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+import { DamageType } from './damage.js';
+
+// Pooled enemy-owned projectiles (Skeleton Mage bolts)
+// Kept apart from Game.projectiles, which only ever hit enemies
+export class EnemyProjectilePool {
+    constructor(game, size = 24) {
+        this.game = game;
+        this.scene = game.scene;
+        this.size = size;
+
+        // Shared geometry/materials for every bolt
+        this.coreGeometry = new THREE.SphereGeometry(0.18, 8, 8);
+        this.glowGeometry = new THREE.SphereGeometry(0.35, 8, 8);
+        this.coreMaterial = new THREE.MeshBasicMaterial({ color: 0xeeccff });
+        this.glowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x9955ff,
+            transparent: true,
+            opacity: 0.5,
+            depthWrite: false
+        });
+        this.reflectedGlowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x66bbff,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false
+        });
+
+        this.bolts = [];
+        for (let i = 0; i < size; i++) {
+            this.bolts.push(this.createBolt());
+        }
+    }
+
+    createBolt() {
+        const mesh = new THREE.Group();
+        const core = new THREE.Mesh(this.coreGeometry, this.coreMaterial);
+        const glow = new THREE.Mesh(this.glowGeometry, this.glowMaterial);
+        mesh.add(core);
+        mesh.add(glow);
+        mesh.visible = false;
+        this.scene.add(mesh);
+
+        return {
+            mesh,
+            glow,
+            position: new THREE.Vector3(),
+            direction: new THREE.Vector3(),
+            speed: 0,
+            damage: 0,
+            damageType: DamageType.PHYSICAL,
+            status: null,
+            range: 0,
+            traveled: 0,
+            owner: null,
+            reflected: false,
+            alive: false
+        };
+    }
+
+    // Fire a bolt - returns null when every bolt is in flight
+    spawn(position, direction, options = {}) {
+        const bolt = this.bolts.find(b => !b.alive);
+        if (!bolt) return null;
+
+        bolt.position.copy(position);
+        bolt.direction.set(direction.x, 0, direction.z).normalize();
+        bolt.speed = options.speed || 10;
+        bolt.damage = options.damage || 10;
+        bolt.damageType = options.damageType || DamageType.PHYSICAL;
+        bolt.status = options.status || null; // { id, ...options } applied to whatever it hits
+        bolt.range = options.range || 14;
+        bolt.traveled = 0;
+        bolt.owner = options.owner || null;
+        bolt.reflected = false;
+        bolt.alive = true;
+
+        bolt.glow.material = this.glowMaterial;
+        bolt.mesh.position.copy(position);
+        bolt.mesh.visible = true;
+
+        return bolt;
+    }
+
+    update(deltaTime) {
+        const player = this.game.player;
+
+        for (const bolt of this.bolts) {
+            if (!bolt.alive) continue;
+
+            const step = bolt.speed * deltaTime;
+            bolt.position.addScaledVector(bolt.direction, step);
+            bolt.traveled += step;
+            bolt.mesh.position.copy(bolt.position);
+
+            // Pulse the glow so bolts read clearly in dark dungeons
+            const pulse = 1 + Math.sin(bolt.traveled * 3) * 0.15;
+            bolt.glow.scale.setScalar(pulse);
+
+            if (bolt.traveled >= bolt.range) {
+                this.release(bolt);
+                continue;
+            }
+
+            // Walls stop bolts
+            if (this.game.checkWallCollision(bolt.position.x, bolt.position.z, 0.1)) {
+                this.impact(bolt);
+                continue;
+            }
+
+            if (bolt.reflected) {
+                this.checkEnemyHit(bolt);
+            } else if (player) {
+                this.checkPlayerHit(bolt, player);
+            }
+        }
+    }
+
+    checkPlayerHit(bolt, player) {
+        const dx = player.position.x - bolt.position.x;
+        const dz = player.position.z - bolt.position.z;
+        if (dx * dx + dz * dz > 0.8 * 0.8) return;
+
+        // Warrior spin (useParry) sends the bolt back at its caster
+        if (player.abilities?.parry?.isActive) {
+            this.reflect(bolt);
+            return;
+        }
+
+        // Rolling through a bolt dodges it
+        if (player.isInvulnerable?.()) return;
+
+        const hit = this.game.damage.deal({
+            target: player, amount: bolt.damage, type: bolt.damageType,
+            source: bolt.owner, tags: ['bolt']
+        });
+        if (hit && bolt.status) {
+            player.applyStatus(bolt.status.id, { ...bolt.status, source: bolt.owner });
+        }
+        this.impact(bolt);
+    }
+
+    checkEnemyHit(bolt) {
+        for (const enemy of this.game.enemies) {
+            if (!enemy.isAlive) continue;
+            const dx = enemy.position.x - bolt.position.x;
+            const dz = enemy.position.z - bolt.position.z;
+            if (dx * dx + dz * dz < 1.0) {
+                const hit = this.game.damage.deal({
+                    target: enemy, amount: bolt.damage, type: bolt.damageType,
+                    source: this.game.player, tags: ['bolt', 'reflected']
+                });
+                if (hit && bolt.status) {
+                    enemy.applyStatus(bolt.status.id, { ...bolt.status, source: this.game.player });
+                }
+                this.impact(bolt);
+                return;
+            }
+        }
+    }
+
+    reflect(bolt) {
+        // Back toward whoever cast it, or straight back if they're gone
+        const target = bolt.owner?.isAlive ? bolt.owner.position : null;
+        if (target) {
+            bolt.direction.set(target.x - bolt.position.x, 0, target.z - bolt.position.z).normalize();
+        } else {
+            bolt.direction.negate();
+        }
+
+        bolt.reflected = true;
+        bolt.traveled = 0;
+        bolt.speed *= 1.5;
+        bolt.damage *= 2;
+        bolt.glow.material = this.reflectedGlowMaterial;
+
+        if (this.game.particles) {
+            this.game.particles.parryFlash(bolt.position);
+        }
+        if (this.game.sound) {
+            this.game.sound.play('boltReflect');
+        }
+    }
+
+    impact(bolt) {
+        if (this.game.particles) {
+            this.game.particles.magicImpact(bolt.position);
+        }
+        this.release(bolt);
+    }
+
+    release(bolt) {
+        bolt.alive = false;
+        bolt.owner = null;
+        bolt.mesh.visible = false;
+    }
+
+    // Drop every bolt in flight (level change, death)
+    clear() {
+        for (const bolt of this.bolts) {
+            this.release(bolt);
+        }
+    }
+
+    dispose() {
+        for (const bolt of this.bolts) {
+            this.scene.remove(bolt.mesh);
+        }
+        this.bolts = [];
+        this.coreGeometry.dispose();
+        this.glowGeometry.dispose();
+        this.coreMaterial.dispose();
+        this.glowMaterial.dispose();
+        this.reflectedGlowMaterial.dispose();
+    }
+}
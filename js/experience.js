@@ -0,0 +1,105 @@
+export const MAX_LEVEL = 30;
+
+// XP awarded per source - kills scale with skeleton type
+export const XP_REWARDS = {
+    kill: { minion: 10, warrior: 25, rogue: 20, mage: 30 },
+    boss: 500,
+    quest: 100,     // Used when a quest doesn't set its own rewards.xp
+    craft: 15
+};
+
+// Stats gained per level, by class
+const CLASS_GROWTH = {
+    warrior: { maxHealth: 40, autoAttackDamage: 3 },
+    mage: { maxHealth: 20, autoAttackDamage: 3 },
+    hunter: { maxHealth: 30, autoAttackDamage: 2 },
+    adventurer: { maxHealth: 30, autoAttackDamage: 2 }
+};
+
+// XP needed to go from level to level + 1
+export function xpForLevel(level) {
+    return Math.floor(100 * Math.pow(level, 1.5));
+}
+
+// Tracks the player's level and XP and applies per-level stat growth
+export class Experience {
+    constructor(game, player, className) {
+        this.game = game;
+        this.player = player;
+        this.growth = CLASS_GROWTH[className] || CLASS_GROWTH.adventurer;
+
+        this.level = 1;
+        this.xp = 0;
+    }
+
+    get xpToNext() {
+        return xpForLevel(this.level);
+    }
+
+    getKillXP(enemy) {
+        if (enemy.isBoss) return XP_REWARDS.boss;
+        return XP_REWARDS.kill[enemy.skeletonType] || XP_REWARDS.kill.minion;
+    }
+
+    addXP(amount) {
+        if (amount <= 0 || this.level >= MAX_LEVEL) return;
+
+        this.xp += amount;
+        while (this.level < MAX_LEVEL && this.xp >= this.xpToNext) {
+            this.xp -= this.xpToNext;
+            this.levelUp();
+        }
+        if (this.level >= MAX_LEVEL) {
+            this.xp = 0;
+        }
+    }
+
+    levelUp() {
+        this.level++;
+        this.applyGrowth(1);
+
+        // Full heal on level up
+        this.player.health = this.player.maxHealth;
+
+        if (this.game.particles) {
+            this.game.particles.levelUp(this.player.position);
+        }
+        this.game.sound?.play('levelUp');
+        this.game.autoSave?.();
+    }
+
+    applyGrowth(levels) {
+        const player = this.player;
+        const health = this.growth.maxHealth * levels;
+        const damage = this.growth.autoAttackDamage * levels;
+
+        player.maxHealth += health;
+        player.health += health;
+        // Grows the unbuffed value so an active damage buff doesn't undo it on expiry
+        player.setBaseStat('damage', player.getBaseStat('damage') + damage);
+        // Adventurer recomputes damage from its weapon, so it adds this back in
+        player.levelDamageBonus += damage;
+    }
+
+    // Restore a saved level without replaying level-up effects
+    restore(data) {
+        const level = Math.max(1, Math.min(MAX_LEVEL, data?.level || 1));
+        if (level > this.level) {
+            this.applyGrowth(level - this.level);
+        }
+        this.level = level;
+        this.xp = data?.xp || 0;
+    }
+
+    serialize() {
+        return { level: this.level, xp: this.xp };
+    }
+
+    updateUI() {
+        const maxed = this.level >= MAX_LEVEL;
+        const percent = maxed ? 100 : (this.xp / this.xpToNext) * 100;
+        document.getElementById('xp-fill').style.width = `${percent}%`;
+        document.getElementById('xp-level').textContent = `Lv ${this.level}`;
+        document.getElementById('xp-text').textContent = maxed ? 'MAX' : `${Math.floor(this.xp)} / ${this.xpToNext}`;
+    }
+}
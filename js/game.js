@@ -8,37 +8,71 @@ import { ThirdPersonCamera } from './camera.js';
 import { InputManager } from './input.js';
 import { SkeletonEnemy, createSkeletonEnemy } from './skeletonEnemy.js';
 import { EffectsManager } from './effects.js';
+import { DamagePipeline, DamageType } from './damage.js';
 import { ParticleSystem } from './particles.js';
-import { DungeonBuilder } from './dungeonBuilder.js';
+import { LevelLoader, fetchLevel } from './levelLoader.js';
+import { NavGrid } from './navGrid.js';
+import { EnemyProjectilePool } from './enemyProjectiles.js';
+import { createBoss } from './boss.js';
+import { getBossDefinition } from './bossDatabase.js';
+import { HordeMode } from './hordeMode.js';
+import { Experience, XP_REWARDS } from './experience.js';
+import { ABILITIES, ABILITY_SLOTS } from './abilityDatabase.js';
+import { Talents } from './talents.js';
+import { TalentUI } from './talentUI.js';
+import { CombatLog } from './combatLog.js';
+import { CombatLogUI } from './combatLogUI.js';
 import { WorldItemManager } from './worldItem.js';
 import { InventoryUI } from './inventoryUI.js';
+import { ShopUI } from './shopUI.js';
+import { Vendor } from './vendor.js';
 import { ITEMS, getItemIcon } from './itemDatabase.js';
+import { itemStackFromData } from './itemAffixes.js';
 import { SoundManager } from './sound.js';
+import { Settings } from './settings.js';
+import { SettingsUI } from './settingsUI.js';
+import { KeyBindings, QTE_ACTIONS } from './keyBindings.js';
+import { KeyBindingsUI } from './keyBindingsUI.js';
+import { SaveSystem, SaveScheduler, SAVE_SLOTS, exportSave, importSave } from './saveSystem.js';
 import { KayKitCharacter } from './kayKitCharacter.js';
 
+// Damage type dealt by each ground hazard type
+const HAZARD_DAMAGE_TYPES = {
+    fire: DamageType.FIRE,
+    poison: DamageType.POISON
+};
+
 export class Game {
     constructor(canvas) {
         this.canvas = canvas;
         this.clock = new THREE.Clock();
 
+        // Player settings - read first, since antialiasing is fixed when the renderer is created
+        this.settings = new Settings();
+        this.keybindings = new KeyBindings();
+
         // Three.js core
         this.scene = new THREE.Scene();
-        this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer = new THREE.WebGLRenderer({ canvas, antialias: this.settings.graphics.antialias });
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.shadowLights = []; // Lights that cast shadows when the quality preset allows
 
         // Sky gradient - create a simple gradient background
         this.scene.background = new THREE.Color(0x88bbee);
         this.scene.fog = new THREE.FogExp2(0x88bbee, 0.008);
 
         // Game state
-        this.gameState = 'menu'; // 'menu' or 'playing'
+        this.gameState = 'menu'; // 'menu', 'loading', 'playing' or 'summary' (horde run over)
         this.gameMode = null; // 'horde', 'dungeon', or 'boss'
         this.selectedClass = 'warrior'; // 'warrior' or 'mage'
         this.enemies = [];
         this.projectiles = [];
+        this.enemyProjectiles = null; // Enemy bolts, pooled separately from player projectiles
+        this.activeBoss = null; // Boss shown in the HUD boss bar
+        this.horde = null; // Wave survival state for horde levels
+        this.experience = null; // Player level and XP
+        this.talents = null; // Talent ranks, points come from the player's level
         this.particles = [];
         this.damageNumbers = [];
         this.groundHazards = [];
@@ -103,15 +137,48 @@ export class Game {
         this.activeQuests = [];
         this.nearbyNPC = null; // NPC player is near for interaction
 
+        // Current level definition and its wall collision segments
+        this.level = null;
+        this.wallSegments = null;
+        this.wallThickness = 2;
+
+        // Enemy pathfinding grid - only built for levels with walls
+        this.navGrid = null;
+
         // Dungeon builder
         this.dungeonBuilder = null;
 
+        // Generated dungeon seed - ?seed= in the URL makes runs shareable
+        this.dungeonSeed = new URLSearchParams(window.location.search).get('seed');
+        this.currentDungeonSeed = null;
+
         // Effects manager
         this.effects = new EffectsManager(this.scene);
 
         // Sound manager
         this.sound = new SoundManager();
 
+        // Every hit goes through the damage pipeline
+        this.damage = new DamagePipeline();
+        this.combatLog = new CombatLog();
+        this.setupDamageEvents();
+
+        // Save slots - the menu's markup is kept so it can be rebuilt after the loading screen
+        this.saves = new SaveSystem();
+        this.autoSaver = new SaveScheduler(() => this.saveGame());
+        this.pendingSaveData = null;
+        this.menuHTML = document.getElementById('main-menu').innerHTML;
+
+        // Apply settings now and whenever they change
+        this.settingsUI = new SettingsUI(this);
+        this.applySettings();
+        this.settings.onChange(() => this.applySettings());
+
+        // Key labels in the HUD and prompts follow the bindings
+        this.keyBindingsUI = new KeyBindingsUI(this);
+        this.updateKeyLabels();
+        this.keybindings.onChange(() => this.updateKeyLabels());
+
         // Setup menu handlers
         this.setupMenu();
 
@@ -119,6 +186,31 @@ export class Game {
         window.addEventListener('resize', () => this.onResize());
     }
 
+    // Hit feedback shared by every damage source - numbers, crit sound, lifesteal and the combat log
+    setupDamageEvents() {
+        this.damage.onHit((hit) => {
+            this.combatLog.recordHit(hit);
+            const numbersSetting = hit.target === this.player ? 'damageTakenNumbers' : 'damageNumbers';
+            if (this.settings.get(numbersSetting)) {
+                this.effects.createDamageNumber(hit.target.position, hit.amount, false, hit.isCrit, hit.type);
+            }
+
+            if (hit.isCrit) {
+                this.sound.play('criticalHit');
+            }
+
+            // Lifesteal heals quietly - no flash or sound on every hit
+            const attacker = hit.source;
+            if (hit.lifesteal > 0 && attacker && !attacker.isDead) {
+                const oldHealth = attacker.health;
+                attacker.health = Math.min(attacker.maxHealth, attacker.health + hit.lifesteal);
+                this.combatLog.recordHeal({
+                    source: attacker, target: attacker, amount: attacker.health - oldHealth, ability: 'lifesteal'
+                });
+            }
+        });
+    }
+
     setupMenu() {
         const menuBtns = document.querySelectorAll('.menu-btn');
         menuBtns.forEach(btn => {
@@ -128,9 +220,13 @@ export class Game {
             });
         });
 
-        // Character selection buttons
+        // Character selection buttons - adventure mode switches to the Adventurer, so fall back to warrior
         const classBtns = document.querySelectorAll('.class-btn');
+        if (![...classBtns].some(btn => btn.dataset.class === this.selectedClass)) {
+            this.selectedClass = 'warrior';
+        }
         classBtns.forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.class === this.selectedClass);
             btn.addEventListener('click', () => {
                 // Remove selected from all
                 classBtns.forEach(b => b.classList.remove('selected'));
@@ -145,25 +241,64 @@ export class Game {
             this.returnToMenu();
         });
 
-        // Clear save button
+        this.renderSaveSlots();
+
+        // Clear save button - clears the selected slot
         const clearSaveBtn = document.getElementById('clear-save-btn');
         if (clearSaveBtn) {
-            clearSaveBtn.addEventListener('click', () => {
-                if (confirm('Are you sure you want to clear your save data? This cannot be undone.')) {
-                    localStorage.removeItem('tileGame3D_save');
-                    clearSaveBtn.textContent = 'Save Cleared!';
-                    clearSaveBtn.style.color = '#44ff88';
-                    clearSaveBtn.style.borderColor = '#44ff88';
-                    setTimeout(() => {
-                        clearSaveBtn.textContent = 'Clear Save Data';
-                        clearSaveBtn.style.color = '';
-                        clearSaveBtn.style.borderColor = '';
-                    }, 2000);
+            clearSaveBtn.addEventListener('click', async () => {
+                const slot = (await this.saves.listSlots()).find(s => s.id === this.saves.selectedSlot);
+                if (slot.empty) return;
+                if (confirm(`Are you sure you want to clear "${slot.name}"? This cannot be undone.`)) {
+                    await this.deleteSaveData();
+                    this.renderSaveSlots();
+                    this.flashMenuButton(clearSaveBtn, 'Save Cleared!');
+                }
+            });
+        }
+
+        const settingsBtn = document.getElementById('settings-btn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.settingsUI.open());
+        }
+
+        // Export/import the selected slot as a file
+        const exportSaveBtn = document.getElementById('export-save-btn');
+        if (exportSaveBtn) {
+            exportSaveBtn.addEventListener('click', async () => {
+                if (await this.exportSaveFile()) {
+                    this.flashMenuButton(exportSaveBtn, 'Save Exported!');
+                }
+            });
+        }
+
+        const importSaveBtn = document.getElementById('import-save-btn');
+        const importSaveInput = document.getElementById('import-save-input');
+        if (importSaveBtn && importSaveInput) {
+            importSaveBtn.addEventListener('click', () => importSaveInput.click());
+            importSaveInput.addEventListener('change', async () => {
+                const file = importSaveInput.files[0];
+                importSaveInput.value = ''; // Picking the same file again should still fire
+                if (file && await this.importSaveFile(file)) {
+                    this.flashMenuButton(importSaveBtn, 'Save Imported!');
                 }
             });
         }
     }
 
+    // Briefly show a success message on a menu button
+    flashMenuButton(btn, text) {
+        const originalText = btn.textContent;
+        btn.textContent = text;
+        btn.style.color = '#44ff88';
+        btn.style.borderColor = '#44ff88';
+        setTimeout(() => {
+            btn.textContent = originalText;
+            btn.style.color = '';
+            btn.style.borderColor = '';
+        }, 2000);
+    }
+
     async startGame(mode) {
         this.gameMode = mode;
         this.gameState = 'loading';
@@ -233,6 +368,9 @@ export class Game {
         // Create particle system
         this.particles = new ParticleSystem(this.scene);
 
+        // Enemy projectile pool (Skeleton Mage bolts)
+        this.enemyProjectiles = new EnemyProjectilePool(this);
+
         // Create world item manager for loot drops
         this.worldItems = new WorldItemManager(this.scene, this);
 
@@ -245,13 +383,16 @@ export class Game {
         // Setup minimap
         this.setupMinimap();
 
-        // Load saved game data for adventure mode
-        if (this.gameMode === 'adventure') {
-            if (this.loadGame()) {
-                updateLoadingText('Restoring save...');
-                await new Promise(resolve => setTimeout(resolve, 50));
-                this.applySaveData();
-            }
+        // Wave survival for levels with a horde block
+        if (this.level.horde) {
+            this.horde = new HordeMode(this, this.level.horde);
+        }
+
+        // Load the selected save slot
+        if (await this.loadGame()) {
+            updateLoadingText('Restoring save...');
+            await new Promise(resolve => setTimeout(resolve, 50));
+            this.applySaveData();
         }
 
         // Now show UI and canvas
@@ -259,23 +400,14 @@ export class Game {
         this.canvas.style.opacity = '1';
         menu.classList.add('hidden');
         document.getElementById('minimap').style.display = 'block';
-        menu.innerHTML = `
-            <h1>TileGame 3D</h1>
-            <div class="class-selection">
-                <h3>Choose Class</h3>
-                <div class="class-buttons">
-                    <button class="class-btn selected" data-class="warrior">Warrior</button>
-                    <button class="class-btn" data-class="mage">Mage</button>
-                    <button class="class-btn" data-class="hunter">Hunter</button>
-                </div>
-            </div>
-            <div class="menu-options">
-                <button class="menu-btn" data-mode="adventure">Adventure</button>
-                <button class="menu-btn" data-mode="horde">Skeleton Horde</button>
-            </div>
-        `;
+        this.showDungeonSeed();
+        menu.innerHTML = this.menuHTML;
+
+        // Entering a level is a save point
+        this.autoSave();
         document.getElementById('ui').style.display = 'block';
         document.getElementById('return-menu-btn').style.display = 'block';
+        document.getElementById('settings-open-btn').style.display = 'block';
 
         // Update ability bar labels based on class
         this.updateAbilityLabels();
@@ -284,93 +416,49 @@ export class Game {
         this.setupMenu();
     }
 
+    // Ability bar labels from the player's kit - empty slots are hidden
     updateAbilityLabels() {
         const abilityBar = document.getElementById('ability-bar');
-        const cSlot = document.getElementById('ability-c');
+        const player = this.player;
+        const slots = ABILITY_SLOTS.map(key => ({ key, abilityId: player?.getSlotAbility(key) }));
 
-        // For Adventurer in adventure mode, start with hidden ability bar
-        if (this.gameMode === 'adventure' && this.player?.className === 'adventurer') {
-            if (!this.player.currentWeaponType) {
-                if (abilityBar) abilityBar.style.display = 'none';
-                return;
-            }
-            // Show ability bar and set labels based on equipped weapon
-            if (abilityBar) abilityBar.style.display = '';
-            this.updateAbilityUI();
+        // Adventurer starts without a weapon, so no abilities yet
+        if (!slots.some(slot => slot.abilityId)) {
+            if (abilityBar) abilityBar.style.display = 'none';
             return;
         }
-
         if (abilityBar) abilityBar.style.display = '';
 
-        if (this.selectedClass === 'mage') {
-            document.querySelector('#ability-q .name').textContent = 'Blizzard';
-            document.querySelector('#ability-f .name').textContent = 'Flame Wave';
-            document.querySelector('#ability-e .name').textContent = 'Frost Nova';
-            document.querySelector('#ability-r .name').textContent = 'Blink';
-            document.querySelector('#ability-c .name').textContent = 'Frozen Orb';
-            if (cSlot) cSlot.style.display = '';
-        } else if (this.selectedClass === 'hunter') {
-            document.querySelector('#ability-q .name').textContent = 'Arrow Wave';
-            document.querySelector('#ability-f .name').textContent = 'Spin Dash';
-            document.querySelector('#ability-e .name').textContent = 'Shotgun';
-            document.querySelector('#ability-r .name').textContent = 'Trap';
-            document.querySelector('#ability-c .name').textContent = 'Giant Arrow';
-            if (cSlot) cSlot.style.display = '';
-        } else {
-            document.querySelector('#ability-q .name').textContent = 'Cleave';
-            document.querySelector('#ability-f .name').textContent = 'Whirlwind';
-            document.querySelector('#ability-e .name').textContent = 'Parry';
-            document.querySelector('#ability-r .name').textContent = 'Heroic Leap';
-            document.querySelector('#ability-c .name').textContent = 'Sunder';
-            if (cSlot) cSlot.style.display = '';
+        for (const { key, abilityId } of slots) {
+            const element = document.getElementById(`ability-${key}`);
+            if (!element) continue;
+            element.style.display = abilityId ? '' : 'none';
+            if (abilityId) {
+                element.querySelector('.name').textContent = ABILITIES[abilityId].name;
+            }
         }
     }
 
-    // Update ability UI for Adventurer based on equipped weapon
-    updateAbilityUI() {
-        if (!this.player || this.player.className !== 'adventurer') return;
-
-        const abilityBar = document.getElementById('ability-bar');
-        const cSlot = document.getElementById('ability-c');
-        const weaponType = this.player.currentWeaponType;
-
-        if (!weaponType) {
-            // No weapon - hide ability bar
-            if (abilityBar) abilityBar.style.display = 'none';
-            return;
-        }
-
-        // Show ability bar
-        if (abilityBar) abilityBar.style.display = '';
+    // Generated dungeons show their seed under the minimap, so a run can be shared with ?seed=
+    showDungeonSeed() {
+        const label = document.getElementById('minimap-label');
+        const seed = this.currentDungeonSeed;
+        label.textContent = seed ? `Seed: ${seed}` : 'Map';
+        label.classList.toggle('seed', !!seed);
+        label.title = seed ? `Open the game with ?seed=${seed} to replay this dungeon` : '';
+    }
 
-        if (weaponType === 'sword' || weaponType === 'dagger') {
-            // Warrior abilities
-            document.querySelector('#ability-q .name').textContent = 'Cleave';
-            document.querySelector('#ability-f .name').textContent = 'Whirlwind';
-            document.querySelector('#ability-e .name').textContent = 'Parry';
-            document.querySelector('#ability-r .name').textContent = 'Heroic Leap';
-            document.querySelector('#ability-c .name').textContent = 'Sunder';
-            if (cSlot) cSlot.style.display = '';
-        } else if (weaponType === 'staff') {
-            // Mage abilities
-            document.querySelector('#ability-q .name').textContent = 'Blizzard';
-            document.querySelector('#ability-f .name').textContent = 'Flame Wave';
-            document.querySelector('#ability-e .name').textContent = 'Frost Nova';
-            document.querySelector('#ability-r .name').textContent = 'Blink';
-            document.querySelector('#ability-c .name').textContent = 'Frozen Orb';
-            if (cSlot) cSlot.style.display = '';
-        } else if (weaponType === 'bow') {
-            // Hunter abilities
-            document.querySelector('#ability-q .name').textContent = 'Arrow Wave';
-            document.querySelector('#ability-f .name').textContent = 'Spin Dash';
-            document.querySelector('#ability-e .name').textContent = 'Shotgun';
-            document.querySelector('#ability-r .name').textContent = 'Trap';
-            document.querySelector('#ability-c .name').textContent = 'Giant Arrow';
-            if (cSlot) cSlot.style.display = '';
+    // Every element tagged with data-action shows the key that action is bound to
+    updateKeyLabels() {
+        for (const element of document.querySelectorAll('[data-action]')) {
+            element.textContent = this.keybindings.getLabel(element.dataset.action);
         }
     }
 
     returnToMenu() {
+        // Write any waiting save before leaving - the slot picker shows it once it's stored
+        this.autoSave();
+        this.autoSaver.flush().then(() => this.renderSaveSlots());
         this.gameState = 'menu';
         this.gameMode = null;
 
@@ -378,11 +466,16 @@ export class Game {
         document.getElementById('main-menu').classList.remove('hidden');
         document.getElementById('ui').style.display = 'none';
         document.getElementById('return-menu-btn').style.display = 'none';
+        document.getElementById('settings-open-btn').style.display = 'none';
         document.getElementById('target-frame').style.display = 'none';
+        document.getElementById('boss-bar').style.display = 'none';
         document.getElementById('minimap').style.display = 'none';
         document.getElementById('quest-tracker').style.display = 'none';
         document.getElementById('npc-dialog').style.display = 'none';
         document.getElementById('npc-prompt').style.display = 'none';
+        this.shopUI?.close();
+        this.talentUI?.close();
+        this.combatLogUI?.close();
 
         // Clear the scene
         this.clearScene();
@@ -395,6 +488,16 @@ export class Game {
             this.dungeonBuilder = null;
         }
 
+        if (this.enemyProjectiles) {
+            this.enemyProjectiles.dispose();
+            this.enemyProjectiles = null;
+        }
+
+        if (this.horde) {
+            this.horde.dispose();
+            this.horde = null;
+        }
+
         // Remove all objects from scene
         while (this.scene.children.length > 0) {
             const obj = this.scene.children[0];
@@ -411,9 +514,23 @@ export class Game {
 
         this.enemies = [];
         this.projectiles = [];
+        this.activeBoss = null;
         this.groundHazards = [];
         this.respawnQueue = [];
 
+        // Clear level geometry references
+        this.level = null;
+        this.wallSegments = null;
+        this.navGrid = null;
+        this.currentDungeonSeed = null;
+        this.fishingLake = null;
+        this.campfire = null;
+        this.mine = null;
+        this.trees = null;
+        this.smelter = null;
+        this.anvil = null;
+        this.craftingBench = null;
+
         // Clear NPCs and quests
         this.npcs = [];
         this.quests = {};
@@ -428,604 +545,27 @@ export class Game {
     }
 
     async setupScene() {
-        if (this.gameMode === 'adventure') {
-            // Adventure mode - outdoor starting zone
-            this.scene.background = new THREE.Color(0x87ceeb);
-            this.scene.fog = new THREE.FogExp2(0x87ceeb, 0.008);
-
-            const grassMaterial = new THREE.MeshLambertMaterial({ color: 0x3d6b3d });
-            const pathMaterial = new THREE.MeshLambertMaterial({ color: 0x6b5a3d });
-            const rockMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
-
-            // Main grassy area (expanded)
-            const groundGeo = new THREE.PlaneGeometry(100, 100);
-            const ground = new THREE.Mesh(groundGeo, grassMaterial);
-            ground.rotation.x = -Math.PI / 2;
-            ground.position.set(0, 0, 0);
-            ground.receiveShadow = true;
-            this.scene.add(ground);
-
-            // Dirt path from spawn to NPC area (north)
-            const pathGeo = new THREE.PlaneGeometry(4, 20);
-            const path = new THREE.Mesh(pathGeo, pathMaterial);
-            path.rotation.x = -Math.PI / 2;
-            path.position.set(0, 0.01, 5);
-            path.receiveShadow = true;
-            this.scene.add(path);
-
-            // Path to mine area (northeast)
-            const minePathGeo = new THREE.PlaneGeometry(4, 15);
-            const minePath = new THREE.Mesh(minePathGeo, pathMaterial);
-            minePath.rotation.x = -Math.PI / 2;
-            minePath.position.set(15, 0.01, 20);
-            minePath.rotation.z = Math.PI / 4;
-            minePath.receiveShadow = true;
-            this.scene.add(minePath);
-
-            // Path going south/west to woodworking area
-            const woodPathGeo = new THREE.PlaneGeometry(4, 25);
-            const woodPath = new THREE.Mesh(woodPathGeo, pathMaterial);
-            woodPath.rotation.x = -Math.PI / 2;
-            woodPath.position.set(-15, 0.01, -15);
-            woodPath.rotation.z = Math.PI / 6;
-            woodPath.receiveShadow = true;
-            this.scene.add(woodPath);
-
-            // Add some decorative rocks
-            for (let i = 0; i < 8; i++) {
-                const rockGeo = new THREE.DodecahedronGeometry(0.5 + Math.random() * 0.5, 0);
-                const rock = new THREE.Mesh(rockGeo, rockMaterial);
-                const angle = Math.random() * Math.PI * 2;
-                const dist = 15 + Math.random() * 10;
-                rock.position.set(Math.cos(angle) * dist, 0.3, Math.sin(angle) * dist);
-                rock.rotation.set(Math.random() * 0.5, Math.random() * Math.PI, 0);
-                rock.castShadow = true;
-                this.scene.add(rock);
-            }
-
-            // Create NPC - Miner Tom (with model)
-            await this.createNPC({
-                id: 'miner_tom',
-                name: 'Miner Tom',
-                position: { x: 0, z: 12 },
-                color: 0x8b4513,
-                characterType: 'adventurers',
-                characterName: 'barbarian',
-                dialog: {
-                    default: "Thanks for your help, adventurer!",
-                    questAvailable: "I need 10 copper ore to repair my tools. There's a copper vein just up the hill!",
-                    questInProgress: "How's the mining going? I need 10 copper ore total.",
-                    questComplete: "Excellent work! That's all the copper I need. Here's your reward!"
-                },
-                quests: [
-                    {
-                        id: 'gather_copper',
-                        name: 'Copper for Tom',
-                        description: 'Gather 10 copper ore for Miner Tom',
-                        objectives: [
-                            { type: 'collect', itemId: 'ore_copper', target: 10, current: 0 }
-                        ],
-                        rewards: { gold: 50, items: [] },
-                        keepItems: true,
-                        nextQuestId: 'smelt_copper'
-                    },
-                    {
-                        id: 'smelt_copper',
-                        name: 'Smelt Some Bars',
-                        description: 'Smelt 5 copper bars at the forge',
-                        dialog: {
-                            questAvailable: "Great job on the mining! Now I need you to smelt 5 copper bars at the forge over there.",
-                            questInProgress: "Use the forge to smelt copper ore into bars. I need 5 copper bars.",
-                            questComplete: "Perfect! Those bars look great. Here's your reward!"
-                        },
-                        objectives: [
-                            { type: 'collect', itemId: 'bar_copper', target: 5, current: 0 }
-                        ],
-                        rewards: { gold: 75, items: [] },
-                        keepItems: true,
-                        nextQuestId: 'forge_sword'
-                    },
-                    {
-                        id: 'forge_sword',
-                        name: 'Forge a Weapon',
-                        description: 'Craft a copper shortsword at the anvil',
-                        dialog: {
-                            questAvailable: "Now you're getting the hang of it! The next step is to forge a weapon. Use the anvil to craft a Copper Shortsword.",
-                            questInProgress: "Use the anvil near the forge to craft a Copper Shortsword. You'll need 3 copper bars.",
-                            questComplete: "A fine blade! You've learned the basics of smithing. Keep that sword - you've earned it!"
-                        },
-                        objectives: [
-                            { type: 'collect', itemId: 'copper_shortsword', target: 1, current: 0 }
-                        ],
-                        rewards: { gold: 100, items: [] },
-                        keepItems: true
-                    }
-                ]
-            });
-
-            // Create copper ore node
-            this.createOreNode({
-                position: { x: 20, z: 25 },
-                type: 'copper',
-                respawnTime: 30
-            });
-
-            // Create smelting forge
-            this.createSmelter({
-                position: { x: -15, z: 18 }
-            });
-
-            // Create blacksmith anvil
-            this.createAnvil({
-                position: { x: -10, z: 22 }
-            });
-
-            // Add decorative trees near spawn
-            this.addTree(-20, 8);
-            this.addTree(-22, 12);
-            this.addTree(18, -5);
-            this.addTree(22, -8);
-
-            // ========== WOODWORKING AREA (Southwest) ==========
-
-            // Create NPC - Woodworker Wendy
-            await this.createNPC({
-                id: 'woodworker_wendy',
-                name: 'Woodworker Wendy',
-                position: { x: -20, z: -20 },
-                color: 0x228b22,
-                characterType: 'adventurers',
-                characterName: 'rogue',
-                dialog: {
-                    default: "Thanks for your help! The forest provides.",
-                    questAvailable: "Hello there! I need 10 oak logs to finish my latest project. The grove is just over there!",
-                    questInProgress: "How's the chopping going? I need 10 oak wood total.",
-                    questComplete: "Excellent work! That's lovely oak. Here's your reward!"
-                },
-                quests: [
-                    {
-                        id: 'gather_wood',
-                        name: 'Oak for Wendy',
-                        description: 'Gather 10 oak wood for Woodworker Wendy',
-                        objectives: [
-                            { type: 'collect', itemId: 'wood_oak', target: 10, current: 0 }
-                        ],
-                        rewards: { gold: 50, items: [] },
-                        keepItems: true,
-                        nextQuestId: 'craft_bow'
-                    },
-                    {
-                        id: 'craft_bow',
-                        name: 'Craft a Bow',
-                        description: 'Craft an Oak Shortbow at the crafting bench',
-                        dialog: {
-                            questAvailable: "Great job on the logging! Now, use that wood to craft an Oak Shortbow at my workbench.",
-                            questInProgress: "Use the crafting bench to make an Oak Shortbow. You'll need 5 oak wood.",
-                            questComplete: "A fine bow! That'll serve a hunter well. Here's your reward!"
-                        },
-                        objectives: [
-                            { type: 'collect', itemId: 'oak_shortbow', target: 1, current: 0 }
-                        ],
-                        rewards: { gold: 75, items: [] },
-                        keepItems: true,
-                        nextQuestId: 'craft_staff'
-                    },
-                    {
-                        id: 'craft_staff',
-                        name: 'Craft a Staff',
-                        description: 'Craft a Short Staff at the crafting bench',
-                        dialog: {
-                            questAvailable: "You're getting the hang of this! Now try crafting a Short Staff for any aspiring mages.",
-                            questInProgress: "Use the crafting bench to make a Short Staff. You'll need 4 oak wood.",
-                            questComplete: "Wonderful craftsmanship! You've mastered the basics of woodworking. Keep those items - you've earned them!"
-                        },
-                        objectives: [
-                            { type: 'collect', itemId: 'short_staff', target: 1, current: 0 }
-                        ],
-                        rewards: { gold: 100, items: [] },
-                        keepItems: true
-                    }
-                ]
-            });
+        // Level data lives in levels/<mode>.json
+        this.level = await fetchLevel(this.gameMode || 'dungeon');
 
-            // Create tree chopping area for Wendy's quests
-            this.createTreeArea({
-                position: { x: -30, z: -25 }
-            });
-
-            // Create crafting bench for Wendy's area
-            this.createCraftingBench({
-                position: { x: -25, z: -15 }
-            });
+        const loader = new LevelLoader(this);
+        await loader.load(this.level);
 
-            this.isOutdoorMap = true;
+        // Nav grid from the level walls so enemies path around them
+        if (this.wallSegments) {
+            this.navGrid = new NavGrid(this);
+        }
 
-            // Show quest tracker for adventure mode
+        // Show quest tracker for adventure mode
+        if (this.gameMode === 'adventure') {
             document.getElementById('quest-tracker').style.display = 'block';
-
-        } else if (this.gameMode === 'horde') {
-            // Winding dungeon hallway horde mode
-            this.scene.background = new THREE.Color(0x1a1a2e);
-            this.scene.fog = new THREE.FogExp2(0x1a1a2e, 0.006);
-
-            const wallMaterial = new THREE.MeshLambertMaterial({ color: 0x3a3a4a });
-            const floorMaterial = new THREE.MeshLambertMaterial({ color: 0x4a4a5a });
-            const accentMaterial = new THREE.MeshLambertMaterial({ color: 0x2a2a3a });
-
-            // Define hallway segments: { x, z, width, length, rotation }
-            // Rotation 0 = along Z axis, PI/2 = along X axis
-            const segments = [
-                // Starting area (safe zone)
-                { x: 0, z: -5, width: 25, length: 20, rot: 0 },
-                // First straight section
-                { x: 0, z: 25, width: 20, length: 50, rot: 0 },
-                // Turn right - connecting piece
-                { x: 20, z: 55, width: 30, length: 30, rot: 0 },
-                // Right corridor
-                { x: 50, z: 55, width: 50, length: 20, rot: Math.PI / 2 },
-                // Turn left - large room
-                { x: 80, z: 30, width: 35, length: 35, rot: 0 },
-                // Continue forward
-                { x: 80, z: 80, width: 20, length: 40, rot: 0 },
-                // Final chamber
-                { x: 80, z: 120, width: 40, length: 40, rot: 0 },
-                // Fishing lake corridor (branches off starting area to the left)
-                { x: -22, z: -5, width: 10, length: 15, rot: Math.PI / 2 },
-                // Fishing lake shore
-                { x: -35, z: -5, width: 18, length: 18, rot: 0 },
-                // Campfire corridor (branches off starting area to the right)
-                { x: 22, z: -5, width: 10, length: 15, rot: Math.PI / 2 },
-                // Campfire clearing
-                { x: 35, z: -5, width: 16, length: 16, rot: 0 },
-                // Mine corridor (branches off starting area backward)
-                { x: 0, z: -25, width: 12, length: 15, rot: 0 },
-                // Mine chamber
-                { x: 0, z: -42, width: 20, length: 20, rot: 0 }
-            ];
-
-            // Build floor segments
-            for (const seg of segments) {
-                const floorGeo = new THREE.PlaneGeometry(seg.width, seg.length);
-                const floor = new THREE.Mesh(floorGeo, floorMaterial);
-                floor.rotation.x = -Math.PI / 2;
-                floor.rotation.z = seg.rot;
-                floor.position.set(seg.x, 0, seg.z);
-                floor.receiveShadow = true;
-                this.scene.add(floor);
-            }
-
-            // Safe spawn area overlay
-            const spawnGeo = new THREE.PlaneGeometry(20, 15);
-            const spawnMat = new THREE.MeshLambertMaterial({ color: 0x3a5a3a });
-            const spawnArea = new THREE.Mesh(spawnGeo, spawnMat);
-            spawnArea.rotation.x = -Math.PI / 2;
-            spawnArea.position.set(0, 0.01, -5);
-            this.scene.add(spawnArea);
-
-            // Fishing lake water surface
-            const waterGeo = new THREE.PlaneGeometry(12, 12);
-            const waterMat = new THREE.MeshStandardMaterial({
-                color: 0x2266aa,
-                roughness: 0.2,
-                metalness: 0.3,
-                transparent: true,
-                opacity: 0.85
-            });
-            const waterMesh = new THREE.Mesh(waterGeo, waterMat);
-            waterMesh.rotation.x = -Math.PI / 2;
-            waterMesh.position.set(-35, 0.05, -5);
-            waterMesh.receiveShadow = true;
-            this.scene.add(waterMesh);
-
-            // Store fishing lake info
-            this.fishingLake = {
-                position: { x: -35, z: -5 },
-                waterMesh: waterMesh,
-                interactionRange: 6,
-                isFishing: false,
-                bobberMesh: null
-            };
-
-            // Campfire setup
-            const campfireGroup = new THREE.Group();
-            campfireGroup.position.set(35, 0, -5);
-
-            // Stone ring around fire
-            const ringGeo = new THREE.TorusGeometry(1.2, 0.3, 8, 16);
-            const ringMat = new THREE.MeshLambertMaterial({ color: 0x555555 });
-            const ring = new THREE.Mesh(ringGeo, ringMat);
-            ring.rotation.x = -Math.PI / 2;
-            ring.position.y = 0.15;
-            campfireGroup.add(ring);
-
-            // Logs
-            const logGeo = new THREE.CylinderGeometry(0.15, 0.15, 1.5, 8);
-            const logMat = new THREE.MeshLambertMaterial({ color: 0x4a3525 });
-            for (let i = 0; i < 4; i++) {
-                const log = new THREE.Mesh(logGeo, logMat);
-                log.rotation.z = Math.PI / 2;
-                log.rotation.y = (i * Math.PI) / 4;
-                log.position.y = 0.2;
-                campfireGroup.add(log);
-            }
-
-            // Fire glow (emissive sphere)
-            const fireGeo = new THREE.SphereGeometry(0.6, 8, 8);
-            const fireMat = new THREE.MeshBasicMaterial({
-                color: 0xff6622,
-                transparent: true,
-                opacity: 0.8
-            });
-            const fireMesh = new THREE.Mesh(fireGeo, fireMat);
-            fireMesh.position.y = 0.5;
-            campfireGroup.add(fireMesh);
-
-            // Fire light
-            const fireLight = new THREE.PointLight(0xff6622, 2, 15);
-            fireLight.position.y = 1;
-            campfireGroup.add(fireLight);
-
-            this.scene.add(campfireGroup);
-
-            // Store campfire info
-            this.campfire = {
-                position: { x: 35, z: -5 },
-                mesh: campfireGroup,
-                fireMesh: fireMesh,
-                fireLight: fireLight,
-                interactionRange: 5,
-                isCooking: false
-            };
-
-            // Mine setup - ore rocks
-            const mineGroup = new THREE.Group();
-            mineGroup.position.set(0, 0, -42);
-
-            // Create ore rocks around the mine chamber
-            const orePositions = [
-                { x: -6, z: -6, type: 'copper' },
-                { x: -7, z: 0, type: 'copper' },
-                { x: -6, z: 5, type: 'iron' },
-                { x: 6, z: -5, type: 'iron' },
-                { x: 7, z: 2, type: 'copper' },
-                { x: 5, z: 6, type: 'gold' },
-                { x: 0, z: -7, type: 'iron' },
-                { x: -3, z: 7, type: 'gold' }
-            ];
-
-            const oreColors = {
-                copper: 0xb87333,
-                iron: 0x808080,
-                gold: 0xffd700
-            };
-
-            for (const ore of orePositions) {
-                // Rock base
-                const rockGeo = new THREE.DodecahedronGeometry(1.2, 0);
-                const rockMat = new THREE.MeshLambertMaterial({ color: 0x555555 });
-                const rock = new THREE.Mesh(rockGeo, rockMat);
-                rock.position.set(ore.x, 0.8, ore.z);
-                rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
-                rock.scale.set(1 + Math.random() * 0.3, 0.8 + Math.random() * 0.4, 1 + Math.random() * 0.3);
-                rock.castShadow = true;
-                mineGroup.add(rock);
-
-                // Ore vein highlights
-                const veinGeo = new THREE.DodecahedronGeometry(0.4, 0);
-                const veinMat = new THREE.MeshStandardMaterial({
-                    color: oreColors[ore.type],
-                    roughness: 0.3,
-                    metalness: 0.7,
-                    emissive: oreColors[ore.type],
-                    emissiveIntensity: 0.1
-                });
-                for (let i = 0; i < 3; i++) {
-                    const vein = new THREE.Mesh(veinGeo, veinMat);
-                    vein.position.set(
-                        ore.x + (Math.random() - 0.5) * 1.5,
-                        0.5 + Math.random() * 0.8,
-                        ore.z + (Math.random() - 0.5) * 1.5
-                    );
-                    vein.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
-                    vein.scale.setScalar(0.5 + Math.random() * 0.5);
-                    mineGroup.add(vein);
-                }
-            }
-
-            // Mine lantern for lighting
-            const lanternLight = new THREE.PointLight(0xffaa44, 1.5, 20);
-            lanternLight.position.set(0, 3, 0);
-            mineGroup.add(lanternLight);
-
-            this.scene.add(mineGroup);
-
-            // Store mine info
-            this.mine = {
-                position: { x: 0, z: -42 },
-                mesh: mineGroup,
-                interactionRange: 8,
-                isMining: false,
-                ores: {
-                    copper: 99,
-                    iron: 99,
-                    gold: 99
-                }
-            };
-
-            // Create tree chopping area
-            const treeGroup = new THREE.Group();
-
-            // Create multiple trees
-            const treePositions = [
-                { x: -3, z: 0 },
-                { x: 3, z: 0 },
-                { x: 0, z: -3 },
-                { x: -2, z: 3 },
-                { x: 2, z: 3 }
-            ];
-
-            for (const treePos of treePositions) {
-                // Tree trunk
-                const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.4, 3, 8);
-                const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-                const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-                trunk.position.set(treePos.x, 1.5, treePos.z);
-                trunk.castShadow = true;
-                treeGroup.add(trunk);
-
-                // Tree foliage (cone shape)
-                const foliageGeometry = new THREE.ConeGeometry(1.5, 3, 8);
-                const foliageMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-                const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-                foliage.position.set(treePos.x, 4, treePos.z);
-                foliage.castShadow = true;
-                treeGroup.add(foliage);
-
-                // Second layer of foliage
-                const foliage2Geometry = new THREE.ConeGeometry(1.2, 2.5, 8);
-                const foliage2 = new THREE.Mesh(foliage2Geometry, foliageMaterial);
-                foliage2.position.set(treePos.x, 5.5, treePos.z);
-                foliage2.castShadow = true;
-                treeGroup.add(foliage2);
-            }
-
-            // Stump for visual variety
-            const stumpGeometry = new THREE.CylinderGeometry(0.5, 0.6, 0.5, 8);
-            const stumpMaterial = new THREE.MeshStandardMaterial({ color: 0x654321 });
-            const stump = new THREE.Mesh(stumpGeometry, stumpMaterial);
-            stump.position.set(0, 0.25, 0);
-            stump.castShadow = true;
-            treeGroup.add(stump);
-
-            // Wood pile
-            for (let i = 0; i < 5; i++) {
-                const logGeometry = new THREE.CylinderGeometry(0.15, 0.15, 1.2, 6);
-                const logMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-                const log = new THREE.Mesh(logGeometry, logMaterial);
-                log.rotation.z = Math.PI / 2;
-                log.position.set(-4 + Math.random() * 0.3, 0.15 + (i * 0.15), Math.random() * 0.5 - 0.25);
-                log.castShadow = true;
-                treeGroup.add(log);
-            }
-
-            // Position tree area
-            treeGroup.position.set(42, 0, 0);
-            this.scene.add(treeGroup);
-
-            // Store tree info
-            this.trees = {
-                position: { x: 42, z: 0 },
-                mesh: treeGroup,
-                interactionRange: 8,
-                isChopping: false,
-                wood: {
-                    oak: 99,
-                    birch: 99,
-                    mahogany: 99
-                }
-            };
-
-            // Create crafting bench
-            const craftingGroup = new THREE.Group();
-
-            // Workbench table
-            const tableTopGeometry = new THREE.BoxGeometry(3, 0.3, 2);
-            const benchWoodMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-            const tableTop = new THREE.Mesh(tableTopGeometry, benchWoodMaterial);
-            tableTop.position.set(0, 1.1, 0);
-            tableTop.castShadow = true;
-            craftingGroup.add(tableTop);
-
-            // Table legs
-            const legGeometry = new THREE.BoxGeometry(0.2, 1, 0.2);
-            const legPositions = [
-                { x: -1.2, z: -0.7 },
-                { x: 1.2, z: -0.7 },
-                { x: -1.2, z: 0.7 },
-                { x: 1.2, z: 0.7 }
-            ];
-            for (const legPos of legPositions) {
-                const leg = new THREE.Mesh(legGeometry, benchWoodMaterial);
-                leg.position.set(legPos.x, 0.5, legPos.z);
-                leg.castShadow = true;
-                craftingGroup.add(leg);
-            }
-
-            // Tools on the bench - hammer
-            const hammerHandleGeom = new THREE.CylinderGeometry(0.05, 0.05, 0.6, 6);
-            const hammerHandle = new THREE.Mesh(hammerHandleGeom, benchWoodMaterial);
-            hammerHandle.rotation.z = Math.PI / 6;
-            hammerHandle.position.set(-0.5, 1.4, 0.3);
-            craftingGroup.add(hammerHandle);
-
-            const hammerHeadGeom = new THREE.BoxGeometry(0.15, 0.25, 0.15);
-            const benchMetalMaterial = new THREE.MeshStandardMaterial({ color: 0x555555 });
-            const hammerHead = new THREE.Mesh(hammerHeadGeom, benchMetalMaterial);
-            hammerHead.position.set(-0.7, 1.55, 0.3);
-            craftingGroup.add(hammerHead);
-
-            // Some wood planks on the bench
-            for (let i = 0; i < 3; i++) {
-                const plankGeom = new THREE.BoxGeometry(0.8, 0.1, 0.15);
-                const plank = new THREE.Mesh(plankGeom, benchWoodMaterial);
-                plank.position.set(0.5, 1.3 + i * 0.1, -0.3 + i * 0.2);
-                plank.rotation.y = Math.random() * 0.3 - 0.15;
-                craftingGroup.add(plank);
-            }
-
-            // Lantern for visibility
-            const craftLight = new THREE.PointLight(0xffdd88, 1.2, 15);
-            craftLight.position.set(0, 2.5, 0);
-            craftingGroup.add(craftLight);
-
-            // Position crafting bench (opposite side from trees)
-            craftingGroup.position.set(-42, 0, 0);
-            this.scene.add(craftingGroup);
-
-            // Store crafting bench info
-            this.craftingBench = {
-                position: { x: -42, z: 0 },
-                mesh: craftingGroup,
-                interactionRange: 6,
-                isCrafting: false
-            };
-
-            // Build walls around the dungeon perimeter
-            this.buildDungeonWalls(wallMaterial);
-
-            // Add pillars in large rooms
-            this.addPillars(accentMaterial);
-
-            // Add torches with lights
-            this.addTorchLights();
-
-            // Add environmental props
-            this.addEnvironmentProps();
-
-            this.isOutdoorMap = false;
-        } else {
-            // Dungeon environment for dungeon and boss modes
-            this.scene.background = new THREE.Color(0x1a1a2e);
-            this.scene.fog = new THREE.FogExp2(0x1a1a2e, 0.025);
-
-            // Create dungeon builder and build dungeon
-            this.dungeonBuilder = new DungeonBuilder(this.scene);
-            await this.dungeonBuilder.preloadAssets();
-
-            if (this.gameMode === 'boss') {
-                // Boss arena - larger room
-                await this.dungeonBuilder.buildRoom(0, 0, 12, 12);
-                await this.dungeonBuilder.addTorches(0, 0, 12, 12, 4);
-            } else {
-                // Standard dungeon room
-                await this.dungeonBuilder.buildTestDungeon();
-            }
-
-            this.isOutdoorMap = false;
         }
     }
 
     setupLighting() {
+        const graphics = this.settings.graphics;
+        this.shadowLights = [];
+
         if (this.isOutdoorMap) {
             // Bright outdoor lighting
             const ambient = new THREE.AmbientLight(0xffffff, 0.5);
@@ -1034,9 +574,9 @@ export class Game {
             // Sun light
             const sunLight = new THREE.DirectionalLight(0xffffee, 1.2);
             sunLight.position.set(20, 40, 20);
-            sunLight.castShadow = true;
-            sunLight.shadow.mapSize.width = 2048;
-            sunLight.shadow.mapSize.height = 2048;
+            sunLight.castShadow = graphics.shadows;
+            sunLight.shadow.mapSize.width = graphics.shadowMapSize;
+            sunLight.shadow.mapSize.height = graphics.shadowMapSize;
             sunLight.shadow.camera.near = 0.5;
             sunLight.shadow.camera.far = 100;
             sunLight.shadow.camera.left = -40;
@@ -1046,6 +586,7 @@ export class Game {
             sunLight.shadow.bias = -0.0001;
             sunLight.shadow.normalBias = 0.02;
             this.scene.add(sunLight);
+            this.shadowLights.push(sunLight);
 
             // Sky hemisphere light
             const hemi = new THREE.HemisphereLight(0x87ceeb, 0x3d5c3d, 0.6);
@@ -1058,9 +599,9 @@ export class Game {
             // Main light from above - dim moonlight through cracks
             const mainLight = new THREE.DirectionalLight(0x6688aa, 0.6);
             mainLight.position.set(10, 30, 10);
-            mainLight.castShadow = true;
-            mainLight.shadow.mapSize.width = 2048;
-            mainLight.shadow.mapSize.height = 2048;
+            mainLight.castShadow = graphics.shadows;
+            mainLight.shadow.mapSize.width = graphics.shadowMapSize;
+            mainLight.shadow.mapSize.height = graphics.shadowMapSize;
             mainLight.shadow.camera.near = 0.5;
             mainLight.shadow.camera.far = 100;
             mainLight.shadow.camera.left = -30;
@@ -1070,6 +611,7 @@ export class Game {
             mainLight.shadow.bias = -0.0001;
             mainLight.shadow.normalBias = 0.02;
             this.scene.add(mainLight);
+            this.shadowLights.push(mainLight);
 
             // Warm fill from torches
             const torchFill = new THREE.DirectionalLight(0xff6622, 0.3);
@@ -1100,7 +642,15 @@ export class Game {
         } else {
             this.player = new Player(this.scene, this);
         }
-        this.player.position.set(0, 0, 0);
+        const spawn = this.level?.playerSpawn || { x: 0, z: 0 };
+        this.player.position.set(spawn.x, 0, spawn.z);
+
+        this.experience = new Experience(this, this.player, this.selectedClass);
+        this.talents = new Talents(this, this.player, this.selectedClass);
+        this.player.talents = this.talents;
+
+        this.combatLog.reset();
+        this.combatLog.player = this.player;
     }
 
     setupCamera() {
@@ -1111,135 +661,55 @@ export class Game {
             1000
         );
         this.cameraController = new ThirdPersonCamera(this.camera, this.player);
+        this.applyCameraSettings();
     }
 
     setupInput() {
         this.input = new InputManager(this.canvas, this);
     }
 
+    // The panels outlive a game - they're built on the first start only, so a restart
+    // doesn't add their DOM listeners a second time
     setupInventoryUI() {
+        if (this.inventoryUI) return;
+
         this.inventoryUI = new InventoryUI(this);
+        this.shopUI = new ShopUI(this);
+        this.talentUI = new TalentUI(this);
+        this.combatLogUI = new CombatLogUI(this);
     }
 
     spawnEnemies() {
-        // No enemies in adventure mode (peaceful starting zone)
-        if (this.gameMode === 'adventure') {
-            return;
-        }
-
-        if (this.gameMode === 'boss') {
-            // Skeleton Boss fight - elite warrior with minion guards
-            const boss = createSkeletonEnemy(this.scene, 0, 10, 'warrior');
-            boss.name = 'Skeleton Champion';
-            boss.maxHealth = 500;
-            boss.health = boss.maxHealth;
-            boss.attackDamage = 25;
-            this.enemies.push(boss);
-
-            // Guard minions
-            const guardPositions = [
-                { x: -5, z: 8, type: 'minion' },
-                { x: 5, z: 8, type: 'minion' },
-                { x: -3, z: 12, type: 'rogue' },
-                { x: 3, z: 12, type: 'rogue' }
-            ];
-            for (const pos of guardPositions) {
-                const guard = createSkeletonEnemy(this.scene, pos.x, pos.z, pos.type);
-                this.enemies.push(guard);
+        const enemyData = this.level?.enemies;
+        if (!enemyData) return;
+
+        for (const spawn of enemyData.spawns || []) {
+            let skeleton;
+            if (spawn.boss) {
+                const definition = getBossDefinition(spawn.boss);
+                if (!definition) {
+                    console.warn(`Unknown boss: ${spawn.boss}`);
+                    continue;
+                }
+                skeleton = createBoss(this.scene, spawn.x, spawn.z, definition);
+                this.activeBoss = skeleton;
+            } else {
+                skeleton = createSkeletonEnemy(this.scene, spawn.x, spawn.z, spawn.type);
             }
-        } else if (this.gameMode === 'horde') {
-            // Skeleton horde - spread through winding dungeon
-            const positions = [];
-
-            // First corridor (x=0, z=10-45)
-            positions.push(
-                { x: -5, z: 15, type: 'minion' },
-                { x: 5, z: 15, type: 'minion' },
-                { x: 0, z: 22, type: 'warrior' },
-                { x: -6, z: 30, type: 'rogue' },
-                { x: 6, z: 30, type: 'rogue' },
-                { x: 0, z: 38, type: 'mage' },
-                { x: -4, z: 42, type: 'minion' },
-                { x: 4, z: 42, type: 'minion' }
-            );
-
-            // Turn section (around x=20, z=55)
-            positions.push(
-                { x: 15, z: 55, type: 'warrior' },
-                { x: 25, z: 55, type: 'warrior' },
-                { x: 20, z: 60, type: 'mage' },
-                { x: 10, z: 58, type: 'minion' },
-                { x: 30, z: 52, type: 'rogue' }
-            );
-
-            // Right corridor (x=35-70, z=45-65)
-            positions.push(
-                { x: 40, z: 50, type: 'minion' },
-                { x: 50, z: 55, type: 'warrior' },
-                { x: 45, z: 60, type: 'rogue' },
-                { x: 55, z: 48, type: 'minion' },
-                { x: 60, z: 55, type: 'mage' },
-                { x: 65, z: 50, type: 'rogue' }
-            );
-
-            // Large room (x=65-95, z=18-42)
-            positions.push(
-                { x: 70, z: 25, type: 'warrior' },
-                { x: 90, z: 25, type: 'warrior' },
-                { x: 80, z: 20, type: 'mage' },
-                { x: 75, z: 35, type: 'rogue' },
-                { x: 85, z: 35, type: 'rogue' },
-                { x: 80, z: 30, type: 'minion' },
-                { x: 72, z: 18, type: 'minion' },
-                { x: 88, z: 18, type: 'minion' }
-            );
-
-            // Corridor to final chamber (x=75-85, z=55-95)
-            positions.push(
-                { x: 78, z: 60, type: 'minion' },
-                { x: 82, z: 65, type: 'minion' },
-                { x: 80, z: 72, type: 'warrior' },
-                { x: 76, z: 80, type: 'rogue' },
-                { x: 84, z: 80, type: 'rogue' },
-                { x: 80, z: 88, type: 'mage' },
-                { x: 78, z: 95, type: 'minion' },
-                { x: 82, z: 95, type: 'minion' }
-            );
-
-            // Final chamber (x=65-95, z=105-135) - boss room
-            positions.push(
-                { x: 70, z: 110, type: 'warrior' },
-                { x: 90, z: 110, type: 'warrior' },
-                { x: 75, z: 118, type: 'rogue' },
-                { x: 85, z: 118, type: 'rogue' },
-                { x: 70, z: 125, type: 'mage' },
-                { x: 90, z: 125, type: 'mage' },
-                { x: 80, z: 130, type: 'warrior' }, // Mini-boss position
-                { x: 75, z: 132, type: 'minion' },
-                { x: 85, z: 132, type: 'minion' }
-            );
 
-            for (const pos of positions) {
-                const skeleton = createSkeletonEnemy(this.scene, pos.x, pos.z, pos.type);
-                skeleton.spawnData = { x: pos.x, z: pos.z, type: pos.type };
-                this.enemies.push(skeleton);
+            // Optional per-spawn overrides (named elites, bosses)
+            if (spawn.name) skeleton.name = spawn.name;
+            if (spawn.health) {
+                skeleton.maxHealth = spawn.health;
+                skeleton.health = spawn.health;
             }
-        } else {
-            // Dungeon mode - balanced skeleton group
-            const positions = [
-                { x: 5, z: 5, type: 'warrior' },
-                { x: -5, z: 5, type: 'warrior' },
-                { x: 0, z: 8, type: 'mage' },
-                { x: 3, z: -3, type: 'minion' },
-                { x: -3, z: -3, type: 'minion' },
-                { x: 6, z: -2, type: 'rogue' }
-            ];
-
-            for (const pos of positions) {
-                const skeleton = createSkeletonEnemy(this.scene, pos.x, pos.z, pos.type);
-                skeleton.spawnData = { x: pos.x, z: pos.z, type: pos.type };
-                this.enemies.push(skeleton);
+            if (spawn.damage) skeleton.attackDamage = spawn.damage;
+
+            // Only respawning levels track spawn data for the respawn queue
+            if (enemyData.respawn) {
+                skeleton.spawnData = { x: spawn.x, z: spawn.z, type: spawn.type };
             }
+            this.enemies.push(skeleton);
         }
     }
 
@@ -1261,6 +731,30 @@ export class Game {
         }
     }
 
+    // Spawn skeletons a boss queued on a phase change, in a ring around it
+    spawnBossAdds() {
+        for (const boss of this.enemies) {
+            if (!boss.isBoss || !boss.pendingAdds?.length) continue;
+
+            const adds = boss.pendingAdds.splice(0);
+            adds.forEach((type, i) => {
+                const angle = (i / adds.length) * Math.PI * 2;
+                const add = createSkeletonEnemy(
+                    this.scene,
+                    boss.position.x + Math.cos(angle) * 4,
+                    boss.position.z + Math.sin(angle) * 4,
+                    type
+                );
+                add.addThreat(this.player, 0, false); // Adds join the boss fight, not their neighbours
+                this.enemies.push(add);
+
+                if (this.particles) {
+                    this.particles.portalEffect(add.position);
+                }
+            });
+        }
+    }
+
     targetClosestEnemy() {
         if (this.enemies.length === 0) return;
 
@@ -1385,14 +879,17 @@ export class Game {
         }
 
         // Update enemies
+        if (this.navGrid) {
+            this.navGrid.beginFrame();
+        }
         for (const enemy of this.enemies) {
             if (enemy.isAlive) {
-                enemy.update(deltaTime, this.player, this.camera);
+                enemy.update(deltaTime, this.player, this.camera, this.navGrid);
             }
 
             // Check for hit particles - skeleton bone particles
             if (enemy.lastHitPosition && this.particles) {
-                const isBoss = enemy.name === 'Skeleton Champion';
+                const isBoss = enemy.isBoss;
 
                 if (isBoss) {
                     // Boss hit - more intense
@@ -1410,7 +907,7 @@ export class Game {
 
             // Check for death particles - skeleton collapse
             if (enemy.justDied && this.particles) {
-                const isBoss = enemy.name === 'Skeleton Champion';
+                const isBoss = enemy.isBoss;
 
                 if (isBoss) {
                     this.particles.deathExplosion(enemy.deathPosition, 0xffddaa, 2.5);
@@ -1429,9 +926,17 @@ export class Game {
                     }
                 }
 
+                if (this.horde) {
+                    this.horde.onEnemyKilled(enemy);
+                }
+
+                if (this.experience) {
+                    this.experience.addXP(this.experience.getKillXP(enemy));
+                }
+
                 // Spawn loot drops
                 if (this.worldItems) {
-                    const lootType = isBoss ? 'skeleton_boss' : `skeleton_${enemy.skeletonType || 'minion'}`;
+                    const lootType = enemy.lootTable || `skeleton_${enemy.skeletonType || 'minion'}`;
                     this.worldItems.spawnLoot(enemy.deathPosition, lootType);
                 }
 
@@ -1439,6 +944,14 @@ export class Game {
             }
         }
 
+        // Boss add waves
+        this.spawnBossAdds();
+
+        // Horde waves and scoring
+        if (this.horde) {
+            this.horde.update(deltaTime);
+        }
+
         // Process respawn queue
         this.updateRespawns(deltaTime);
 
@@ -1450,8 +963,10 @@ export class Game {
             // Check collision with enemies
             for (const enemy of this.enemies) {
                 if (enemy.isAlive && proj.checkHit(enemy)) {
-                    enemy.takeDamage(proj.damage, this.player);
-                    this.effects.createDamageNumber(enemy.position, proj.damage);
+                    this.damage.deal({
+                        target: enemy, amount: proj.damage, type: DamageType.PHYSICAL,
+                        source: proj.owner || this.player, tags: ['projectile']
+                    });
                     proj.alive = false;
                 }
             }
@@ -1462,6 +977,11 @@ export class Game {
             }
         }
 
+        // Update enemy projectiles
+        if (this.enemyProjectiles) {
+            this.enemyProjectiles.update(deltaTime);
+        }
+
         // Update damage numbers
         for (let i = this.damageNumbers.length - 1; i >= 0; i--) {
             const dn = this.damageNumbers[i];
@@ -1557,8 +1077,11 @@ export class Game {
         if (this.gameMode === 'adventure') {
             this.updateNPCProximity();
             this.updateQuestTrackerUI();
-            // Update NPC animations
+            // Update NPC animations and vendor restocks
             for (const npc of this.npcs) {
+                if (npc.vendor) {
+                    npc.vendor.update(deltaTime);
+                }
                 if (npc.useKayKit && npc.character) {
                     npc.character.update(deltaTime);
                 } else if (npc.mixer) {
@@ -1567,10 +1090,42 @@ export class Game {
             }
         }
 
+        // Timed and requested autosaves
+        this.autoSaver.update(deltaTime);
+
         // Update UI
         this.updateUI();
     }
 
+    // Create fishing lake water surface
+    createFishingLake(config) {
+        const { position } = config;
+        const size = config.size || 12;
+
+        const waterGeo = new THREE.PlaneGeometry(size, size);
+        const waterMat = new THREE.MeshStandardMaterial({
+            color: 0x2266aa,
+            roughness: 0.2,
+            metalness: 0.3,
+            transparent: true,
+            opacity: 0.85
+        });
+        const waterMesh = new THREE.Mesh(waterGeo, waterMat);
+        waterMesh.rotation.x = -Math.PI / 2;
+        waterMesh.position.set(position.x, 0.05, position.z);
+        waterMesh.receiveShadow = true;
+        this.scene.add(waterMesh);
+
+        // Store fishing lake info
+        this.fishingLake = {
+            position: { x: position.x, z: position.z },
+            waterMesh: waterMesh,
+            interactionRange: config.interactionRange || 6,
+            isFishing: false,
+            bobberMesh: null
+        };
+    }
+
     // Check proximity to fishing lake and show/hide prompt
     updateFishing(deltaTime) {
         if (!this.fishingLake || !this.player) return;
@@ -1655,7 +1210,7 @@ export class Game {
                     // Fish bites!
                     mg.state = 'bite';
                     mg.biteWindow = 2.0; // 2 seconds to react
-                    statusText.textContent = '!! FISH ON !! Press F!';
+                    statusText.textContent = `!! FISH ON !! Press ${this.keybindings.getLabel('interact')}!`;
                     statusText.className = 'alert';
 
                     // Play splash effect
@@ -1668,7 +1223,7 @@ export class Game {
             case 'bite':
                 // Player must press F quickly
                 mg.biteWindow -= deltaTime;
-                statusText.textContent = `!! FISH ON !! Press F! (${mg.biteWindow.toFixed(1)}s)`;
+                statusText.textContent = `!! FISH ON !! Press ${this.keybindings.getLabel('interact')}! (${mg.biteWindow.toFixed(1)}s)`;
 
                 if (mg.biteWindow <= 0) {
                     this.stopFishing('The fish got away!');
@@ -1748,7 +1303,7 @@ export class Game {
         if (!mg) return;
 
         mg.state = 'qte';
-        mg.keys = ['W', 'A', 'S', 'D'];
+        mg.keys = QTE_ACTIONS; // Queued as actions, shown as their bound keys
         mg.gameTimer = 30; // 30 second game
         mg.keysCompleted = 0;
         mg.score = 0;
@@ -1798,7 +1353,7 @@ export class Game {
         // Update current key
         const qteKey = document.getElementById('qte-current-key');
         if (qteKey) {
-            qteKey.textContent = mg.keyQueue[0];
+            qteKey.textContent = this.keybindings.getLabel(mg.keyQueue[0]);
             qteKey.className = '';
         }
 
@@ -1808,22 +1363,21 @@ export class Game {
             const queueKeys = queueContainer.querySelectorAll('.queue-key');
             for (let i = 0; i < queueKeys.length; i++) {
                 if (mg.keyQueue[i + 1]) {
-                    queueKeys[i].textContent = mg.keyQueue[i + 1];
+                    queueKeys[i].textContent = this.keybindings.getLabel(mg.keyQueue[i + 1]);
                 }
             }
         }
     }
 
-    // Handle QTE key press
-    handleQTEKeyPress(key) {
+    // Handle QTE key press - action is one of QTE_ACTIONS
+    handleQTEKeyPress(action) {
         const mg = this.fishingLake?.minigame;
         if (!mg || mg.state !== 'qte') return false;
 
-        const pressedKey = key.toUpperCase();
         const qteKey = document.getElementById('qte-current-key');
         const feedback = document.getElementById('qte-feedback');
 
-        if (pressedKey === mg.keyQueue[0]) {
+        if (action === mg.keyQueue[0]) {
             // Correct key!
             const reactionTime = (performance.now() - mg.lastKeyTime) / 1000;
             const timeBonus = Math.max(0, (mg.keyTimeLimit - reactionTime) / mg.keyTimeLimit);
@@ -1995,6 +1549,59 @@ export class Game {
 
     // ==================== CAMPFIRE / COOKING ====================
 
+    createCampfire(config) {
+        const { position } = config;
+        const campfireGroup = new THREE.Group();
+        campfireGroup.position.set(position.x, 0, position.z);
+
+        // Stone ring around fire
+        const ringGeo = new THREE.TorusGeometry(1.2, 0.3, 8, 16);
+        const ringMat = new THREE.MeshLambertMaterial({ color: 0x555555 });
+        const ring = new THREE.Mesh(ringGeo, ringMat);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.15;
+        campfireGroup.add(ring);
+
+        // Logs
+        const logGeo = new THREE.CylinderGeometry(0.15, 0.15, 1.5, 8);
+        const logMat = new THREE.MeshLambertMaterial({ color: 0x4a3525 });
+        for (let i = 0; i < 4; i++) {
+            const log = new THREE.Mesh(logGeo, logMat);
+            log.rotation.z = Math.PI / 2;
+            log.rotation.y = (i * Math.PI) / 4;
+            log.position.y = 0.2;
+            campfireGroup.add(log);
+        }
+
+        // Fire glow (emissive sphere)
+        const fireGeo = new THREE.SphereGeometry(0.6, 8, 8);
+        const fireMat = new THREE.MeshBasicMaterial({
+            color: 0xff6622,
+            transparent: true,
+            opacity: 0.8
+        });
+        const fireMesh = new THREE.Mesh(fireGeo, fireMat);
+        fireMesh.position.y = 0.5;
+        campfireGroup.add(fireMesh);
+
+        // Fire light
+        const fireLight = new THREE.PointLight(0xff6622, 2, 15);
+        fireLight.position.y = 1;
+        campfireGroup.add(fireLight);
+
+        this.scene.add(campfireGroup);
+
+        // Store campfire info
+        this.campfire = {
+            position: { x: position.x, z: position.z },
+            mesh: campfireGroup,
+            fireMesh: fireMesh,
+            fireLight: fireLight,
+            interactionRange: config.interactionRange || 5,
+            isCooking: false
+        };
+    }
+
     updateCampfire(deltaTime) {
         if (!this.campfire || !this.player) return;
 
@@ -2276,6 +1883,68 @@ export class Game {
 
     // ==================== MINING ====================
 
+    // Create mine chamber with several ore rocks
+    createMineChamber(config) {
+        const { position } = config;
+        const mineGroup = new THREE.Group();
+        mineGroup.position.set(position.x, 0, position.z);
+
+        const oreColors = {
+            copper: 0xb87333,
+            iron: 0x808080,
+            gold: 0xffd700
+        };
+
+        for (const ore of config.rocks || []) {
+            // Rock base
+            const rockGeo = new THREE.DodecahedronGeometry(1.2, 0);
+            const rockMat = new THREE.MeshLambertMaterial({ color: 0x555555 });
+            const rock = new THREE.Mesh(rockGeo, rockMat);
+            rock.position.set(ore.x, 0.8, ore.z);
+            rock.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+            rock.scale.set(1 + Math.random() * 0.3, 0.8 + Math.random() * 0.4, 1 + Math.random() * 0.3);
+            rock.castShadow = true;
+            mineGroup.add(rock);
+
+            // Ore vein highlights
+            const veinGeo = new THREE.DodecahedronGeometry(0.4, 0);
+            const veinMat = new THREE.MeshStandardMaterial({
+                color: oreColors[ore.ore],
+                roughness: 0.3,
+                metalness: 0.7,
+                emissive: oreColors[ore.ore],
+                emissiveIntensity: 0.1
+            });
+            for (let i = 0; i < 3; i++) {
+                const vein = new THREE.Mesh(veinGeo, veinMat);
+                vein.position.set(
+                    ore.x + (Math.random() - 0.5) * 1.5,
+                    0.5 + Math.random() * 0.8,
+                    ore.z + (Math.random() - 0.5) * 1.5
+                );
+                vein.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+                vein.scale.setScalar(0.5 + Math.random() * 0.5);
+                mineGroup.add(vein);
+            }
+        }
+
+        // Mine lantern for lighting
+        const lanternLight = new THREE.PointLight(0xffaa44, 1.5, 20);
+        lanternLight.position.set(0, 3, 0);
+        mineGroup.add(lanternLight);
+
+        this.scene.add(mineGroup);
+
+        // Store mine info
+        this.mine = {
+            position: { x: position.x, z: position.z },
+            mesh: mineGroup,
+            interactionRange: config.interactionRange || 8,
+            isMining: false,
+            ores: { ...(config.ores || { copper: 99, iron: 99, gold: 99 }) }
+        };
+    }
+
     updateMine(deltaTime) {
         if (!this.mine || !this.player) return;
 
@@ -3252,6 +2921,7 @@ export class Game {
 
             this.stopAnvilForging();
             this.showAnvilMessage(`Forged ${state.recipe.name}!`, 'uncommon');
+            this.experience?.addXP(XP_REWARDS.craft);
 
             // Auto-save after forging
             this.autoSave();
@@ -3806,6 +3476,7 @@ export class Game {
 
         document.getElementById('crafting-popup')?.classList.remove('visible');
         this.showCraftingMessage(`Crafted: ${itemDef?.name || state.recipe.name}!`, 'uncommon');
+        this.experience?.addXP(XP_REWARDS.craft);
 
         // Auto-save after crafting
         this.autoSave();
@@ -3935,8 +3606,10 @@ export class Game {
 
                 const dist = this.player.position.distanceTo(hazard.position);
                 if (dist < hazard.radius) {
-                    this.player.takeDamage(hazard.damage);
-                    this.effects.createDamageNumber(this.player.position, hazard.damage, false);
+                    this.damage.deal({
+                        target: this.player, amount: hazard.damage, type: HAZARD_DAMAGE_TYPES[hazard.type] || DamageType.PHYSICAL,
+                        tags: ['hazard']
+                    });
                 }
             }
 
@@ -3952,12 +3625,68 @@ export class Game {
         }
     }
 
+    // Player status effects above the health bar - rebuilt only when effects change
+    updateStatusIcons() {
+        const statusEffects = this.player.statusEffects;
+        if (this.shownStatusEffects === statusEffects && this.shownStatusVersion === statusEffects.version) return;
+        this.shownStatusEffects = statusEffects;
+        this.shownStatusVersion = statusEffects.version;
+
+        const container = document.getElementById('status-icons');
+        container.innerHTML = '';
+        for (const effect of statusEffects.list()) {
+            const icon = document.createElement('div');
+            icon.className = 'status-icon';
+            icon.style.borderColor = effect.def.color;
+            icon.title = effect.def.name;
+            icon.textContent = effect.def.icon;
+            if (effect.stacks > 1) {
+                const stacks = document.createElement('span');
+                stacks.className = 'status-stacks';
+                stacks.textContent = effect.stacks;
+                icon.appendChild(stacks);
+            }
+            container.appendChild(icon);
+        }
+    }
+
+    updateBossBar() {
+        const bar = document.getElementById('boss-bar');
+        const boss = this.activeBoss;
+        if (!boss || !boss.isAlive || !boss.isAggro) {
+            bar.style.display = 'none';
+            return;
+        }
+
+        bar.style.display = 'block';
+        bar.classList.toggle('enraged', boss.enraged);
+        document.getElementById('boss-name').textContent = boss.name;
+        document.getElementById('boss-health-fill').style.width = `${(boss.health / boss.maxHealth) * 100}%`;
+        document.getElementById('boss-phase').textContent = boss.phaseAnnouncement || '';
+
+        // Enrage countdown
+        const enrageEl = document.getElementById('boss-enrage');
+        const enrageTime = boss.definition.enrageTime;
+        if (boss.enraged) {
+            enrageEl.textContent = 'ENRAGED';
+        } else if (enrageTime) {
+            const remaining = Math.max(0, Math.ceil(enrageTime - boss.fightTime));
+            enrageEl.textContent = `Enrage ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+        } else {
+            enrageEl.textContent = '';
+        }
+    }
+
     checkPlayerEnemyCollision() {
         for (const enemy of this.enemies) {
             if (!enemy.isAlive) continue;
+            // AI-driven enemies attack from their own attack state
+            if (enemy.ai) continue;
 
             const dist = this.player.position.distanceTo(enemy.position);
             if (dist < enemy.attackRange || dist < 1.5) {
+                // No attacking through walls
+                if (this.navGrid && !this.navGrid.hasLineOfSight(enemy.position, this.player.position)) continue;
                 enemy.tryAttack(this.player);
             }
         }
@@ -3970,9 +3699,39 @@ export class Game {
         document.getElementById('health-text').textContent =
             `${Math.ceil(this.player.health)} / ${this.player.maxHealth}`;
 
+        // Class resource bar - hidden for kits without one
+        const resourceBar = document.getElementById('resource-bar');
+        const resource = this.player.resource;
+        if (resource) {
+            const maxResource = resource.max;
+            resourceBar.style.display = 'block';
+            resourceBar.className = resource.type;
+            document.getElementById('resource-fill').style.width = `${(resource.current / maxResource) * 100}%`;
+            document.getElementById('resource-text').textContent =
+                `${Math.floor(resource.current)} / ${maxResource}`;
+        } else {
+            resourceBar.style.display = 'none';
+        }
+
+        // Dodge stamina - greyed out while a roll can't be afforded
+        const staminaBar = document.getElementById('stamina-bar');
+        document.getElementById('stamina-fill').style.width = `${(this.player.stamina / this.player.maxStamina) * 100}%`;
+        staminaBar.classList.toggle('low', !this.player.canAffordDodge());
+
+        this.updateStatusIcons();
+        this.combatLogUI?.update();
+
+        // XP bar
+        if (this.experience) {
+            this.experience.updateUI();
+        }
+
         // Update minimap
         this.updateMinimap();
 
+        // Boss health bar
+        this.updateBossBar();
+
         // Target frame
         const targetFrame = document.getElementById('target-frame');
         if (this.player.targetEnemy && this.player.targetEnemy.isAlive) {
@@ -3986,64 +3745,12 @@ export class Game {
             targetFrame.style.display = 'none';
         }
 
-        // Ability cooldowns - different for each class
-        if (this.selectedClass === 'mage') {
-            this.updateAbilityCooldown('q', this.player.abilities.blizzard);
-            this.updateAbilityCooldown('f', this.player.abilities.flameWave);
-            this.updateAbilityCooldown('e', this.player.abilities.frostNova);
-            this.updateAbilityCooldown('r', this.player.abilities.blink);
-            this.updateAbilityCooldown('c', this.player.abilities.frozenOrb);
-            this.updateAbilityCooldown('1', this.player.abilities.potion);
-        } else if (this.selectedClass === 'hunter') {
-            this.updateAbilityCooldown('q', this.player.abilities.arrowWave);
-            this.updateAbilityCooldown('f', this.player.abilities.spinDash);
-            this.updateAbilityCooldown('e', this.player.abilities.shotgun);
-            this.updateAbilityCooldown('r', this.player.abilities.trap);
-            this.updateAbilityCooldown('c', this.player.abilities.giantArrow);
-            this.updateAbilityCooldown('1', this.player.abilities.potion);
-        } else if (this.selectedClass === 'adventurer') {
-            // Adventurer abilities depend on equipped weapon type
-            const weaponType = this.player.currentWeaponType;
-            // Debug: log what we're seeing every 60 frames
-            if (!this._uiDebugCounter) this._uiDebugCounter = 0;
-            this._uiDebugCounter++;
-            if (this._uiDebugCounter % 60 === 1) {
-                console.log('updateUI adventurer check:', {
-                    weaponType,
-                    arrowWaveCD: this.player.abilities.arrowWave?.cooldownRemaining,
-                    blizzardCD: this.player.abilities.blizzard?.cooldownRemaining,
-                    cleaveCD: this.player.abilities.cleave?.cooldownRemaining
-                });
-            }
-            if (weaponType === 'staff') {
-                this.updateAbilityCooldown('q', this.player.abilities.blizzard);
-                this.updateAbilityCooldown('f', this.player.abilities.flameWave);
-                this.updateAbilityCooldown('e', this.player.abilities.frostNova);
-                this.updateAbilityCooldown('r', this.player.abilities.blink);
-                this.updateAbilityCooldown('c', this.player.abilities.frozenOrb);
-                this.updateAbilityCooldown('1', this.player.abilities.potion);
-            } else if (weaponType === 'bow') {
-                this.updateAbilityCooldown('q', this.player.abilities.arrowWave);
-                this.updateAbilityCooldown('f', this.player.abilities.spinDash);
-                this.updateAbilityCooldown('e', this.player.abilities.shotgun);
-                this.updateAbilityCooldown('r', this.player.abilities.trap);
-                this.updateAbilityCooldown('c', this.player.abilities.giantArrow);
-                this.updateAbilityCooldown('1', this.player.abilities.potion);
-            } else if (weaponType === 'sword' || weaponType === 'dagger') {
-                this.updateAbilityCooldown('q', this.player.abilities.cleave);
-                this.updateAbilityCooldown('f', this.player.abilities.whirlwind);
-                this.updateAbilityCooldown('e', this.player.abilities.parry);
-                this.updateAbilityCooldown('r', this.player.abilities.heroicLeap);
-                this.updateAbilityCooldown('c', this.player.abilities.cleave); // No 5th warrior ability, reuse cleave
-                this.updateAbilityCooldown('1', this.player.abilities.potion);
+        // Ability cooldowns for the player's kit
+        for (const key of ABILITY_SLOTS) {
+            const abilityId = this.player.getSlotAbility(key);
+            if (abilityId) {
+                this.updateAbilityCooldown(key, this.player.abilities[abilityId]);
             }
-        } else {
-            this.updateAbilityCooldown('q', this.player.abilities.cleave);
-            this.updateAbilityCooldown('f', this.player.abilities.whirlwind);
-            this.updateAbilityCooldown('e', this.player.abilities.parry);
-            this.updateAbilityCooldown('r', this.player.abilities.heroicLeap);
-            this.updateAbilityCooldown('c', this.player.abilities.sunder);
-            this.updateAbilityCooldown('1', this.player.abilities.potion);
         }
     }
 
@@ -4072,6 +3779,38 @@ export class Game {
         } else {
             element.classList.remove('charging');
         }
+
+        const resource = this.player.resource;
+        if (ability.cost > 0 && !(resource && resource.canAfford(ability.cost))) {
+            element.classList.add('no-resource');
+        } else {
+            element.classList.remove('no-resource');
+        }
+    }
+
+    // Failed cast feedback - message above the ability bar and a flash on the ability's slot
+    showCastFailed(abilityId, message) {
+        const messageEl = document.getElementById('cast-error');
+        if (messageEl) {
+            messageEl.textContent = message;
+            messageEl.classList.remove('show');
+            // Restart the CSS animation
+            void messageEl.offsetWidth;
+            messageEl.classList.add('show');
+        }
+
+        // abilityId is null for failures that aren't on the ability bar (dodge)
+        const key = abilityId && ABILITY_SLOTS.find(slot => this.player?.getSlotAbility(slot) === abilityId);
+        const element = key ? document.getElementById(`ability-${key}`) : null;
+        if (element) {
+            element.classList.remove('cast-failed');
+            void element.offsetWidth;
+            element.classList.add('cast-failed');
+        }
+
+        if (this.sound) {
+            this.sound.play('castFailed');
+        }
     }
 
     render() {
@@ -4098,8 +3837,9 @@ export class Game {
 
     addScreenShake(intensity) {
         if (this.screenShake) {
-            // Reduce intensity significantly
-            this.screenShake.intensity = Math.max(this.screenShake.intensity, intensity * 0.15);
+            // Reduce intensity significantly, then scale by the player's setting
+            const scaled = intensity * 0.15 * this.settings.get('screenShake');
+            this.screenShake.intensity = Math.max(this.screenShake.intensity, scaled);
         }
     }
 
@@ -4123,6 +3863,47 @@ export class Game {
         }, type === 'heal' ? 400 : type === 'critical' ? 350 : 250);
     }
 
+    // ==================== SETTINGS ====================
+
+    applySettings() {
+        const settings = this.settings;
+        this.sound.setMasterVolume(settings.get('masterVolume'));
+        this.sound.setSFXVolume(settings.get('sfxVolume'));
+        this.sound.setMusicVolume(settings.get('musicVolume'));
+        this.sound.setMuted(settings.get('muted'));
+        this.effects.showHealNumbers = settings.get('healNumbers');
+
+        this.applyGraphicsSettings();
+        this.applyCameraSettings();
+    }
+
+    // Pixel ratio and shadows switch live - antialiasing needs a reload
+    applyGraphicsSettings() {
+        const graphics = this.settings.graphics;
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, graphics.pixelRatio));
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+
+        for (const light of this.shadowLights) {
+            light.castShadow = graphics.shadows;
+            if (light.shadow.mapSize.width !== graphics.shadowMapSize) {
+                light.shadow.mapSize.set(graphics.shadowMapSize, graphics.shadowMapSize);
+                // Three.js only sizes the shadow map when it creates it
+                if (light.shadow.map) {
+                    light.shadow.map.dispose();
+                    light.shadow.map = null;
+                }
+            }
+        }
+    }
+
+    applyCameraSettings() {
+        if (!this.cameraController) return;
+        this.cameraController.setSensitivity(this.settings.get('cameraSensitivity'));
+        this.cameraController.setZoomLimits(this.settings.get('cameraMinZoom'), this.settings.get('cameraMaxZoom'));
+    }
+
+    // ==================== END SETTINGS ====================
+
     onResize() {
         if (this.camera) {
             this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -4173,17 +3954,8 @@ export class Game {
         this.minimapCanvas = document.getElementById('minimap-canvas');
         this.minimapCtx = this.minimapCanvas.getContext('2d');
 
-        // Minimap settings based on game mode
-        if (this.gameMode === 'adventure') {
-            // Adventure mode starting zone
-            this.minimapBounds = { minX: -35, maxX: 35, minZ: -15, maxZ: 40 };
-        } else if (this.gameMode === 'horde') {
-            // Winding dungeon bounds (extended for fishing lake and mine)
-            this.minimapBounds = { minX: -50, maxX: 110, minZ: -55, maxZ: 150 };
-        } else {
-            // Standard dungeon/boss bounds
-            this.minimapBounds = { minX: -20, maxX: 20, minZ: -20, maxZ: 20 };
-        }
+        // Minimap bounds come from the level definition
+        this.minimapBounds = this.level?.minimap?.bounds || { minX: -20, maxX: 20, minZ: -20, maxZ: 20 };
     }
 
     // Update minimap each frame
@@ -4211,289 +3983,71 @@ export class Game {
             y: offsetY + (z - centerZ) * scale
         });
 
-        // Draw floor areas (simplified rectangles)
-        ctx.fillStyle = 'rgba(60, 60, 80, 0.5)';
-        if (this.gameMode === 'adventure') {
-            // Draw full grassy terrain (100x100 centered at origin)
-            ctx.fillStyle = 'rgba(61, 107, 61, 0.6)';
-            const groundPos = toMinimap(-50, -50);
-            ctx.fillRect(groundPos.x, groundPos.y, 100 * scale, 100 * scale);
-
-            // Draw main dirt path (north from spawn)
-            ctx.fillStyle = 'rgba(107, 90, 61, 0.7)';
-            const pathPos = toMinimap(-2, -5);
-            ctx.fillRect(pathPos.x, pathPos.y, 4 * scale, 25 * scale);
-
-            // Draw path to mine area (northeast diagonal)
+        // Draw level shapes (floors, paths, station areas) - rotation in degrees
+        for (const shape of this.level?.minimap?.shapes || []) {
+            ctx.fillStyle = shape.color || 'rgba(60, 60, 80, 0.5)';
+            const pos = toMinimap(shape.x, shape.z);
             ctx.save();
-            const minePathPos = toMinimap(15, 20);
-            ctx.translate(minePathPos.x, minePathPos.y);
-            ctx.rotate(Math.PI / 4);
-            ctx.fillRect(-2 * scale, -7.5 * scale, 4 * scale, 15 * scale);
+            ctx.translate(pos.x, pos.y);
+            if (shape.rotation) ctx.rotate(THREE.MathUtils.degToRad(shape.rotation));
+            ctx.fillRect(-shape.width / 2 * scale, -shape.length / 2 * scale, shape.width * scale, shape.length * scale);
             ctx.restore();
+        }
 
-            // Draw path to woodworking area (southwest)
-            ctx.save();
-            const woodPathPos = toMinimap(-15, -15);
-            ctx.translate(woodPathPos.x, woodPathPos.y);
-            ctx.rotate(Math.PI / 6);
-            ctx.fillRect(-2 * scale, -12.5 * scale, 4 * scale, 25 * scale);
-            ctx.restore();
-
-            // Draw mine rock area
-            if (this.mine) {
-                ctx.fillStyle = 'rgba(85, 85, 85, 0.5)';
-                const mineAreaPos = toMinimap(this.mine.position.x - 8, this.mine.position.z - 8);
-                ctx.fillRect(mineAreaPos.x, mineAreaPos.y, 16 * scale, 16 * scale);
-            }
-
-            // Draw forest area around trees
-            if (this.trees) {
-                ctx.fillStyle = 'rgba(34, 70, 34, 0.6)';
-                const forestPos = toMinimap(this.trees.position.x - 12, this.trees.position.z - 12);
-                ctx.fillRect(forestPos.x, forestPos.y, 24 * scale, 24 * scale);
-            }
+        // Draw station icons
+        const stationIcons = [
+            { station: this.fishingLake, icon: '~', color: '#00ccff', font: 'bold 12px Arial' },
+            { station: this.campfire, icon: '🔥', color: '#ff6622', font: 'bold 12px Arial' },
+            { station: this.mine, icon: '⛏', color: '#aabbcc', font: 'bold 12px Arial' },
+            { station: this.trees, icon: '🌲', color: '#44aa44', font: 'bold 12px Arial' },
+            { station: this.craftingBench, icon: '🔨', color: '#ddaa66', font: 'bold 12px Arial' },
+            { station: this.smelter, icon: '🔶', color: '#ff6600', font: 'bold 12px Arial' },
+            { station: this.anvil, icon: '⚒️', color: '#888899', font: 'bold 11px Arial' }
+        ];
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const { station, icon, color, font } of stationIcons) {
+            if (!station) continue;
+            ctx.fillStyle = color;
+            ctx.font = font;
+            const iconPos = toMinimap(station.position.x, station.position.z);
+            ctx.fillText(icon, iconPos.x, iconPos.y);
+        }
 
-            // Draw NPCs (yellow dots)
+        // Draw NPCs (yellow dots)
+        for (const npc of this.npcs) {
             ctx.fillStyle = '#ffcc00';
-            for (const npc of this.npcs) {
-                const npcPos = toMinimap(npc.position.x, npc.position.z);
-                ctx.beginPath();
-                ctx.arc(npcPos.x, npcPos.y, 5, 0, Math.PI * 2);
-                ctx.fill();
-                // Quest indicator
-                const quest = this.quests[npc.quest?.id];
-                if (quest && (quest.status === 'available' || (quest.status === 'active' && this.isQuestComplete(quest)))) {
-                    ctx.fillStyle = '#ffff00';
-                    ctx.font = 'bold 10px Arial';
-                    ctx.textAlign = 'center';
-                    ctx.fillText('!', npcPos.x, npcPos.y - 8);
-                }
-            }
-
-            // Draw ore node
-            if (this.mine) {
-                ctx.fillStyle = '#b87333'; // Copper color
-                const orePos = toMinimap(this.mine.position.x, this.mine.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('⛏', orePos.x, orePos.y);
-            }
-
-            // Draw tree area
-            if (this.trees) {
-                ctx.fillStyle = '#44aa44';
-                const treePos = toMinimap(this.trees.position.x, this.trees.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('🌲', treePos.x, treePos.y);
-            }
-
-            // Draw crafting bench
-            if (this.craftingBench) {
-                ctx.fillStyle = '#ddaa66';
-                const craftPos = toMinimap(this.craftingBench.position.x, this.craftingBench.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('🔨', craftPos.x, craftPos.y);
-            }
-
-            // Draw smelter
-            if (this.smelter) {
-                ctx.fillStyle = '#ff6600';
-                const smelterPos = toMinimap(this.smelter.position.x, this.smelter.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('🔶', smelterPos.x, smelterPos.y);
-            }
-
-            // Draw anvil
-            if (this.anvil) {
-                ctx.fillStyle = '#888899';
-                const anvilPos = toMinimap(this.anvil.position.x, this.anvil.position.z);
-                ctx.font = 'bold 11px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('⚒️', anvilPos.x, anvilPos.y);
-            }
-
-            // Draw quest objective markers
-            for (const questId in this.quests) {
-                const quest = this.quests[questId];
-                if (quest.status === 'active' && quest.objectives) {
-                    for (const obj of quest.objectives) {
-                        if (obj.location && !obj.completed) {
-                            ctx.fillStyle = '#ffff00';
-                            const objPos = toMinimap(obj.location.x, obj.location.z);
-                            ctx.beginPath();
-                            ctx.arc(objPos.x, objPos.y, 4, 0, Math.PI * 2);
-                            ctx.fill();
-                            ctx.strokeStyle = '#ffaa00';
-                            ctx.lineWidth = 1;
-                            ctx.stroke();
-                        }
-                    }
-                }
-            }
-        } else if (this.gameMode === 'horde') {
-            // Draw approximate floor areas
-            const floors = [
-                { x: 0, z: -5, w: 25, h: 20 },
-                { x: 0, z: 25, w: 20, h: 50 },
-                { x: 20, z: 55, w: 30, h: 30 },
-                { x: 50, z: 55, w: 50, h: 20 },
-                { x: 80, z: 30, w: 35, h: 35 },
-                { x: 80, z: 80, w: 20, h: 40 },
-                { x: 80, z: 120, w: 40, h: 40 },
-                // Fishing lake corridor and shore
-                { x: -22, z: -5, w: 15, h: 10 },
-                { x: -35, z: -5, w: 18, h: 18 },
-                // Mine corridor and chamber
-                { x: 0, z: -25, w: 12, h: 15 },
-                { x: 0, z: -42, w: 20, h: 20 }
-            ];
-            for (const f of floors) {
-                const p = toMinimap(f.x - f.w/2, f.z - f.h/2);
-                ctx.fillRect(p.x, p.y, f.w * scale, f.h * scale);
-            }
-
-            // Draw fishing lake water area (blue)
-            if (this.fishingLake) {
-                ctx.fillStyle = 'rgba(34, 102, 170, 0.7)';
-                const lakePos = toMinimap(this.fishingLake.position.x - 6, this.fishingLake.position.z - 6);
-                ctx.fillRect(lakePos.x, lakePos.y, 12 * scale, 12 * scale);
-
-                // Draw fishing icon (small fish shape)
-                ctx.fillStyle = '#00ccff';
-                const fishPos = toMinimap(this.fishingLake.position.x, this.fishingLake.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('~', fishPos.x, fishPos.y);
-            }
-
-            // Draw campfire area on minimap
-            if (this.campfire) {
-                // Draw campfire clearing
-                ctx.fillStyle = 'rgba(80, 50, 30, 0.5)';
-                const campPos = toMinimap(this.campfire.position.x - 5, this.campfire.position.z - 5);
-                ctx.fillRect(campPos.x, campPos.y, 10 * scale, 10 * scale);
-
-                // Draw campfire icon
-                ctx.fillStyle = '#ff6622';
-                const firePos = toMinimap(this.campfire.position.x, this.campfire.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('🔥', firePos.x, firePos.y);
-            }
-
-            // Draw mine area on minimap
-            if (this.mine) {
-                // Draw mine chamber
-                ctx.fillStyle = 'rgba(60, 60, 70, 0.6)';
-                const minePos = toMinimap(this.mine.position.x - 10, this.mine.position.z - 10);
-                ctx.fillRect(minePos.x, minePos.y, 20 * scale, 20 * scale);
-
-                // Draw mine icon
-                ctx.fillStyle = '#aabbcc';
-                const pickPos = toMinimap(this.mine.position.x, this.mine.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('⛏', pickPos.x, pickPos.y);
-            }
-
-            // Draw tree area on minimap
-            if (this.trees) {
-                // Draw forest area
-                ctx.fillStyle = 'rgba(34, 80, 34, 0.6)';
-                const treeAreaPos = toMinimap(this.trees.position.x - 10, this.trees.position.z - 10);
-                ctx.fillRect(treeAreaPos.x, treeAreaPos.y, 20 * scale, 20 * scale);
-
-                // Draw tree icon
-                ctx.fillStyle = '#44aa44';
-                const treeIconPos = toMinimap(this.trees.position.x, this.trees.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('🌲', treeIconPos.x, treeIconPos.y);
-            }
-
-            // Draw crafting bench on minimap
-            if (this.craftingBench) {
-                // Draw workshop area
-                ctx.fillStyle = 'rgba(100, 80, 50, 0.6)';
-                const craftAreaPos = toMinimap(this.craftingBench.position.x - 8, this.craftingBench.position.z - 8);
-                ctx.fillRect(craftAreaPos.x, craftAreaPos.y, 16 * scale, 16 * scale);
-
-                // Draw crafting icon
-                ctx.fillStyle = '#ddaa66';
-                const craftIconPos = toMinimap(this.craftingBench.position.x, this.craftingBench.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('🔨', craftIconPos.x, craftIconPos.y);
-            }
-
-            // Draw smelter on minimap
-            if (this.smelter) {
-                // Draw forge area
-                ctx.fillStyle = 'rgba(80, 40, 20, 0.6)';
-                const smelterAreaPos = toMinimap(this.smelter.position.x - 6, this.smelter.position.z - 6);
-                ctx.fillRect(smelterAreaPos.x, smelterAreaPos.y, 12 * scale, 12 * scale);
-
-                // Draw smelter icon (anvil)
-                ctx.fillStyle = '#ff6600';
-                const smelterIconPos = toMinimap(this.smelter.position.x, this.smelter.position.z);
-                ctx.font = 'bold 12px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('🔶', smelterIconPos.x, smelterIconPos.y);
-            }
-
-            // Draw anvil on minimap
-            if (this.anvil) {
-                // Draw anvil area
-                ctx.fillStyle = 'rgba(50, 50, 60, 0.6)';
-                const anvilAreaPos = toMinimap(this.anvil.position.x - 4, this.anvil.position.z - 4);
-                ctx.fillRect(anvilAreaPos.x, anvilAreaPos.y, 8 * scale, 8 * scale);
-
-                // Draw anvil icon
-                ctx.fillStyle = '#888899';
-                const anvilIconPos = toMinimap(this.anvil.position.x, this.anvil.position.z);
-                ctx.font = 'bold 11px Arial';
+            const npcPos = toMinimap(npc.position.x, npc.position.z);
+            ctx.beginPath();
+            ctx.arc(npcPos.x, npcPos.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+            // Quest indicator
+            const quest = this.quests[npc.quest?.id];
+            if (quest && (quest.status === 'available' || (quest.status === 'active' && this.isQuestComplete(quest)))) {
+                ctx.fillStyle = '#ffff00';
+                ctx.font = 'bold 10px Arial';
                 ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText('⚒️', anvilIconPos.x, anvilIconPos.y);
+                ctx.fillText('!', npcPos.x, npcPos.y - 8);
             }
+        }
 
-            // Draw quest objective markers (horde mode)
-            for (const questId in this.quests) {
-                const quest = this.quests[questId];
-                if (quest.status === 'active' && quest.objectives) {
-                    for (const obj of quest.objectives) {
-                        if (obj.location && !obj.completed) {
-                            ctx.fillStyle = '#ffff00';
-                            const objPos = toMinimap(obj.location.x, obj.location.z);
-                            ctx.beginPath();
-                            ctx.arc(objPos.x, objPos.y, 4, 0, Math.PI * 2);
-                            ctx.fill();
-                            ctx.strokeStyle = '#ffaa00';
-                            ctx.lineWidth = 1;
-                            ctx.stroke();
-                        }
+        // Draw quest objective markers
+        for (const questId in this.quests) {
+            const quest = this.quests[questId];
+            if (quest.status === 'active' && quest.objectives) {
+                for (const obj of quest.objectives) {
+                    if (obj.location && !obj.completed) {
+                        ctx.fillStyle = '#ffff00';
+                        const objPos = toMinimap(obj.location.x, obj.location.z);
+                        ctx.beginPath();
+                        ctx.arc(objPos.x, objPos.y, 4, 0, Math.PI * 2);
+                        ctx.fill();
+                        ctx.strokeStyle = '#ffaa00';
+                        ctx.lineWidth = 1;
+                        ctx.stroke();
                     }
                 }
             }
-        } else {
-            // Simple square for other modes
-            const p = toMinimap(-15, -15);
-            ctx.fillRect(p.x, p.y, 30 * scale, 30 * scale);
         }
 
         // Draw enemies (red dots)
@@ -4531,110 +4085,11 @@ export class Game {
         ctx.stroke();
     }
 
-    // Build walls for the winding dungeon
-    buildDungeonWalls(wallMaterial) {
-        const wallHeight = 6;
-        const wallThickness = 2;
-
-        // Wall segments: { x1, z1, x2, z2 } - start and end points
-        // Store for collision detection
-        // Floor layout reference:
-        // 1. Starting: x[-12,12] z[-15,5]
-        // 2. First corridor: x[-10,10] z[0,50]
-        // 3. Turn: x[5,35] z[40,70]
-        // 4. Right corridor: x[25,75] z[45,65]
-        // 5. Large room: x[63,98] z[13,48]
-        // 6. Forward corridor: x[70,90] z[60,100]
-        // 7. Final chamber: x[60,100] z[100,140]
-        this.wallSegments = [
-            // Starting area walls (left wall split for fishing lake corridor)
-            { x1: -12, z1: -15, x2: -12, z2: -12 },    // Left wall bottom section
-            { x1: -12, z1: 3, x2: -12, z2: 0 },        // Left wall top section (gap from z=-12 to z=3)
-            // Right wall split for campfire corridor
-            { x1: 12, z1: -15, x2: 12, z2: -12 },      // Right wall bottom section
-            { x1: 12, z1: 3, x2: 12, z2: 0 },          // Right wall top section (gap from z=-12 to z=3)
-            // Back wall split for mine corridor (gap from x=-6 to x=6)
-            { x1: -12, z1: -15, x2: -6, z2: -15 },     // Back wall left section
-            { x1: 6, z1: -15, x2: 12, z2: -15 },       // Back wall right section
-
-            // Mine corridor walls (x=-6 to 6, z=-15 to -32)
-            { x1: -6, z1: -15, x2: -6, z2: -32 },      // Corridor left wall
-            { x1: 6, z1: -15, x2: 6, z2: -32 },        // Corridor right wall
-            // Mine chamber walls (x=-10 to 10, z=-32 to -52)
-            { x1: -6, z1: -32, x2: -10, z2: -32 },     // Chamber entrance left
-            { x1: 6, z1: -32, x2: 10, z2: -32 },       // Chamber entrance right
-            { x1: -10, z1: -32, x2: -10, z2: -52 },    // Chamber left wall
-            { x1: 10, z1: -32, x2: 10, z2: -52 },      // Chamber right wall
-            { x1: -10, z1: -52, x2: 10, z2: -52 },     // Chamber back wall
-
-            // Fishing lake area walls
-            { x1: -12, z1: -12, x2: -27, z2: -12 },    // Corridor bottom wall
-            { x1: -12, z1: 3, x2: -27, z2: 3 },        // Corridor top wall
-            { x1: -27, z1: -14, x2: -44, z2: -14 },    // Lake bottom wall
-            { x1: -27, z1: 4, x2: -44, z2: 4 },        // Lake top wall
-            { x1: -44, z1: -14, x2: -44, z2: 4 },      // Lake back wall
-
-            // Campfire area walls
-            { x1: 12, z1: -12, x2: 27, z2: -12 },      // Corridor bottom wall
-            { x1: 12, z1: 3, x2: 27, z2: 3 },          // Corridor top wall
-            { x1: 27, z1: -13, x2: 43, z2: -13 },      // Campfire bottom wall
-            { x1: 27, z1: 3, x2: 43, z2: 3 },          // Campfire top wall
-            { x1: 43, z1: -13, x2: 43, z2: 3 },        // Campfire back wall
-
-            // First corridor walls (x=-10 to 10, z=0 to 50)
-            { x1: -10, z1: 0, x2: -10, z2: 50 },       // Left wall
-            { x1: 10, z1: 0, x2: 10, z2: 40 },         // Right wall (ends at turn)
-
-            // Turn section (x=5 to 35, z=40 to 70)
-            { x1: -10, z1: 50, x2: 5, z2: 50 },        // Close gap at corridor end
-            { x1: 5, z1: 50, x2: 5, z2: 70 },          // Left wall of turn
-            { x1: 5, z1: 70, x2: 35, z2: 70 },         // Top wall of turn
-            { x1: 10, z1: 40, x2: 35, z2: 40 },        // Bottom wall of turn
-
-            // Right corridor (x=25 to 75, z=45 to 65)
-            { x1: 35, z1: 70, x2: 75, z2: 70 },        // Top wall continues
-            { x1: 35, z1: 40, x2: 75, z2: 40 },        // Bottom wall continues
-
-            // Large room (x=63 to 98, z=13 to 48)
-            { x1: 63, z1: 13, x2: 63, z2: 40 },        // Left wall
-            { x1: 98, z1: 13, x2: 98, z2: 48 },        // Right wall
-            { x1: 63, z1: 13, x2: 98, z2: 13 },        // Bottom wall
-
-            // Forward corridor (x=70 to 90, z=60 to 100)
-            { x1: 70, z1: 48, x2: 70, z2: 100 },       // Left wall
-            { x1: 90, z1: 65, x2: 90, z2: 100 },       // Right wall
-
-            // Final chamber (x=60 to 100, z=100 to 140)
-            { x1: 60, z1: 100, x2: 60, z2: 140 },      // Left wall
-            { x1: 100, z1: 100, x2: 100, z2: 140 },    // Right wall
-            { x1: 60, z1: 140, x2: 100, z2: 140 },     // End wall
-        ];
-
-        for (const seg of this.wallSegments) {
-            const dx = seg.x2 - seg.x1;
-            const dz = seg.z2 - seg.z1;
-            const length = Math.sqrt(dx * dx + dz * dz);
-            const angle = Math.atan2(dx, dz);
-
-            const wallGeo = new THREE.BoxGeometry(wallThickness, wallHeight, length + wallThickness);
-            const wall = new THREE.Mesh(wallGeo, wallMaterial);
-            wall.position.set(
-                (seg.x1 + seg.x2) / 2,
-                wallHeight / 2,
-                (seg.z1 + seg.z2) / 2
-            );
-            wall.rotation.y = angle;
-            wall.castShadow = true;
-            wall.receiveShadow = true;
-            this.scene.add(wall);
-        }
-    }
-
     // Check if a position collides with walls
     checkWallCollision(x, z, radius = 0.5) {
         if (!this.wallSegments) return false;
 
-        const wallThickness = 2;
+        const wallThickness = this.wallThickness;
 
         for (const seg of this.wallSegments) {
             // Get wall center and dimensions
@@ -4685,244 +4140,6 @@ export class Game {
         return { x: oldX, z: oldZ };
     }
 
-    // Add decorative pillars
-    addPillars(material) {
-        const pillarPositions = [
-            // Large room pillars
-            { x: 68, z: 22 }, { x: 92, z: 22 },
-            { x: 68, z: 38 }, { x: 92, z: 38 },
-            // Final chamber pillars
-            { x: 68, z: 108 }, { x: 92, z: 108 },
-            { x: 68, z: 132 }, { x: 92, z: 132 },
-            // Corridor accent pillars
-            { x: -8, z: 20 }, { x: 8, z: 20 },
-            { x: -8, z: 35 }, { x: 8, z: 35 },
-        ];
-
-        for (const pos of pillarPositions) {
-            // Pillar base
-            const baseGeo = new THREE.CylinderGeometry(1.2, 1.4, 0.5, 8);
-            const base = new THREE.Mesh(baseGeo, material);
-            base.position.set(pos.x, 0.25, pos.z);
-            base.castShadow = true;
-            this.scene.add(base);
-
-            // Pillar shaft
-            const shaftGeo = new THREE.CylinderGeometry(0.8, 1.0, 5, 8);
-            const shaft = new THREE.Mesh(shaftGeo, material);
-            shaft.position.set(pos.x, 3, pos.z);
-            shaft.castShadow = true;
-            this.scene.add(shaft);
-
-            // Pillar capital
-            const capGeo = new THREE.CylinderGeometry(1.3, 0.8, 0.6, 8);
-            const cap = new THREE.Mesh(capGeo, material);
-            cap.position.set(pos.x, 5.8, pos.z);
-            cap.castShadow = true;
-            this.scene.add(cap);
-        }
-    }
-
-    // Add torch lights throughout the dungeon
-    addTorchLights() {
-        const torchPositions = [
-            // Starting area
-            { x: -10, z: -10 }, { x: 10, z: -10 },
-            // First corridor
-            { x: -8, z: 10 }, { x: 8, z: 10 },
-            { x: -8, z: 30 }, { x: 8, z: 30 },
-            { x: -8, z: 45 },
-            // Turn area
-            { x: 20, z: 55 }, { x: 40, z: 55 },
-            // Right corridor
-            { x: 55, z: 42 }, { x: 55, z: 68 },
-            // Large room
-            { x: 62, z: 15 }, { x: 98, z: 15 },
-            { x: 62, z: 35 }, { x: 98, z: 35 },
-            { x: 80, z: 25 }, // Center
-            // Corridor
-            { x: 72, z: 60 }, { x: 88, z: 60 },
-            { x: 72, z: 85 }, { x: 88, z: 85 },
-            // Final chamber
-            { x: 62, z: 105 }, { x: 98, z: 105 },
-            { x: 62, z: 135 }, { x: 98, z: 135 },
-            { x: 80, z: 120 }, // Center
-        ];
-
-        const torchMaterial = new THREE.MeshLambertMaterial({ color: 0x4a3020 });
-        const flameMaterial = new THREE.MeshBasicMaterial({ color: 0xff6622 });
-
-        for (const pos of torchPositions) {
-            // Torch holder
-            const holderGeo = new THREE.CylinderGeometry(0.1, 0.15, 0.8, 6);
-            const holder = new THREE.Mesh(holderGeo, torchMaterial);
-            holder.position.set(pos.x, 3.5, pos.z);
-            this.scene.add(holder);
-
-            // Flame visual
-            const flameGeo = new THREE.ConeGeometry(0.2, 0.4, 6);
-            const flame = new THREE.Mesh(flameGeo, flameMaterial);
-            flame.position.set(pos.x, 4.1, pos.z);
-            this.scene.add(flame);
-
-            // Point light
-            const light = new THREE.PointLight(0xff6633, 0.8, 15);
-            light.position.set(pos.x, 4.2, pos.z);
-            this.scene.add(light);
-        }
-    }
-
-    // Add environmental props like barrels, crates, bones, etc.
-    addEnvironmentProps() {
-        const woodMaterial = new THREE.MeshLambertMaterial({ color: 0x6b4423 });
-        const metalMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
-        const boneMaterial = new THREE.MeshLambertMaterial({ color: 0xddddcc });
-        const clothMaterial = new THREE.MeshLambertMaterial({ color: 0x443322 });
-
-        // Barrel positions
-        const barrels = [
-            { x: -8, z: -8 }, { x: -7, z: -9 },
-            { x: 8, z: 15 }, { x: 9, z: 14 },
-            { x: 25, z: 60 }, { x: 26, z: 58 },
-            { x: 65, z: 18 }, { x: 66, z: 20 },
-            { x: 95, z: 130 }, { x: 93, z: 132 },
-        ];
-
-        for (const pos of barrels) {
-            const barrelGeo = new THREE.CylinderGeometry(0.6, 0.7, 1.2, 12);
-            const barrel = new THREE.Mesh(barrelGeo, woodMaterial);
-            barrel.position.set(pos.x, 0.6, pos.z);
-            barrel.rotation.y = Math.random() * Math.PI;
-            barrel.castShadow = true;
-            this.scene.add(barrel);
-
-            // Metal bands
-            const bandGeo = new THREE.TorusGeometry(0.65, 0.05, 8, 16);
-            const band1 = new THREE.Mesh(bandGeo, metalMaterial);
-            band1.position.set(pos.x, 0.3, pos.z);
-            band1.rotation.x = Math.PI / 2;
-            this.scene.add(band1);
-
-            const band2 = new THREE.Mesh(bandGeo, metalMaterial);
-            band2.position.set(pos.x, 0.9, pos.z);
-            band2.rotation.x = Math.PI / 2;
-            this.scene.add(band2);
-        }
-
-        // Crate positions
-        const crates = [
-            { x: 7, z: -7 }, { x: 6, z: -8 },
-            { x: -6, z: 25 },
-            { x: 45, z: 45 }, { x: 46, z: 43 },
-            { x: 75, z: 110 }, { x: 77, z: 112 },
-        ];
-
-        for (const pos of crates) {
-            const size = 0.8 + Math.random() * 0.4;
-            const crateGeo = new THREE.BoxGeometry(size, size, size);
-            const crate = new THREE.Mesh(crateGeo, woodMaterial);
-            crate.position.set(pos.x, size / 2, pos.z);
-            crate.rotation.y = Math.random() * Math.PI / 4;
-            crate.castShadow = true;
-            this.scene.add(crate);
-        }
-
-        // Bone piles
-        const bonePiles = [
-            { x: -5, z: 40 }, { x: 30, z: 65 },
-            { x: 70, z: 30 }, { x: 85, z: 125 },
-        ];
-
-        for (const pos of bonePiles) {
-            // Skull
-            const skullGeo = new THREE.SphereGeometry(0.25, 8, 6);
-            const skull = new THREE.Mesh(skullGeo, boneMaterial);
-            skull.position.set(pos.x, 0.2, pos.z);
-            skull.scale.set(1, 0.9, 0.8);
-            this.scene.add(skull);
-
-            // Scattered bones
-            for (let i = 0; i < 4; i++) {
-                const boneGeo = new THREE.CylinderGeometry(0.05, 0.05, 0.4 + Math.random() * 0.3, 6);
-                const bone = new THREE.Mesh(boneGeo, boneMaterial);
-                bone.position.set(
-                    pos.x + (Math.random() - 0.5) * 1.5,
-                    0.1,
-                    pos.z + (Math.random() - 0.5) * 1.5
-                );
-                bone.rotation.x = Math.PI / 2;
-                bone.rotation.z = Math.random() * Math.PI;
-                this.scene.add(bone);
-            }
-        }
-
-        // Weapon racks / stands
-        const weaponRacks = [
-            { x: -9, z: 0 }, { x: 9, z: 0 },
-            { x: 80, z: 14 },
-        ];
-
-        for (const pos of weaponRacks) {
-            // Rack frame
-            const frameGeo = new THREE.BoxGeometry(2, 2, 0.3);
-            const frame = new THREE.Mesh(frameGeo, woodMaterial);
-            frame.position.set(pos.x, 1.5, pos.z);
-            frame.castShadow = true;
-            this.scene.add(frame);
-
-            // Weapons on rack (simple shapes)
-            const swordGeo = new THREE.BoxGeometry(0.1, 1.2, 0.05);
-            const sword = new THREE.Mesh(swordGeo, metalMaterial);
-            sword.position.set(pos.x - 0.4, 1.5, pos.z + 0.2);
-            sword.rotation.z = 0.1;
-            this.scene.add(sword);
-
-            const axeGeo = new THREE.BoxGeometry(0.15, 0.8, 0.05);
-            const axe = new THREE.Mesh(axeGeo, metalMaterial);
-            axe.position.set(pos.x + 0.4, 1.5, pos.z + 0.2);
-            axe.rotation.z = -0.1;
-            this.scene.add(axe);
-        }
-
-        // Tattered banners
-        const bannerPositions = [
-            { x: -9, z: 15 }, { x: 9, z: 15 },
-            { x: 80, z: 105 },
-        ];
-
-        for (const pos of bannerPositions) {
-            // Banner pole
-            const poleGeo = new THREE.CylinderGeometry(0.05, 0.05, 3, 6);
-            const pole = new THREE.Mesh(poleGeo, woodMaterial);
-            pole.position.set(pos.x, 4, pos.z);
-            this.scene.add(pole);
-
-            // Banner cloth
-            const bannerGeo = new THREE.PlaneGeometry(1.2, 1.8);
-            const banner = new THREE.Mesh(bannerGeo, clothMaterial);
-            banner.position.set(pos.x, 3.5, pos.z + 0.1);
-            banner.rotation.y = Math.random() * 0.3 - 0.15;
-            this.scene.add(banner);
-        }
-
-        // Chains hanging from ceiling
-        const chainPositions = [
-            { x: 0, z: 45 }, { x: 50, z: 55 },
-            { x: 80, z: 90 },
-        ];
-
-        for (const pos of chainPositions) {
-            const chainLength = 2 + Math.random() * 2;
-            for (let i = 0; i < chainLength * 3; i++) {
-                const linkGeo = new THREE.TorusGeometry(0.1, 0.03, 6, 8);
-                const link = new THREE.Mesh(linkGeo, metalMaterial);
-                link.position.set(pos.x, 6 - i * 0.15, pos.z);
-                link.rotation.x = (i % 2) * Math.PI / 2;
-                this.scene.add(link);
-            }
-        }
-    }
-
     // ==================== ADVENTURE MODE - NPC & QUEST SYSTEM ====================
 
     // Create NPC with visual mesh and dialog
@@ -4933,6 +4150,7 @@ export class Game {
             position: new THREE.Vector3(config.position.x, 0, config.position.z),
             dialog: config.dialog,
             quests: config.quests || (config.quest ? [config.quest] : []),
+            vendor: config.vendor ? new Vendor(config.vendor) : null,
             currentQuestIndex: 0,
             interactionRange: 4,
             mesh: null
@@ -5072,31 +4290,7 @@ export class Game {
         group.add(hat);
     }
 
-    // Add a simple tree
-    addTree(x, z) {
-        const treeGroup = new THREE.Group();
-        treeGroup.position.set(x, 0, z);
-
-        // Trunk
-        const trunkGeo = new THREE.CylinderGeometry(0.3, 0.4, 2, 8);
-        const trunkMat = new THREE.MeshLambertMaterial({ color: 0x4a3525 });
-        const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-        trunk.position.y = 1;
-        trunk.castShadow = true;
-        treeGroup.add(trunk);
-
-        // Leaves (cone)
-        const leavesGeo = new THREE.ConeGeometry(1.5, 3, 8);
-        const leavesMat = new THREE.MeshLambertMaterial({ color: 0x228b22 });
-        const leaves = new THREE.Mesh(leavesGeo, leavesMat);
-        leaves.position.y = 3.5;
-        leaves.castShadow = true;
-        treeGroup.add(leaves);
-
-        this.scene.add(treeGroup);
-    }
-
-    // Create ore node for mining in adventure mode
+    // Create single ore node for mining
     createOreNode(config) {
         const oreColors = {
             copper: 0xb87333,
@@ -5120,10 +4314,10 @@ export class Game {
         // Ore veins
         const veinGeo = new THREE.DodecahedronGeometry(0.5, 0);
         const veinMat = new THREE.MeshStandardMaterial({
-            color: oreColors[config.type],
+            color: oreColors[config.ore],
             roughness: 0.3,
             metalness: 0.7,
-            emissive: oreColors[config.type],
+            emissive: oreColors[config.ore],
             emissiveIntensity: 0.15
         });
 
@@ -5148,14 +4342,14 @@ export class Game {
             interactionRange: 5,
             isMining: false,
             ores: {
-                [config.type]: 99
+                [config.ore]: 99
             }
         };
 
         return oreGroup;
     }
 
-    // Create tree chopping area for adventure mode
+    // Create tree chopping area
     createTreeArea(config) {
         const position = config.position;
         const treeGroup = new THREE.Group();
@@ -5225,9 +4419,9 @@ export class Game {
         this.trees = {
             position: { x: position.x, z: position.z },
             mesh: treeGroup,
-            interactionRange: 8,
+            interactionRange: config.interactionRange || 8,
             isChopping: false,
-            wood: {
+            wood: config.wood || {
                 oak: 99,
                 birch: 50,
                 mahogany: 25
@@ -5237,7 +4431,7 @@ export class Game {
         return treeGroup;
     }
 
-    // Create crafting bench for adventure mode
+    // Create crafting bench
     createCraftingBench(config) {
         const position = config.position;
         const craftingGroup = new THREE.Group();
@@ -5301,7 +4495,7 @@ export class Game {
         this.craftingBench = {
             position: { x: position.x, z: position.z },
             mesh: craftingGroup,
-            interactionRange: 5,
+            interactionRange: config.interactionRange || 5,
             isCrafting: false,
             craftingState: null
         };
@@ -5328,6 +4522,17 @@ export class Game {
             }
         }
 
+        // Walking away from a vendor closes their shop
+        if (this.shopUI?.isOpen) {
+            const shopNPC = this.shopUI.npc;
+            const dist = Math.hypot(playerPos.x - shopNPC.position.x, playerPos.z - shopNPC.position.z);
+            if (dist > shopNPC.interactionRange) {
+                this.shopUI.close();
+            } else {
+                this.shopUI.update();
+            }
+        }
+
         // Update nearby NPC and show/hide prompt
         const npcPrompt = document.getElementById('npc-prompt');
         if (closestNPC && !this.isDialogOpen()) {
@@ -5462,6 +4667,11 @@ export class Game {
             options.push({ text: 'Goodbye', action: () => this.closeNPCDialog() });
         }
 
+        // Vendors always offer to trade
+        if (npc.vendor) {
+            options.unshift({ text: 'Trade', action: () => this.openShop(npc) });
+        }
+
         textEl.textContent = dialogText;
 
         // Clear and add options
@@ -5485,6 +4695,12 @@ export class Game {
         document.getElementById('npc-dialog').style.display = 'none';
     }
 
+    // Open a vendor's shop beside the inventory
+    openShop(npc) {
+        this.closeNPCDialog();
+        this.shopUI.open(npc);
+    }
+
     // Accept a quest
     acceptQuest(questId) {
         const quest = this.quests[questId];
@@ -5537,6 +4753,7 @@ export class Game {
                 this.player.inventory.addItemById(itemId, 1);
             }
         }
+        this.experience?.addXP(quest.rewards?.xp ?? XP_REWARDS.quest);
 
         quest.status = 'turned_in';
         this.activeQuests = this.activeQuests.filter(id => id !== questId);
@@ -5615,51 +4832,94 @@ export class Game {
 
     // ==================== SAVE/LOAD SYSTEM ====================
 
-    saveGame() {
-        if (this.gameMode !== 'adventure') return; // Only save adventure mode
-
-        const saveData = {
-            version: 1,
-            timestamp: Date.now(),
-            gameMode: this.gameMode,
-            selectedClass: this.selectedClass,
-            player: {
-                position: {
-                    x: this.player.position.x,
-                    y: this.player.position.y,
-                    z: this.player.position.z
-                },
-                health: this.player.health,
-                maxHealth: this.player.maxHealth,
-                gold: this.player.gold || 0
-            },
-            inventory: this.serializeInventory(),
-            equipment: this.serializeEquipment(),
-            quests: this.serializeQuests(),
-            activeQuests: [...this.activeQuests]
-        };
+    // Save the current character (and the adventure world, in adventure mode) to the selected slot.
+    // Other characters and worlds already in the slot are kept. The game state is captured right
+    // away - resolves true once the write has succeeded.
+    async saveGame() {
+        if (!this.player) return false;
+
+        const slotId = this.saves.selectedSlot;
+        const className = this.selectedClass;
+        const character = this.serializeCharacter();
+        const world = this.gameMode === 'adventure' ? this.serializeAdventureWorld() : null;
+
+        const saved = await this.saves.update(slotId, (existing) => {
+            const saveData = existing || { name: this.defaultSaveName(slotId), characters: {}, world: {} };
+            saveData.selectedClass = className;
+            saveData.characters = { ...saveData.characters, [className]: character };
+            if (world) {
+                saveData.world = { ...saveData.world, adventure: world };
+            }
+            return saveData;
+        });
 
-        try {
-            localStorage.setItem('tileGame3D_save', JSON.stringify(saveData));
+        if (saved) {
             this.showSaveIndicator();
-            console.log('Game saved!', saveData);
-            return true;
-        } catch (e) {
-            console.error('Failed to save game:', e);
-            return false;
+            console.log('Game saved!');
         }
+        return saved;
+    }
+
+    defaultSaveName(slotId) {
+        return `Save ${SAVE_SLOTS.indexOf(slotId) + 1}`;
+    }
+
+    // Everything that belongs to the character rather than the level
+    serializeCharacter() {
+        const player = this.player;
+        const inventory = player.inventory;
+
+        const buffs = {};
+        for (const [type, buff] of Object.entries(player.buffs)) {
+            buffs[type] = { multiplier: buff.multiplier, remaining: buff.remaining };
+        }
+
+        const cooldowns = {};
+        for (const [id, ability] of Object.entries(player.abilities)) {
+            if (ability.cooldownRemaining > 0) {
+                cooldowns[id] = ability.cooldownRemaining;
+            }
+        }
+
+        return {
+            experience: this.experience?.serialize() || null,
+            talents: this.talents?.serialize() || null,
+            health: player.health,
+            maxHealth: player.maxHealth - player.equipmentBonus.maxHealth, // Without gear - it's re-added when equipped
+            resource: player.resource ? player.resource.current : null,
+            inventory: {
+                gold: inventory?.gold || 0,
+                slots: this.serializeInventory(),
+                equipment: this.serializeEquipment(),
+                hotbar: inventory ? inventory.hotbar.map(entry => entry && typeof entry === 'object' ? { ...entry } : entry) : [],
+                itemCooldowns: { ...(inventory?.itemCooldowns || {}) }
+            },
+            buffs,
+            cooldowns
+        };
+    }
+
+    // Adventure level state - where the player stands, quest progress and what's left at the stations
+    serializeAdventureWorld() {
+        return {
+            position: {
+                x: this.player.position.x,
+                y: this.player.position.y,
+                z: this.player.position.z
+            },
+            quests: this.serializeQuests(),
+            activeQuests: [...this.activeQuests],
+            stations: {
+                mine: this.mine ? { ores: { ...this.mine.ores } } : null,
+                trees: this.trees ? { wood: { ...this.trees.wood } } : null
+            }
+        };
     }
 
     serializeInventory() {
         if (!this.player?.inventory?.slots) return [];
 
-        return this.player.inventory.slots.map(slot => {
-            if (!slot) return null;
-            return {
-                itemId: slot.definition.id,
-                quantity: slot.quantity
-            };
-        });
+        return this.player.inventory.slots.map(slot => slot ? slot.serialize() : null);
     }
 
     serializeEquipment() {
@@ -5668,7 +4928,7 @@ export class Game {
         const equipment = {};
         for (const [slot, item] of Object.entries(this.player.inventory.equipment)) {
             if (item) {
-                equipment[slot] = item.definition.id;
+                equipment[slot] = item.serialize();
             }
         }
         return equipment;
@@ -5690,21 +4950,21 @@ export class Game {
         return questData;
     }
 
-    loadGame() {
-        try {
-            const saveStr = localStorage.getItem('tileGame3D_save');
-            if (!saveStr) return false;
+    // Read the selected slot - resolves true if it has anything for the current character or mode
+    async loadGame() {
+        const result = await this.saves.read(this.saves.selectedSlot);
+        if (!result) return false;
 
-            const saveData = JSON.parse(saveStr);
-            if (!saveData || saveData.version !== 1) return false;
+        const saveData = result.save;
+        if (!saveData.characters[this.selectedClass] && !saveData.world?.[this.gameMode]) return false;
 
-            // Store save data to apply after game initializes
-            this.pendingSaveData = saveData;
-            return true;
-        } catch (e) {
-            console.error('Failed to load save:', e);
-            return false;
+        if (result.fromBackup) {
+            console.warn(`Save ${this.saves.selectedSlot} was damaged - loading its backup`);
         }
+
+        // Store save data to apply after game initializes
+        this.pendingSaveData = saveData;
+        return true;
     }
 
     applySaveData() {
@@ -5713,58 +4973,117 @@ export class Game {
 
         console.log('Applying save data...', saveData);
 
-        // Restore player position
-        if (saveData.player && this.player) {
-            this.player.position.x = saveData.player.position.x;
-            this.player.position.y = saveData.player.position.y;
-            this.player.position.z = saveData.player.position.z;
-            this.player.health = saveData.player.health;
-            this.player.maxHealth = saveData.player.maxHealth;
-            this.player.gold = saveData.player.gold || 0;
+        const character = saveData.characters[this.selectedClass];
+        if (character) {
+            this.applyCharacterData(character);
         }
 
-        // Restore inventory
-        if (saveData.inventory && this.player?.inventory) {
-            // Clear existing inventory (use .size, not .maxSlots)
-            this.player.inventory.slots = new Array(this.player.inventory.size).fill(null);
+        const world = saveData.world?.[this.gameMode];
+        if (world && this.gameMode === 'adventure') {
+            this.applyAdventureWorldData(world);
+        }
+
+        // Update UI
+        if (this.player?.inventory?.updateUI) {
+            this.player.inventory.updateUI();
+        }
+
+        this.pendingSaveData = null;
+        console.log('Save data applied!');
+    }
+
+    applyCharacterData(character) {
+        const player = this.player;
+        if (!player) return;
+
+        // Restore level first - the saved max health already includes its growth
+        if (character.experience && this.experience) {
+            this.experience.restore(character.experience);
+        }
+
+        // Talents after the level, since the level decides how many points there are
+        if (character.talents && this.talents) {
+            this.talents.restore(character.talents);
+        }
+
+        // Saved max health leaves out gear - keep the bonus of what's equipped now until the saved gear replaces it
+        if (character.maxHealth > 0) {
+            player.maxHealth = character.maxHealth + player.equipmentBonus.maxHealth;
+        }
 
-            // Restore items
-            for (let i = 0; i < saveData.inventory.length; i++) {
-                const slotData = saveData.inventory[i];
+        const inventory = player.inventory;
+        const saved = character.inventory;
+        if (inventory && saved) {
+            inventory.gold = saved.gold || 0;
+
+            // Clear existing inventory (use .size, not .maxSlots)
+            inventory.slots = new Array(inventory.size).fill(null);
+            for (let i = 0; i < saved.slots.length && i < inventory.size; i++) {
+                const slotData = saved.slots[i];
                 if (slotData && slotData.itemId) {
-                    const item = ITEMS[slotData.itemId];
-                    if (item) {
-                        this.player.inventory.slots[i] = {
-                            definition: item,
-                            quantity: slotData.quantity,
-                            instanceId: Math.random().toString(36).substr(2, 9)
-                        };
+                    const stack = itemStackFromData(slotData);
+                    if (stack) {
+                        inventory.slots[i] = stack;
                     }
                 }
             }
-        }
 
-        // Restore equipment
-        if (saveData.equipment && this.player?.inventory) {
-            for (const [slot, itemId] of Object.entries(saveData.equipment)) {
-                if (itemId) {
-                    const item = ITEMS[itemId];
-                    if (item) {
-                        this.player.inventory.equipment[slot] = {
-                            definition: item,
-                            quantity: 1,
-                            instanceId: Math.random().toString(36).substr(2, 9)
-                        };
+            for (const slot of Object.keys(inventory.equipment)) {
+                inventory.equipment[slot] = null;
+            }
+            for (const [slot, itemData] of Object.entries(saved.equipment || {})) {
+                if (itemData) {
+                    // Older saves store just the item id
+                    const data = typeof itemData === 'string' ? { itemId: itemData } : itemData;
+                    const stack = itemStackFromData(data);
+                    if (stack) {
+                        inventory.equipment[slot] = stack;
                     }
                 }
             }
             // Notify equipment change to update stats
-            this.player.inventory._notifyEquipChange();
+            inventory._notifyEquipChange();
+
+            if (Array.isArray(saved.hotbar)) {
+                for (let i = 0; i < inventory.hotbar.length; i++) {
+                    inventory.hotbar[i] = saved.hotbar[i] ?? null;
+                }
+            }
+            inventory.itemCooldowns = { ...(saved.itemCooldowns || {}) };
+        }
+
+        // Health once the saved gear's max health bonus is in place
+        if (character.health > 0) {
+            player.health = Math.min(character.health, player.maxHealth);
+        }
+
+        // Buffs and cooldowns after equipment - it sets the base stats buffs scale, and the
+        // Adventurer's kit depends on the weapon
+        for (const [type, buff] of Object.entries(character.buffs || {})) {
+            if (buff.remaining > 0) {
+                player.applyBuff(type, { multiplier: buff.multiplier, duration: buff.remaining });
+            }
+        }
+        for (const [id, remaining] of Object.entries(character.cooldowns || {})) {
+            if (player.abilities[id]) {
+                player.abilities[id].cooldownRemaining = remaining;
+            }
+        }
+
+        if (player.resource && typeof character.resource === 'number') {
+            player.resource.current = Math.min(character.resource, player.resource.max);
+        }
+    }
+
+    applyAdventureWorldData(world) {
+        // Restore player position
+        if (world.position && this.player) {
+            this.player.position.set(world.position.x, world.position.y, world.position.z);
         }
 
         // Restore quests
-        if (saveData.quests) {
-            for (const [questId, questData] of Object.entries(saveData.quests)) {
+        if (world.quests) {
+            for (const [questId, questData] of Object.entries(world.quests)) {
                 if (this.quests[questId]) {
                     this.quests[questId].status = questData.status;
                     if (questData.objectives) {
@@ -5779,33 +5098,118 @@ export class Game {
         }
 
         // Restore active quests
-        if (saveData.activeQuests) {
-            this.activeQuests = [...saveData.activeQuests];
+        if (world.activeQuests) {
+            this.activeQuests = [...world.activeQuests];
+        }
+
+        // Restore what's left to gather
+        if (world.stations?.mine && this.mine) {
+            this.mine.ores = { ...world.stations.mine.ores };
+        }
+        if (world.stations?.trees && this.trees) {
+            this.trees.wood = { ...world.stations.trees.wood };
         }
 
-        // Update UI
         this.updateQuestTrackerUI();
-        if (this.player?.inventory?.updateUI) {
-            this.player.inventory.updateUI();
+    }
+
+    async hasSaveData() {
+        return await this.saves.read(this.saves.selectedSlot) !== null;
+    }
+
+    deleteSaveData() {
+        return this.saves.delete(this.saves.selectedSlot);
+    }
+
+    // Main menu slot picker - click an empty slot to name and start a new save, a used one to select it
+    async renderSaveSlots() {
+        const container = document.getElementById('save-slots');
+        if (!container) return;
+
+        const slots = await this.saves.listSlots();
+        container.innerHTML = '';
+        for (const slot of slots) {
+            const btn = document.createElement('button');
+            btn.className = 'save-slot';
+            btn.classList.toggle('selected', slot.id === this.saves.selectedSlot);
+            btn.classList.toggle('empty', slot.empty);
+
+            const name = document.createElement('span');
+            name.className = 'save-slot-name';
+            name.textContent = slot.empty ? 'Empty Slot' : slot.name;
+            btn.appendChild(name);
+
+            const details = document.createElement('span');
+            details.className = 'save-slot-details';
+            if (slot.empty) {
+                details.textContent = 'New save';
+            } else {
+                const className = slot.className.charAt(0).toUpperCase() + slot.className.slice(1);
+                const date = new Date(slot.timestamp).toLocaleString();
+                details.textContent = `${className} Lv ${slot.level} - ${date}${slot.fromBackup ? ' (backup)' : ''}`;
+            }
+            btn.appendChild(details);
+
+            btn.addEventListener('click', async () => {
+                if (slot.empty) {
+                    const saveName = prompt('Name your save:', this.defaultSaveName(slot.id));
+                    if (saveName === null) return;
+                    await this.saves.write(slot.id, {
+                        name: saveName.trim() || this.defaultSaveName(slot.id),
+                        selectedClass: this.selectedClass,
+                        characters: {},
+                        world: {}
+                    });
+                }
+                this.saves.selectedSlot = slot.id;
+                this.renderSaveSlots();
+            });
+
+            container.appendChild(btn);
         }
+    }
 
-        this.pendingSaveData = null;
-        console.log('Save data applied!');
+    // Download the selected slot - resolves false if it's empty
+    async exportSaveFile() {
+        const result = await this.saves.read(this.saves.selectedSlot);
+        if (!result) {
+            alert('The selected save slot is empty.');
+            return false;
+        }
+
+        const save = result.save;
+        const blob = new Blob([exportSave(save)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `tilegame3d-${save.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        return true;
     }
 
-    hasSaveData() {
+    // Import a save file into the selected slot, asking before replacing a save that's there
+    async importSaveFile(file) {
+        let save;
         try {
-            const saveStr = localStorage.getItem('tileGame3D_save');
-            if (!saveStr) return false;
-            const saveData = JSON.parse(saveStr);
-            return saveData && saveData.version === 1 && saveData.gameMode === 'adventure';
+            save = importSave(await file.text());
         } catch (e) {
+            alert(`Could not import ${file.name}:\n\n${e.message}`);
             return false;
         }
-    }
 
-    deleteSaveData() {
-        localStorage.removeItem('tileGame3D_save');
+        const slotId = this.saves.selectedSlot;
+        const existing = await this.saves.read(slotId);
+        if (existing && !confirm(`Replace "${existing.save.name}" with the imported save "${save.name}"?`)) {
+            return false;
+        }
+
+        if (!await this.saves.write(slotId, save)) {
+            alert('Could not write the imported save - storage may be full.');
+            return false;
+        }
+        this.renderSaveSlots();
+        return true;
     }
 
     showSaveIndicator() {
@@ -5816,10 +5220,10 @@ export class Game {
         }
     }
 
-    // Auto-save on important events
+    // Auto-save on important events - debounced, so a burst of events is written once
     autoSave() {
-        if (this.gameMode === 'adventure' && this.gameState === 'playing') {
-            this.saveGame();
+        if (this.gameState === 'playing') {
+            this.autoSaver.request();
         }
     }
 
@@ -0,0 +1,357 @@
+import { createSkeletonEnemy } from './skeletonEnemy.js';
+
+const LEADERBOARD_KEY = 'tileGame3D_horde_leaderboard';
+const LEADERBOARD_SIZE = 10;
+
+// Defaults - a level's "horde" block overrides any of these
+const DEFAULT_CONFIG = {
+    spawnPoints: [],
+    minSpawnDistance: 12,       // Don't spawn on top of the player
+    maxSpawnDistance: 45,       // ...or somewhere they'll never find us
+    firstBreather: 5,
+    breatherTime: 10,           // Seconds between waves
+    breatherHeal: 0.25,         // Fraction of max health restored during a breather
+    waveTimeLimit: 60,          // Next wave starts anyway when this runs out
+    baseCount: 6,
+    countPerWave: 3,
+    maxAlive: 40,
+    spawnInterval: 0.4,
+    healthPerWave: 0.12,        // Stat scaling per wave after the first
+    damagePerWave: 0.08,
+    speedPerWave: 0.02,
+    maxSpeedScale: 1.3,
+    // Type weights: base + perWave * (wave - 1), only from fromWave onwards
+    types: {
+        minion: { base: 6, perWave: -0.4, min: 1, fromWave: 1 },
+        warrior: { base: 1, perWave: 0.4, fromWave: 1 },
+        rogue: { base: 0.5, perWave: 0.4, fromWave: 2 },
+        mage: { base: 0.5, perWave: 0.3, fromWave: 3 }
+    },
+    killPoints: { minion: 10, warrior: 25, rogue: 20, mage: 30 },
+    waveClearPoints: 50,
+    pointsPerSecond: 2,
+    comboWindow: 3,             // Seconds to chain the next kill
+    comboStep: 5,               // Kills per +0.5x multiplier
+    maxMultiplier: 4
+};
+
+// Endless wave survival - escalating waves, breathers, scoring and a local leaderboard
+export class HordeMode {
+    constructor(game, config = {}) {
+        this.game = game;
+        this.config = {
+            ...DEFAULT_CONFIG,
+            ...config,
+            types: config.types || DEFAULT_CONFIG.types,
+            killPoints: { ...DEFAULT_CONFIG.killPoints, ...config.killPoints }
+        };
+
+        this.wave = 0;
+        this.phase = 'breather'; // 'breather', 'wave' or 'over'
+        this.timer = this.config.firstBreather;
+        this.spawnQueue = [];
+        this.spawnTimer = 0;
+        this.waveEnemies = new Set();
+
+        this.timeSurvived = 0;
+        this.kills = 0;
+        this.killScore = 0;
+        this.waveScore = 0;
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.comboTimer = 0;
+
+        this.setupUI();
+    }
+
+    get multiplier() {
+        const steps = Math.floor(this.combo / this.config.comboStep);
+        return Math.min(this.config.maxMultiplier, 1 + steps * 0.5);
+    }
+
+    get score() {
+        return Math.floor(this.killScore + this.waveScore + this.timeSurvived * this.config.pointsPerSecond);
+    }
+
+    update(deltaTime) {
+        if (this.phase === 'over') return;
+
+        // Death ends the run
+        if (this.game.player.health <= 0) {
+            this.endRun();
+            return;
+        }
+
+        this.timeSurvived += deltaTime;
+
+        if (this.comboTimer > 0) {
+            this.comboTimer -= deltaTime;
+            if (this.comboTimer <= 0) {
+                this.combo = 0;
+            }
+        }
+
+        this.timer -= deltaTime;
+
+        if (this.phase === 'breather') {
+            if (this.timer <= 0) {
+                this.startWave();
+            }
+        } else {
+            this.updateSpawning(deltaTime);
+
+            // Drop dead enemies from the wave
+            for (const enemy of this.waveEnemies) {
+                if (!enemy.isAlive) this.waveEnemies.delete(enemy);
+            }
+
+            if (this.spawnQueue.length === 0 && this.waveEnemies.size === 0) {
+                this.completeWave();
+            } else if (this.timer <= 0) {
+                // Too slow - the next wave piles on top of this one
+                this.startWave();
+            }
+        }
+
+        this.updateUI();
+    }
+
+    startWave() {
+        // Drop corpses from earlier waves so long runs don't grow the enemy list forever
+        this.game.enemies = this.game.enemies.filter(e => e.isAlive);
+
+        this.wave++;
+        this.phase = 'wave';
+        this.timer = this.config.waveTimeLimit;
+
+        const count = this.config.baseCount + this.config.countPerWave * (this.wave - 1);
+        for (let i = 0; i < count; i++) {
+            this.spawnQueue.push(this.pickType());
+        }
+
+        this.game.sound?.play('waveStart');
+        this.showBanner(`Wave ${this.wave}`);
+    }
+
+    completeWave() {
+        this.waveScore += this.config.waveClearPoints * this.wave;
+        this.phase = 'breather';
+        this.timer = this.config.breatherTime;
+
+        // Catch your breath
+        const player = this.game.player;
+        player.health = Math.min(player.maxHealth, player.health + player.maxHealth * this.config.breatherHeal);
+        if (this.game.particles) {
+            this.game.particles.healEffect(player.position);
+        }
+
+        this.showBanner(`Wave ${this.wave} cleared!`);
+    }
+
+    pickType() {
+        const weights = [];
+        let total = 0;
+        for (const [type, def] of Object.entries(this.config.types)) {
+            if (this.wave < (def.fromWave || 1)) continue;
+            const weight = Math.max(def.min || 0, def.base + def.perWave * (this.wave - 1));
+            if (weight <= 0) continue;
+            weights.push({ type, weight });
+            total += weight;
+        }
+
+        let roll = Math.random() * total;
+        for (const entry of weights) {
+            roll -= entry.weight;
+            if (roll <= 0) return entry.type;
+        }
+        return weights[weights.length - 1]?.type || 'minion';
+    }
+
+    updateSpawning(deltaTime) {
+        this.spawnTimer -= deltaTime;
+        if (this.spawnTimer > 0 || this.spawnQueue.length === 0) return;
+
+        const alive = this.game.enemies.filter(e => e.isAlive).length;
+        if (alive >= this.config.maxAlive) return;
+
+        this.spawnTimer = this.config.spawnInterval;
+        this.spawnEnemy(this.spawnQueue.shift());
+    }
+
+    spawnEnemy(type) {
+        const point = this.pickSpawnPoint();
+        const enemy = createSkeletonEnemy(this.game.scene, point.x, point.z, type);
+
+        // Later waves hit harder
+        const scale = this.wave - 1;
+        enemy.maxHealth = Math.round(enemy.maxHealth * (1 + this.config.healthPerWave * scale));
+        enemy.health = enemy.maxHealth;
+        enemy.attackDamage = Math.round(enemy.attackDamage * (1 + this.config.damagePerWave * scale));
+        enemy.moveSpeed *= Math.min(this.config.maxSpeedScale, 1 + this.config.speedPerWave * scale);
+
+        enemy.ai?.setRelentless();
+
+        this.game.enemies.push(enemy);
+        this.waveEnemies.add(enemy);
+    }
+
+    pickSpawnPoint() {
+        const playerPos = this.game.player.position;
+        const points = this.config.spawnPoints;
+        const inRange = points.filter(p => {
+            const dist = Math.hypot(p.x - playerPos.x, p.z - playerPos.z);
+            return dist >= this.config.minSpawnDistance && dist <= this.config.maxSpawnDistance;
+        });
+
+        const candidates = inRange.length > 0 ? inRange : points;
+        if (candidates.length === 0) {
+            // No spawn points defined - ring around the player
+            const angle = Math.random() * Math.PI * 2;
+            return {
+                x: playerPos.x + Math.cos(angle) * this.config.minSpawnDistance,
+                z: playerPos.z + Math.sin(angle) * this.config.minSpawnDistance
+            };
+        }
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    // Called by the game when any enemy dies
+    onEnemyKilled(enemy) {
+        if (this.phase === 'over') return;
+
+        this.kills++;
+        this.combo++;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        this.comboTimer = this.config.comboWindow;
+
+        const points = this.config.killPoints[enemy.skeletonType] || 10;
+        this.killScore += points * this.multiplier;
+    }
+
+    endRun() {
+        this.phase = 'over';
+        this.spawnQueue = [];
+        this.game.gameState = 'summary';
+
+        const entry = {
+            score: this.score,
+            wave: this.wave,
+            kills: this.kills,
+            bestCombo: this.bestCombo,
+            time: Math.floor(this.timeSurvived),
+            date: new Date().toISOString()
+        };
+        const className = this.game.selectedClass;
+        const rank = recordHordeScore(className, entry);
+
+        this.showSummary(entry, className, rank);
+    }
+
+    // ==================== UI ====================
+
+    setupUI() {
+        this.hud = document.getElementById('horde-hud');
+        this.summary = document.getElementById('horde-summary');
+        this.hud.style.display = 'block';
+        this.summary.style.display = 'none';
+
+        document.getElementById('horde-play-again').onclick = () => {
+            this.game.returnToMenu();
+            this.game.startGame('horde');
+        };
+        document.getElementById('horde-main-menu').onclick = () => {
+            this.game.returnToMenu();
+        };
+    }
+
+    updateUI() {
+        const remaining = this.spawnQueue.length + this.waveEnemies.size;
+        document.getElementById('horde-wave').textContent = this.wave > 0 ? `Wave ${this.wave}` : 'Get Ready';
+        document.getElementById('horde-status').textContent = this.phase === 'breather'
+            ? `Next wave in ${Math.ceil(this.timer)}s`
+            : `${remaining} left - ${Math.ceil(this.timer)}s`;
+        document.getElementById('horde-score').textContent = this.score.toLocaleString();
+
+        const comboEl = document.getElementById('horde-combo');
+        if (this.combo > 1) {
+            comboEl.textContent = `${this.combo} combo x${this.multiplier.toFixed(1)}`;
+            comboEl.style.display = 'block';
+        } else {
+            comboEl.style.display = 'none';
+        }
+    }
+
+    showBanner(text) {
+        const banner = document.getElementById('horde-banner');
+        banner.textContent = text;
+        banner.classList.remove('show');
+        // Restart the CSS animation
+        void banner.offsetWidth;
+        banner.classList.add('show');
+    }
+
+    showSummary(entry, className, rank) {
+        const minutes = Math.floor(entry.time / 60);
+        const seconds = String(entry.time % 60).padStart(2, '0');
+
+        document.getElementById('horde-summary-stats').innerHTML = `
+            <div><span>Score</span><span>${entry.score.toLocaleString()}</span></div>
+            <div><span>Wave Reached</span><span>${entry.wave}</span></div>
+            <div><span>Kills</span><span>${entry.kills}</span></div>
+            <div><span>Best Combo</span><span>${entry.bestCombo}</span></div>
+            <div><span>Time Survived</span><span>${minutes}:${seconds}</span></div>
+        `;
+
+        const board = getHordeLeaderboard(className);
+        document.getElementById('horde-leaderboard-title').textContent =
+            `Top ${LEADERBOARD_SIZE} - ${className.charAt(0).toUpperCase() + className.slice(1)}`;
+        document.getElementById('horde-leaderboard').innerHTML = board.map((e, i) => `
+            <li class="${i === rank ? 'current' : ''}">
+                <span>${e.score.toLocaleString()}</span>
+                <span>Wave ${e.wave}</span>
+                <span>${e.kills} kills</span>
+            </li>
+        `).join('');
+
+        this.hud.style.display = 'none';
+        this.summary.style.display = 'flex';
+    }
+
+    dispose() {
+        this.hud.style.display = 'none';
+        this.summary.style.display = 'none';
+    }
+}
+
+// ==================== LEADERBOARD ====================
+
+function loadLeaderboards() {
+    try {
+        return JSON.parse(localStorage.getItem(LEADERBOARD_KEY)) || {};
+    } catch (e) {
+        console.warn('Failed to read horde leaderboard:', e);
+        return {};
+    }
+}
+
+export function getHordeLeaderboard(className) {
+    return loadLeaderboards()[className] || [];
+}
+
+// Insert a run into the class's top 10, returns its rank or -1 if it didn't place
+export function recordHordeScore(className, entry) {
+    const boards = loadLeaderboards();
+    const board = boards[className] || [];
+
+    board.push(entry);
+    board.sort((a, b) => b.score - a.score);
+    boards[className] = board.slice(0, LEADERBOARD_SIZE);
+
+    try {
+        localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(boards));
+    } catch (e) {
+        console.warn('Failed to save horde leaderboard:', e);
+    }
+
+    return boards[className].indexOf(entry);
+}
@@ -1,114 +1,28 @@
 import * as THREE from 'three';
-import { KayKitCharacter } from './kayKitCharacter.js';
 import { WeaponFactory } from './weaponFactory.js';
-import { Inventory } from './inventory.js';
+import { Character } from './character.js';
+import { DamageType } from './damage.js';
 
-export class Hunter {
+export class Hunter extends Character {
     constructor(scene, game) {
-        this.scene = scene;
-        this.game = game;
-        this.position = new THREE.Vector3(0, 0, 0);
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.rotation = 0;
-        this.className = 'hunter';
-
-        // Inventory system
-        this.inventory = new Inventory(24);
-        this.inventory.giveStarterItems(this.className);
-
-        // Set up equipment change callback
-        this.inventory.onEquipmentChanged = () => {
-            this.updateWeaponFromEquipment();
-        };
+        super(scene, game, {
+            className: 'hunter',
+            kit: 'hunter',
+            model: 'ranger',
+            maxHealth: 400, // Mobile with medium health
+            moveSpeed: 8,
+            attackRange: 18, // Dual crossbow ranged
+            autoAttackCooldown: 0.6, // Fast attacks
+            autoAttackDamage: 15
+        });
 
-        // Buff system
-        this.buffs = {};
-
-        // Stats - Hunter is mobile with medium health
-        this.maxHealth = 400;
-        this.health = this.maxHealth;
-        this.moveSpeed = 8;
-        this.jumpForce = 12;
-        this.isGrounded = true;
-
-        // Combat - Dual crossbow ranged
-        this.targetEnemy = null;
-        this.attackRange = 18;
-        this.autoAttackCooldown = 0;
-        this.autoAttackCooldownMax = 0.6; // Fast attacks
-        this.autoAttackDamage = 15;
         this.currentCrossbow = 'left'; // Alternate between crossbows
 
-        // Hunter Abilities
-        this.abilities = {
-            arrowWave: {
-                cooldown: 6,
-                cooldownRemaining: 0,
-                damage: 20,
-                arrowCount: 8,
-                range: 15,
-                angle: Math.PI * 0.5, // 90 degree spread
-                isActive: false
-            },
-            spinDash: {
-                cooldown: 8,
-                cooldownRemaining: 0,
-                damage: 25,
-                dashDistance: 10,
-                arrowsPerSpin: 12,
-                radius: 4,
-                isActive: false
-            },
-            shotgun: {
-                cooldown: 5,
-                cooldownRemaining: 0,
-                damage: 40,
-                range: 8,
-                angle: Math.PI * 0.4, // 72 degree cone
-                knockback: 5, // Push player back
-                arrowCount: 6,
-                isActive: false
-            },
-            trap: {
-                cooldown: 12,
-                cooldownRemaining: 0,
-                damage: 60,
-                radius: 4,
-                armTime: 1.0, // Time before trap is active
-                isActive: false
-            },
-            giantArrow: {
-                cooldown: 10,
-                cooldownRemaining: 0,
-                damage: 50,
-                range: 30,
-                width: 1.5,
-                speed: 25,
-                piercing: true,
-                isActive: false
-            },
-            potion: {
-                cooldown: 10,
-                cooldownRemaining: 0,
-                healAmount: 100,
-                isActive: false
-            }
-        };
-
         // Projectiles
         this.projectiles = [];
         this.giantArrows = [];
         this.traps = [];
 
-        // KayKit character controller
-        this.character = new KayKitCharacter(scene);
-        this.useAnimatedCharacter = false;
-        this.characterLoading = false;
-
-        // Click-to-move target
-        this.moveTarget = null;
-        this.moveTargetThreshold = 0.5;
-
         // Ability indicators
         this.arrowWaveIndicator = null;
         this.shotgunIndicator = null;
@@ -263,29 +177,6 @@ export class Hunter {
         this.giantArrowIndicator.rotation.z = angle + Math.PI;
     }
 
-    async loadCharacter() {
-        this.characterLoading = true;
-        this.group.visible = false;
-
-        try {
-            // Load KayKit Ranger character for hunter
-            const success = await this.character.load('adventurers', 'ranger');
-            if (success) {
-                this.useAnimatedCharacter = true;
-                console.log('Using KayKit Ranger character model for Hunter');
-
-                // Update weapon based on equipment
-                this.updateWeaponFromEquipment();
-            } else {
-                this.group.visible = true;
-            }
-        } catch (error) {
-            console.warn('Failed to load KayKit ranger character, using fallback:', error);
-            this.group.visible = true;
-        }
-        this.characterLoading = false;
-    }
-
     updateWeaponFromEquipment() {
         if (!this.useAnimatedCharacter) return;
 
@@ -403,177 +294,10 @@ export class Hunter {
         return crossbow;
     }
 
-    setTarget(enemy) {
-        if (this.targetEnemy && this.targetEnemy.setTargeted) {
-            this.targetEnemy.setTargeted(false);
-        }
-        this.targetEnemy = enemy;
-        if (enemy && enemy.setTargeted) {
-            enemy.setTargeted(true);
-        }
-    }
-
-    setMoveTarget(position) {
-        this.moveTarget = position;
-    }
-
-    clearMoveTarget() {
-        this.moveTarget = null;
-    }
-
-    update(deltaTime, input, cameraController) {
-        // Process movement
-        const isMoving = this.handleMovement(deltaTime, input, cameraController, input.rightMouseDown);
-
-        // Process abilities
-        this.updateAbilities(deltaTime);
-
-        // Update projectiles
+    updateEffects(deltaTime) {
         this.updateProjectiles(deltaTime);
-
-        // Update giant arrows
         this.updateGiantArrows(deltaTime);
-
-        // Update traps
         this.updateTraps(deltaTime);
-
-        // Auto-attack cooldown
-        if (this.autoAttackCooldown > 0) {
-            this.autoAttackCooldown -= deltaTime;
-        }
-
-        // Automatically attack target if in range
-        if (this.targetEnemy && this.targetEnemy.isAlive && this.autoAttackCooldown <= 0) {
-            const dist = this.position.distanceTo(this.targetEnemy.position);
-            if (dist <= this.attackRange) {
-                this.performAutoAttack();
-            }
-        }
-
-        // Update visual position
-        if (this.useAnimatedCharacter) {
-            this.character.setPosition(this.position.x, this.position.y, this.position.z);
-            this.character.setRotation(this.rotation);
-            this.character.update(deltaTime, isMoving, true, this.isGrounded);
-        } else {
-            this.group.position.copy(this.position);
-            this.group.rotation.y = this.rotation;
-        }
-    }
-
-    handleMovement(deltaTime, input, cameraController, isMouseTurning = false) {
-        const forwardBack = new THREE.Vector3();
-        if (input.keys.w || input.keys.arrowup) forwardBack.z -= 1;
-        if (input.keys.s || input.keys.arrowdown) forwardBack.z += 1;
-
-        const strafe = new THREE.Vector3();
-        if (input.keys.a || input.keys.arrowleft) strafe.x -= 1;
-        if (input.keys.d || input.keys.arrowright) strafe.x += 1;
-
-        const usingKeyboard = forwardBack.length() > 0 || strafe.length() > 0;
-
-        if (usingKeyboard && this.moveTarget) {
-            this.clearMoveTarget();
-        }
-
-        const moveDir = new THREE.Vector3();
-        const cameraYaw = -cameraController.yaw;
-        const cos = Math.cos(cameraYaw);
-        const sin = Math.sin(cameraYaw);
-
-        if (forwardBack.length() > 0) {
-            const rotatedZ = forwardBack.z * cos;
-            const rotatedX = -forwardBack.z * sin;
-            moveDir.x += rotatedX;
-            moveDir.z += rotatedZ;
-        }
-
-        if (strafe.length() > 0) {
-            const rotatedX = strafe.x * cos;
-            const rotatedZ = strafe.x * sin;
-            moveDir.x += rotatedX;
-            moveDir.z += rotatedZ;
-        }
-
-        let isMoving = false;
-
-        // Save old position for collision resolution
-        const oldX = this.position.x;
-        const oldZ = this.position.z;
-
-        if (this.moveTarget && !usingKeyboard) {
-            const dx = this.moveTarget.x - this.position.x;
-            const dz = this.moveTarget.z - this.position.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-
-            if (dist > this.moveTargetThreshold) {
-                moveDir.x = dx / dist;
-                moveDir.z = dz / dist;
-                isMoving = true;
-
-                this.position.x += moveDir.x * this.moveSpeed * deltaTime;
-                this.position.z += moveDir.z * this.moveSpeed * deltaTime;
-
-                this.rotation = Math.atan2(moveDir.x, moveDir.z);
-            } else {
-                this.clearMoveTarget();
-            }
-        } else if (moveDir.length() > 0) {
-            isMoving = true;
-            moveDir.normalize();
-
-            this.position.x += moveDir.x * this.moveSpeed * deltaTime;
-            this.position.z += moveDir.z * this.moveSpeed * deltaTime;
-
-            this.rotation = Math.atan2(moveDir.x, moveDir.z);
-        }
-
-        // Wall collision check
-        if (this.game && this.game.resolveWallCollision) {
-            const resolved = this.game.resolveWallCollision(oldX, oldZ, this.position.x, this.position.z, 0.5);
-            this.position.x = resolved.x;
-            this.position.z = resolved.z;
-        }
-
-        // Jumping
-        if (input.keys[' '] && this.isGrounded) {
-            this.velocity.y = this.jumpForce;
-            this.isGrounded = false;
-            input.keys[' '] = false;
-
-            if (this.useAnimatedCharacter) {
-                this.character.playJump();
-            }
-        }
-
-        // Gravity
-        if (!this.isGrounded) {
-            this.velocity.y -= 30 * deltaTime;
-            this.position.y += this.velocity.y * deltaTime;
-
-            if (this.position.y <= 0) {
-                this.position.y = 0;
-                this.velocity.y = 0;
-                this.isGrounded = true;
-            }
-        }
-
-        // Keep in bounds
-        const bounds = 95;
-        this.position.x = Math.max(-bounds, Math.min(bounds, this.position.x));
-        this.position.z = Math.max(-bounds, Math.min(bounds, this.position.z));
-
-        return isMoving;
-    }
-
-    updateAbilities(deltaTime) {
-        for (const key in this.abilities) {
-            const ability = this.abilities[key];
-            if (ability.cooldownRemaining > 0) {
-                ability.cooldownRemaining -= deltaTime;
-                if (ability.cooldownRemaining < 0) ability.cooldownRemaining = 0;
-            }
-        }
     }
 
     // Dual crossbow auto-attack - alternates between crossbows
@@ -585,6 +309,9 @@ export class Hunter {
         if (dist > this.attackRange) return false;
 
         this.autoAttackCooldown = this.autoAttackCooldownMax;
+        if (this.resource) {
+            this.resource.onAutoAttack();
+        }
 
         // Face the target
         const dx = this.targetEnemy.position.x - this.position.x;
@@ -1179,6 +906,9 @@ export class Hunter {
             position: trapPos.clone(),
             radius: ability.radius,
             damage: ability.damage,
+            slowDuration: ability.slowDuration,
+            bleedDamage: ability.bleedDamage,
+            bleedDuration: ability.bleedDuration,
             armTime: ability.armTime,
             isArmed: false
         });
@@ -1270,15 +1000,15 @@ export class Hunter {
 
                 const dist = enemy.position.distanceTo(trap.position);
                 if (dist < trap.radius) {
-                    enemy.takeDamage(trap.damage, this);
+                    this.dealDamage(enemy, trap.damage, DamageType.PHYSICAL, ['ability', 'trap']);
 
-                    if (this.game && this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, trap.damage);
-                    }
+                    // Brief stun, and the jaws leave them bleeding
+                    enemy.stun(0.5);
+                    enemy.applyStatus('bleed', { duration: trap.bleedDuration, damage: trap.bleedDamage, source: this });
 
-                    // Brief stun
-                    if (enemy.stun) {
-                        enemy.stun(0.5);
+                    // Crippling Trap talent - chilled as the trap springs, so the slow runs on past the short stun
+                    if (trap.slowDuration > 0) {
+                        enemy.applyStatus('chill', { duration: trap.slowDuration, moveSpeed: 0.5, source: this });
                     }
                 }
             }
@@ -1527,13 +1257,9 @@ export class Hunter {
                     ).length();
 
                     if (dist < arrow.width + 0.5) {
-                        enemy.takeDamage(arrow.damage, this);
+                        this.dealDamage(enemy, arrow.damage, DamageType.PHYSICAL, ['ability', 'giantArrow']);
                         arrow.hitEnemies.add(enemy);
 
-                        if (this.game && this.game.effects) {
-                            this.game.effects.createDamageNumber(enemy.position, arrow.damage);
-                        }
-
                         // Impact effect
                         this.createGiantArrowHitEffect(enemy.position.clone());
                     }
@@ -1606,11 +1332,7 @@ export class Hunter {
                 }
 
                 if (dist < 0.5) {
-                    proj.target.takeDamage(proj.damage, this);
-
-                    if (this.game && this.game.effects) {
-                        this.game.effects.createDamageNumber(proj.target.position, proj.damage);
-                    }
+                    this.dealDamage(proj.target, proj.damage, DamageType.PHYSICAL, ['auto']);
 
                     // Impact spark
                     this.createArrowHitSpark(proj.mesh.position.clone());
@@ -1642,13 +1364,9 @@ export class Hunter {
                         const dz = enemy.position.z - proj.mesh.position.z;
                         const dist = Math.sqrt(dx * dx + dz * dz);
                         if (dist < 1.5) {
-                            enemy.takeDamage(proj.damage, this);
+                            this.dealDamage(enemy, proj.damage, DamageType.PHYSICAL, ['projectile', proj.type]);
                             proj.hitEnemies.add(enemy);
 
-                            if (this.game && this.game.effects) {
-                                this.game.effects.createDamageNumber(enemy.position, proj.damage);
-                            }
-
                             // Non-piercing projectiles stop on hit
                             if (proj.type === 'shotgun') {
                                 this.scene.remove(proj.mesh);
@@ -1672,151 +1390,6 @@ export class Hunter {
         }
     }
 
-    // Health Potion
-    usePotion() {
-        const ability = this.abilities.potion;
-        if (ability.cooldownRemaining > 0) return false;
-
-        ability.cooldownRemaining = ability.cooldown;
-        this.health = Math.min(this.maxHealth, this.health + ability.healAmount);
-
-        if (this.game && this.game.effects) {
-            this.game.effects.createPotionEffect(this.position);
-            this.game.effects.createDamageNumber(this.position, ability.healAmount, true);
-        }
-
-        // Green heal sparkles
-        this.createHealEffect();
-
-        return true;
-    }
-
-    takeDamage(amount) {
-        this.health -= amount;
-
-        if (this.useAnimatedCharacter) {
-            this.character.playImpact();
-        }
-
-        // Red hit flash
-        this.createPlayerHitEffect();
-
-        if (this.game) {
-            this.game.addScreenShake(Math.min(amount / 20, 0.5));
-        }
-
-        if (this.health <= 0) {
-            this.health = 0;
-            this.die();
-        }
-    }
-
-    die() {
-        console.log('Hunter died!');
-
-        if (this.useAnimatedCharacter) {
-            this.character.playDeath();
-        }
-
-        setTimeout(() => {
-            this.health = this.maxHealth;
-            this.position.set(0, 0, 0);
-            if (this.useAnimatedCharacter) {
-                this.character.playAnimation('idle', true);
-            }
-        }, 2000);
-    }
-
-    // Buff system
-    applyBuff(buffType, duration, value) {
-        const baseValue = this.getBuffBaseValue(buffType);
-
-        this.buffs[buffType] = {
-            duration: duration,
-            value: value,
-            baseValue: baseValue
-        };
-
-        this.applyBuffEffect(buffType, value);
-
-        // Visual effect
-        if (this.game && this.game.particles && this.game.particles.buffApplied) {
-            this.game.particles.buffApplied(this.position, this.getBuffColor(buffType));
-        }
-    }
-
-    getBuffBaseValue(buffType) {
-        switch (buffType) {
-            case 'speed': return this.moveSpeed;
-            case 'damage': return this.autoAttackDamage;
-            case 'defense': return 0;
-            default: return 0;
-        }
-    }
-
-    getBuffColor(buffType) {
-        switch (buffType) {
-            case 'speed': return 0x44ff44;
-            case 'damage': return 0xff4444;
-            case 'defense': return 0x4444ff;
-            default: return 0xffffff;
-        }
-    }
-
-    applyBuffEffect(buffType, value) {
-        switch (buffType) {
-            case 'speed':
-                this.moveSpeed *= (1 + value);
-                break;
-            case 'damage':
-                this.autoAttackDamage = Math.floor(this.autoAttackDamage * (1 + value));
-                break;
-        }
-    }
-
-    removeBuffEffect(buffType, buff) {
-        switch (buffType) {
-            case 'speed':
-                this.moveSpeed = buff.baseValue;
-                break;
-            case 'damage':
-                this.autoAttackDamage = buff.baseValue;
-                break;
-        }
-    }
-
-    updateBuffs(deltaTime) {
-        for (const buffType in this.buffs) {
-            const buff = this.buffs[buffType];
-            buff.duration -= deltaTime;
-
-            if (buff.duration <= 0) {
-                this.removeBuffEffect(buffType, buff);
-                delete this.buffs[buffType];
-            }
-        }
-    }
-
-    getStats() {
-        const baseStats = {
-            damage: this.autoAttackDamage,
-            defense: 0,
-            health: this.maxHealth,
-            speed: this.moveSpeed
-        };
-
-        // Add equipment bonuses
-        if (this.inventory) {
-            const equipStats = this.inventory.getEquipmentStats();
-            baseStats.damage += equipStats.damage || 0;
-            baseStats.defense += equipStats.defense || 0;
-            baseStats.health += equipStats.health || 0;
-            baseStats.speed += equipStats.speed || 0;
-        }
-
-        return baseStats;
-    }
-
     // Effect helper methods
     createArrowHitSpark(pos) {
         const sparkGeo = new THREE.SphereGeometry(0.15, 6, 4);
@@ -1949,6 +1522,16 @@ export class Hunter {
         animate();
     }
 
+    // Green heal sparkles
+    onHealed(amount) {
+        this.createHealEffect();
+    }
+
+    // Red hit flash
+    onDamaged(amount, source) {
+        this.createPlayerHitEffect();
+    }
+
     createHealEffect() {
         const pos = this.position.clone();
 
@@ -2074,14 +1657,6 @@ export class Hunter {
             this.giantArrowIndicator.material.dispose();
         }
 
-        // Remove character
-        if (this.character) {
-            this.character.dispose();
-        }
-
-        // Remove fallback mesh
-        if (this.group) {
-            this.scene.remove(this.group);
-        }
+        super.dispose();
     }
 }
@@ -1,23 +1,14 @@
 import * as THREE from 'three';
+import { ACTIONS, QTE_ACTIONS, normalizeKey } from './keyBindings.js';
 
 export class InputManager {
     constructor(canvas, game) {
         this.canvas = canvas;
         this.game = game;
 
-        // Key states
-        this.keys = {
-            w: false,
-            a: false,
-            s: false,
-            d: false,
-            ' ': false, // spacebar
-            shift: false,
-            arrowup: false,
-            arrowdown: false,
-            arrowleft: false,
-            arrowright: false
-        };
+        // Held keys by normalized key - actions look theirs up through the game's key bindings.
+        // Arrow keys always move as well.
+        this.keys = {};
 
         // Mouse state
         this.mouseX = 0;
@@ -38,7 +29,8 @@ export class InputManager {
         this.mouseNDC = new THREE.Vector2();
 
         // Ability aiming state
-        this.aimingAbility = null; // 'q', 'f', etc.
+        this.aimingAbility = null; // Ability bar slot - 'q', 'f', etc.
+        this.aimingKey = null; // Key held to aim it, released to fire
 
         this.setupEventListeners();
     }
@@ -58,414 +50,256 @@ export class InputManager {
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
     }
 
+    get bindings() {
+        return this.game.keybindings;
+    }
+
+    // True while the key bound to an action is held
+    isHeld(actionId) {
+        const key = this.bindings.getKey(actionId);
+        return !!key && !!this.keys[key];
+    }
+
+    // Treat an action's key as released until it's pressed again - jumps don't repeat while held
+    consume(actionId) {
+        const key = this.bindings.getKey(actionId);
+        if (key) this.keys[key] = false;
+    }
+
     onKeyDown(e) {
-        const key = e.key.toLowerCase();
+        const key = normalizeKey(e.key);
+        const minigameAction = this.bindings.actionFor('minigame', key);
 
         // Check for QTE minigame input first (fishing)
         if (this.game.fishingLake?.minigame?.state === 'qte') {
-            if (['w', 'a', 's', 'd'].includes(key)) {
+            if (QTE_ACTIONS.includes(minigameAction)) {
                 e.preventDefault();
-                this.game.handleQTEKeyPress(key);
+                this.game.handleQTEKeyPress(minigameAction);
                 return;
             }
         }
 
-        // Check for mining minigame input (SPACE to swing)
-        if (this.game.mine?.minigame && key === ' ') {
-            e.preventDefault();
-            this.game.handleMiningSwing();
-            return;
+        // Check for mining and chopping minigame input (swing)
+        if (minigameAction === 'swing') {
+            if (this.game.mine?.minigame) {
+                e.preventDefault();
+                this.game.handleMiningSwing();
+                return;
+            }
+            if (this.game.trees?.minigame) {
+                e.preventDefault();
+                this.game.handleChoppingSwing();
+                return;
+            }
         }
 
-        // Check for chopping minigame input (SPACE to swing)
-        if (this.game.trees?.minigame && key === ' ') {
-            e.preventDefault();
-            this.game.handleChoppingSwing();
-            return;
-        }
+        // Held keys (only if not in QTE)
+        this.keys[key] = true;
 
-        // Movement keys (only if not in QTE)
-        if (key in this.keys) {
-            this.keys[key] = true;
-        }
+        // Interacting with something nearby comes before the combat action on the same key
+        if (minigameAction === 'interact' && this.interact()) return;
 
-        // Handle special keys
-        switch (key) {
-            case 'tab':
+        // Combat and menu actions can't share keys, so at most one matches
+        const action = this.bindings.actionFor('combat', key) || this.bindings.actionFor('menus', key);
+        switch (action) {
+            case 'targetNext':
                 e.preventDefault();
                 this.game.targetClosestEnemy();
                 break;
 
-            case 'escape':
+            case 'clearTarget':
                 this.game.clearTarget();
                 break;
 
-            case 'q':
-                // Q ability - Cleave (Warrior) / Blizzard (Mage) / Arrow Wave (Hunter)
-                if (this.game.selectedClass === 'mage') {
-                    if (this.game.player.abilities.blizzard?.cooldownRemaining <= 0) {
-                        this.aimingAbility = 'q';
-                        if (this.game.player.showBlizzardIndicator) {
-                            this.game.player.showBlizzardIndicator(true);
-                        }
-                    }
-                } else if (this.game.selectedClass === 'hunter') {
-                    if (this.game.player.abilities.arrowWave?.cooldownRemaining <= 0) {
-                        this.aimingAbility = 'q';
-                        if (this.game.player.showArrowWaveIndicator) {
-                            this.game.player.showArrowWaveIndicator(true);
-                        }
-                    }
-                } else if (this.game.selectedClass === 'adventurer') {
-                    // Fire directly without cooldown pre-checks - abilities handle their own cooldowns
-                    const weaponType = this.game.player.currentWeaponType;
-                    const direction = {
-                        x: this.mouseWorldPos.x - this.game.player.position.x,
-                        z: this.mouseWorldPos.z - this.game.player.position.z
-                    };
-                    if (weaponType === 'staff') {
-                        this.game.player.useBlizzard(this.mouseWorldPos.clone());
-                    } else if (weaponType === 'bow') {
-                        this.game.player.useArrowWave(direction);
-                    } else if (weaponType === 'sword' || weaponType === 'dagger') {
-                        this.game.player.useCleave(this.game.enemies, direction);
-                    }
-                } else {
-                    if (this.game.player.abilities.cleave.cooldownRemaining <= 0) {
-                        this.aimingAbility = 'q';
-                        if (this.game.player.showCleaveIndicator) {
-                            this.game.player.showCleaveIndicator(true);
-                        }
-                    }
-                }
+            // Ability keys - bound by the player's kit in the ability registry
+            case 'ability1':
+            case 'ability2':
+            case 'ability3':
+            case 'ability4':
+            case 'ability5':
+                this.pressAbilityKey(ACTIONS[action].slot, key);
                 break;
 
-            case 'f':
-                // Check for NPC interaction first (adventure mode)
-                if (this.game.nearbyNPC && !this.game.isDialogOpen()) {
-                    this.game.interactWithNPC();
-                    break;
-                }
-
-                // Check for fishing interactions first
-                if (this.game.fishingLake?.isNearLake && !this.game.fishingLake?.isFishing) {
-                    // Start fishing
-                    this.game.startFishing();
-                    break;
-                } else if (this.game.fishingLake?.minigame?.state === 'bite') {
-                    // Hook the fish on bite - starts QTE minigame
-                    this.game.fishingAction();
-                    break;
-                } else if (this.game.fishingLake?.minigame?.state === 'qte') {
-                    // Ignore F during QTE (use WASD)
-                    break;
-                }
-
-                // Check for campfire cooking interaction
-                if (this.game.campfire?.isNearCampfire && !this.game.campfire?.isCooking) {
-                    this.game.startCooking();
-                    break;
-                } else if (this.game.campfire?.isCooking) {
-                    // Ignore F during cooking
-                    break;
-                }
-
-                // Check for mine interaction
-                if (this.game.mine?.isNearMine && !this.game.mine?.isMining) {
-                    this.game.startMining();
-                    break;
-                } else if (this.game.mine?.isMining) {
-                    // Ignore F during mining
-                    break;
-                }
-
-                // Check for tree chopping interaction
-                if (this.game.trees?.isNearTrees && !this.game.trees?.isChopping) {
-                    this.game.startChopping();
-                    break;
-                } else if (this.game.trees?.isChopping) {
-                    // Ignore F during chopping
-                    break;
-                }
-
-                // Check for crafting bench interaction
-                if (this.game.craftingBench?.isNearBench && !this.game.craftingBench?.isCrafting) {
-                    this.game.startCrafting();
-                    break;
-                } else if (this.game.craftingBench?.isCrafting) {
-                    // Ignore F during crafting
-                    break;
-                }
-
-                // Check for smelter interaction
-                if (this.game.smelter?.isNearSmelter && !this.game.smelter?.isSmelting) {
-                    this.game.startSmelting();
-                    break;
-                } else if (this.game.smelter?.isSmelting) {
-                    // Ignore F during smelting
-                    break;
-                }
-
-                // Check for anvil interaction
-                if (this.game.anvil?.isNearAnvil && !this.game.anvil?.isForging) {
-                    this.game.startAnvilCrafting();
-                    break;
-                } else if (this.game.anvil?.isForging) {
-                    // Ignore F during forging
-                    break;
-                }
-
-                // F ability - Whirlwind (Warrior) / Flame Wave (Mage) / Spin Dash (Hunter)
-                if (this.game.selectedClass === 'mage') {
-                    this.aimingAbility = 'f';
-                    if (this.game.player.showFlameWaveIndicator) {
-                        this.game.player.showFlameWaveIndicator(true);
-                    }
-                } else if (this.game.selectedClass === 'hunter') {
-                    // Spin dash toward mouse direction
-                    const direction = {
-                        x: this.mouseWorldPos.x - this.game.player.position.x,
-                        z: this.mouseWorldPos.z - this.game.player.position.z
-                    };
-                    this.game.player.useSpinDash(direction);
-                } else if (this.game.selectedClass === 'adventurer') {
-                    const weaponType = this.game.player.currentWeaponType;
-                    const direction = {
-                        x: this.mouseWorldPos.x - this.game.player.position.x,
-                        z: this.mouseWorldPos.z - this.game.player.position.z
-                    };
-                    if (weaponType === 'staff') {
-                        this.aimingAbility = 'f';
-                    } else if (weaponType === 'bow') {
-                        this.game.player.useSpinDash(direction);
-                    } else if (weaponType === 'sword' || weaponType === 'dagger') {
-                        this.game.player.useWhirlwind(direction);
-                    }
-                } else {
-                    const direction = {
-                        x: this.mouseWorldPos.x - this.game.player.position.x,
-                        z: this.mouseWorldPos.z - this.game.player.position.z
-                    };
-                    this.game.player.useWhirlwind(direction);
+            // Inventory toggle
+            case 'inventory':
+                if (this.game.inventoryUI) {
+                    this.game.inventoryUI.toggle();
                 }
                 break;
 
-            case 'e':
-                // E ability - Parry (Warrior) / Frost Nova (Mage) / Shotgun (Hunter)
-                if (this.game.selectedClass === 'mage') {
-                    this.game.player.useFrostNova();
-                } else if (this.game.selectedClass === 'hunter') {
-                    if (this.game.player.abilities.shotgun?.cooldownRemaining <= 0) {
-                        this.aimingAbility = 'e';
-                        if (this.game.player.showShotgunIndicator) {
-                            this.game.player.showShotgunIndicator(true);
-                        }
-                    }
-                } else if (this.game.selectedClass === 'adventurer') {
-                    // Fire directly without cooldown pre-checks
-                    const weaponType = this.game.player.currentWeaponType;
-                    const direction = {
-                        x: this.mouseWorldPos.x - this.game.player.position.x,
-                        z: this.mouseWorldPos.z - this.game.player.position.z
-                    };
-                    if (weaponType === 'staff') {
-                        this.game.player.useFrostNova();
-                    } else if (weaponType === 'bow') {
-                        this.game.player.useShotgun(direction);
-                    } else if (weaponType === 'sword' || weaponType === 'dagger') {
-                        this.game.player.useParry();
-                    }
-                } else {
-                    this.game.player.useParry();
+            // Dodge roll - held shift doesn't keep rolling
+            case 'dodge':
+                if (!e.repeat && this.game.player) {
+                    this.game.player.dodge();
                 }
                 break;
 
-            case 'r':
-                // R ability - Heroic Leap (Warrior) / Blink (Mage) / Trap (Hunter)
-                if (this.game.selectedClass === 'mage') {
-                    const direction = {
-                        x: this.mouseWorldPos.x - this.game.player.position.x,
-                        z: this.mouseWorldPos.z - this.game.player.position.z
-                    };
-                    this.game.player.useBackstep(direction);
-                } else if (this.game.selectedClass === 'hunter') {
-                    // Throw trap instantly to mouse position
-                    this.game.player.useTrap(this.mouseWorldPos.clone());
-                } else if (this.game.selectedClass === 'adventurer') {
-                    // Fire directly without cooldown pre-checks
-                    const weaponType = this.game.player.currentWeaponType;
-                    const direction = {
-                        x: this.mouseWorldPos.x - this.game.player.position.x,
-                        z: this.mouseWorldPos.z - this.game.player.position.z
-                    };
-                    if (weaponType === 'staff') {
-                        this.game.player.useBlink(direction);
-                    } else if (weaponType === 'bow') {
-                        this.game.player.useTrap(this.mouseWorldPos.clone());
-                    } else if (weaponType === 'sword' || weaponType === 'dagger') {
-                        this.game.player.useHeroicLeap(this.mouseWorldPos.clone());
-                    }
-                } else {
-                    if (this.game.player.abilities.heroicLeap.cooldownRemaining <= 0) {
-                        this.aimingAbility = 'r';
-                        if (this.game.player.showHeroicLeapIndicator) {
-                            this.game.player.showHeroicLeapIndicator(true);
-                        }
-                    }
+            // Combat log toggle
+            case 'combatLog':
+                if (this.game.combatLogUI) {
+                    this.game.combatLogUI.toggle();
                 }
                 break;
 
-            case 'c':
-                // C ability - Sunder (Warrior) / Frozen Orb (Mage) / Giant Arrow (Hunter)
-                if (this.game.selectedClass === 'mage') {
-                    if (this.game.player.abilities.frozenOrb.cooldownRemaining <= 0) {
-                        const direction = {
-                            x: this.mouseWorldPos.x - this.game.player.position.x,
-                            z: this.mouseWorldPos.z - this.game.player.position.z
-                        };
-                        this.game.player.useFrozenOrb(direction);
-                    }
-                } else if (this.game.selectedClass === 'hunter') {
-                    if (this.game.player.abilities.giantArrow?.cooldownRemaining <= 0) {
-                        this.aimingAbility = 'c';
-                        if (this.game.player.showGiantArrowIndicator) {
-                            this.game.player.showGiantArrowIndicator(true);
-                        }
-                    }
-                } else if (this.game.selectedClass === 'adventurer') {
-                    // Fire directly without cooldown pre-checks
-                    const weaponType = this.game.player.currentWeaponType;
-                    const direction = {
-                        x: this.mouseWorldPos.x - this.game.player.position.x,
-                        z: this.mouseWorldPos.z - this.game.player.position.z
-                    };
-                    if (weaponType === 'staff') {
-                        this.game.player.useFrozenOrb(direction);
-                    } else if (weaponType === 'bow') {
-                        this.game.player.useGiantArrow(direction);
-                    }
-                    // Sword/dagger has no 5th ability for Adventurer
-                } else {
-                    if (this.game.player.abilities.sunder.cooldownRemaining <= 0) {
-                        this.aimingAbility = 'c';
-                        if (this.game.player.showSunderIndicator) {
-                            this.game.player.showSunderIndicator(true);
-                        }
-                    }
+            // Settings panel toggle
+            case 'settings':
+                if (this.game.settingsUI) {
+                    this.game.settingsUI.toggle();
                 }
                 break;
 
-            // Inventory toggle
-            case 'i':
-                if (this.game.inventoryUI) {
-                    this.game.inventoryUI.toggle();
+            // Talent panel toggle
+            case 'talents':
+                if (this.game.talentUI) {
+                    this.game.talentUI.toggle();
                 }
                 break;
 
             // Hotbar slots (1-5)
-            case '1':
-            case '2':
-            case '3':
-            case '4':
-            case '5':
+            case 'hotbar1':
+            case 'hotbar2':
+            case 'hotbar3':
+            case 'hotbar4':
+            case 'hotbar5':
                 if (this.game.inventoryUI) {
-                    const slotIndex = parseInt(key) - 1;
-                    this.game.inventoryUI.useHotbarSlot(slotIndex);
+                    this.game.inventoryUI.useHotbarSlot(ACTIONS[action].hotbarSlot);
                 }
                 break;
         }
     }
 
-    onKeyUp(e) {
-        const key = e.key.toLowerCase();
+    // Interact key - returns true if something nearby used it, false to let the key through
+    interact() {
+        // Check for NPC interaction first (adventure mode)
+        if (this.game.nearbyNPC && !this.game.isDialogOpen()) {
+            this.game.interactWithNPC();
+            return true;
+        }
 
-        if (key in this.keys) {
-            this.keys[key] = false;
+        // Check for fishing interactions first
+        if (this.game.fishingLake?.isNearLake && !this.game.fishingLake?.isFishing) {
+            // Start fishing
+            this.game.startFishing();
+            return true;
+        } else if (this.game.fishingLake?.minigame?.state === 'bite') {
+            // Hook the fish on bite - starts QTE minigame
+            this.game.fishingAction();
+            return true;
+        } else if (this.game.fishingLake?.minigame?.state === 'qte') {
+            // Ignore interact during QTE (use the fishing keys)
+            return true;
         }
 
-        // Fire aimed abilities on key release
-        if (this.aimingAbility === key) {
-            this.fireAimedAbility(key);
-            this.aimingAbility = null;
+        // Check for campfire cooking interaction
+        if (this.game.campfire?.isNearCampfire && !this.game.campfire?.isCooking) {
+            this.game.startCooking();
+            return true;
+        } else if (this.game.campfire?.isCooking) {
+            // Ignore interact during cooking
+            return true;
         }
-    }
 
-    fireAimedAbility(key) {
-        if (!this.game.player) return;
+        // Check for mine interaction
+        if (this.game.mine?.isNearMine && !this.game.mine?.isMining) {
+            this.game.startMining();
+            return true;
+        } else if (this.game.mine?.isMining) {
+            // Ignore interact during mining
+            return true;
+        }
 
-        // Calculate direction from player to mouse
-        const direction = {
-            x: this.mouseWorldPos.x - this.game.player.position.x,
-            z: this.mouseWorldPos.z - this.game.player.position.z
-        };
+        // Check for tree chopping interaction
+        if (this.game.trees?.isNearTrees && !this.game.trees?.isChopping) {
+            this.game.startChopping();
+            return true;
+        } else if (this.game.trees?.isChopping) {
+            // Ignore interact during chopping
+            return true;
+        }
 
-        // For adventurer, get weapon type to determine which ability to use
-        const isAdventurer = this.game.selectedClass === 'adventurer';
-        const weaponType = isAdventurer ? this.game.player.currentWeaponType : null;
+        // Check for crafting bench interaction
+        if (this.game.craftingBench?.isNearBench && !this.game.craftingBench?.isCrafting) {
+            this.game.startCrafting();
+            return true;
+        } else if (this.game.craftingBench?.isCrafting) {
+            // Ignore interact during crafting
+            return true;
+        }
 
-        switch (key) {
-            case 'q':
-                if (this.game.selectedClass === 'mage' || (isAdventurer && weaponType === 'staff')) {
-                    if (this.game.player.showBlizzardIndicator) {
-                        this.game.player.showBlizzardIndicator(false);
-                    }
-                    this.game.player.useBlizzard(this.mouseWorldPos.clone());
-                } else if (this.game.selectedClass === 'hunter' || (isAdventurer && weaponType === 'bow')) {
-                    if (this.game.player.showArrowWaveIndicator) {
-                        this.game.player.showArrowWaveIndicator(false);
-                    }
-                    this.game.player.useArrowWave(direction);
-                } else if (!isAdventurer || weaponType === 'sword' || weaponType === 'dagger') {
-                    if (this.game.player.showCleaveIndicator) {
-                        this.game.player.showCleaveIndicator(false);
-                    }
-                    this.game.player.useCleave(this.game.enemies, direction);
-                }
-                break;
+        // Check for smelter interaction
+        if (this.game.smelter?.isNearSmelter && !this.game.smelter?.isSmelting) {
+            this.game.startSmelting();
+            return true;
+        } else if (this.game.smelter?.isSmelting) {
+            // Ignore interact during smelting
+            return true;
+        }
 
-            case 'f':
-                if (this.game.selectedClass === 'mage' || (isAdventurer && weaponType === 'staff')) {
-                    if (this.game.player.showFlameWaveIndicator) {
-                        this.game.player.showFlameWaveIndicator(false);
-                    }
-                    this.game.player.useFlameWave(this.game.enemies, direction);
-                }
-                break;
+        // Check for anvil interaction
+        if (this.game.anvil?.isNearAnvil && !this.game.anvil?.isForging) {
+            this.game.startAnvilCrafting();
+            return true;
+        } else if (this.game.anvil?.isForging) {
+            // Ignore interact during forging
+            return true;
+        }
 
-            case 'e':
-                if (this.game.selectedClass === 'hunter' || (isAdventurer && weaponType === 'bow')) {
-                    if (this.game.player.showShotgunIndicator) {
-                        this.game.player.showShotgunIndicator(false);
-                    }
-                    this.game.player.useShotgun(direction);
-                }
-                break;
+        return false;
+    }
 
-            case 'r':
-                if (this.game.selectedClass === 'warrior' || (isAdventurer && (weaponType === 'sword' || weaponType === 'dagger'))) {
-                    if (this.game.player.showHeroicLeapIndicator) {
-                        this.game.player.showHeroicLeapIndicator(false);
-                    }
-                    this.game.player.useHeroicLeap(this.mouseWorldPos.clone());
-                }
-                break;
+    onKeyUp(e) {
+        const key = normalizeKey(e.key);
+        this.keys[key] = false;
 
-            case 'c':
-                if (this.game.selectedClass === 'hunter' || (isAdventurer && weaponType === 'bow')) {
-                    if (this.game.player.showGiantArrowIndicator) {
-                        this.game.player.showGiantArrowIndicator(false);
-                    }
-                    this.game.player.useGiantArrow(direction);
-                } else if (this.game.selectedClass === 'warrior') {
-                    if (this.game.player.showSunderIndicator) {
-                        this.game.player.showSunderIndicator(false);
-                    }
-                    this.game.player.useSunder(direction);
-                }
-                break;
+        // Fire aimed abilities on key release
+        if (this.aimingAbility && this.aimingKey === key) {
+            this.fireAimedAbility(this.aimingAbility);
+            this.aimingAbility = null;
+            this.aimingKey = null;
+        }
+    }
+
+    // Aim for ability effect hooks - mouse ground position and direction from the player
+    getAbilityAim() {
+        const player = this.game.player;
+        return {
+            position: this.mouseWorldPos.clone(),
+            direction: {
+                x: this.mouseWorldPos.x - player.position.x,
+                z: this.mouseWorldPos.z - player.position.z
+            },
+            enemies: this.game.enemies
+        };
+    }
+
+    // Ability key pressed - aimed abilities show their indicator until key is released, the rest fire now
+    pressAbilityKey(slot, key) {
+        const player = this.game.player;
+        const abilityId = player?.getSlotAbility?.(slot);
+        if (!abilityId) return;
+
+        if (player.canAimAbility(abilityId)) {
+            // Don't start aiming something that can't be paid for
+            if (player.abilities[abilityId].cooldownRemaining <= 0 && player.checkAbilityCost(abilityId)) {
+                this.aimingAbility = slot;
+                this.aimingKey = key;
+                player.showAbilityIndicator(abilityId, true);
+                player.updateAbilityIndicator(abilityId, this.mouseWorldPos);
+            }
+        } else {
+            player.castAbility(abilityId, this.getAbilityAim());
         }
     }
 
+    fireAimedAbility(slot) {
+        const player = this.game.player;
+        const abilityId = player?.getSlotAbility?.(slot);
+        if (!abilityId) return;
+
+        player.showAbilityIndicator(abilityId, false);
+        player.castAbility(abilityId, this.getAbilityAim());
+    }
+
     onMouseDown(e) {
         this.lastMouseX = e.clientX;
         this.lastMouseY = e.clientY;
@@ -603,44 +437,9 @@ export class InputManager {
 
         // Update ability indicators while aiming
         if (this.aimingAbility && this.game.player) {
-            if (this.aimingAbility === 'q') {
-                if (this.game.selectedClass === 'mage') {
-                    if (this.game.player.updateBlizzardIndicator) {
-                        this.game.player.updateBlizzardIndicator(this.mouseWorldPos);
-                    }
-                } else if (this.game.selectedClass === 'hunter') {
-                    if (this.game.player.updateArrowWaveIndicator) {
-                        this.game.player.updateArrowWaveIndicator(this.mouseWorldPos);
-                    }
-                } else {
-                    if (this.game.player.updateCleaveIndicator) {
-                        this.game.player.updateCleaveIndicator(this.mouseWorldPos);
-                    }
-                }
-            } else if (this.aimingAbility === 'f') {
-                if (this.game.player.updateFlameWaveIndicator) {
-                    this.game.player.updateFlameWaveIndicator(this.mouseWorldPos);
-                }
-            } else if (this.aimingAbility === 'e') {
-                if (this.game.selectedClass === 'hunter') {
-                    if (this.game.player.updateShotgunIndicator) {
-                        this.game.player.updateShotgunIndicator(this.mouseWorldPos);
-                    }
-                }
-            } else if (this.aimingAbility === 'r') {
-                if (this.game.player.updateHeroicLeapIndicator) {
-                    this.game.player.updateHeroicLeapIndicator(this.mouseWorldPos);
-                }
-            } else if (this.aimingAbility === 'c') {
-                if (this.game.selectedClass === 'hunter') {
-                    if (this.game.player.updateGiantArrowIndicator) {
-                        this.game.player.updateGiantArrowIndicator(this.mouseWorldPos);
-                    }
-                } else {
-                    if (this.game.player.updateSunderIndicator) {
-                        this.game.player.updateSunderIndicator(this.mouseWorldPos);
-                    }
-                }
+            const abilityId = this.game.player.getSlotAbility(this.aimingAbility);
+            if (abilityId) {
+                this.game.player.updateAbilityIndicator(abilityId, this.mouseWorldPos);
             }
         }
     }
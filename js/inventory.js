@@ -62,6 +62,20 @@ export class Inventory {
         return remaining;  // Return overflow
     }
 
+    // Add an existing stack (keeps rolled instance data) - returns overflow quantity
+    addStack(stack) {
+        if (stack.definition.stackable) {
+            return this.addItem(stack.definition, stack.quantity);
+        }
+
+        const emptySlot = this.slots.findIndex(s => s === null);
+        if (emptySlot === -1) return stack.quantity;
+
+        this.slots[emptySlot] = stack;
+        this._notifyChange();
+        return 0;
+    }
+
     // Add item by ID
     addItemById(itemId, quantity = 1) {
         const itemDef = ITEMS[itemId];
@@ -86,6 +100,16 @@ export class Inventory {
         return true;
     }
 
+    // Remove and return a whole stack (keeps its instance data intact)
+    takeStack(slotIndex) {
+        const stack = this.slots[slotIndex];
+        if (!stack) return null;
+
+        this.slots[slotIndex] = null;
+        this._notifyChange();
+        return stack;
+    }
+
     // Remove item by ID (finds first stack)
     removeItemById(itemId, quantity = 1) {
         let remaining = quantity;
@@ -124,7 +148,13 @@ export class Inventory {
         // Execute use effect
         let result = null;
         if (item.useEffect) {
+            const oldHealth = player.health;
             result = item.useEffect(player);
+            if (result?.type === 'heal') {
+                player.game?.combatLog?.recordHeal({
+                    source: player, target: player, amount: player.health - oldHealth, ability: item.id
+                });
+            }
         }
 
         // Start cooldown
@@ -236,14 +266,19 @@ export class Inventory {
             maxHealth: 0,
             attackSpeed: 0,
             magicPower: 0,
-            moveSpeed: 0
+            moveSpeed: 0,
+            maxResource: 0,
+            resourceRegen: 0,
+            critChance: 0,
+            lifesteal: 0
         };
 
         for (const slot in this.equipment) {
             const stack = this.equipment[slot];
-            if (stack && stack.definition.stats) {
-                for (const stat in stack.definition.stats) {
-                    stats[stat] = (stats[stat] || 0) + stack.definition.stats[stat];
+            if (stack) {
+                const itemStats = stack.stats;
+                for (const stat in itemStats) {
+                    stats[stat] = (stats[stat] || 0) + itemStats[stat];
                 }
             }
         }
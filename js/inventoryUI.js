@@ -141,6 +141,9 @@ export class InventoryUI {
         this.isOpen = false;
         this.panel.classList.remove('visible');
         this.hideTooltip();
+
+        // The shop only makes sense with the inventory beside it
+        this.game.shopUI?.close();
     }
 
     getInventory() {
@@ -171,7 +174,7 @@ export class InventoryUI {
 
             if (item) {
                 slotEl.classList.add('has-item');
-                slotEl.classList.add(`rarity-${item.definition.rarity.name}`);
+                slotEl.classList.add(`rarity-${item.rarity.name}`);
                 icon.textContent = getItemIcon(item.definition);
                 quantity.textContent = item.quantity > 1 ? item.quantity : '';
             } else {
@@ -200,7 +203,7 @@ export class InventoryUI {
 
             if (equipped) {
                 slotEl.classList.add('has-item');
-                slotEl.classList.add(`rarity-${equipped.definition.rarity.name}`);
+                slotEl.classList.add(`rarity-${equipped.rarity.name}`);
                 icon.textContent = getItemIcon(equipped.definition);
             } else {
                 icon.textContent = '';
@@ -222,7 +225,7 @@ export class InventoryUI {
                 const invSlot = inventory.slots[hotbarItem.inventorySlot];
                 if (invSlot && invSlot.definition) {
                     slotEl.classList.add('has-item');
-                    slotEl.classList.add(`rarity-${invSlot.definition.rarity.name}`);
+                    slotEl.classList.add(`rarity-${invSlot.rarity.name}`);
                     itemEl.textContent = getItemIcon(invSlot.definition);
                     quantityEl.textContent = invSlot.quantity > 1 ? invSlot.quantity : '';
 
@@ -284,15 +287,18 @@ export class InventoryUI {
                     if (this.game.effects) {
                         this.game.effects.createDamageNumber(
                             { x: playerPos.x, y: playerPos.y + 1.5, z: playerPos.z },
-                            `+${result.amount}`,
-                            false,
-                            0x44ff44
+                            result.amount,
+                            true
                         );
                     }
                 } else if (result.type === 'buff') {
                     if (this.game.particles && this.game.particles.buffApplied) {
                         this.game.particles.buffApplied(playerPos, 0x44aaff);
                     }
+                } else if (result.type === 'resource') {
+                    if (this.game.particles && this.game.particles.shockwave) {
+                        this.game.particles.shockwave(playerPos, 0x8844ff);
+                    }
                 }
             }
         } else if (item.definition.equipSlot) {
@@ -348,9 +354,8 @@ export class InventoryUI {
                 if (this.game.effects) {
                     this.game.effects.createDamageNumber(
                         { x: playerPos.x, y: playerPos.y + 1.5, z: playerPos.z },
-                        `+${result.amount}`,
-                        false,
-                        0x44ff44  // Green color for healing
+                        result.amount,
+                        true  // Green heal number
                     );
                 }
             } else if (result.type === 'buff') {
@@ -358,6 +363,11 @@ export class InventoryUI {
                 if (this.game.particles && this.game.particles.buffApplied) {
                     this.game.particles.buffApplied(playerPos, 0x44aaff);
                 }
+            } else if (result.type === 'resource') {
+                // Mana/rage/focus restored
+                if (this.game.particles && this.game.particles.shockwave) {
+                    this.game.particles.shockwave(playerPos, 0x8844ff);
+                }
             } else {
                 // Generic item use effect
                 if (this.game.particles && this.game.particles.itemUse) {
@@ -375,7 +385,7 @@ export class InventoryUI {
 
         const item = inventory.slots[slotIndex];
         if (item) {
-            this.showTooltip(item.definition, event);
+            this.showTooltip(item, event);
         } else {
             this.hideTooltip();
         }
@@ -387,7 +397,7 @@ export class InventoryUI {
 
         const item = inventory.equipment[slotName];
         if (item) {
-            this.showTooltip(item.definition, event);
+            this.showTooltip(item, event);
         } else {
             this.hideTooltip();
         }
@@ -401,31 +411,32 @@ export class InventoryUI {
         if (hotbarItem) {
             const invSlot = inventory.slots[hotbarItem.inventorySlot];
             if (invSlot && invSlot.definition) {
-                this.showTooltip(invSlot.definition, event);
+                this.showTooltip(invSlot, event);
                 return;
             }
         }
         this.hideTooltip();
     }
 
-    showTooltip(item, event) {
+    showTooltip(stack, event) {
+        const item = stack.definition;
         const nameEl = document.getElementById('tooltip-name');
         const typeEl = document.getElementById('tooltip-type');
         const statsEl = document.getElementById('tooltip-stats');
         const descEl = document.getElementById('tooltip-desc');
 
-        // Name with rarity color
-        nameEl.textContent = item.name;
-        nameEl.className = `rarity-${item.rarity.name}`;
+        // Name with rarity color (rolled name and rarity for equipment)
+        nameEl.textContent = stack.name;
+        nameEl.className = `rarity-${stack.rarity.name}`;
 
         // Type
         let typeText = item.type;
         if (item.equipSlot) {
-            typeText += ` (${item.equipSlot})`;
+            typeText += ` (${item.equipSlot}) - Item Level ${stack.itemLevel}`;
         }
         typeEl.textContent = typeText;
 
-        // Stats
+        // Stats - base stats first, then each rolled affix
         statsEl.innerHTML = '';
         if (item.stats) {
             for (const [stat, value] of Object.entries(item.stats)) {
@@ -434,6 +445,12 @@ export class InventoryUI {
                 statsEl.appendChild(statDiv);
             }
         }
+        for (const affix of stack.affixes) {
+            const affixDiv = document.createElement('div');
+            affixDiv.className = 'tooltip-affix';
+            affixDiv.textContent = `+${affix.value} ${affix.stat} (${affix.name})`;
+            statsEl.appendChild(affixDiv);
+        }
         if (item.healAmount) {
             const healDiv = document.createElement('div');
             healDiv.textContent = `Restores ${item.healAmount} HP`;
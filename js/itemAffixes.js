@@ -0,0 +1,118 @@
+import { ItemRarity, ItemStack, EquipSlot, ITEMS } from './itemDatabase.js';
+
+const ALL_SLOTS = Object.values(EquipSlot);
+const ARMOR_SLOTS = [EquipSlot.HELMET, EquipSlot.CHEST, EquipSlot.GLOVES, EquipSlot.BOOTS];
+const JEWELRY_SLOTS = [EquipSlot.RING, EquipSlot.AMULET];
+
+// Rolled item modifiers
+//   value = random(min, max) + perLevel * (itemLevel - 1), scaled by the rarity's power
+//   slots limits which equipment can roll the affix
+export const AFFIXES = {
+    // === PREFIXES ===
+    sharp: { type: 'prefix', name: 'Sharp', stat: 'damage', min: 2, max: 4, perLevel: 0.6, weight: 10, slots: [EquipSlot.WEAPON, EquipSlot.GLOVES] },
+    swift: { type: 'prefix', name: 'Swift', stat: 'attackSpeed', min: 3, max: 6, perLevel: 0.4, weight: 8, slots: [EquipSlot.WEAPON, EquipSlot.GLOVES, EquipSlot.RING] },
+    sturdy: { type: 'prefix', name: 'Sturdy', stat: 'defense', min: 1, max: 3, perLevel: 0.5, weight: 10, slots: ARMOR_SLOTS },
+    arcane: { type: 'prefix', name: 'Arcane', stat: 'magicPower', min: 4, max: 8, perLevel: 1, weight: 6, slots: [EquipSlot.WEAPON, ...JEWELRY_SLOTS] },
+    fleet: { type: 'prefix', name: 'Fleet', stat: 'moveSpeed', min: 2, max: 4, perLevel: 0.2, weight: 5, slots: [EquipSlot.BOOTS] },
+    deep: { type: 'prefix', name: 'Deep', stat: 'maxResource', min: 6, max: 12, perLevel: 1.5, weight: 6, slots: [EquipSlot.HELMET, EquipSlot.CHEST, ...JEWELRY_SLOTS] },
+    keen: { type: 'prefix', name: 'Keen', stat: 'critChance', min: 2, max: 4, perLevel: 0.2, weight: 5, slots: [EquipSlot.WEAPON, EquipSlot.GLOVES, EquipSlot.RING] },
+
+    // === SUFFIXES ===
+    of_the_bear: { type: 'suffix', name: 'of the Bear', stat: 'maxHealth', min: 8, max: 15, perLevel: 3, weight: 10, slots: ALL_SLOTS },
+    of_power: { type: 'suffix', name: 'of Power', stat: 'damage', min: 1, max: 3, perLevel: 0.4, weight: 6, slots: [EquipSlot.WEAPON, ...JEWELRY_SLOTS] },
+    of_the_fox: { type: 'suffix', name: 'of the Fox', stat: 'attackSpeed', min: 2, max: 5, perLevel: 0.3, weight: 6, slots: [EquipSlot.GLOVES, EquipSlot.BOOTS, ...JEWELRY_SLOTS] },
+    of_warding: { type: 'suffix', name: 'of Warding', stat: 'defense', min: 1, max: 2, perLevel: 0.4, weight: 8, slots: [...ARMOR_SLOTS, ...JEWELRY_SLOTS] },
+    of_the_owl: { type: 'suffix', name: 'of the Owl', stat: 'magicPower', min: 3, max: 6, perLevel: 0.8, weight: 6, slots: [EquipSlot.WEAPON, EquipSlot.HELMET, ...JEWELRY_SLOTS] },
+    of_clarity: { type: 'suffix', name: 'of Clarity', stat: 'resourceRegen', min: 1, max: 2, perLevel: 0.15, weight: 5, slots: [EquipSlot.WEAPON, ...JEWELRY_SLOTS] },
+    of_the_leech: { type: 'suffix', name: 'of the Leech', stat: 'lifesteal', min: 2, max: 3, perLevel: 0.1, weight: 4, slots: [EquipSlot.WEAPON, EquipSlot.AMULET] }
+};
+
+// How many affixes each rarity rolls, and how strong they are
+const RARITY_AFFIXES = {
+    common: { count: 0, power: 1 },
+    uncommon: { count: 1, power: 1 },
+    rare: { count: 2, power: 1 },
+    epic: { count: 2, power: 1.5 }
+};
+
+const RARITY_ORDER = [ItemRarity.COMMON, ItemRarity.UNCOMMON, ItemRarity.RARE, ItemRarity.EPIC];
+
+function getRarityByName(name) {
+    return RARITY_ORDER.find(r => r.name === name) || null;
+}
+
+function pickWeighted(entries, random) {
+    const total = entries.reduce((sum, e) => sum + e.weight, 0);
+    let roll = random() * total;
+    for (const entry of entries) {
+        roll -= entry.weight;
+        if (roll <= 0) return entry;
+    }
+    return entries[entries.length - 1];
+}
+
+// Roll a rarity by ItemRarity.dropWeight - never below the item's base rarity
+export function rollRarity(baseRarity, random = Math.random) {
+    const minIndex = Math.max(0, RARITY_ORDER.indexOf(baseRarity));
+    const candidates = RARITY_ORDER.slice(minIndex).map(rarity => ({ rarity, weight: rarity.dropWeight }));
+    return pickWeighted(candidates, random).rarity;
+}
+
+export function rollAffixes(definition, itemLevel, rarity, random = Math.random) {
+    const rules = RARITY_AFFIXES[rarity.name] || RARITY_AFFIXES.common;
+    const affixes = [];
+
+    // At most one prefix and one suffix so the name stays readable
+    const types = rules.count >= 2 ? ['prefix', 'suffix'] : [random() < 0.5 ? 'prefix' : 'suffix'];
+    for (const type of types.slice(0, rules.count)) {
+        const pool = Object.entries(AFFIXES)
+            .filter(([, affix]) => affix.type === type && affix.slots.includes(definition.equipSlot))
+            .map(([id, affix]) => ({ id, affix, weight: affix.weight }));
+        if (pool.length === 0) continue;
+
+        const { id, affix } = pickWeighted(pool, random);
+        const base = affix.min + random() * (affix.max - affix.min) + affix.perLevel * (itemLevel - 1);
+        affixes.push({
+            id,
+            type: affix.type,
+            name: affix.name,
+            stat: affix.stat,
+            value: Math.max(1, Math.round(base * rules.power))
+        });
+    }
+
+    return affixes;
+}
+
+// New stack for a dropped item - equipment gets a rolled rarity and affixes
+export function createItemInstance(itemId, quantity = 1, itemLevel = 1, random = Math.random) {
+    const definition = ITEMS[itemId];
+    if (!definition) return null;
+    if (!definition.equipSlot) return new ItemStack(definition, quantity);
+
+    const rarity = rollRarity(definition.rarity, random);
+    return new ItemStack(definition, 1, {
+        itemLevel,
+        rarity,
+        affixes: rollAffixes(definition, itemLevel, rarity, random)
+    });
+}
+
+// Rebuild a stack from ItemStack.serialize() data (older saves only have itemId/quantity)
+export function itemStackFromData(data) {
+    const definition = ITEMS[data?.itemId];
+    if (!definition) return null;
+
+    const affixes = [];
+    for (const saved of data.affixes || []) {
+        const affix = AFFIXES[saved.id];
+        if (!affix) continue;
+        affixes.push({ id: saved.id, type: affix.type, name: affix.name, stat: affix.stat, value: saved.value });
+    }
+
+    return new ItemStack(definition, data.quantity || 1, {
+        itemLevel: data.itemLevel || 1,
+        rarity: getRarityByName(data.rarity) || definition.rarity,
+        affixes
+    });
+}
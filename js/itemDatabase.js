@@ -28,11 +28,45 @@ export const EquipSlot = {
 };
 
 // Item stack class for inventory
+// Equipment stacks can carry per-instance data rolled at drop time (see itemAffixes.js)
 export class ItemStack {
-    constructor(definition, quantity = 1) {
+    constructor(definition, quantity = 1, instance = null) {
         this.definition = definition;
         this.quantity = quantity;
         this.instanceId = Math.random().toString(36).substr(2, 9);
+
+        this.itemLevel = instance?.itemLevel || 1;
+        this.rarity = instance?.rarity || definition.rarity;
+        this.affixes = instance?.affixes || []; // [{ id, type, name, stat, value }]
+    }
+
+    // "Swift Iron Sword of the Bear"
+    get name() {
+        const prefix = this.affixes.find(a => a.type === 'prefix');
+        const suffix = this.affixes.find(a => a.type === 'suffix');
+        let name = this.definition.name;
+        if (prefix) name = `${prefix.name} ${name}`;
+        if (suffix) name = `${name} ${suffix.name}`;
+        return name;
+    }
+
+    // Base stats plus rolled affix stats
+    get stats() {
+        const stats = { ...this.definition.stats };
+        for (const affix of this.affixes) {
+            stats[affix.stat] = (stats[affix.stat] || 0) + affix.value;
+        }
+        return stats;
+    }
+
+    serialize() {
+        return {
+            itemId: this.definition.id,
+            quantity: this.quantity,
+            itemLevel: this.itemLevel,
+            rarity: this.rarity.name,
+            affixes: this.affixes.map(a => ({ id: a.id, value: a.value }))
+        };
     }
 }
 
@@ -145,6 +179,40 @@ export const ITEMS = {
         }
     },
 
+    restoration_potion: {
+        id: 'restoration_potion',
+        name: 'Restoration Draught',
+        type: ItemType.CONSUMABLE,
+        rarity: ItemRarity.UNCOMMON,
+        icon: 'potion_restore',
+        description: 'Restores 50 mana, rage or focus',
+        stackable: true,
+        maxStack: 10,
+        value: 40,
+        cooldown: 20,
+        useEffect: (player) => {
+            const amount = player.resource ? player.resource.gain(50) : 0;
+            return { type: 'resource', amount };
+        }
+    },
+
+    clarity_elixir: {
+        id: 'clarity_elixir',
+        name: 'Clarity Elixir',
+        type: ItemType.CONSUMABLE,
+        rarity: ItemRarity.RARE,
+        icon: 'potion_clarity',
+        description: 'Doubles mana and focus regeneration for 20 seconds',
+        stackable: true,
+        maxStack: 5,
+        value: 90,
+        cooldown: 45,
+        useEffect: (player) => {
+            player.applyBuff('resourceRegen', { multiplier: 2, duration: 20 });
+            return { type: 'buff', buff: 'resourceRegen', duration: 20 };
+        }
+    },
+
     // === WARRIOR WEAPONS ===
     iron_sword: {
         id: 'iron_sword',
@@ -534,6 +602,19 @@ export const ITEMS = {
         stats: { damage: 8, attackSpeed: 5 }
     },
 
+    sapphire_ring: {
+        id: 'sapphire_ring',
+        name: 'Sapphire Ring',
+        type: ItemType.ACCESSORY,
+        rarity: ItemRarity.UNCOMMON,
+        icon: 'ring_sapphire',
+        description: 'A deep blue stone that hums with stored power',
+        stackable: false,
+        value: 90,
+        equipSlot: EquipSlot.RING,
+        stats: { maxResource: 20, resourceRegen: 2 }
+    },
+
     // === ACCESSORIES - AMULETS ===
     wooden_charm: {
         id: 'wooden_charm',
@@ -899,6 +980,8 @@ export function getItemIcon(item) {
         'potion_red_infinite': '🏺',
         'potion_speed': '💨',
         'potion_strength': '💪',
+        'potion_restore': '💧',
+        'potion_clarity': '🔷',
 
         // Warrior weapons
         'sword_rusty': '🗡️',
@@ -932,6 +1015,7 @@ export function getItemIcon(item) {
         'ring_copper': '💍',
         'ring_silver': '💍',
         'ring_bone': '💀',
+        'ring_sapphire': '💎',
         'amulet_wood': '📿',
         'amulet_skull': '💀',
 
@@ -2,6 +2,15 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { AssetManifest, getCharacterPath, getAnimationPath } from './assetManifest.js';
 
+// Animation notifies - named moments in a clip, as a fraction of its length
+//   hit: where a swing connects - melee damage waits for it (see Character.startSwing)
+const ANIMATION_NOTIFIES = {
+    attack1: { hit: 0.45 },
+    attack2: { hit: 0.5 },
+    attack3: { hit: 0.4 },
+    attack4: { hit: 0.55 }
+};
+
 // KayKit character controller - supports GLB models with separate animation files
 export class KayKitCharacter {
     constructor(scene) {
@@ -16,7 +25,8 @@ export class KayKitCharacter {
         // Animation state
         this.animationState = 'idle';
         this.isAttacking = false;
-        this.attackQueue = [];
+        this.attackQueue = []; // { attackNum, onHit, onCancel }
+        this.pendingNotifies = []; // { action, time, callback, onCancel } waiting for their clip to reach time
 
         // Model scale (KayKit models are properly scaled)
         this.scale = 1.0;
@@ -331,7 +341,7 @@ export class KayKitCharacter {
             // Check if there's a queued attack
             if (this.attackQueue.length > 0) {
                 const nextAttack = this.attackQueue.shift();
-                this.playAttack(nextAttack);
+                this.playAttack(nextAttack.attackNum, nextAttack.onHit, nextAttack.onCancel);
             } else {
                 this.returnToDefaultAnimation();
             }
@@ -354,6 +364,7 @@ export class KayKitCharacter {
         this.isAttacking = false;
         this.attackStartTime = null;
         this.attackQueue = [];
+        this.pendingNotifies = [];
         this.returnToDefaultAnimation();
     }
 
@@ -374,6 +385,11 @@ export class KayKitCharacter {
             return; // Already playing
         }
 
+        // Anything but an attack cuts the attack chain, so queued attacks will never play
+        if (!name.includes('attack') && this.attackQueue.length > 0) {
+            this.dropAttackQueue();
+        }
+
         if (this.currentAction) {
             newAction.reset();
             newAction.setEffectiveTimeScale(1);
@@ -392,10 +408,23 @@ export class KayKitCharacter {
         }
     }
 
-    playAttack(attackNum = 1) {
+    // Forget queued attacks - each one's onCancel runs, since its onHit never will
+    dropAttackQueue() {
+        const queue = this.attackQueue;
+        this.attackQueue = [];
+        for (const attack of queue) {
+            if (attack.onCancel) attack.onCancel();
+        }
+    }
+
+    // onHit runs on the clip's hit notify - right away if the swing can't be animated.
+    // onCancel runs instead if another animation cuts the clip short before the hit, or the queued attack never plays.
+    playAttack(attackNum = 1, onHit = null, onCancel = null) {
         if (this.isAttacking) {
             if (this.attackQueue.length < 2) {
-                this.attackQueue.push(attackNum);
+                this.attackQueue.push({ attackNum, onHit, onCancel });
+            } else if (onHit) {
+                onHit();
             }
             return;
         }
@@ -403,11 +432,40 @@ export class KayKitCharacter {
         this.isAttacking = true;
         this.attackStartTime = Date.now();
 
-        const attackName = `attack${attackNum}`;
+        const attackName = this.animations[`attack${attackNum}`] ? `attack${attackNum}` : 'attack1';
         if (this.animations[attackName]) {
             this.playAnimation(attackName, false, 0.1);
-        } else if (this.animations.attack1) {
-            this.playAnimation('attack1', false, 0.1);
+            if (onHit) {
+                this.onNotify(attackName, 'hit', onHit, onCancel);
+            }
+        } else if (onHit) {
+            onHit();
+        }
+    }
+
+    // Run callback when the animation reaches one of its ANIMATION_NOTIFIES - call right after playing it.
+    // Clips without the notify run it right away, clips cut short by another animation run onCancel instead.
+    onNotify(animName, event, callback, onCancel = null) {
+        const action = this.animations[animName];
+        const fraction = ANIMATION_NOTIFIES[animName]?.[event];
+        if (!action || fraction === undefined) {
+            callback();
+            return;
+        }
+        this.pendingNotifies.push({ action, time: action.getClip().duration * fraction, callback, onCancel });
+    }
+
+    updateNotifies() {
+        const pending = this.pendingNotifies;
+        this.pendingNotifies = [];
+        for (const notify of pending) {
+            if (notify.action.time >= notify.time) {
+                notify.callback();
+            } else if (notify.action === this.currentAction) {
+                this.pendingNotifies.push(notify);
+            } else if (notify.onCancel) {
+                notify.onCancel();
+            }
         }
     }
 
@@ -439,6 +497,9 @@ export class KayKitCharacter {
         const dodgeAnim = this.animations.dodge || this.animations.roll;
         if (dodgeAnim) {
             this.playAnimation(dodgeAnim === this.animations.dodge ? 'dodge' : 'roll', false, 0.1);
+            // Hold the roll over run/idle until it finishes
+            this.isAttacking = true;
+            this.attackStartTime = Date.now();
         }
     }
 
@@ -467,6 +528,7 @@ export class KayKitCharacter {
         // Update animation mixer
         if (this.mixer) {
             this.mixer.update(deltaTime);
+            this.updateNotifies();
         }
 
         // Don't change animation if dead
@@ -0,0 +1,202 @@
+import { ABILITY_SLOTS } from './abilityDatabase.js';
+
+// Key bindings - every rebindable action and the key it's on, saved in localStorage
+//   Keys are KeyboardEvent.key lowercased (see normalizeKey) - ' ' is the spacebar
+//   Each action belongs to a context:
+//     combat: moving, fighting and the hotbar while playing
+//     minigame: interacting with NPCs and stations, and the fishing/mining/chopping minigames -
+//               checked before combat, so one key can interact nearby and cast an ability elsewhere
+//     menus: opening panels, active alongside both others
+//   Two actions conflict when they share a key and their contexts can be active at the same time
+const BINDINGS_KEY = 'tileGame3D_keybindings';
+
+export const BINDING_CONTEXTS = {
+    combat: { name: 'Combat', conflictsWith: ['combat', 'menus'] },
+    minigame: { name: 'Interaction & Minigames', conflictsWith: ['minigame', 'menus'] },
+    menus: { name: 'Menus', conflictsWith: ['combat', 'minigame', 'menus'] }
+};
+
+// Ability bar slots are named after their default keys - slot 'q' is Ability 1
+const abilityActions = {};
+ABILITY_SLOTS.forEach((slot, i) => {
+    abilityActions[`ability${i + 1}`] = { name: `Ability ${i + 1}`, context: 'combat', key: slot, slot };
+});
+
+const hotbarActions = {};
+for (let i = 0; i < 5; i++) {
+    hotbarActions[`hotbar${i + 1}`] = { name: `Hotbar ${i + 1}`, context: 'combat', key: String(i + 1), hotbarSlot: i };
+}
+
+// Actions in the order the rebinding list shows them - key is the default
+export const ACTIONS = {
+    moveForward: { name: 'Move Forward', context: 'combat', key: 'w' },
+    moveBack: { name: 'Move Back', context: 'combat', key: 's' },
+    moveLeft: { name: 'Move Left', context: 'combat', key: 'a' },
+    moveRight: { name: 'Move Right', context: 'combat', key: 'd' },
+    jump: { name: 'Jump', context: 'combat', key: ' ' },
+    dodge: { name: 'Dodge Roll', context: 'combat', key: 'shift' },
+    targetNext: { name: 'Target Nearest', context: 'combat', key: 'tab' },
+    clearTarget: { name: 'Clear Target', context: 'combat', key: 'escape' },
+    ...abilityActions,
+    ...hotbarActions,
+
+    interact: { name: 'Interact / Hook Fish', context: 'minigame', key: 'f' },
+    swing: { name: 'Mining & Chopping Swing', context: 'minigame', key: ' ' },
+    qteUp: { name: 'Fishing Up', context: 'minigame', key: 'w' },
+    qteLeft: { name: 'Fishing Left', context: 'minigame', key: 'a' },
+    qteDown: { name: 'Fishing Down', context: 'minigame', key: 's' },
+    qteRight: { name: 'Fishing Right', context: 'minigame', key: 'd' },
+
+    inventory: { name: 'Inventory', context: 'menus', key: 'i' },
+    talents: { name: 'Talents', context: 'menus', key: 'n' },
+    combatLog: { name: 'Combat Log', context: 'menus', key: 'l' },
+    settings: { name: 'Settings', context: 'menus', key: 'o' }
+};
+
+// Fishing QTE prompts, one per direction
+export const QTE_ACTIONS = ['qteUp', 'qteLeft', 'qteDown', 'qteRight'];
+
+const KEY_LABELS = {
+    ' ': 'Space',
+    shift: 'Shift',
+    tab: 'Tab',
+    escape: 'Esc',
+    control: 'Ctrl',
+    alt: 'Alt',
+    enter: 'Enter',
+    backspace: 'Bksp',
+    arrowup: '↑',
+    arrowdown: '↓',
+    arrowleft: '←',
+    arrowright: '→'
+};
+
+export function normalizeKey(eventKey) {
+    if (eventKey === 'Spacebar') return ' ';
+    return eventKey.toLowerCase();
+}
+
+// Short label for a key, for the HUD and prompts
+export function keyLabel(key) {
+    if (!key) return '-';
+    if (KEY_LABELS[key]) return KEY_LABELS[key];
+    return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+// Ability bar action for a slot ('q', 'f'...)
+export function abilityAction(slot) {
+    return Object.keys(abilityActions).find(id => abilityActions[id].slot === slot);
+}
+
+function defaultBindings() {
+    const bindings = {};
+    for (const [id, action] of Object.entries(ACTIONS)) {
+        bindings[id] = action.key;
+    }
+    return bindings;
+}
+
+function contextsConflict(a, b) {
+    return BINDING_CONTEXTS[a].conflictsWith.includes(b);
+}
+
+export class KeyBindings {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.listeners = [];
+        this.bindings = this.load();
+    }
+
+    // Stored bindings over the defaults - a stored set with conflicts is dropped rather than half-applied
+    load() {
+        const bindings = defaultBindings();
+        let stored = {};
+        try {
+            stored = JSON.parse(this.storage.getItem(BINDINGS_KEY)) || {};
+        } catch (e) {
+            console.warn('Failed to load key bindings, using defaults:', e);
+            return bindings;
+        }
+
+        for (const [id, key] of Object.entries(stored)) {
+            if (id in ACTIONS && (key === null || typeof key === 'string')) {
+                bindings[id] = key;
+            }
+        }
+
+        this.bindings = bindings;
+        for (const id in bindings) {
+            if (bindings[id] && this.findConflicts(id, bindings[id]).length > 0) {
+                console.warn('Stored key bindings conflict, using defaults');
+                return defaultBindings();
+            }
+        }
+        return bindings;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(BINDINGS_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Failed to save key bindings:', e);
+        }
+    }
+
+    getKey(actionId) {
+        return this.bindings[actionId] || null;
+    }
+
+    getLabel(actionId) {
+        return keyLabel(this.getKey(actionId));
+    }
+
+    // Action bound to key in a context, or null
+    actionFor(context, key) {
+        for (const [id, action] of Object.entries(ACTIONS)) {
+            if (action.context === context && this.bindings[id] === key) return id;
+        }
+        return null;
+    }
+
+    // Other actions that would clash with actionId on key
+    findConflicts(actionId, key) {
+        const context = ACTIONS[actionId].context;
+        return Object.keys(ACTIONS).filter(id =>
+            id !== actionId &&
+            this.bindings[id] === key &&
+            contextsConflict(context, ACTIONS[id].context)
+        );
+    }
+
+    // Bind an action to a key - conflicting actions are left unbound. Returns their ids.
+    bind(actionId, key) {
+        if (!(actionId in ACTIONS)) {
+            console.warn(`Unknown action: ${actionId}`);
+            return [];
+        }
+
+        const conflicts = this.findConflicts(actionId, key);
+        for (const id of conflicts) {
+            this.bindings[id] = null;
+        }
+        this.bindings[actionId] = key;
+        this.changed();
+        return conflicts;
+    }
+
+    reset() {
+        this.bindings = defaultBindings();
+        this.changed();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    changed() {
+        this.save();
+        for (const listener of this.listeners) {
+            listener();
+        }
+    }
+}
@@ -0,0 +1,107 @@
+import { ACTIONS, BINDING_CONTEXTS, keyLabel, normalizeKey } from './keyBindings.js';
+
+// Controls section of the settings panel - click a binding, then press the new key
+//   While waiting for a key every keydown is swallowed, so the game doesn't act on it
+//   Esc cancels - it can't be bound from here
+export class KeyBindingsUI {
+    constructor(game) {
+        this.game = game;
+        this.capturing = null; // Action waiting for a key
+        this.buttons = {};
+
+        this.list = document.getElementById('keybindings-list');
+
+        this.render();
+        this.initEventListeners();
+    }
+
+    get keybindings() {
+        return this.game.keybindings;
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        for (const [context, { name }] of Object.entries(BINDING_CONTEXTS)) {
+            const header = document.createElement('div');
+            header.className = 'keybinding-context';
+            header.textContent = name;
+            this.list.appendChild(header);
+
+            for (const [id, action] of Object.entries(ACTIONS)) {
+                if (action.context !== context) continue;
+
+                const row = document.createElement('div');
+                row.className = 'settings-row';
+                row.textContent = action.name;
+
+                const button = document.createElement('button');
+                button.className = 'keybinding-btn';
+                button.addEventListener('click', () => this.startCapture(id));
+                row.appendChild(button);
+
+                this.buttons[id] = button;
+                this.list.appendChild(row);
+            }
+        }
+        this.refresh();
+    }
+
+    initEventListeners() {
+        document.getElementById('keybindings-reset').addEventListener('click', () => {
+            this.cancelCapture();
+            this.keybindings.reset();
+        });
+
+        // Window capture runs before the game's document listeners
+        window.addEventListener('keydown', (e) => this.onKeyDown(e), true);
+
+        this.keybindings.onChange(() => this.refresh());
+    }
+
+    refresh() {
+        for (const [id, button] of Object.entries(this.buttons)) {
+            button.textContent = this.keybindings.getLabel(id);
+            button.classList.toggle('unbound', !this.keybindings.getKey(id));
+            button.classList.remove('capturing');
+        }
+        if (this.capturing) {
+            this.buttons[this.capturing].textContent = 'Press a key...';
+            this.buttons[this.capturing].classList.add('capturing');
+        }
+    }
+
+    startCapture(actionId) {
+        this.capturing = actionId;
+        this.refresh();
+    }
+
+    cancelCapture() {
+        this.capturing = null;
+        this.refresh();
+    }
+
+    onKeyDown(e) {
+        if (!this.capturing) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        const key = normalizeKey(e.key);
+        if (key === 'escape') {
+            this.cancelCapture();
+            return;
+        }
+
+        const actionId = this.capturing;
+        const conflicts = this.keybindings.findConflicts(actionId, key);
+        if (conflicts.length > 0) {
+            const names = conflicts.map(id => ACTIONS[id].name).join(', ');
+            if (!confirm(`${keyLabel(key)} is already bound to ${names}. Rebind it to ${ACTIONS[actionId].name}? ${names} will be left unbound.`)) {
+                this.cancelCapture();
+                return;
+            }
+        }
+
+        this.capturing = null;
+        this.keybindings.bind(actionId, key);
+    }
+}
@@ -0,0 +1,377 @@
+import * as THREE from 'three';
+import { DungeonBuilder } from './dungeonBuilder.js';
+import { DungeonGenerator, createSeededRandom, randomSeed } from './dungeonGenerator.js';
+
+// Level definitions are JSON files in levels/, one per level id
+const LEVEL_DIRECTORY = 'levels';
+
+// Station types map to the Game method that builds them
+const STATION_BUILDERS = {
+    fishingLake: 'createFishingLake',
+    campfire: 'createCampfire',
+    mineChamber: 'createMineChamber',
+    oreNode: 'createOreNode',
+    treeArea: 'createTreeArea',
+    craftingBench: 'createCraftingBench',
+    smelter: 'createSmelter',
+    anvil: 'createAnvil'
+};
+
+// Fetch and parse a level definition by id
+export async function fetchLevel(levelId) {
+    const response = await fetch(`${LEVEL_DIRECTORY}/${levelId}.json`);
+    if (!response.ok) {
+        throw new Error(`Failed to load level "${levelId}" (${response.status})`);
+    }
+    return response.json();
+}
+
+// Builds scene geometry, collision and stations from a level definition
+export class LevelLoader {
+    constructor(game) {
+        this.game = game;
+        this.scene = game.scene;
+        this.materials = new Map();
+    }
+
+    async load(level) {
+        this.applyEnvironment(level.environment || {});
+        this.buildGround(level.ground || [], 0);
+        this.buildGround(level.paths || [], 0.01);
+        this.buildWalls(level.walls);
+        this.buildProps(level.props || []);
+        await this.buildStations(level.stations || []);
+
+        for (const npcConfig of level.npcs || []) {
+            await this.game.createNPC(npcConfig);
+        }
+
+        if (level.dungeon) {
+            await this.buildDungeon(level.dungeon, level);
+        }
+
+        console.log(`Level loaded: ${level.name || level.id}`);
+    }
+
+    // Shared Lambert material per color so repeated props don't allocate
+    getMaterial(color) {
+        if (!this.materials.has(color)) {
+            this.materials.set(color, new THREE.MeshLambertMaterial({ color }));
+        }
+        return this.materials.get(color);
+    }
+
+    applyEnvironment(env) {
+        const background = env.background || '#1a1a2e';
+        this.scene.background = new THREE.Color(background);
+        this.scene.fog = new THREE.FogExp2(background, env.fogDensity ?? 0.01);
+        this.game.isOutdoorMap = !!env.outdoor;
+    }
+
+    // Flat planes for floors and paths - rotation is in degrees
+    buildGround(tiles, height) {
+        for (const tile of tiles) {
+            const geo = new THREE.PlaneGeometry(tile.width, tile.length);
+            const mesh = new THREE.Mesh(geo, this.getMaterial(tile.color || '#4a4a5a'));
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.rotation.z = THREE.MathUtils.degToRad(tile.rotation || 0);
+            mesh.position.set(tile.x, height, tile.z);
+            mesh.receiveShadow = true;
+            this.scene.add(mesh);
+        }
+    }
+
+    // Wall boxes plus the segment list used by checkWallCollision
+    buildWalls(walls) {
+        if (!walls || !walls.segments) {
+            this.game.wallSegments = null;
+            return;
+        }
+
+        const wallHeight = walls.height || 6;
+        const wallThickness = walls.thickness || 2;
+        const material = this.getMaterial(walls.color || '#3a3a4a');
+
+        this.game.wallSegments = walls.segments.map(seg => ({ ...seg }));
+        this.game.wallThickness = wallThickness;
+
+        for (const seg of this.game.wallSegments) {
+            const dx = seg.x2 - seg.x1;
+            const dz = seg.z2 - seg.z1;
+            const length = Math.sqrt(dx * dx + dz * dz);
+            const angle = Math.atan2(dx, dz);
+
+            const wallGeo = new THREE.BoxGeometry(wallThickness, wallHeight, length + wallThickness);
+            const wall = new THREE.Mesh(wallGeo, material);
+            wall.position.set(
+                (seg.x1 + seg.x2) / 2,
+                wallHeight / 2,
+                (seg.z1 + seg.z2) / 2
+            );
+            wall.rotation.y = angle;
+            wall.castShadow = true;
+            wall.receiveShadow = true;
+            this.scene.add(wall);
+        }
+    }
+
+    buildProps(props) {
+        for (const prop of props) {
+            switch (prop.type) {
+                case 'pillar': this.addPillar(prop); break;
+                case 'torch': this.addTorch(prop); break;
+                case 'barrel': this.addBarrel(prop); break;
+                case 'crate': this.addCrate(prop); break;
+                case 'bones': this.addBonePile(prop); break;
+                case 'weaponRack': this.addWeaponRack(prop); break;
+                case 'banner': this.addBanner(prop); break;
+                case 'chain': this.addChain(prop); break;
+                case 'rock': this.addRock(prop); break;
+                case 'tree': this.addTree(prop); break;
+                default:
+                    console.warn(`Unknown prop type: ${prop.type}`);
+            }
+        }
+    }
+
+    async buildStations(stations) {
+        for (const station of stations) {
+            const builder = STATION_BUILDERS[station.type];
+            if (!builder || !this.game[builder]) {
+                console.warn(`Unknown station type: ${station.type}`);
+                continue;
+            }
+            await this.game[builder](station);
+        }
+    }
+
+    // KayKit tile rooms via DungeonBuilder - fixed rooms or a seeded generated layout
+    async buildDungeon(dungeon, level) {
+        const builder = new DungeonBuilder(this.scene);
+        await builder.preloadAssets();
+
+        if (dungeon.generator) {
+            await this.buildGeneratedDungeon(builder, dungeon.generator, level);
+        }
+
+        for (const room of dungeon.rooms || []) {
+            await builder.buildRoom(room.x, room.z, room.width, room.depth);
+            if (room.decorDensity) {
+                await builder.decorateRoom(room.x, room.z, room.width, room.depth, room.decorDensity);
+            }
+            if (room.torchSpacing) {
+                await builder.addTorches(room.x, room.z, room.width, room.depth, room.torchSpacing);
+            }
+        }
+
+        this.game.dungeonBuilder = builder;
+    }
+
+    // Generated layouts replace the level's spawns, collision and minimap
+    async buildGeneratedDungeon(builder, options, level) {
+        // ?seed= in the URL wins so a shared link reproduces the same run
+        const seed = this.game.dungeonSeed || options.seed || randomSeed();
+        const layout = new DungeonGenerator({ ...options, seed }).generate();
+        console.log(`Dungeon seed: ${seed}`);
+
+        await builder.buildFromLayout(layout, createSeededRandom(`${seed}:decor`));
+
+        this.game.currentDungeonSeed = seed;
+        this.game.wallSegments = layout.wallSegments;
+        this.game.wallThickness = layout.wallThickness;
+
+        level.playerSpawn = layout.playerSpawn;
+        level.enemies = {
+            ...level.enemies,
+            spawns: [...(level.enemies?.spawns || []), ...layout.enemySpawns]
+        };
+        level.minimap = {
+            bounds: layout.bounds,
+            shapes: layout.minimapShapes
+        };
+    }
+
+    addPillar(pos) {
+        const material = this.getMaterial(pos.color || '#2a2a3a');
+
+        // Pillar base
+        const baseGeo = new THREE.CylinderGeometry(1.2, 1.4, 0.5, 8);
+        const base = new THREE.Mesh(baseGeo, material);
+        base.position.set(pos.x, 0.25, pos.z);
+        base.castShadow = true;
+        this.scene.add(base);
+
+        // Pillar shaft
+        const shaftGeo = new THREE.CylinderGeometry(0.8, 1.0, 5, 8);
+        const shaft = new THREE.Mesh(shaftGeo, material);
+        shaft.position.set(pos.x, 3, pos.z);
+        shaft.castShadow = true;
+        this.scene.add(shaft);
+
+        // Pillar capital
+        const capGeo = new THREE.CylinderGeometry(1.3, 0.8, 0.6, 8);
+        const cap = new THREE.Mesh(capGeo, material);
+        cap.position.set(pos.x, 5.8, pos.z);
+        cap.castShadow = true;
+        this.scene.add(cap);
+    }
+
+    addTorch(pos) {
+        // Torch holder
+        const holderGeo = new THREE.CylinderGeometry(0.1, 0.15, 0.8, 6);
+        const holder = new THREE.Mesh(holderGeo, this.getMaterial('#4a3020'));
+        holder.position.set(pos.x, 3.5, pos.z);
+        this.scene.add(holder);
+
+        // Flame visual
+        const flameGeo = new THREE.ConeGeometry(0.2, 0.4, 6);
+        const flame = new THREE.Mesh(flameGeo, new THREE.MeshBasicMaterial({ color: 0xff6622 }));
+        flame.position.set(pos.x, 4.1, pos.z);
+        this.scene.add(flame);
+
+        // Point light
+        const light = new THREE.PointLight(0xff6633, 0.8, 15);
+        light.position.set(pos.x, 4.2, pos.z);
+        this.scene.add(light);
+    }
+
+    addBarrel(pos) {
+        const woodMaterial = this.getMaterial('#6b4423');
+        const metalMaterial = this.getMaterial('#555555');
+
+        const barrelGeo = new THREE.CylinderGeometry(0.6, 0.7, 1.2, 12);
+        const barrel = new THREE.Mesh(barrelGeo, woodMaterial);
+        barrel.position.set(pos.x, 0.6, pos.z);
+        barrel.rotation.y = Math.random() * Math.PI;
+        barrel.castShadow = true;
+        this.scene.add(barrel);
+
+        // Metal bands
+        const bandGeo = new THREE.TorusGeometry(0.65, 0.05, 8, 16);
+        for (const bandY of [0.3, 0.9]) {
+            const band = new THREE.Mesh(bandGeo, metalMaterial);
+            band.position.set(pos.x, bandY, pos.z);
+            band.rotation.x = Math.PI / 2;
+            this.scene.add(band);
+        }
+    }
+
+    addCrate(pos) {
+        const size = pos.size || 1;
+        const crateGeo = new THREE.BoxGeometry(size, size, size);
+        const crate = new THREE.Mesh(crateGeo, this.getMaterial('#6b4423'));
+        crate.position.set(pos.x, size / 2, pos.z);
+        crate.rotation.y = Math.random() * Math.PI / 4;
+        crate.castShadow = true;
+        this.scene.add(crate);
+    }
+
+    addBonePile(pos) {
+        const boneMaterial = this.getMaterial('#ddddcc');
+
+        // Skull
+        const skullGeo = new THREE.SphereGeometry(0.25, 8, 6);
+        const skull = new THREE.Mesh(skullGeo, boneMaterial);
+        skull.position.set(pos.x, 0.2, pos.z);
+        skull.scale.set(1, 0.9, 0.8);
+        this.scene.add(skull);
+
+        // Scattered bones
+        for (let i = 0; i < 4; i++) {
+            const boneGeo = new THREE.CylinderGeometry(0.05, 0.05, 0.4 + Math.random() * 0.3, 6);
+            const bone = new THREE.Mesh(boneGeo, boneMaterial);
+            bone.position.set(
+                pos.x + (Math.random() - 0.5) * 1.5,
+                0.1,
+                pos.z + (Math.random() - 0.5) * 1.5
+            );
+            bone.rotation.x = Math.PI / 2;
+            bone.rotation.z = Math.random() * Math.PI;
+            this.scene.add(bone);
+        }
+    }
+
+    addWeaponRack(pos) {
+        const woodMaterial = this.getMaterial('#6b4423');
+        const metalMaterial = this.getMaterial('#555555');
+
+        // Rack frame
+        const frameGeo = new THREE.BoxGeometry(2, 2, 0.3);
+        const frame = new THREE.Mesh(frameGeo, woodMaterial);
+        frame.position.set(pos.x, 1.5, pos.z);
+        frame.castShadow = true;
+        this.scene.add(frame);
+
+        // Weapons on rack (simple shapes)
+        const swordGeo = new THREE.BoxGeometry(0.1, 1.2, 0.05);
+        const sword = new THREE.Mesh(swordGeo, metalMaterial);
+        sword.position.set(pos.x - 0.4, 1.5, pos.z + 0.2);
+        sword.rotation.z = 0.1;
+        this.scene.add(sword);
+
+        const axeGeo = new THREE.BoxGeometry(0.15, 0.8, 0.05);
+        const axe = new THREE.Mesh(axeGeo, metalMaterial);
+        axe.position.set(pos.x + 0.4, 1.5, pos.z + 0.2);
+        axe.rotation.z = -0.1;
+        this.scene.add(axe);
+    }
+
+    addBanner(pos) {
+        // Banner pole
+        const poleGeo = new THREE.CylinderGeometry(0.05, 0.05, 3, 6);
+        const pole = new THREE.Mesh(poleGeo, this.getMaterial('#6b4423'));
+        pole.position.set(pos.x, 4, pos.z);
+        this.scene.add(pole);
+
+        // Banner cloth
+        const bannerGeo = new THREE.PlaneGeometry(1.2, 1.8);
+        const banner = new THREE.Mesh(bannerGeo, this.getMaterial(pos.color || '#443322'));
+        banner.position.set(pos.x, 3.5, pos.z + 0.1);
+        banner.rotation.y = Math.random() * 0.3 - 0.15;
+        this.scene.add(banner);
+    }
+
+    // Chain hanging from the ceiling
+    addChain(pos) {
+        const metalMaterial = this.getMaterial('#555555');
+        const chainLength = pos.length || 3;
+        for (let i = 0; i < chainLength * 3; i++) {
+            const linkGeo = new THREE.TorusGeometry(0.1, 0.03, 6, 8);
+            const link = new THREE.Mesh(linkGeo, metalMaterial);
+            link.position.set(pos.x, 6 - i * 0.15, pos.z);
+            link.rotation.x = (i % 2) * Math.PI / 2;
+            this.scene.add(link);
+        }
+    }
+
+    addRock(pos) {
+        const rockGeo = new THREE.DodecahedronGeometry(pos.size || 0.75, 0);
+        const rock = new THREE.Mesh(rockGeo, this.getMaterial('#555555'));
+        rock.position.set(pos.x, 0.3, pos.z);
+        rock.rotation.set(Math.random() * 0.5, Math.random() * Math.PI, 0);
+        rock.castShadow = true;
+        this.scene.add(rock);
+    }
+
+    // Decorative tree (not choppable)
+    addTree(pos) {
+        const treeGroup = new THREE.Group();
+        treeGroup.position.set(pos.x, 0, pos.z);
+
+        // Trunk
+        const trunkGeo = new THREE.CylinderGeometry(0.3, 0.4, 2, 8);
+        const trunk = new THREE.Mesh(trunkGeo, this.getMaterial('#4a3525'));
+        trunk.position.y = 1;
+        trunk.castShadow = true;
+        treeGroup.add(trunk);
+
+        // Leaves (cone)
+        const leavesGeo = new THREE.ConeGeometry(1.5, 3, 8);
+        const leaves = new THREE.Mesh(leavesGeo, this.getMaterial('#228b22'));
+        leaves.position.y = 3.5;
+        leaves.castShadow = true;
+        treeGroup.add(leaves);
+
+        this.scene.add(treeGroup);
+    }
+}
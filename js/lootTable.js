@@ -1,7 +1,12 @@
+import { ITEMS } from './itemDatabase.js';
+import { createItemInstance } from './itemAffixes.js';
+
 // Loot tables for different enemy types
+// itemLevel sets how strong rolled affixes on dropped equipment are
 export const LOOT_TABLES = {
     // Basic skeleton minion
     skeleton_minion: {
+        itemLevel: 1,
         guaranteedDrops: [],
         possibleDrops: [
             { itemId: 'bone_fragment', weight: 70, minQuantity: 1, maxQuantity: 2 },
@@ -16,6 +21,7 @@ export const LOOT_TABLES = {
 
     // Skeleton warrior (melee)
     skeleton_warrior: {
+        itemLevel: 3,
         guaranteedDrops: [],
         possibleDrops: [
             { itemId: 'bone_fragment', weight: 50, minQuantity: 1, maxQuantity: 3 },
@@ -33,6 +39,7 @@ export const LOOT_TABLES = {
 
     // Skeleton mage (ranged magic)
     skeleton_mage: {
+        itemLevel: 3,
         guaranteedDrops: [],
         possibleDrops: [
             { itemId: 'bone_fragment', weight: 40, minQuantity: 1, maxQuantity: 2 },
@@ -41,7 +48,9 @@ export const LOOT_TABLES = {
             { itemId: 'apprentice_staff', weight: 5, minQuantity: 1, maxQuantity: 1 },
             { itemId: 'crystal_staff', weight: 3, minQuantity: 1, maxQuantity: 1 },
             { itemId: 'speed_potion', weight: 4, minQuantity: 1, maxQuantity: 1 },
-            { itemId: 'skull_pendant', weight: 3, minQuantity: 1, maxQuantity: 1 }
+            { itemId: 'restoration_potion', weight: 6, minQuantity: 1, maxQuantity: 1 },
+            { itemId: 'skull_pendant', weight: 3, minQuantity: 1, maxQuantity: 1 },
+            { itemId: 'sapphire_ring', weight: 2, minQuantity: 1, maxQuantity: 1 }
         ],
         dropCount: { min: 1, max: 2 },
         goldDrop: { min: 12, max: 25 },
@@ -50,6 +59,7 @@ export const LOOT_TABLES = {
 
     // Skeleton rogue (fast melee)
     skeleton_rogue: {
+        itemLevel: 3,
         guaranteedDrops: [],
         possibleDrops: [
             { itemId: 'bone_fragment', weight: 45, minQuantity: 1, maxQuantity: 2 },
@@ -67,6 +77,7 @@ export const LOOT_TABLES = {
 
     // Skeleton boss
     skeleton_boss: {
+        itemLevel: 8,
         guaranteedDrops: [
             { itemId: 'boss_trophy', minQuantity: 1, maxQuantity: 1 },
             { itemId: 'health_potion_large', minQuantity: 2, maxQuantity: 3 }
@@ -89,6 +100,7 @@ export const LOOT_TABLES = {
 
     // Generic skeleton (fallback)
     skeleton: {
+        itemLevel: 1,
         guaranteedDrops: [],
         possibleDrops: [
             { itemId: 'bone_fragment', weight: 60, minQuantity: 1, maxQuantity: 2 },
@@ -133,7 +145,8 @@ export class LootGenerator {
                     const quantity = this._randomRange(drop.minQuantity, drop.maxQuantity);
 
                     // Check if we already have this item in drops, stack if possible
-                    const existing = drops.find(d => d.itemId === drop.itemId);
+                    // (equipment never stacks - each piece rolls its own affixes)
+                    const existing = ITEMS[drop.itemId]?.stackable && drops.find(d => d.itemId === drop.itemId);
                     if (existing) {
                         existing.quantity += quantity;
                     } else {
@@ -144,6 +157,11 @@ export class LootGenerator {
             }
         }
 
+        // Roll each drop into an item instance (affixes on equipment)
+        for (const drop of drops) {
+            drop.stack = createItemInstance(drop.itemId, drop.quantity, table.itemLevel || 1);
+        }
+
         // Calculate gold drop
         const gold = this._randomRange(table.goldDrop.min, table.goldDrop.max);
 
@@ -1,94 +1,20 @@
 import * as THREE from 'three';
-import { KayKitCharacter } from './kayKitCharacter.js';
 import { WeaponFactory } from './weaponFactory.js';
-import { Inventory } from './inventory.js';
+import { Character } from './character.js';
+import { DamageType } from './damage.js';
 
-export class Mage {
+export class Mage extends Character {
     constructor(scene, game) {
-        this.scene = scene;
-        this.game = game;
-        this.position = new THREE.Vector3(0, 0, 0);
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.rotation = 0;
-        this.className = 'mage';
-
-        // Inventory system
-        this.inventory = new Inventory(24);
-        this.inventory.giveStarterItems(this.className);
-
-        // Set up equipment change callback
-        this.inventory.onEquipmentChanged = () => {
-            this.updateWeaponFromEquipment();
-        };
-
-        // Buff system
-        this.buffs = {};
-
-        // Stats - Mage has less health but ranged attacks
-        this.maxHealth = 300;
-        this.health = this.maxHealth;
-        this.moveSpeed = 7;
-        this.jumpForce = 12;
-        this.isGrounded = true;
-
-        // Combat - Ranged
-        this.targetEnemy = null;
-        this.attackRange = 15; // Much longer range
-        this.autoAttackCooldown = 0;
-        this.autoAttackCooldownMax = 1.0; // Slower but ranged
-        this.autoAttackDamage = 20;
-
-        // Mage Abilities
-        this.abilities = {
-            blizzard: {
-                cooldown: 8,
-                cooldownRemaining: 0,
-                damage: 10, // per tick
-                slowAmount: 0.5, // 50% slow
-                duration: 4,
-                radius: 5,
-                isActive: false
-            },
-            flameWave: {
-                cooldown: 6,
-                cooldownRemaining: 0,
-                damage: 35,
-                range: 8,
-                angle: Math.PI * 0.6, // 108 degrees
-                isActive: false
-            },
-            frostNova: {
-                cooldown: 8,
-                cooldownRemaining: 0,
-                damage: 25,
-                radius: 6,
-                freezeDuration: 2.5, // How long enemies stay frozen
-                isActive: false
-            },
-            frozenOrb: {
-                cooldown: 10,
-                cooldownRemaining: 0,
-                damage: 15, // per tick as it passes
-                explosionDamage: 40, // on final explosion
-                speed: 6, // Slower, more menacing
-                range: 25,
-                aoeRadius: 3,
-                tickInterval: 0.3,
-                isActive: false
-            },
-            backstep: {
-                cooldown: 5,
-                cooldownRemaining: 0,
-                distance: 6,
-                isActive: false
-            },
-            potion: {
-                cooldown: 10,
-                cooldownRemaining: 0,
-                healAmount: 100,
-                isActive: false
-            }
-        };
+        super(scene, game, {
+            className: 'mage',
+            kit: 'mage',
+            model: 'mage',
+            maxHealth: 300, // Less health but ranged attacks
+            moveSpeed: 7,
+            attackRange: 15, // Much longer range
+            autoAttackCooldown: 1.0, // Slower but ranged
+            autoAttackDamage: 20
+        });
 
         // Frozen orb projectiles (separate from auto-attack projectiles)
         this.frozenOrbs = [];
@@ -99,15 +25,6 @@ export class Mage {
         // Active ground effects (blizzard zones)
         this.groundEffects = [];
 
-        // KayKit character controller for animated model
-        this.character = new KayKitCharacter(scene);
-        this.useAnimatedCharacter = false;
-        this.characterLoading = false;
-
-        // Click-to-move target
-        this.moveTarget = null;
-        this.moveTargetThreshold = 0.5;
-
         // Ability indicators
         this.blizzardIndicator = null;
         this.flameWaveIndicator = null;
@@ -199,29 +116,6 @@ export class Mage {
         this.flameWaveIndicator.rotation.z = -angle + Math.PI;
     }
 
-    async loadCharacter() {
-        this.characterLoading = true;
-        this.group.visible = false;
-
-        try {
-            // Load KayKit Mage character
-            const success = await this.character.load('adventurers', 'mage');
-            if (success) {
-                this.useAnimatedCharacter = true;
-                console.log('Using KayKit Mage character model');
-
-                // Update weapon based on equipment
-                this.updateWeaponFromEquipment();
-            } else {
-                this.group.visible = true;
-            }
-        } catch (error) {
-            console.warn('Failed to load KayKit mage character, using fallback:', error);
-            this.group.visible = true;
-        }
-        this.characterLoading = false;
-    }
-
     updateWeaponFromEquipment() {
         if (!this.useAnimatedCharacter) return;
 
@@ -305,185 +199,10 @@ export class Mage {
         this.scene.add(this.group);
     }
 
-    setTarget(enemy) {
-        if (this.targetEnemy && this.targetEnemy.setTargeted) {
-            this.targetEnemy.setTargeted(false);
-        }
-        this.targetEnemy = enemy;
-        if (enemy && enemy.setTargeted) {
-            enemy.setTargeted(true);
-        }
-    }
-
-    setMoveTarget(position) {
-        this.moveTarget = position;
-    }
-
-    clearMoveTarget() {
-        this.moveTarget = null;
-    }
-
-    update(deltaTime, input, cameraController) {
-        // Process movement
-        const isMoving = this.handleMovement(deltaTime, input, cameraController, input.rightMouseDown);
-
-        // Process abilities
-        this.updateAbilities(deltaTime);
-
-        // Update projectiles
+    updateEffects(deltaTime) {
         this.updateProjectiles(deltaTime);
-
-        // Update ground effects
         this.updateGroundEffects(deltaTime);
-
-        // Update frozen orbs
         this.updateFrozenOrbs(deltaTime);
-
-        // Auto-attack cooldown
-        if (this.autoAttackCooldown > 0) {
-            this.autoAttackCooldown -= deltaTime;
-        }
-
-        // Automatically attack target if in range
-        if (this.targetEnemy && this.targetEnemy.isAlive && this.autoAttackCooldown <= 0) {
-            const dist = this.position.distanceTo(this.targetEnemy.position);
-            if (dist <= this.attackRange) {
-                this.performAutoAttack();
-            }
-        }
-
-        // Update visual position
-        if (this.useAnimatedCharacter) {
-            this.character.setPosition(this.position.x, this.position.y, this.position.z);
-            this.character.setRotation(this.rotation);
-            this.character.update(deltaTime, isMoving, true, this.isGrounded);
-        } else {
-            this.group.position.copy(this.position);
-            this.group.rotation.y = this.rotation;
-        }
-    }
-
-    handleMovement(deltaTime, input, cameraController, isMouseTurning = false) {
-        const forwardBack = new THREE.Vector3();
-        if (input.keys.w || input.keys.arrowup) forwardBack.z -= 1;
-        if (input.keys.s || input.keys.arrowdown) forwardBack.z += 1;
-
-        const strafe = new THREE.Vector3();
-        if (input.keys.a || input.keys.arrowleft) strafe.x -= 1;
-        if (input.keys.d || input.keys.arrowright) strafe.x += 1;
-
-        // Check if using keyboard movement
-        const usingKeyboard = forwardBack.length() > 0 || strafe.length() > 0;
-
-        // Clear move target if using keyboard
-        if (usingKeyboard && this.moveTarget) {
-            this.clearMoveTarget();
-        }
-
-        const moveDir = new THREE.Vector3();
-        const cameraYaw = -cameraController.yaw;
-        const cos = Math.cos(cameraYaw);
-        const sin = Math.sin(cameraYaw);
-
-        if (forwardBack.length() > 0) {
-            const rotatedZ = forwardBack.z * cos;
-            const rotatedX = -forwardBack.z * sin;
-            moveDir.x += rotatedX;
-            moveDir.z += rotatedZ;
-        }
-
-        if (strafe.length() > 0) {
-            const rotatedX = strafe.x * cos;
-            const rotatedZ = strafe.x * sin;
-            moveDir.x += rotatedX;
-            moveDir.z += rotatedZ;
-        }
-
-        let isMoving = false;
-
-        // Save old position for collision resolution
-        const oldX = this.position.x;
-        const oldZ = this.position.z;
-
-        // Click-to-move: if we have a move target and not using keyboard, move toward it
-        if (this.moveTarget && !usingKeyboard) {
-            const dx = this.moveTarget.x - this.position.x;
-            const dz = this.moveTarget.z - this.position.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-
-            if (dist > this.moveTargetThreshold) {
-                // Move toward target
-                moveDir.x = dx / dist;
-                moveDir.z = dz / dist;
-                isMoving = true;
-
-                // Apply movement
-                this.position.x += moveDir.x * this.moveSpeed * deltaTime;
-                this.position.z += moveDir.z * this.moveSpeed * deltaTime;
-
-                // Face movement direction
-                this.rotation = Math.atan2(moveDir.x, moveDir.z);
-            } else {
-                // Reached target
-                this.clearMoveTarget();
-            }
-        } else if (moveDir.length() > 0) {
-            isMoving = true;
-            moveDir.normalize();
-
-            this.position.x += moveDir.x * this.moveSpeed * deltaTime;
-            this.position.z += moveDir.z * this.moveSpeed * deltaTime;
-
-            // Character faces the direction they're moving
-            this.rotation = Math.atan2(moveDir.x, moveDir.z);
-        }
-
-        // Wall collision check
-        if (this.game && this.game.resolveWallCollision) {
-            const resolved = this.game.resolveWallCollision(oldX, oldZ, this.position.x, this.position.z, 0.5);
-            this.position.x = resolved.x;
-            this.position.z = resolved.z;
-        }
-
-        // Jumping
-        if (input.keys[' '] && this.isGrounded) {
-            this.velocity.y = this.jumpForce;
-            this.isGrounded = false;
-            input.keys[' '] = false;
-
-            if (this.useAnimatedCharacter) {
-                this.character.playJump();
-            }
-        }
-
-        // Gravity
-        if (!this.isGrounded) {
-            this.velocity.y -= 30 * deltaTime;
-            this.position.y += this.velocity.y * deltaTime;
-
-            if (this.position.y <= 0) {
-                this.position.y = 0;
-                this.velocity.y = 0;
-                this.isGrounded = true;
-            }
-        }
-
-        // Keep in bounds
-        const bounds = 95;
-        this.position.x = Math.max(-bounds, Math.min(bounds, this.position.x));
-        this.position.z = Math.max(-bounds, Math.min(bounds, this.position.z));
-
-        return isMoving;
-    }
-
-    updateAbilities(deltaTime) {
-        for (const key in this.abilities) {
-            const ability = this.abilities[key];
-            if (ability.cooldownRemaining > 0) {
-                ability.cooldownRemaining -= deltaTime;
-                if (ability.cooldownRemaining < 0) ability.cooldownRemaining = 0;
-            }
-        }
     }
 
     // Ranged auto-attack - fires magic bolt at target
@@ -495,6 +214,9 @@ export class Mage {
         if (dist > this.attackRange) return false;
 
         this.autoAttackCooldown = this.autoAttackCooldownMax;
+        if (this.resource) {
+            this.resource.onAutoAttack();
+        }
 
         // Face the target
         const dx = this.targetEnemy.position.x - this.position.x;
@@ -581,12 +303,7 @@ export class Mage {
             // Check hit
             if (dist < 0.5) {
                 // Deal damage
-                proj.target.takeDamage(proj.damage, this);
-
-                // Damage number
-                if (this.game && this.game.effects) {
-                    this.game.effects.createDamageNumber(proj.target.position, proj.damage);
-                }
+                this.dealDamage(proj.target, proj.damage, DamageType.FROST, ['auto']);
 
                 // Impact particles
                 if (this.game && this.game.particles && this.game.particles.magicImpact) {
@@ -704,25 +421,19 @@ export class Mage {
 
                         const dist = enemy.position.distanceTo(effect.position);
                         if (dist < effect.radius) {
-                            // Damage
-                            enemy.takeDamage(effect.damage, this);
-
-                            if (this.game.effects) {
-                                this.game.effects.createDamageNumber(enemy.position, effect.damage);
+                            // Damage - ice patches only slow
+                            if (effect.damage > 0) {
+                                this.dealDamage(enemy, effect.damage, DamageType.FROST, ['ability', effect.type, 'dot']);
                             }
 
-                            // Apply slow
-                            if (!enemy.originalMoveSpeed) {
-                                enemy.originalMoveSpeed = enemy.moveSpeed;
-                            }
-                            enemy.moveSpeed = enemy.originalMoveSpeed * effect.slowAmount;
-                            enemy.slowTimer = 1.0; // Reset slow timer
+                            // Chill while standing in it
+                            enemy.applyStatus('chill', { duration: 1.0, moveSpeed: effect.slowAmount, source: this });
                         }
                     }
                 }
 
                 // Spawn ice particles
-                if (this.game && this.game.particles && this.game.particles.blizzardTick) {
+                if (effect.type === 'blizzard' && this.game && this.game.particles && this.game.particles.blizzardTick) {
                     this.game.particles.blizzardTick(effect.position);
                 }
             }
@@ -787,11 +498,8 @@ export class Mage {
             const angleToEnemy = Math.acos(Math.min(1, Math.max(-1, dot)));
 
             if (angleToEnemy <= ability.angle / 2) {
-                enemy.takeDamage(ability.damage, this);
-
-                if (this.game && this.game.effects) {
-                    this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                }
+                this.dealDamage(enemy, ability.damage, DamageType.FIRE, ['ability', 'flameWave']);
+                enemy.applyStatus('burn', { duration: ability.burnDuration, damage: ability.burnDamage, source: this });
                 hitCount++;
             }
         }
@@ -822,23 +530,19 @@ export class Mage {
                 const dist = this.position.distanceTo(enemy.position);
                 if (dist < ability.radius) {
                     // Deal damage
-                    enemy.takeDamage(ability.damage, this);
+                    this.dealDamage(enemy, ability.damage, DamageType.FROST, ['ability', 'frostNova']);
 
-                    if (this.game && this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                    }
-
-                    // Freeze the enemy (stun them)
-                    if (enemy.stun) {
-                        enemy.stun(ability.freezeDuration);
-                    }
-
-                    // Visual freeze effect on enemy
-                    this.applyFreezeVisual(enemy);
+                    // Freeze the enemy in place
+                    enemy.applyStatus('freeze', { duration: ability.freezeDuration, source: this });
                 }
             }
         }
 
+        // Ice Field talent - slowing ice left where the nova went off
+        if (ability.icePatchDuration > 0) {
+            this.createIcePatch(this.position, ability.radius, ability.icePatchDuration);
+        }
+
         // Screen shake
         if (this.game) {
             this.game.addScreenShake(0.5);
@@ -925,32 +629,6 @@ export class Mage {
         }
     }
 
-    applyFreezeVisual(enemy) {
-        // Add a blue tint to frozen enemy
-        if (enemy.mesh) {
-            enemy.mesh.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    // Store original color
-                    if (!child.userData.originalColor) {
-                        child.userData.originalColor = child.material.color.getHex();
-                    }
-                    child.material.color.setHex(0x88ccff);
-                }
-            });
-
-            // Remove freeze visual after duration
-            setTimeout(() => {
-                if (enemy.mesh) {
-                    enemy.mesh.traverse((child) => {
-                        if (child.isMesh && child.material && child.userData.originalColor) {
-                            child.material.color.setHex(child.userData.originalColor);
-                        }
-                    });
-                }
-            }, this.abilities.frostNova.freezeDuration * 1000);
-        }
-    }
-
     // C - Frozen Orb: Shoots orb that damages as it travels then explodes
     useFrozenOrb(direction) {
         const ability = this.abilities.frozenOrb;
@@ -1107,19 +785,11 @@ export class Mage {
                         ).length();
 
                         if (dist < orb.aoeRadius && !orb.hitEnemies.has(enemy)) {
-                            enemy.takeDamage(orb.damage, this);
+                            this.dealDamage(enemy, orb.damage, DamageType.FROST, ['ability', 'frozenOrb', 'dot']);
                             orb.hitEnemies.add(enemy);
 
-                            if (this.game && this.game.effects) {
-                                this.game.effects.createDamageNumber(enemy.position, orb.damage);
-                            }
-
                             // Small slow effect
-                            if (!enemy.originalMoveSpeed) {
-                                enemy.originalMoveSpeed = enemy.moveSpeed;
-                            }
-                            enemy.moveSpeed = enemy.originalMoveSpeed * 0.7;
-                            enemy.slowTimer = 0.5;
+                            enemy.applyStatus('chill', { duration: 0.5, moveSpeed: 0.7, source: this });
                         }
                     }
                 }
@@ -1153,16 +823,10 @@ export class Mage {
                 ).length();
 
                 if (dist < orb.aoeRadius * 1.5) { // Slightly larger explosion radius
-                    enemy.takeDamage(orb.explosionDamage, this);
-
-                    if (this.game && this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, orb.explosionDamage);
-                    }
+                    this.dealDamage(enemy, orb.explosionDamage, DamageType.FROST, ['ability', 'frozenOrb']);
 
                     // Brief freeze on explosion
-                    if (enemy.stun) {
-                        enemy.stun(0.5);
-                    }
+                    enemy.applyStatus('freeze', { duration: 0.5, source: this });
                 }
             }
         }
@@ -1280,152 +944,6 @@ export class Mage {
         return true;
     }
 
-    // Health Potion
-    usePotion() {
-        const ability = this.abilities.potion;
-        if (ability.cooldownRemaining > 0) return false;
-
-        ability.cooldownRemaining = ability.cooldown;
-        this.health = Math.min(this.maxHealth, this.health + ability.healAmount);
-
-        if (this.game && this.game.effects) {
-            this.game.effects.createPotionEffect(this.position);
-            this.game.effects.createDamageNumber(this.position, ability.healAmount, true);
-        }
-
-        if (this.game && this.game.particles && this.game.particles.healEffect) {
-            this.game.particles.healEffect(this.position);
-        }
-
-        return true;
-    }
-
-    takeDamage(amount) {
-        this.health -= amount;
-
-        if (this.useAnimatedCharacter) {
-            this.character.playImpact();
-        }
-
-        if (this.game && this.game.particles && this.game.particles.playerHit) {
-            this.game.particles.playerHit(this.position);
-        }
-        if (this.game) {
-            this.game.addScreenShake(Math.min(amount / 20, 0.5));
-        }
-
-        if (this.health <= 0) {
-            this.health = 0;
-            this.die();
-        }
-    }
-
-    die() {
-        console.log('Mage died!');
-
-        if (this.useAnimatedCharacter) {
-            this.character.playDeath();
-        }
-
-        setTimeout(() => {
-            this.health = this.maxHealth;
-            this.position.set(0, 0, 0);
-            if (this.useAnimatedCharacter) {
-                this.character.playAnimation('idle', true);
-            }
-        }, 2000);
-    }
-
-    // Buff system
-    applyBuff(buffType, duration, value) {
-        const baseValue = this.getBuffBaseValue(buffType);
-
-        this.buffs[buffType] = {
-            duration: duration,
-            value: value,
-            baseValue: baseValue
-        };
-
-        this.applyBuffEffect(buffType, value);
-
-        // Visual effect
-        if (this.game && this.game.particles && this.game.particles.buffApplied) {
-            this.game.particles.buffApplied(this.position, this.getBuffColor(buffType));
-        }
-    }
-
-    getBuffBaseValue(buffType) {
-        switch (buffType) {
-            case 'speed': return this.moveSpeed;
-            case 'damage': return this.autoAttackDamage;
-            case 'defense': return 0;
-            default: return 0;
-        }
-    }
-
-    getBuffColor(buffType) {
-        switch (buffType) {
-            case 'speed': return 0x44ff44;
-            case 'damage': return 0xff4444;
-            case 'defense': return 0x4444ff;
-            default: return 0xffffff;
-        }
-    }
-
-    applyBuffEffect(buffType, value) {
-        switch (buffType) {
-            case 'speed':
-                this.moveSpeed *= (1 + value);
-                break;
-            case 'damage':
-                this.autoAttackDamage = Math.floor(this.autoAttackDamage * (1 + value));
-                break;
-        }
-    }
-
-    removeBuffEffect(buffType, buff) {
-        switch (buffType) {
-            case 'speed':
-                this.moveSpeed = buff.baseValue;
-                break;
-            case 'damage':
-                this.autoAttackDamage = buff.baseValue;
-                break;
-        }
-    }
-
-    updateBuffs(deltaTime) {
-        for (const buffType in this.buffs) {
-            const buff = this.buffs[buffType];
-            buff.duration -= deltaTime;
-
-            if (buff.duration <= 0) {
-                this.removeBuffEffect(buffType, buff);
-                delete this.buffs[buffType];
-            }
-        }
-    }
-
-    getStats() {
-        const baseStats = {
-            damage: this.autoAttackDamage,
-            defense: 0,
-            health: this.maxHealth,
-            speed: this.moveSpeed
-        };
-
-        // Add equipment bonuses
-        if (this.inventory) {
-            const equipStats = this.inventory.getEquipmentStats();
-            baseStats.damage += equipStats.damage || 0;
-            baseStats.defense += equipStats.defense || 0;
-            baseStats.health += equipStats.health || 0;
-            baseStats.speed += equipStats.speed || 0;
-        }
-
-        return baseStats;
-    }
-
     // Cleanup
     dispose() {
         // Remove projectiles (with proper child disposal for glow effects)
@@ -1475,14 +993,6 @@ export class Mage {
             this.flameWaveIndicator.material.dispose();
         }
 
-        // Remove character
-        if (this.character) {
-            this.character.dispose();
-        }
-
-        // Remove fallback mesh
-        if (this.group) {
-            this.scene.remove(this.group);
-        }
+        super.dispose();
     }
 }
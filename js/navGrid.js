@@ -0,0 +1,301 @@
+import * as THREE from 'three';
+
+// 8-way neighbours: dx, dz, step cost
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+// Walkability grid built from the level's wall segments, with A* pathfinding
+// Cells are blocked wherever Game.checkWallCollision hits at the agent radius
+export class NavGrid {
+    constructor(game, options = {}) {
+        this.game = game;
+        this.cellSize = options.cellSize || 1;
+        this.agentRadius = options.agentRadius || 0.4;
+
+        // Cap on A* searches per frame so large hordes stay cheap
+        this.maxPathsPerFrame = options.maxPathsPerFrame || 2;
+        this.pathsThisFrame = 0;
+
+        this.buildGrid(game.wallSegments || []);
+    }
+
+    buildGrid(segments) {
+        // Bounds cover every wall plus a margin
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        for (const seg of segments) {
+            minX = Math.min(minX, seg.x1, seg.x2);
+            maxX = Math.max(maxX, seg.x1, seg.x2);
+            minZ = Math.min(minZ, seg.z1, seg.z2);
+            maxZ = Math.max(maxZ, seg.z1, seg.z2);
+        }
+        if (segments.length === 0) {
+            minX = minZ = -1;
+            maxX = maxZ = 1;
+        }
+
+        const margin = 2;
+        this.originX = minX - margin;
+        this.originZ = minZ - margin;
+        this.cols = Math.ceil((maxX - minX + margin * 2) / this.cellSize);
+        this.rows = Math.ceil((maxZ - minZ + margin * 2) / this.cellSize);
+
+        const cellCount = this.cols * this.rows;
+        this.blocked = new Uint8Array(cellCount);
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const center = this.cellToWorld(col, row);
+                if (this.game.checkWallCollision(center.x, center.z, this.agentRadius)) {
+                    this.blocked[row * this.cols + col] = 1;
+                }
+            }
+        }
+
+        // A* scratch buffers, reused between searches via a search stamp
+        this.gScore = new Float32Array(cellCount);
+        this.cameFrom = new Int32Array(cellCount);
+        this.openStamp = new Uint32Array(cellCount);
+        this.closedStamp = new Uint32Array(cellCount);
+        this.searchId = 0;
+    }
+
+    // Reset the per-frame path budget - called once per game update
+    beginFrame() {
+        this.pathsThisFrame = 0;
+    }
+
+    canRequestPath() {
+        return this.pathsThisFrame < this.maxPathsPerFrame;
+    }
+
+    worldToCell(x, z) {
+        return {
+            col: Math.floor((x - this.originX) / this.cellSize),
+            row: Math.floor((z - this.originZ) / this.cellSize)
+        };
+    }
+
+    cellToWorld(col, row) {
+        return {
+            x: this.originX + (col + 0.5) * this.cellSize,
+            z: this.originZ + (row + 0.5) * this.cellSize
+        };
+    }
+
+    isWalkableCell(col, row) {
+        // Outside the grid is open space (no walls out there)
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return true;
+        return this.blocked[row * this.cols + col] === 0;
+    }
+
+    isWalkable(x, z) {
+        const { col, row } = this.worldToCell(x, z);
+        return this.isWalkableCell(col, row);
+    }
+
+    // Sample along the line at half-cell steps
+    hasLineOfSight(from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        const steps = Math.ceil(dist / (this.cellSize * 0.5));
+
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            if (!this.isWalkable(from.x + dx * t, from.z + dz * t)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Closest walkable cell within a few rings - agents pressed against walls start in blocked cells
+    findNearestWalkable(col, row, maxRadius = 3) {
+        if (this.isWalkableCell(col, row)) return { col, row };
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dz)) !== radius) continue;
+                    if (this.isWalkableCell(col + dx, row + dz)) {
+                        return { col: col + dx, row: row + dz };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    // A* from start to goal, returns smoothed world waypoints (excluding start) or null
+    findPath(start, goal) {
+        this.pathsThisFrame++;
+
+        const from = this.worldToCell(start.x, start.z);
+        const to = this.worldToCell(goal.x, goal.z);
+        const startCell = this.findNearestWalkable(from.col, from.row);
+        const goalCell = this.findNearestWalkable(to.col, to.row);
+        if (!startCell || !goalCell) return null;
+
+        // Searches are confined to the grid; off-grid agents just walk straight
+        if (!this.inGrid(startCell.col, startCell.row) || !this.inGrid(goalCell.col, goalCell.row)) {
+            return [new THREE.Vector3(goal.x, 0, goal.z)];
+        }
+
+        this.searchId++;
+        const stamp = this.searchId;
+        const cols = this.cols;
+        const startIndex = startCell.row * cols + startCell.col;
+        const goalIndex = goalCell.row * cols + goalCell.col;
+
+        const heuristic = (index) => {
+            const dx = Math.abs((index % cols) - goalCell.col);
+            const dz = Math.abs(Math.floor(index / cols) - goalCell.row);
+            return (dx + dz) + (Math.SQRT2 - 2) * Math.min(dx, dz);
+        };
+
+        const open = new MinHeap();
+        this.gScore[startIndex] = 0;
+        this.cameFrom[startIndex] = -1;
+        this.openStamp[startIndex] = stamp;
+        open.push(startIndex, heuristic(startIndex));
+
+        let found = false;
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goalIndex) {
+                found = true;
+                break;
+            }
+            if (this.closedStamp[current] === stamp) continue;
+            this.closedStamp[current] = stamp;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+
+            for (const [dx, dz, cost] of NEIGHBOURS) {
+                const nCol = col + dx;
+                const nRow = row + dz;
+                if (!this.inGrid(nCol, nRow) || !this.isWalkableCell(nCol, nRow)) continue;
+
+                // No cutting corners past wall ends
+                if (dx !== 0 && dz !== 0 &&
+                    (!this.isWalkableCell(col + dx, row) || !this.isWalkableCell(col, row + dz))) {
+                    continue;
+                }
+
+                const neighbour = nRow * cols + nCol;
+                if (this.closedStamp[neighbour] === stamp) continue;
+
+                const tentative = this.gScore[current] + cost;
+                if (this.openStamp[neighbour] !== stamp || tentative < this.gScore[neighbour]) {
+                    this.openStamp[neighbour] = stamp;
+                    this.gScore[neighbour] = tentative;
+                    this.cameFrom[neighbour] = current;
+                    open.push(neighbour, tentative + heuristic(neighbour));
+                }
+            }
+        }
+
+        if (!found) return null;
+
+        // Walk back from the goal
+        const cells = [];
+        for (let index = goalIndex; index !== -1; index = this.cameFrom[index]) {
+            cells.push(index);
+        }
+        cells.reverse();
+
+        const points = cells.map(index => {
+            const world = this.cellToWorld(index % cols, Math.floor(index / cols));
+            return new THREE.Vector3(world.x, 0, world.z);
+        });
+        // End on the actual goal rather than its cell center
+        points[points.length - 1].set(goal.x, 0, goal.z);
+
+        return this.smoothPath(start, points);
+    }
+
+    inGrid(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+    }
+
+    // String pulling - skip waypoints that are directly visible from the last kept one
+    smoothPath(start, points) {
+        const smoothed = [];
+        let anchor = start;
+        let i = 0;
+
+        while (i < points.length) {
+            let furthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(anchor, points[j])) {
+                    furthest = j;
+                    break;
+                }
+            }
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            i = furthest + 1;
+        }
+
+        return smoothed;
+    }
+
+    // Slide along walls the same way the player does
+    resolveMovement(oldX, oldZ, newX, newZ, radius = 0.5) {
+        return this.game.resolveWallCollision(oldX, oldZ, newX, newZ, radius);
+    }
+}
+
+// Binary min-heap of grid indices keyed by f-score
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.scores = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, score) {
+        this.items.push(item);
+        this.scores.push(score);
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[parent] <= this.scores[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastScore = this.scores.pop();
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.scores[0] = lastScore;
+            let i = 0;
+            const length = this.items.length;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < length && this.scores[left] < this.scores[smallest]) smallest = left;
+                if (right < length && this.scores[right] < this.scores[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+    }
+}
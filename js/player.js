@@ -1,120 +1,21 @@
 import * as THREE from 'three';
-import { KayKitCharacter } from './kayKitCharacter.js';
 import { WeaponFactory } from './weaponFactory.js';
-import { Inventory } from './inventory.js';
+import { Character } from './character.js';
+import { DamageType } from './damage.js';
 
-export class Player {
+export class Player extends Character {
     constructor(scene, game) {
-        this.scene = scene;
-        this.game = game; // Reference to game for effects
-        this.position = new THREE.Vector3(0, 0, 0);
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.rotation = 0; // Y-axis rotation
-
-        // Class identifier
-        this.className = 'warrior';
-
-        // Inventory system
-        this.inventory = new Inventory(24);
-        this.inventory.giveStarterItems(this.className);
-
-        // Set up equipment change callback
-        this.inventory.onEquipmentChanged = () => {
-            this.updateWeaponFromEquipment();
-        };
-
-        // Buff system
-        this.buffs = {};
-
-        // Stats
-        this.maxHealth = 500;
-        this.health = this.maxHealth;
-        this.moveSpeed = 8;
-        this.jumpForce = 12;
-        this.isGrounded = true;
-
-        // Combat
-        this.targetEnemy = null;
-        this.attackRange = 2.5;
-        this.autoAttackCooldown = 0;
-        this.autoAttackCooldownMax = 0.8; // Faster attacks
-        this.autoAttackDamage = 25;
-
-        // Abilities - Warrior kit:
-        // Q: Cleave (cone damage)
-        // F: Whirlwind (360° spin + forward dash)
-        // E: Parry (block + counter)
-        // R: Heroic Leap (jump to location + AoE)
-        // 1: Potion (heal)
-        this.abilities = {
-            cleave: {
-                cooldown: 4,
-                cooldownRemaining: 0,
-                damage: 45,
-                range: 8.0,
-                angle: Math.PI * 0.6, // 108 degrees
-                isCharging: false,
-                isActive: false
-            },
-            whirlwind: {
-                cooldown: 6,
-                cooldownRemaining: 0,
-                damage: 35,
-                range: 3.5,
-                dashDistance: 10,
-                dashDuration: 0.5,
-                isActive: false,
-                activeTime: 0,
-                dashDirection: null
-            },
-            parry: {
-                cooldown: 5,
-                cooldownRemaining: 0,
-                damage: 50,
-                range: 4, // AoE radius
-                spinDuration: 0.4,
-                isActive: false,
-                activeTime: 0
-            },
-            heroicLeap: {
-                cooldown: 10,
-                cooldownRemaining: 0,
-                damage: 50,
-                stunDuration: 0.8,
-                range: 20,
-                aoeRadius: 4,
-                isActive: false,
-                activeTime: 0,
-                leapDuration: 0.5,
-                targetPos: null,
-                startPos: null
-            },
-            sunder: {
-                cooldown: 5,
-                cooldownRemaining: 0,
-                damage: 40,
-                range: 16,
-                width: 3.5, // Width of spike wave
-                spikeCount: 8, // Number of spikes
-                isActive: false,
-                activeTime: 0
-            },
-            potion: {
-                cooldown: 12,
-                cooldownRemaining: 0,
-                healAmount: 100,
-                isActive: false
-            }
-        };
-
-        // KayKit character controller for animated model
-        this.character = new KayKitCharacter(scene);
-        this.useAnimatedCharacter = false;
-        this.characterLoading = false;
-
-        // Click-to-move target
-        this.moveTarget = null;
-        this.moveTargetThreshold = 0.5; // Distance at which we consider target reached
+        super(scene, game, {
+            className: 'warrior',
+            kit: 'warrior',
+            model: 'knight',
+            maxHealth: 500,
+            moveSpeed: 8,
+            attackRange: 2.5,
+            autoAttackCooldown: 0.8, // Faster attacks
+            autoAttackDamage: 25,
+            threatMultiplier: 1.5 // Tanks hold aggro
+        });
 
         // Ability indicators
         this.cleaveIndicator = null;
@@ -626,31 +527,6 @@ export class Player {
         }
     }
 
-    async loadCharacter() {
-        this.characterLoading = true;
-        // Hide fallback mesh immediately while loading
-        this.group.visible = false;
-
-        try {
-            // Load KayKit Knight character
-            const success = await this.character.load('adventurers', 'knight');
-            if (success) {
-                this.useAnimatedCharacter = true;
-                console.log('Using KayKit Knight character model');
-
-                // Update weapon based on equipment (or show default if nothing equipped)
-                this.updateWeaponFromEquipment();
-            } else {
-                // Show fallback if loading failed
-                this.group.visible = true;
-            }
-        } catch (error) {
-            console.warn('Failed to load KayKit character, using fallback:', error);
-            this.group.visible = true;
-        }
-        this.characterLoading = false;
-    }
-
     updateWeaponFromEquipment() {
         if (!this.useAnimatedCharacter) return;
 
@@ -886,213 +762,44 @@ export class Player {
         this.scene.add(this.group);
     }
 
-    setTarget(enemy) {
-        // Clear previous target highlight
-        if (this.targetEnemy && this.targetEnemy.setTargeted) {
-            this.targetEnemy.setTargeted(false);
-        }
-
-        this.targetEnemy = enemy;
-
-        // Set new target highlight
-        if (enemy && enemy.setTargeted) {
-            enemy.setTargeted(true);
-        }
+    updateEffects(deltaTime) {
+        // Animate ability indicators
+        this.updateIndicatorAnimations(deltaTime);
     }
 
-    setMoveTarget(position) {
-        this.moveTarget = position;
+    // No auto-attacks mid whirlwind or leap
+    canAutoAttack() {
+        return !this.abilities.whirlwind.isActive && !this.abilities.heroicLeap.isActive;
     }
 
-    clearMoveTarget() {
-        this.moveTarget = null;
+    // Invulnerable during spin attack, as well as while rolling
+    isInvulnerable() {
+        return super.isInvulnerable() || this.abilities.parry.isActive;
     }
 
-    update(deltaTime, input, cameraController) {
-        // Process movement (pass input to check if mouse turning)
-        const isMoving = this.handleMovement(deltaTime, input, cameraController, input.rightMouseDown);
-
-        // Process abilities
-        this.updateAbilities(deltaTime);
-
-        // Animate ability indicators
-        this.updateIndicatorAnimations(deltaTime);
-
-        // Auto-attack cooldown
-        if (this.autoAttackCooldown > 0) {
-            this.autoAttackCooldown -= deltaTime;
-        }
-
-        // Automatically attack target if in range (unless in movement ability)
-        const inMovementAbility = this.abilities.whirlwind.isActive || this.abilities.heroicLeap.isActive;
-        if (this.targetEnemy && this.targetEnemy.isAlive && this.autoAttackCooldown <= 0 && !inMovementAbility) {
-            const dx = this.targetEnemy.position.x - this.position.x;
-            const dz = this.targetEnemy.position.z - this.position.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-            if (dist <= this.attackRange) {
-                this.performAutoAttack();
-            }
-        }
-
-        // Update visual position - use animated character if loaded
-        if (this.useAnimatedCharacter) {
-            this.character.setPosition(this.position.x, this.position.y, this.position.z);
-            this.character.setRotation(this.rotation);
-            this.character.update(deltaTime, isMoving, true, this.isGrounded);
+    // Walk animation for fallback
+    animateFallbackMesh(deltaTime, isMoving) {
+        if (isMoving && this.isGrounded) {
+            this.walkCycle += deltaTime * 12;
+            const legSwing = Math.sin(this.walkCycle) * 0.5;
+            const armSwing = Math.sin(this.walkCycle) * 0.3;
+
+            this.leftLeg.rotation.x = legSwing;
+            this.rightLeg.rotation.x = -legSwing;
+            this.leftArm.rotation.x = -armSwing;
+            this.rightArm.rotation.x = armSwing;
         } else {
-            // Fallback to procedural mesh
-            this.group.position.copy(this.position);
-            this.group.rotation.y = this.rotation;
-
-            // Walk animation for fallback
-            if (isMoving && this.isGrounded) {
-                this.walkCycle += deltaTime * 12;
-                const legSwing = Math.sin(this.walkCycle) * 0.5;
-                const armSwing = Math.sin(this.walkCycle) * 0.3;
-
-                this.leftLeg.rotation.x = legSwing;
-                this.rightLeg.rotation.x = -legSwing;
-                this.leftArm.rotation.x = -armSwing;
-                this.rightArm.rotation.x = armSwing;
-            } else {
-                this.walkCycle = 0;
-                this.leftLeg.rotation.x *= 0.9;
-                this.rightLeg.rotation.x *= 0.9;
-                this.leftArm.rotation.x *= 0.9;
-                this.rightArm.rotation.x *= 0.9;
-            }
-        }
-    }
-
-    handleMovement(deltaTime, input, cameraController, isMouseTurning = false) {
-        // Forward/backward movement (W/S)
-        const forwardBack = new THREE.Vector3();
-        if (input.keys.w || input.keys.arrowup) forwardBack.z -= 1;
-        if (input.keys.s || input.keys.arrowdown) forwardBack.z += 1;
-
-        // Strafe movement (A/D) - sideways, no turning
-        const strafe = new THREE.Vector3();
-        if (input.keys.a || input.keys.arrowleft) strafe.x -= 1;
-        if (input.keys.d || input.keys.arrowright) strafe.x += 1;
-
-        // Check if using keyboard movement
-        const usingKeyboard = forwardBack.length() > 0 || strafe.length() > 0;
-
-        // Clear move target if using keyboard
-        if (usingKeyboard && this.moveTarget) {
-            this.clearMoveTarget();
-        }
-
-        // Calculate final movement direction
-        const moveDir = new THREE.Vector3();
-        const cameraYaw = -cameraController.yaw;
-        const cos = Math.cos(cameraYaw);
-        const sin = Math.sin(cameraYaw);
-
-        // Rotate forward/back by camera yaw
-        if (forwardBack.length() > 0) {
-            const rotatedZ = forwardBack.z * cos;
-            const rotatedX = -forwardBack.z * sin;
-            moveDir.x += rotatedX;
-            moveDir.z += rotatedZ;
-        }
-
-        // Rotate strafe by camera yaw (perpendicular)
-        if (strafe.length() > 0) {
-            const rotatedX = strafe.x * cos;
-            const rotatedZ = strafe.x * sin;
-            moveDir.x += rotatedX;
-            moveDir.z += rotatedZ;
-        }
-
-        let isMoving = false;
-
-        // Save old position for collision resolution
-        const oldX = this.position.x;
-        const oldZ = this.position.z;
-
-        // Click-to-move: if we have a move target and not using keyboard, move toward it
-        if (this.moveTarget && !usingKeyboard) {
-            const dx = this.moveTarget.x - this.position.x;
-            const dz = this.moveTarget.z - this.position.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-
-            if (dist > this.moveTargetThreshold) {
-                // Move toward target
-                moveDir.x = dx / dist;
-                moveDir.z = dz / dist;
-                isMoving = true;
-
-                // Apply movement
-                this.position.x += moveDir.x * this.moveSpeed * deltaTime;
-                this.position.z += moveDir.z * this.moveSpeed * deltaTime;
-
-                // Face movement direction
-                this.rotation = Math.atan2(moveDir.x, moveDir.z);
-            } else {
-                // Reached target
-                this.clearMoveTarget();
-            }
-        } else if (moveDir.length() > 0) {
-            isMoving = true;
-            moveDir.normalize();
-
-            // Apply movement
-            this.position.x += moveDir.x * this.moveSpeed * deltaTime;
-            this.position.z += moveDir.z * this.moveSpeed * deltaTime;
-
-            // Character faces the direction they're moving
-            this.rotation = Math.atan2(moveDir.x, moveDir.z);
-        }
-
-        // Wall collision check
-        if (this.game && this.game.resolveWallCollision) {
-            const resolved = this.game.resolveWallCollision(oldX, oldZ, this.position.x, this.position.z, 0.5);
-            this.position.x = resolved.x;
-            this.position.z = resolved.z;
-        }
-
-        // Jumping (spacebar is ' ' key)
-        if (input.keys[' '] && this.isGrounded) {
-            this.velocity.y = this.jumpForce;
-            this.isGrounded = false;
-            input.keys[' '] = false; // Consume jump input
-
-            // Play jump animation
-            if (this.useAnimatedCharacter) {
-                this.character.playJump();
-            }
+            this.walkCycle = 0;
+            this.leftLeg.rotation.x *= 0.9;
+            this.rightLeg.rotation.x *= 0.9;
+            this.leftArm.rotation.x *= 0.9;
+            this.rightArm.rotation.x *= 0.9;
         }
-
-        // Apply gravity
-        if (!this.isGrounded) {
-            this.velocity.y -= 30 * deltaTime;
-            this.position.y += this.velocity.y * deltaTime;
-
-            if (this.position.y <= 0) {
-                this.position.y = 0;
-                this.velocity.y = 0;
-                this.isGrounded = true;
-            }
-        }
-
-        // Keep in bounds
-        const bounds = 95;
-        this.position.x = Math.max(-bounds, Math.min(bounds, this.position.x));
-        this.position.z = Math.max(-bounds, Math.min(bounds, this.position.z));
-
-        return isMoving;
     }
 
     updateAbilities(deltaTime) {
         // Update cooldowns
-        for (const key in this.abilities) {
-            const ability = this.abilities[key];
-            if (ability.cooldownRemaining > 0) {
-                ability.cooldownRemaining -= deltaTime;
-                if (ability.cooldownRemaining < 0) ability.cooldownRemaining = 0;
-            }
-        }
+        super.updateAbilities(deltaTime);
 
         // Spin Attack duration
         if (this.abilities.parry.isActive) {
@@ -1133,46 +840,44 @@ export class Player {
         if (horizontalDist > this.attackRange) return false;
 
         this.autoAttackCooldown = this.autoAttackCooldownMax;
+        if (this.resource) {
+            this.resource.onAutoAttack();
+        }
 
         // Face the target
         this.rotation = Math.atan2(dx, dz);
 
-        // Play attack animation
-        if (this.useAnimatedCharacter) {
-            // Cycle through attack animations
-            this.attackAnimIndex = ((this.attackAnimIndex || 0) % 4) + 1;
-            this.character.playAttack(this.attackAnimIndex);
-        }
-
-        // Visual swing effect toward target
-        if (this.game && this.game.effects) {
-            this.game.effects.createSwingEffect(this.position, this.rotation, 0xffffff);
-        }
+        // Cycle through attack animations - everything below waits for the swing's hit frame
+        this.attackAnimIndex = ((this.attackAnimIndex || 0) % 4) + 1;
+        const target = this.targetEnemy;
+        this.startSwing(this.attackAnimIndex, () => {
+            // Visual swing effect toward target
+            if (this.game && this.game.effects) {
+                this.game.effects.createSwingEffect(this.position, this.rotation, 0xffffff);
+            }
 
-        // Play swing sound
-        if (this.game && this.game.sound) {
-            this.game.sound.play('swordSwing');
-        }
+            // Play swing sound
+            if (this.game && this.game.sound) {
+                this.game.sound.play('swordSwing');
+            }
 
-        // Swing trail particles
-        if (this.game && this.game.particles) {
-            const startPos = this.position.clone();
-            startPos.y += 1;
-            const endPos = this.targetEnemy.position.clone();
-            endPos.y += 1;
-            this.game.particles.swingTrail(startPos, endPos);
-        }
+            // Swing trail particles
+            if (this.game && this.game.particles) {
+                const startPos = this.position.clone();
+                startPos.y += 1;
+                const endPos = target.position.clone();
+                endPos.y += 1;
+                this.game.particles.swingTrail(startPos, endPos);
+            }
 
-        // Deal damage and show damage number
-        this.targetEnemy.takeDamage(this.autoAttackDamage, this);
-        if (this.game && this.game.effects) {
-            this.game.effects.createDamageNumber(this.targetEnemy.position, this.autoAttackDamage);
-        }
+            // Deal damage
+            this.dealDamage(target, this.autoAttackDamage, DamageType.PHYSICAL, ['auto']);
 
-        // Play hit sound
-        if (this.game && this.game.sound) {
-            this.game.sound.play('swordHit', { volumeMult: 0.8 });
-        }
+            // Play hit sound
+            if (this.game && this.game.sound) {
+                this.game.sound.play('swordHit', { volumeMult: 0.8 });
+            }
+        });
 
         return true;
     }
@@ -1198,52 +903,45 @@ export class Player {
             );
         }
 
-        // Play attack animation for cleave
-        if (this.useAnimatedCharacter) {
-            this.character.playAttack(2);
-        }
-
-        // Visual effect
-        if (this.game && this.game.effects) {
-            this.game.effects.createCleaveEffect(this.position, this.rotation);
-        }
+        // Effects and damage land on the swing's hit frame
+        this.startSwing(2, () => {
+            // Visual effect
+            if (this.game && this.game.effects) {
+                this.game.effects.createCleaveEffect(this.position, this.rotation);
+            }
 
-        // Play cleave sound
-        if (this.game && this.game.sound) {
-            this.game.sound.play('cleave');
-        }
+            // Play cleave sound
+            if (this.game && this.game.sound) {
+                this.game.sound.play('cleave');
+            }
 
-        // Particle effect - cleave wave
-        if (this.game && this.game.particles) {
-            this.game.particles.cleaveWave(this.position, forward, ability.range);
-        }
+            // Particle effect - cleave wave
+            if (this.game && this.game.particles) {
+                this.game.particles.cleaveWave(this.position, forward, ability.range);
+            }
 
-        // Hit enemies in front cone
-        let hitCount = 0;
-        for (const enemy of enemies) {
-            if (!enemy.isAlive) continue;
+            // Hit enemies in front cone
+            for (const enemy of enemies) {
+                if (!enemy.isAlive) continue;
 
-            const dx = enemy.position.x - this.position.x;
-            const dz = enemy.position.z - this.position.z;
-            const horizontalDist = Math.sqrt(dx * dx + dz * dz);
+                const dx = enemy.position.x - this.position.x;
+                const dz = enemy.position.z - this.position.z;
+                const horizontalDist = Math.sqrt(dx * dx + dz * dz);
 
-            if (horizontalDist > ability.range) continue;
+                if (horizontalDist > ability.range) continue;
 
-            // Check if in cone
-            const toEnemy = new THREE.Vector3(dx, 0, dz).normalize();
-            const dot = forward.dot(toEnemy);
-            const angleToEnemy = Math.acos(Math.min(1, Math.max(-1, dot)));
+                // Check if in cone
+                const toEnemy = new THREE.Vector3(dx, 0, dz).normalize();
+                const dot = forward.dot(toEnemy);
+                const angleToEnemy = Math.acos(Math.min(1, Math.max(-1, dot)));
 
-            if (angleToEnemy <= ability.angle / 2) {
-                enemy.takeDamage(ability.damage, this);
-                if (this.game && this.game.effects) {
-                    this.game.effects.createDamageNumber(enemy.position, ability.damage);
+                if (angleToEnemy <= ability.angle / 2) {
+                    this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'cleave']);
                 }
-                hitCount++;
             }
-        }
+        }, () => this.refundAbility('cleave'));
 
-        return hitCount > 0;
+        return true;
     }
 
     // Ability: Whirlwind - 360° spin attack with forward dash
@@ -1299,10 +997,7 @@ export class Player {
                 const dz = enemy.position.z - this.position.z;
                 const dist = Math.sqrt(dx * dx + dz * dz);
                 if (dist <= ability.range) {
-                    enemy.takeDamage(ability.damage, this);
-                    if (this.game.effects) {
-                        this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                    }
+                    this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'whirlwind']);
                 }
             }
         }
@@ -1358,12 +1053,8 @@ export class Player {
                     const dist = Math.sqrt(dx * dx + dz * dz);
 
                     if (dist <= ability.range) {
-                        enemy.takeDamage(ability.damage, this);
+                        this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'whirlwind']);
                         enemy.whirlwindHit = true; // Mark as hit
-
-                        if (this.game.effects) {
-                            this.game.effects.createDamageNumber(enemy.position, ability.damage, false, false);
-                        }
                     }
                 }
             }
@@ -1419,10 +1110,8 @@ export class Player {
                     const dist = Math.sqrt(dx * dx + dz * dz);
 
                     if (dist <= ability.range) {
-                        enemy.takeDamage(ability.damage, this);
-                        if (this.game.effects) {
-                            this.game.effects.createDamageNumber(enemy.position, ability.damage, false, false);
-                        }
+                        this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'parry']);
+                        enemy.taunt(this, ability.tauntDuration);
                     }
                 }
             }
@@ -1566,11 +1255,8 @@ export class Player {
                     const dz = enemy.position.z - this.position.z;
                     const dist = Math.sqrt(dx * dx + dz * dz);
                     if (dist <= ability.aoeRadius) {
-                        enemy.takeDamage(ability.damage, this);
+                        this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'heroicLeap']);
                         enemy.stun(ability.stunDuration);
-                        if (this.game.effects) {
-                            this.game.effects.createDamageNumber(enemy.position, ability.damage);
-                        }
                     }
                 }
             }
@@ -1580,38 +1266,6 @@ export class Player {
         }
     }
 
-    // Ability: Health Potion
-    usePotion() {
-        const ability = this.abilities.potion;
-        if (ability.cooldownRemaining > 0) return false;
-
-        ability.cooldownRemaining = ability.cooldown;
-        this.health = Math.min(this.maxHealth, this.health + ability.healAmount);
-
-        // Healing effect
-        if (this.game && this.game.effects) {
-            this.game.effects.createPotionEffect(this.position);
-            this.game.effects.createDamageNumber(this.position, ability.healAmount, true);
-        }
-
-        // Heal particles
-        if (this.game && this.game.particles) {
-            this.game.particles.healEffect(this.position);
-        }
-
-        // Play heal sound
-        if (this.game && this.game.sound) {
-            this.game.sound.play('heal');
-        }
-
-        // Screen flash effect for healing
-        if (this.game && this.game.addScreenFlash) {
-            this.game.addScreenFlash('heal');
-        }
-
-        return true;
-    }
-
     // Ability: Sunder - shoot a wave of ground spikes
     useSunder(direction = null) {
         const ability = this.abilities.sunder;
@@ -1680,188 +1334,10 @@ export class Player {
                 if (perpDist > widthAtDist) continue;
 
                 // Hit this enemy!
-                enemy.takeDamage(ability.damage, this);
-
-                // Damage number
-                if (this.game.effects) {
-                    this.game.effects.createDamageNumber(enemy.position, ability.damage, false, false);
-                }
+                this.dealDamage(enemy, ability.damage, DamageType.PHYSICAL, ['ability', 'sunder']);
             }
         }
 
         return true;
     }
-
-    takeDamage(amount) {
-        // Invulnerable during spin attack
-        if (this.abilities.parry.isActive) {
-            return;
-        }
-
-        this.health -= amount;
-
-        // Play impact animation
-        if (this.useAnimatedCharacter) {
-            this.character.playImpact();
-        }
-
-        // Hit particles
-        if (this.game && this.game.particles) {
-            this.game.particles.playerHit(this.position);
-            this.game.addScreenShake(Math.min(amount / 20, 0.5));
-        }
-
-        // Play hit sound
-        if (this.game && this.game.sound) {
-            this.game.sound.play('playerHit');
-        }
-
-        // Screen flash effect
-        if (this.game && this.game.addScreenFlash) {
-            this.game.addScreenFlash(amount > 20 ? 'critical' : 'damage');
-        }
-
-        if (this.health <= 0) {
-            this.health = 0;
-            this.die();
-        }
-    }
-
-    die() {
-        console.log('Player died!');
-
-        // Play death animation
-        if (this.useAnimatedCharacter) {
-            this.character.playDeath();
-        }
-
-        // Play death sound
-        if (this.game && this.game.sound) {
-            this.game.sound.play('playerDeath');
-        }
-
-        // Reset for now
-        setTimeout(() => {
-            this.health = this.maxHealth;
-            this.position.set(0, 0, 0);
-            // Reset to idle after respawn
-            if (this.useAnimatedCharacter) {
-                this.character.playAnimation('idle', true);
-            }
-        }, 2000);
-    }
-
-    // Apply a temporary buff
-    applyBuff(buffType, options) {
-        const { multiplier, duration } = options;
-
-        // Store original value if not already buffed
-        if (!this.buffs[buffType]) {
-            this.buffs[buffType] = {
-                originalValue: this.getBuffBaseValue(buffType),
-                multiplier: multiplier,
-                remaining: duration
-            };
-        } else {
-            // Refresh duration if already buffed
-            this.buffs[buffType].remaining = duration;
-            this.buffs[buffType].multiplier = multiplier;
-        }
-
-        // Apply the buff effect
-        this.applyBuffEffect(buffType);
-
-        // Visual feedback
-        if (this.game && this.game.particles) {
-            const color = this.getBuffColor(buffType);
-            this.game.particles.buffAura(this.position, color);
-        }
-    }
-
-    getBuffBaseValue(buffType) {
-        switch (buffType) {
-            case 'speed': return this.moveSpeed;
-            case 'damage': return this.autoAttackDamage;
-            case 'defense': return 1; // Damage multiplier
-            default: return 1;
-        }
-    }
-
-    getBuffColor(buffType) {
-        switch (buffType) {
-            case 'speed': return 0x44aaff;
-            case 'damage': return 0xff6644;
-            case 'defense': return 0x888888;
-            default: return 0x44ff88;
-        }
-    }
-
-    applyBuffEffect(buffType) {
-        const buff = this.buffs[buffType];
-        if (!buff) return;
-
-        switch (buffType) {
-            case 'speed':
-                this.moveSpeed = buff.originalValue * buff.multiplier;
-                break;
-            case 'damage':
-                this.autoAttackDamage = Math.floor(buff.originalValue * buff.multiplier);
-                break;
-            // Defense is checked in takeDamage
-        }
-    }
-
-    removeBuffEffect(buffType) {
-        const buff = this.buffs[buffType];
-        if (!buff) return;
-
-        switch (buffType) {
-            case 'speed':
-                this.moveSpeed = buff.originalValue;
-                break;
-            case 'damage':
-                this.autoAttackDamage = buff.originalValue;
-                break;
-        }
-
-        delete this.buffs[buffType];
-    }
-
-    updateBuffs(deltaTime) {
-        for (const buffType in this.buffs) {
-            const buff = this.buffs[buffType];
-            buff.remaining -= deltaTime;
-
-            if (buff.remaining <= 0) {
-                this.removeBuffEffect(buffType);
-            }
-        }
-    }
-
-    // Get total stats including equipment bonuses
-    getStats() {
-        const baseStats = {
-            damage: this.autoAttackDamage,
-            defense: 0,
-            maxHealth: this.maxHealth,
-            attackSpeed: 0,
-            moveSpeed: this.moveSpeed,
-            magicPower: 0
-        };
-
-        // Add equipment bonuses
-        if (this.inventory) {
-            const equipStats = this.inventory.getEquipmentStats();
-            return {
-                damage: baseStats.damage + (equipStats.damage || 0),
-                defense: baseStats.defense + (equipStats.defense || 0),
-                maxHealth: baseStats.maxHealth + (equipStats.maxHealth || 0),
-                attackSpeed: baseStats.attackSpeed + (equipStats.attackSpeed || 0),
-                moveSpeed: baseStats.moveSpeed + (baseStats.moveSpeed * (equipStats.moveSpeed || 0) / 100),
-                magicPower: baseStats.magicPower + (equipStats.magicPower || 0)
-            };
-        }
-
-        return baseStats;
-    }
 }
@@ -0,0 +1,78 @@
+// Class resources - abilities spend these through the cost on their registry definition
+//   max/regen: base pool and per-second regeneration
+//   decay/decayDelay: pool drains this much per second once nothing has built it for decayDelay seconds
+//   perAutoAttack/perDamageTaken: gained per auto attack landed / per point of damage taken
+// Equipment adds maxResource/resourceRegen, and the maxResource/resourceRegen buffs multiply them
+export const RESOURCE_TYPES = {
+    mana: { name: 'Mana', max: 100, regen: 5, startFull: true },
+    rage: { name: 'Rage', max: 100, regen: 0, startFull: false, decay: 5, decayDelay: 6, perAutoAttack: 8, perDamageTaken: 0.4 },
+    focus: { name: 'Focus', max: 100, regen: 12, startFull: true }
+};
+
+export class Resource {
+    constructor(type, owner) {
+        this.type = type;
+        this.config = RESOURCE_TYPES[type];
+        this.owner = owner;
+        this.current = this.config.startFull ? this.max : 0;
+        this.idleTime = 0; // Seconds since the pool was last built by combat
+    }
+
+    get name() {
+        return this.config.name;
+    }
+
+    get max() {
+        const bonus = this.owner.inventory?.getEquipmentStats().maxResource || 0;
+        const multiplier = this.owner.buffs?.maxResource?.multiplier || 1;
+        return Math.round((this.config.max + bonus) * multiplier);
+    }
+
+    get regen() {
+        const bonus = this.owner.inventory?.getEquipmentStats().resourceRegen || 0;
+        const multiplier = this.owner.buffs?.resourceRegen?.multiplier || 1;
+        return (this.config.regen + bonus) * multiplier;
+    }
+
+    update(deltaTime) {
+        this.idleTime += deltaTime;
+
+        let change = this.regen;
+        if (this.config.decay && this.idleTime >= this.config.decayDelay) {
+            change -= this.config.decay;
+        }
+        this.current = Math.max(0, Math.min(this.max, this.current + change * deltaTime));
+    }
+
+    canAfford(cost) {
+        return this.current >= cost;
+    }
+
+    spend(cost) {
+        if (!this.canAfford(cost)) return false;
+        this.current -= cost;
+        return true;
+    }
+
+    // Returns the amount actually gained
+    gain(amount) {
+        const old = this.current;
+        this.current = Math.min(this.max, this.current + amount);
+        return this.current - old;
+    }
+
+    // Every class calls these - only pools with perAutoAttack/perDamageTaken (rage) gain anything
+    onAutoAttack() {
+        if (this.config.perAutoAttack) {
+            this.idleTime = 0;
+            this.gain(this.config.perAutoAttack);
+        }
+    }
+
+    onDamageTaken(amount) {
+        if (this.config.perDamageTaken) {
+            this.idleTime = 0;
+            this.gain(amount * this.config.perDamageTaken);
+        }
+    }
+}
@@ -0,0 +1,426 @@
+import { ITEMS } from './itemDatabase.js';
+import { openStorage, LocalStorageBackend } from './storage.js';
+
+// Save system - named save slots, each with a backup of its previous good write
+//   Every slot holds one save:
+//     { version, timestamp, name, selectedClass, characters, world }
+//     characters: className -> that character's level, talents, inventory, gold, hotbar, buffs, cooldowns
+//     world: gameMode -> state tied to that mode's level (adventure: position, quests, station stock)
+//   Stored records wrap the save JSON with a checksum so corrupt or hand-edited data is caught on read
+//   Older versions are upgraded one step at a time by MIGRATIONS when read
+//   Exported files are the same record with a header, so they can be moved between browsers
+//   Storage is async (see storage.js) - writes run one at a time so read-modify-write updates don't interleave
+export const SAVE_VERSION = 2;
+export const SAVE_SLOTS = ['slot1', 'slot2', 'slot3'];
+
+const KEY_PREFIX = 'tileGame3D_';
+const LEGACY_KEY = 'tileGame3D_save'; // Version 1 single save
+const SELECTED_SLOT_KEY = 'tileGame3D_selected_slot';
+const LOCAL_SAVE_KEYS = [
+    SELECTED_SLOT_KEY,
+    ...SAVE_SLOTS.flatMap(id => [`${KEY_PREFIX}${id}`, `${KEY_PREFIX}${id}_backup`])
+];
+const EXPORT_FORMAT = 'TileGame3D save';
+
+// MIGRATIONS[n] turns a version n save into version n + 1
+const MIGRATIONS = {
+    // v1: one adventure save, gold stored on the player and no hotbar, buffs or cooldowns
+    1: (save) => {
+        const className = save.selectedClass || 'adventurer';
+        return {
+            version: 2,
+            timestamp: save.timestamp || Date.now(),
+            name: 'Adventure',
+            selectedClass: className,
+            characters: {
+                [className]: {
+                    experience: save.experience || null,
+                    talents: save.talents || null,
+                    health: save.player?.health,
+                    maxHealth: save.player?.maxHealth,
+                    resource: null,
+                    inventory: {
+                        gold: save.player?.gold || 0,
+                        slots: save.inventory || [],
+                        equipment: save.equipment || {},
+                        hotbar: [],
+                        itemCooldowns: {}
+                    },
+                    buffs: {},
+                    cooldowns: {}
+                }
+            },
+            world: {
+                adventure: {
+                    position: save.player?.position || null,
+                    quests: save.quests || {},
+                    activeQuests: save.activeQuests || [],
+                    stations: {}
+                }
+            }
+        };
+    }
+};
+
+// FNV-1a hash of a string, as 8 hex digits
+export function checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Upgrade a save to SAVE_VERSION - throws if it's from an unknown or future version
+export function migrateSave(save) {
+    let migrated = save;
+    while (migrated.version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[migrated.version];
+        if (!migrate) throw new Error(`No migration from save version ${migrated.version}`);
+        migrated = migrate(migrated);
+    }
+    if (migrated.version !== SAVE_VERSION) {
+        throw new Error(`Unsupported save version ${migrated.version}`);
+    }
+    return migrated;
+}
+
+// Problems with a save's shape, empty if it looks sound
+export function validateSave(save) {
+    const errors = [];
+    if (!save || typeof save !== 'object') return ['Save is not an object'];
+    if (typeof save.name !== 'string') errors.push('Missing save name');
+    if (typeof save.selectedClass !== 'string') errors.push('Missing selected class');
+    if (!save.characters || typeof save.characters !== 'object') {
+        errors.push('Missing characters');
+    } else {
+        for (const [className, character] of Object.entries(save.characters)) {
+            const inventory = character?.inventory;
+            if (!inventory || !Array.isArray(inventory.slots)) {
+                errors.push(`Character ${className} has no inventory`);
+                continue;
+            }
+            if (typeof inventory.gold !== 'number' || inventory.gold < 0) {
+                errors.push(`Character ${className} has invalid gold`);
+            }
+            if (inventory.equipment && typeof inventory.equipment !== 'object') {
+                errors.push(`Character ${className} has invalid equipment`);
+            }
+            if (inventory.hotbar && !Array.isArray(inventory.hotbar)) {
+                errors.push(`Character ${className} has an invalid hotbar`);
+            }
+        }
+    }
+    if (save.world && typeof save.world !== 'object') errors.push('World state is not an object');
+    return errors;
+}
+
+// Item ids in a save that aren't in the ITEMS database, as readable locations -
+// e.g. 'warrior inventory slot 3: mystery_sword'
+export function findUnknownItems(save) {
+    const unknown = [];
+    const check = (itemId, where) => {
+        if (itemId && !ITEMS[itemId]) unknown.push(`${where}: ${itemId}`);
+    };
+
+    for (const [className, character] of Object.entries(save.characters || {})) {
+        const inventory = character.inventory;
+        inventory.slots.forEach((slot, i) => check(slot?.itemId, `${className} inventory slot ${i + 1}`));
+        for (const [slot, item] of Object.entries(inventory.equipment || {})) {
+            // Older saves store just the item id
+            check(typeof item === 'string' ? item : item?.itemId, `${className} ${slot}`);
+        }
+        (inventory.hotbar || []).forEach((entry, i) => {
+            if (typeof entry === 'string') check(entry, `${className} hotbar ${i + 1}`);
+        });
+    }
+    return unknown;
+}
+
+// Stored text for a save - the save JSON plus its checksum
+export function encodeSave(save) {
+    const body = JSON.stringify(save);
+    return JSON.stringify({ checksum: checksum(body), body });
+}
+
+// Save from stored text, migrated to the current version - throws with the reason if it's unusable
+export function decodeSave(text) {
+    return decodeRecord(JSON.parse(text));
+}
+
+function decodeRecord(record) {
+    if (!record || typeof record.body !== 'string') throw new Error('Not a save file');
+    if (checksum(record.body) !== record.checksum) throw new Error('Checksum mismatch - the save is corrupt');
+
+    const body = JSON.parse(record.body);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Save is not an object');
+
+    const save = migrateSave(body);
+    const errors = validateSave(save);
+    if (errors.length > 0) throw new Error(errors.join(', '));
+    return save;
+}
+
+// Downloadable file text for a save
+export function exportSave(save) {
+    const body = JSON.stringify(save);
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        exportedAt: new Date().toISOString(),
+        checksum: checksum(body),
+        body
+    }, null, 2);
+}
+
+// Save from an exported file - throws with every problem found, including unknown items
+export function importSave(text) {
+    let record;
+    try {
+        record = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON');
+    }
+    if (record?.format !== EXPORT_FORMAT) throw new Error('The file is not a TileGame 3D save');
+
+    const save = decodeRecord(record);
+    const unknown = findUnknownItems(save);
+    if (unknown.length > 0) {
+        throw new Error(`The save contains unknown items:\n${unknown.join('\n')}`);
+    }
+    return save;
+}
+
+export class SaveSystem {
+    // legacyStorage is the localStorage older versions saved to - its saves are moved into the backend
+    constructor(backend = null, legacyStorage = window.localStorage) {
+        this.backend = backend;
+        this.legacyStorage = legacyStorage;
+        this.selected = SAVE_SLOTS[0];
+        this.queue = Promise.resolve(); // Tail of the write queue
+        this.ready = this.init();
+    }
+
+    async init() {
+        try {
+            if (!this.backend) {
+                this.backend = await openStorage();
+            }
+            await this.importLocalSaves();
+            await this.importLegacySave();
+
+            const selected = await this.backend.get(SELECTED_SLOT_KEY);
+            if (SAVE_SLOTS.includes(selected)) {
+                this.selected = selected;
+            }
+        } catch (e) {
+            console.warn('Save storage failed to initialize:', e);
+        }
+    }
+
+    get selectedSlot() {
+        return this.selected;
+    }
+
+    set selectedSlot(slotId) {
+        if (!SAVE_SLOTS.includes(slotId)) return;
+        this.selected = slotId;
+        this.enqueue(() => this.backend.set(SELECTED_SLOT_KEY, slotId));
+    }
+
+    slotKey(slotId) {
+        return `${KEY_PREFIX}${slotId}`;
+    }
+
+    backupKey(slotId) {
+        return `${KEY_PREFIX}${slotId}_backup`;
+    }
+
+    // Run a storage change after every earlier one - resolves with its result, or false if it threw
+    enqueue(task) {
+        const run = this.queue.then(() => this.ready).then(task).catch(e => {
+            console.error('Save storage error:', e);
+            return false;
+        });
+        this.queue = run;
+        return run;
+    }
+
+    // { save, fromBackup } for a slot, or null if it's empty or unreadable.
+    // A corrupt slot falls back to its backup copy.
+    async read(slotId) {
+        await this.ready;
+        const primary = await this.backend.get(this.slotKey(slotId));
+        if (primary) {
+            try {
+                return { save: decodeSave(primary), fromBackup: false };
+            } catch (e) {
+                console.warn(`Save ${slotId} is unreadable, trying its backup:`, e.message);
+            }
+        }
+
+        const backup = await this.backend.get(this.backupKey(slotId));
+        if (backup) {
+            try {
+                return { save: decodeSave(backup), fromBackup: true };
+            } catch (e) {
+                console.warn(`Backup of save ${slotId} is unreadable too:`, e.message);
+            }
+        }
+        return null;
+    }
+
+    // Resolves true once the save is stored - the previous good save is kept as the backup
+    write(slotId, save) {
+        return this.enqueue(() => this.writeNow(slotId, save));
+    }
+
+    // Read-modify-write - change(existing save or null) returns the save to store
+    update(slotId, change) {
+        return this.enqueue(async () => {
+            const existing = await this.read(slotId);
+            return this.writeNow(slotId, change(existing ? existing.save : null));
+        });
+    }
+
+    async writeNow(slotId, save) {
+        const previous = await this.backend.get(this.slotKey(slotId));
+        if (previous) {
+            try {
+                decodeSave(previous); // Throws rather than back up a corrupt save over a good backup
+                await this.backend.set(this.backupKey(slotId), previous);
+            } catch (e) {
+                console.warn(`Not backing up unreadable save ${slotId}:`, e.message);
+            }
+        }
+
+        try {
+            await this.backend.set(this.slotKey(slotId), encodeSave({ ...save, version: SAVE_VERSION, timestamp: Date.now() }));
+            return true;
+        } catch (e) {
+            console.error(`Failed to write save ${slotId}:`, e);
+            return false;
+        }
+    }
+
+    delete(slotId) {
+        return this.enqueue(async () => {
+            await this.backend.remove(this.slotKey(slotId));
+            await this.backend.remove(this.backupKey(slotId));
+            return true;
+        });
+    }
+
+    // Picker summaries - { id, empty, name, className, level, timestamp, fromBackup }
+    listSlots() {
+        return Promise.all(SAVE_SLOTS.map(async id => {
+            const result = await this.read(id);
+            if (!result) return { id, empty: true };
+
+            const { save, fromBackup } = result;
+            const character = save.characters[save.selectedClass];
+            return {
+                id,
+                empty: false,
+                name: save.name,
+                className: save.selectedClass,
+                level: character?.experience?.level || 1,
+                timestamp: save.timestamp,
+                fromBackup
+            };
+        }));
+    }
+
+    // Move slots saved to localStorage by earlier versions into the backend
+    async importLocalSaves() {
+        if (!this.legacyStorage || this.backend instanceof LocalStorageBackend) return;
+
+        for (const key of LOCAL_SAVE_KEYS) {
+            const value = this.legacyStorage.getItem(key);
+            if (value === null) continue;
+            if (await this.backend.get(key) === null) {
+                await this.backend.set(key, value);
+            }
+            this.legacyStorage.removeItem(key);
+        }
+    }
+
+    // Move a version 1 save into the first empty slot
+    async importLegacySave() {
+        const legacy = this.legacyStorage?.getItem(LEGACY_KEY);
+        if (!legacy) return;
+
+        try {
+            const save = migrateSave(JSON.parse(legacy));
+            for (const slotId of SAVE_SLOTS) {
+                if (await this.backend.get(this.slotKey(slotId)) !== null) continue;
+                if (await this.writeNow(slotId, save)) {
+                    this.legacyStorage.removeItem(LEGACY_KEY);
+                }
+                return;
+            }
+        } catch (e) {
+            console.warn('Could not import the old save:', e.message);
+        }
+    }
+}
+
+// Debounced autosave - requests close together become one write, and while playing the game
+// also saves every AUTOSAVE_INTERVAL seconds. save() returns a promise.
+export const AUTOSAVE_INTERVAL = 60;
+const SAVE_DEBOUNCE = 2; // Seconds of quiet before a requested save is written
+const SAVE_MAX_WAIT = 10; // Steady requests can't hold a save back longer than this
+
+export class SaveScheduler {
+    constructor(save) {
+        this.save = save;
+        this.pending = false;
+        this.delay = 0;
+        this.waited = 0;
+        this.timer = 0;
+        this.saving = null; // Promise of the write in progress
+    }
+
+    request() {
+        if (!this.pending) {
+            this.pending = true;
+            this.waited = 0;
+        }
+        this.delay = SAVE_DEBOUNCE;
+    }
+
+    update(deltaTime) {
+        // The timed save skips the debounce - it's due now, along with anything already waiting
+        this.timer += deltaTime;
+        if (this.timer >= AUTOSAVE_INTERVAL) {
+            this.pending = true;
+            this.flush();
+            return;
+        }
+        if (!this.pending) return;
+
+        this.delay -= deltaTime;
+        this.waited += deltaTime;
+        if (this.delay <= 0 || this.waited >= SAVE_MAX_WAIT) {
+            this.flush();
+        }
+    }
+
+    // Write a waiting save now - resolves once it, and any write already in progress, has finished
+    flush() {
+        if (this.pending) {
+            this.pending = false;
+            this.timer = 0;
+            const saving = this.save().finally(() => {
+                if (this.saving === saving) this.saving = null;
+            });
+            this.saving = saving;
+        }
+        return this.saving || Promise.resolve();
+    }
+
+    cancel() {
+        this.pending = false;
+        this.timer = 0;
+    }
+}
@@ -0,0 +1,136 @@
+// Player settings - kept in localStorage and applied at startup
+//   Read before the renderer is created, since antialiasing can only be chosen then
+//   Listeners registered with onChange(key, value) apply a change as soon as it's made
+const SETTINGS_KEY = 'tileGame3D_settings';
+
+// Graphics quality presets - pixelRatio caps the device pixel ratio
+export const GRAPHICS_PRESETS = {
+    low: { name: 'Low', antialias: false, pixelRatio: 1, shadows: false, shadowMapSize: 512 },
+    medium: { name: 'Medium', antialias: true, pixelRatio: 1.5, shadows: true, shadowMapSize: 1024 },
+    high: { name: 'High', antialias: true, pixelRatio: 2, shadows: true, shadowMapSize: 2048 }
+};
+
+export const DEFAULT_SETTINGS = {
+    // Audio (0-1)
+    masterVolume: 0.7,
+    sfxVolume: 0.8,
+    musicVolume: 0.5,
+    muted: false,
+
+    // Graphics - a GRAPHICS_PRESETS key
+    graphicsQuality: 'high',
+
+    // Camera - sensitivity multiplies the default rotate speed, zoom limits are camera distances
+    cameraSensitivity: 1,
+    cameraMinZoom: 10,
+    cameraMaxZoom: 60,
+
+    // Combat feedback
+    screenShake: 1, // Multiplier, 0 turns it off
+    damageNumbers: true, // Damage we deal
+    damageTakenNumbers: true,
+    healNumbers: true
+};
+
+// Limits for the number settings - stored values are clamped into them
+export const SETTING_RANGES = {
+    masterVolume: { min: 0, max: 1, step: 0.05 },
+    sfxVolume: { min: 0, max: 1, step: 0.05 },
+    musicVolume: { min: 0, max: 1, step: 0.05 },
+    cameraSensitivity: { min: 0.25, max: 3, step: 0.05 },
+    cameraMinZoom: { min: 5, max: 30, step: 1 },
+    cameraMaxZoom: { min: 20, max: 100, step: 1 },
+    screenShake: { min: 0, max: 2, step: 0.1 }
+};
+
+// Closest allowed value for a setting, or the default if the value is the wrong type
+function sanitize(key, value) {
+    const fallback = DEFAULT_SETTINGS[key];
+    if (typeof value !== typeof fallback) return fallback;
+
+    if (key === 'graphicsQuality') {
+        return GRAPHICS_PRESETS[value] ? value : fallback;
+    }
+
+    const range = SETTING_RANGES[key];
+    if (range) {
+        if (!Number.isFinite(value)) return fallback;
+        return Math.max(range.min, Math.min(range.max, value));
+    }
+    return value;
+}
+
+export class Settings {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.listeners = [];
+        this.values = this.load();
+    }
+
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(this.storage.getItem(SETTINGS_KEY)) || {};
+        } catch (e) {
+            console.warn('Failed to load settings, using defaults:', e);
+        }
+
+        const values = {};
+        for (const key in DEFAULT_SETTINGS) {
+            values[key] = key in stored ? sanitize(key, stored[key]) : DEFAULT_SETTINGS[key];
+        }
+        if (values.cameraMinZoom > values.cameraMaxZoom) {
+            values.cameraMinZoom = DEFAULT_SETTINGS.cameraMinZoom;
+            values.cameraMaxZoom = DEFAULT_SETTINGS.cameraMaxZoom;
+        }
+        return values;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(SETTINGS_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Failed to save settings:', e);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    get graphics() {
+        return GRAPHICS_PRESETS[this.values.graphicsQuality];
+    }
+
+    // Returns the value actually stored - zoom limits push each other so min stays below max
+    set(key, value) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            console.warn(`Unknown setting: ${key}`);
+            return undefined;
+        }
+
+        const clean = sanitize(key, value);
+        this.values[key] = clean;
+        if (key === 'cameraMinZoom' && clean > this.values.cameraMaxZoom) {
+            this.set('cameraMaxZoom', clean);
+        } else if (key === 'cameraMaxZoom' && clean < this.values.cameraMinZoom) {
+            this.set('cameraMinZoom', clean);
+        }
+
+        this.save();
+        for (const listener of this.listeners) {
+            listener(key, clean);
+        }
+        return clean;
+    }
+
+    reset() {
+        for (const key in DEFAULT_SETTINGS) {
+            this.set(key, DEFAULT_SETTINGS[key]);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
@@ -0,0 +1,108 @@
+import { GRAPHICS_PRESETS, SETTING_RANGES } from './settings.js';
+
+// Settings panel - every input with a data-setting attribute edits that setting directly
+export class SettingsUI {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+
+        this.panel = document.getElementById('settings-panel');
+        this.inputs = Array.from(this.panel.querySelectorAll('[data-setting]'));
+
+        this.setupInputs();
+        this.initEventListeners();
+    }
+
+    get settings() {
+        return this.game.settings;
+    }
+
+    setupInputs() {
+        for (const input of this.inputs) {
+            const key = input.dataset.setting;
+            const range = SETTING_RANGES[key];
+            if (range) {
+                input.min = range.min;
+                input.max = range.max;
+                input.step = range.step;
+            }
+            if (key === 'graphicsQuality') {
+                for (const [id, preset] of Object.entries(GRAPHICS_PRESETS)) {
+                    const option = document.createElement('option');
+                    option.value = id;
+                    option.textContent = preset.name;
+                    input.appendChild(option);
+                }
+            }
+
+            input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+                this.settings.set(key, this.readInput(input));
+            });
+        }
+
+        // Keep inputs in step with changes made elsewhere - resets, zoom limits pushing each other
+        this.settings.onChange(() => this.refresh());
+        this.refresh();
+    }
+
+    initEventListeners() {
+        document.getElementById('settings-open-btn').addEventListener('click', () => this.toggle());
+        document.getElementById('settings-close').addEventListener('click', () => this.close());
+        document.getElementById('settings-reset').addEventListener('click', () => this.settings.reset());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    readInput(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'range') return parseFloat(input.value);
+        return input.value;
+    }
+
+    refresh() {
+        for (const input of this.inputs) {
+            const value = this.settings.get(input.dataset.setting);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+
+            const label = input.nextElementSibling;
+            if (label && label.classList.contains('settings-value')) {
+                label.textContent = this.formatValue(input.dataset.setting, value);
+            }
+        }
+    }
+
+    formatValue(key, value) {
+        if (key.endsWith('Volume')) return `${Math.round(value * 100)}%`;
+        if (key === 'cameraSensitivity' || key === 'screenShake') return `${value.toFixed(2)}x`;
+        return String(value);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.refresh();
+        this.panel.classList.add('visible');
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.game.keyBindingsUI?.cancelCapture();
+        this.panel.classList.remove('visible');
+    }
+}
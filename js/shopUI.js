@@ -0,0 +1,218 @@
+import { ITEMS, ItemStack, getItemIcon } from './itemDatabase.js';
+import { canSell, getSellPrice } from './vendor.js';
+
+// Vendor buy/sell panel - opens beside the inventory
+export class ShopUI {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.npc = null;
+        this.tab = 'buy'; // 'buy', 'sell' or 'buyback'
+
+        this.panel = document.getElementById('shop-panel');
+        this.title = document.getElementById('shop-title');
+        this.list = document.getElementById('shop-list');
+        this.message = document.getElementById('shop-message');
+        this.restockEl = document.getElementById('shop-restock');
+        this.tabs = this.panel.querySelectorAll('.shop-tab');
+
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        document.getElementById('shop-close').addEventListener('click', () => this.close());
+
+        this.tabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setTab(tab.dataset.tab));
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('.shop-action');
+            if (button) {
+                this.onAction(parseInt(button.dataset.index));
+            }
+        });
+
+        this.list.addEventListener('mousemove', (e) => {
+            const row = e.target.closest('.shop-row');
+            const stack = row ? this.getRowStack(parseInt(row.dataset.index)) : null;
+            if (stack) {
+                this.game.inventoryUI.showTooltip(stack, e);
+            } else {
+                this.game.inventoryUI.hideTooltip();
+            }
+        });
+
+        this.list.addEventListener('mouseleave', () => {
+            this.game.inventoryUI.hideTooltip();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    open(npc) {
+        this.npc = npc;
+        this.isOpen = true;
+        this.title.textContent = npc.name;
+        this.message.textContent = '';
+        this.panel.classList.add('visible');
+
+        // Inventory slides over to sit beside the shop
+        this.game.inventoryUI.panel.classList.add('with-shop');
+        this.game.inventoryUI.open();
+
+        this.setTab('buy');
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.npc = null;
+        this.panel.classList.remove('visible');
+        this.game.inventoryUI.panel.classList.remove('with-shop');
+        this.game.inventoryUI.close();
+    }
+
+    setTab(tab) {
+        this.tab = tab;
+        this.tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+        this.refresh();
+    }
+
+    // Stack shown in a row - buy entries get a plain stack just for the tooltip
+    getRowStack(index) {
+        const vendor = this.npc?.vendor;
+        const inventory = this.game.player?.inventory;
+        if (!vendor || !inventory) return null;
+
+        if (this.tab === 'buy') {
+            const entry = vendor.stock[index];
+            return entry ? new ItemStack(ITEMS[entry.itemId]) : null;
+        }
+        if (this.tab === 'sell') return inventory.slots[index];
+        return vendor.buyback[index]?.stack || null;
+    }
+
+    onAction(index) {
+        const vendor = this.npc?.vendor;
+        const inventory = this.game.player?.inventory;
+        if (!vendor || !inventory) return;
+
+        let result;
+        if (this.tab === 'buy') {
+            result = vendor.buy(index, inventory);
+        } else if (this.tab === 'sell') {
+            result = vendor.sell(index, inventory);
+        } else {
+            result = vendor.buyBack(index, inventory);
+        }
+
+        this.message.textContent = result.message;
+        this.message.className = result.success ? 'success' : 'error';
+
+        if (result.success) {
+            this.game.sound?.play('itemPickup');
+            this.game.autoSave();
+        }
+
+        this.game.inventoryUI.hideTooltip();
+        this.game.inventoryUI.refresh();
+        this.refresh();
+    }
+
+    refresh() {
+        const vendor = this.npc?.vendor;
+        const inventory = this.game.player?.inventory;
+        if (!vendor || !inventory) return;
+
+        const rows = [];
+        if (this.tab === 'buy') {
+            vendor.stock.forEach((entry, i) => {
+                const item = ITEMS[entry.itemId];
+                const stockText = entry.quantity === Infinity ? '' : ` (${entry.quantity})`;
+                rows.push(this.createRow(i, item, item.name + stockText, item.rarity, entry.price, 'Buy',
+                    entry.quantity > 0 && inventory.gold >= entry.price));
+            });
+        } else if (this.tab === 'sell') {
+            inventory.slots.forEach((stack, i) => {
+                if (!stack || !canSell(stack)) return;
+                const name = stack.quantity > 1 ? `${stack.name} x${stack.quantity}` : stack.name;
+                rows.push(this.createRow(i, stack.definition, name, stack.rarity, getSellPrice(stack), 'Sell', true));
+            });
+        } else {
+            vendor.buyback.forEach((entry, i) => {
+                const stack = entry.stack;
+                const name = stack.quantity > 1 ? `${stack.name} x${stack.quantity}` : stack.name;
+                rows.push(this.createRow(i, stack.definition, name, stack.rarity, entry.price, 'Buy Back',
+                    inventory.gold >= entry.price));
+            });
+        }
+
+        this.list.innerHTML = '';
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'shop-empty';
+            empty.textContent = this.tab === 'sell' ? 'Nothing to sell' : 'Nothing here';
+            this.list.appendChild(empty);
+        }
+        for (const row of rows) {
+            this.list.appendChild(row);
+        }
+
+        this.updateRestockTimer();
+    }
+
+    // Called every frame while open
+    update() {
+        const vendor = this.npc?.vendor;
+        if (!vendor) return;
+
+        if (vendor.justRestocked) {
+            vendor.justRestocked = false;
+            this.refresh();
+        } else {
+            this.updateRestockTimer();
+        }
+    }
+
+    updateRestockTimer() {
+        const vendor = this.npc.vendor;
+        const minutes = Math.floor(vendor.restockTimer / 60);
+        const seconds = String(Math.floor(vendor.restockTimer % 60)).padStart(2, '0');
+        this.restockEl.textContent = `Restocks in ${minutes}:${seconds}`;
+    }
+
+    createRow(index, item, name, rarity, price, actionText, enabled) {
+        const row = document.createElement('div');
+        row.className = 'shop-row';
+        row.dataset.index = index;
+
+        const icon = document.createElement('span');
+        icon.className = 'shop-icon';
+        icon.textContent = getItemIcon(item);
+        row.appendChild(icon);
+
+        const nameEl = document.createElement('span');
+        nameEl.className = `shop-name rarity-${rarity.name}`;
+        nameEl.textContent = name;
+        row.appendChild(nameEl);
+
+        const priceEl = document.createElement('span');
+        priceEl.className = 'shop-price';
+        priceEl.textContent = `${price}g`;
+        row.appendChild(priceEl);
+
+        const button = document.createElement('button');
+        button.className = 'shop-action';
+        button.dataset.index = index;
+        button.textContent = actionText;
+        button.disabled = !enabled;
+        row.appendChild(button);
+
+        return row;
+    }
+}
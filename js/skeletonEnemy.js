@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
 import { Enemy } from './enemy.js';
+import { DamageType } from './damage.js';
+import { createEnemyAI } from './enemyAI.js';
 import { AssetManifest, getCharacterPath, getAnimationPath, getEquipmentPath } from './assetManifest.js';
 
 // Shared model cache to prevent WebGL texture limit issues
@@ -10,6 +12,16 @@ const modelCache = new Map();
 const materialCache = new Map(); // Cache simplified materials to share between clones
 const loaderInstance = new GLTFLoader();
 
+// Resistance profiles per skeleton type - see Enemy for how armor and resistances apply.
+// Every skeleton shrugs off some poison, mages wrap themselves in frost and everything
+// held together by bone burns a little easier.
+const RESISTANCE_PROFILES = {
+    warrior: { armor: 40, resistances: { poison: 0.5 } },
+    mage: { armor: 0, resistances: { frost: 0.5, poison: 0.5, fire: -0.25 } },
+    rogue: { armor: 15, resistances: { poison: 0.75, fire: -0.25 } },
+    minion: { armor: 0, resistances: { poison: 0.25, fire: -0.25 } }
+};
+
 // Skeleton enemy using KayKit skeleton models
 export class SkeletonEnemy extends Enemy {
     constructor(scene, x, z, type = 'warrior') {
@@ -24,6 +36,9 @@ export class SkeletonEnemy extends Enemy {
         // Override stats based on type
         this.setupStats();
 
+        // Per-type behavior (guard, kite, flank, swarm)
+        this.ai = createEnemyAI(this, type);
+
         // Load the skeleton model
         this.loadModel();
     }
@@ -46,6 +61,11 @@ export class SkeletonEnemy extends Enemy {
                 this.moveSpeed = 2.5;
                 this.attackRange = 8;
                 this.aggroRange = 15;
+                // Bolts travel, so they can be dodged, blocked by walls or reflected
+                this.rangedAttack = {
+                    speed: 10, range: 14, damageType: DamageType.FROST,
+                    status: { id: 'chill', duration: 2, moveSpeed: 0.7 }
+                };
                 break;
             case 'rogue':
                 this.name = 'Skeleton Rogue';
@@ -54,6 +74,8 @@ export class SkeletonEnemy extends Enemy {
                 this.attackDamage = 15;
                 this.moveSpeed = 4;
                 this.attackRange = 1.5;
+                // Poisoned blades - stacks on every landed hit
+                this.onHitStatus = { id: 'poison', duration: 5, damage: 2 };
                 break;
             case 'minion':
             default:
@@ -65,6 +87,10 @@ export class SkeletonEnemy extends Enemy {
                 this.attackRange = 1.5;
                 break;
         }
+
+        const profile = RESISTANCE_PROFILES[this.skeletonType] || RESISTANCE_PROFILES.minion;
+        this.armor = profile.armor;
+        this.resistances = { ...profile.resistances };
     }
 
     async loadModel() {
@@ -417,7 +443,7 @@ export class SkeletonEnemy extends Enemy {
         this.currentAction = action;
     }
 
-    update(deltaTime, player, camera) {
+    update(deltaTime, player, camera, navGrid = null) {
         if (!this.isAlive) return;
 
         // Update animation mixer
@@ -425,61 +451,30 @@ export class SkeletonEnemy extends Enemy {
             this.mixer.update(deltaTime);
         }
 
-        // Stun (frozen)
-        if (this.stunTime > 0) {
-            this.stunTime -= deltaTime;
-            this.updateFrozenIndicator(true);
+        // Status effects keep ticking while stunned - damage over time can kill
+        this.statusEffects.update(deltaTime, player.game?.damage);
+        if (!this.isAlive) return;
+        this.threat.update(deltaTime);
+        this.updateFrozenIndicator(this.statusEffects.has('freeze'));
+        if (this.statusEffects.isStunned) {
             this.updateHealthBar(camera);
-            if (this.stunTime <= 0) {
-                this.updateFrozenIndicator(false);
-            }
             return;
         }
 
-        // Slow timer
-        if (this.slowTimer && this.slowTimer > 0) {
-            this.slowTimer -= deltaTime;
-            this.updateSlowIndicator(true);
-            if (this.slowTimer <= 0 && this.originalMoveSpeed) {
-                this.moveSpeed = this.originalMoveSpeed;
-                this.originalMoveSpeed = null;
-                this.updateSlowIndicator(false);
-            }
-        } else {
-            this.updateSlowIndicator(false);
-        }
-
         // Attack cooldown
         if (this.attackCooldown > 0) {
-            this.attackCooldown -= deltaTime;
-        }
-
-        // Check aggro
-        const distToPlayer = this.position.distanceTo(player.position);
-        if (distToPlayer < this.aggroRange) {
-            this.isAggro = true;
+            this.attackCooldown -= deltaTime * this.statusEffects.attackSpeedMultiplier;
         }
 
-        // Move toward player if aggro
-        if (this.isAggro && distToPlayer > this.attackRange) {
-            const dir = new THREE.Vector3()
-                .subVectors(player.position, this.position)
-                .normalize();
-            dir.y = 0;
-
-            this.position.add(dir.multiplyScalar(this.moveSpeed * deltaTime));
-
-            // Face player
-            if (this.mesh) {
-                this.mesh.rotation.y = Math.atan2(dir.x, dir.z);
-            }
+        this.updateBehavior(deltaTime, player, navGrid);
 
-            // Play walk/run animation
-            if (this.modelLoaded) {
+        // Walk while moving, otherwise idle unless mid-attack
+        if (this.modelLoaded) {
+            if (this.isMoving) {
                 this.playAnimation('walk');
+            } else if (!this.isAttacking) {
+                this.playAnimation('idle');
             }
-        } else if (this.modelLoaded && !this.isAttacking) {
-            this.playAnimation('idle');
         }
 
         // Update mesh position
@@ -498,7 +493,7 @@ export class SkeletonEnemy extends Enemy {
     }
 
     tryAttack(player) {
-        if (this.attackCooldown > 0 || this.stunTime > 0) return false;
+        if (this.attackCooldown > 0 || this.statusEffects.isStunned) return false;
 
         // Play attack animation
         if (this.modelLoaded) {
@@ -511,21 +506,55 @@ export class SkeletonEnemy extends Enemy {
             }, 500);
         }
 
+        // Ranged types fire a bolt instead of hitting instantly
+        if (this.rangedAttack) {
+            return this.fireBolt(player);
+        }
+
         // Check if player can parry
         if (player.tryParry && player.tryParry(this)) {
             this.attackCooldown = this.attackCooldownMax;
             return false;
         }
 
-        player.takeDamage(this.attackDamage);
+        const hit = this.hitPlayer(player, this.attackDamage, DamageType.PHYSICAL, ['melee']);
+        if (hit && this.onHitStatus) {
+            player.applyStatus(this.onHitStatus.id, { ...this.onHitStatus, source: this });
+        }
+        this.attackCooldown = this.attackCooldownMax;
+        return true;
+    }
+
+    fireBolt(player) {
+        const pool = player.game?.enemyProjectiles;
+        if (!pool) return false;
+
+        const origin = this.position.clone();
+        origin.y = 1.2;
+        const direction = new THREE.Vector3().subVectors(player.position, this.position);
+
+        const bolt = pool.spawn(origin, direction, {
+            damage: this.attackDamage,
+            speed: this.rangedAttack.speed,
+            range: this.rangedAttack.range,
+            damageType: this.rangedAttack.damageType,
+            status: this.rangedAttack.status,
+            owner: this
+        });
+        if (!bolt) return false;
+
         this.attackCooldown = this.attackCooldownMax;
+        player.game.sound?.play('enemyBolt');
         return true;
     }
 
+    // Applies an already-mitigated hit from the damage pipeline - returns the damage taken
     takeDamage(amount, source) {
+        if (this.isEvading) return 0;
+
         this.health -= amount;
         if (this.health < 0) this.health = 0; // Clamp to 0
-        this.isAggro = true;
+        this.addThreat(source, amount);
 
         // Update health bar immediately after damage
         this.updateHealthBar(null);
@@ -558,14 +587,13 @@ export class SkeletonEnemy extends Enemy {
         if (this.health <= 0) {
             this.die();
         }
-    }
-
-    stun(duration) {
-        this.stunTime = duration;
+        return amount;
     }
 
     die() {
         this.isAlive = false;
+        this.statusEffects.clear();
+        this.threat.clear();
 
         // Play death animation if available
         if (this.modelLoaded && this.animations.death) {
@@ -582,49 +610,6 @@ export class SkeletonEnemy extends Enemy {
         this.justDied = true;
     }
 
-    updateSlowIndicator(show) {
-        if (show && !this.slowIndicator) {
-            // Create snowflake indicator
-            const snowflakeGroup = new THREE.Group();
-
-            // Create a simple snowflake shape using lines
-            const material = new THREE.MeshBasicMaterial({
-                color: 0x88ddff,
-                transparent: true,
-                opacity: 0.9
-            });
-
-            // Center diamond
-            const diamondGeo = new THREE.OctahedronGeometry(0.15, 0);
-            const diamond = new THREE.Mesh(diamondGeo, material);
-            snowflakeGroup.add(diamond);
-
-            // Create 6 arms
-            for (let i = 0; i < 6; i++) {
-                const angle = (i / 6) * Math.PI * 2;
-                const armGeo = new THREE.BoxGeometry(0.04, 0.25, 0.04);
-                const arm = new THREE.Mesh(armGeo, material);
-                arm.position.set(Math.cos(angle) * 0.2, 0, Math.sin(angle) * 0.2);
-                arm.rotation.y = -angle;
-                arm.rotation.z = Math.PI / 2;
-                snowflakeGroup.add(arm);
-            }
-
-            snowflakeGroup.position.copy(this.position);
-            snowflakeGroup.position.y = 2.5;
-            this.scene.add(snowflakeGroup);
-            this.slowIndicator = snowflakeGroup;
-        } else if (!show && this.slowIndicator) {
-            this.scene.remove(this.slowIndicator);
-            this.slowIndicator = null;
-        } else if (show && this.slowIndicator) {
-            // Update position and rotate
-            this.slowIndicator.position.copy(this.position);
-            this.slowIndicator.position.y = 2.5;
-            this.slowIndicator.rotation.y += 0.05;
-        }
-    }
-
     updateFrozenIndicator(show) {
         if (show && !this.frozenIndicator) {
             // Create ice crystal ring around enemy
@@ -708,12 +693,12 @@ export class SkeletonEnemy extends Enemy {
         if (this.targetRing) {
             this.scene.remove(this.targetRing);
         }
-        if (this.slowIndicator) {
-            this.scene.remove(this.slowIndicator);
-        }
         if (this.frozenIndicator) {
             this.scene.remove(this.frozenIndicator);
         }
+        if (this.statusTexture) {
+            this.statusTexture.dispose();
+        }
     }
 }
 
@@ -49,6 +49,7 @@ export class SoundManager {
 
             // UI sounds
             buttonClick: { type: 'click', frequency: 800, duration: 0.05 },
+            castFailed: { type: 'click', frequency: 220, duration: 0.08 },
             menuOpen: { type: 'sparkle', frequency: 500, duration: 0.15 },
             itemPickup: { type: 'coin', frequency: 1000, duration: 0.2 },
             levelUp: { type: 'fanfare', frequency: 400, duration: 0.6 },
@@ -61,6 +62,9 @@ export class SoundManager {
             enemyHit: { type: 'impact', frequency: 180, duration: 0.15 },
             enemyDeath: { type: 'death', frequency: 100, duration: 0.4 },
             enemyAttack: { type: 'swoosh', frequency: 180, duration: 0.2 },
+            enemyBolt: { type: 'zap', frequency: 450, duration: 0.25 },
+            boltReflect: { type: 'clang', frequency: 600, duration: 0.2 },
+            waveStart: { type: 'rumble', frequency: 70, duration: 0.8 },
 
             // Player sounds
             playerHit: { type: 'impact', frequency: 120, duration: 0.2 },
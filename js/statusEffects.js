@@ -0,0 +1,158 @@
+import { DamageType } from './damage.js';
+
+// Status effect definitions - applied through StatusEffects.apply(id, options)
+//   stacking: 'refresh' keeps one instance, resets its duration and keeps the stronger value
+//             'stack' adds a stack (up to maxStacks) and resets the duration - damage scales with stacks
+//   damageType/tickInterval: damage-over-time effects deal options.damage per stack every tick
+//   moveSpeed/attackSpeed: default multipliers while active, options can override them
+//   stun: no moving, attacking or casting while active
+//   icon: shown above enemy nameplates and on the player's HUD
+export const STATUS_EFFECTS = {
+    burn: {
+        name: 'Burn', icon: '🔥', color: '#ff6622',
+        stacking: 'refresh', damageType: DamageType.FIRE, tickInterval: 0.5
+    },
+    bleed: {
+        name: 'Bleed', icon: '🩸', color: '#cc2222',
+        stacking: 'stack', maxStacks: 5, damageType: DamageType.PHYSICAL, tickInterval: 1
+    },
+    poison: {
+        name: 'Poison', icon: '☠️', color: '#66cc22',
+        stacking: 'stack', maxStacks: 10, damageType: DamageType.POISON, tickInterval: 1
+    },
+    chill: {
+        name: 'Chill', icon: '❄️', color: '#88ddff',
+        stacking: 'refresh', moveSpeed: 0.5, attackSpeed: 0.75
+    },
+    stun: {
+        name: 'Stun', icon: '💫', color: '#ffdd44',
+        stacking: 'refresh', stun: true
+    },
+    freeze: {
+        name: 'Frozen', icon: '🧊', color: '#aaeeff',
+        stacking: 'refresh', stun: true
+    }
+};
+
+// Active status effects on one player or enemy
+export class StatusEffects {
+    constructor(owner, immunities = []) {
+        this.owner = owner;
+        this.immunities = new Set(immunities);
+        this.effects = new Map(); // id -> { id, def, duration, remaining, stacks, damage, moveSpeed, attackSpeed, source, tickTimer }
+        this.version = 0; // Bumped when the set of effects or their stacks change, for icon redraws
+    }
+
+    // options: { duration, damage, moveSpeed, attackSpeed, source } - returns false if immune
+    apply(id, options = {}) {
+        const def = STATUS_EFFECTS[id];
+        if (!def) {
+            console.warn(`Unknown status effect: ${id}`);
+            return false;
+        }
+        if (this.immunities.has(id) || !(options.duration > 0)) return false;
+
+        const moveSpeed = options.moveSpeed ?? def.moveSpeed ?? 1;
+        const attackSpeed = options.attackSpeed ?? def.attackSpeed ?? 1;
+        const existing = this.effects.get(id);
+
+        if (!existing) {
+            this.effects.set(id, {
+                id, def,
+                duration: options.duration,
+                remaining: options.duration,
+                stacks: 1,
+                damage: options.damage || 0,
+                moveSpeed,
+                attackSpeed,
+                source: options.source || null,
+                tickTimer: 0
+            });
+            this.version++;
+            return true;
+        }
+
+        if (def.stacking === 'stack' && existing.stacks < (def.maxStacks || 1)) {
+            existing.stacks++;
+            this.version++;
+        }
+        existing.duration = Math.max(existing.remaining, options.duration);
+        existing.remaining = existing.duration;
+        existing.damage = Math.max(existing.damage, options.damage || 0);
+        existing.moveSpeed = Math.min(existing.moveSpeed, moveSpeed);
+        existing.attackSpeed = Math.min(existing.attackSpeed, attackSpeed);
+        existing.source = options.source || existing.source;
+        return true;
+    }
+
+    remove(id) {
+        if (this.effects.delete(id)) {
+            this.version++;
+        }
+    }
+
+    clear() {
+        if (this.effects.size > 0) {
+            this.effects.clear();
+            this.version++;
+        }
+    }
+
+    has(id) {
+        return this.effects.has(id);
+    }
+
+    get isStunned() {
+        for (const effect of this.effects.values()) {
+            if (effect.def.stun) return true;
+        }
+        return false;
+    }
+
+    get moveSpeedMultiplier() {
+        let multiplier = 1;
+        for (const effect of this.effects.values()) {
+            multiplier *= effect.moveSpeed;
+        }
+        return multiplier;
+    }
+
+    get attackSpeedMultiplier() {
+        let multiplier = 1;
+        for (const effect of this.effects.values()) {
+            multiplier *= effect.attackSpeed;
+        }
+        return multiplier;
+    }
+
+    // Tick durations and damage-over-time - dot hits go through the damage pipeline
+    update(deltaTime, damagePipeline) {
+        for (const [id, effect] of this.effects) {
+            if (effect.def.tickInterval && effect.damage > 0) {
+                effect.tickTimer += deltaTime;
+                // Small tolerance so a 2s bleed on 1s ticks doesn't lose its last tick to float drift
+                while (effect.tickTimer >= effect.def.tickInterval - 0.0001) {
+                    effect.tickTimer -= effect.def.tickInterval;
+                    damagePipeline?.deal({
+                        target: this.owner,
+                        amount: effect.damage * effect.stacks,
+                        type: effect.def.damageType,
+                        source: effect.source,
+                        tags: ['status', id, 'dot']
+                    });
+                }
+            }
+
+            effect.remaining -= deltaTime;
+            if (effect.remaining <= 0) {
+                this.effects.delete(id);
+                this.version++;
+            }
+        }
+    }
+
+    // Active effects in application order, for icons
+    list() {
+        return Array.from(this.effects.values());
+    }
+}
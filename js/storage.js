@@ -0,0 +1,78 @@
+// Async key-value storage for saves - IndexedDB when the browser allows it, localStorage otherwise
+//   Both backends store strings under string keys: get(key) -> value or null, set(key, value), remove(key)
+//   IndexedDB writes don't block the frame and aren't held to localStorage's few megabytes
+const DB_NAME = 'tileGame3D';
+const DB_VERSION = 1;
+const STORE_NAME = 'saves';
+
+export class IndexedDBBackend {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => resolve(new IndexedDBBackend(request.result));
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    async get(key) {
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value ?? null;
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+
+    // Resolves with the request's result once the transaction commits
+    transaction(mode, action) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORE_NAME, mode);
+            const request = action(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+export class LocalStorageBackend {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    async get(key) {
+        return this.storage.getItem(key);
+    }
+
+    async set(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+// IndexedDB if it opens (private browsing and some embeds refuse it), otherwise localStorage
+export async function openStorage() {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            return await IndexedDBBackend.open();
+        } catch (e) {
+            console.warn('IndexedDB unavailable, saving to localStorage instead:', e);
+        }
+    }
+    return new LocalStorageBackend();
+}
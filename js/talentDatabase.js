@@ -0,0 +1,182 @@
+// Talent trees - one point per level past the first, spent on ranks that modify ability stats
+//   tier: row in the tree - needs TIER_POINTS * tier points already spent in that tree
+//   effects: applied once per rank to the runtime ability object -
+//            mult adds to the stat's multiplier (0.15 = +15%), add is added after scaling
+export const TIER_POINTS = 3;
+
+// Gold per spent point to reset a build
+export const RESPEC_COST_PER_POINT = 25;
+
+export const TALENT_TREES = {
+    warrior: {
+        name: 'Warrior',
+        talents: {
+            sweepingStrikes: {
+                name: 'Sweeping Strikes',
+                description: 'Cleave arc widens by 10 degrees',
+                tier: 0, maxRank: 3,
+                effects: [{ ability: 'cleave', stat: 'angle', add: Math.PI / 18 }]
+            },
+            riposte: {
+                name: 'Riposte',
+                description: 'Parry counterattack deals 20% more damage',
+                tier: 0, maxRank: 3,
+                effects: [{ ability: 'parry', stat: 'damage', mult: 0.2 }]
+            },
+            cyclone: {
+                name: 'Cyclone',
+                description: 'Whirlwind dashes 2 further and hits 0.5 wider',
+                tier: 1, maxRank: 2,
+                effects: [
+                    { ability: 'whirlwind', stat: 'dashDistance', add: 2 },
+                    { ability: 'whirlwind', stat: 'range', add: 0.5 }
+                ]
+            },
+            skyfall: {
+                name: 'Skyfall',
+                description: 'Heroic Leap reaches 3 further and deals 15% more damage',
+                tier: 1, maxRank: 2,
+                effects: [
+                    { ability: 'heroicLeap', stat: 'range', add: 3 },
+                    { ability: 'heroicLeap', stat: 'damage', mult: 0.15 }
+                ]
+            },
+            jaggedEarth: {
+                name: 'Jagged Earth',
+                description: 'Sunder raises 4 more spikes and travels 4 further',
+                tier: 2, maxRank: 1,
+                effects: [
+                    { ability: 'sunder', stat: 'spikeCount', add: 4 },
+                    { ability: 'sunder', stat: 'range', add: 4 }
+                ]
+            },
+            battleFury: {
+                name: 'Battle Fury',
+                description: 'Cleave and Whirlwind cost 5 less rage',
+                tier: 2, maxRank: 2,
+                effects: [
+                    { ability: 'cleave', stat: 'cost', add: -5 },
+                    { ability: 'whirlwind', stat: 'cost', add: -5 }
+                ]
+            }
+        }
+    },
+
+    mage: {
+        name: 'Mage',
+        talents: {
+            searingWave: {
+                name: 'Searing Wave',
+                description: 'Flame Wave deals 15% more damage',
+                tier: 0, maxRank: 3,
+                effects: [{ ability: 'flameWave', stat: 'damage', mult: 0.15 }]
+            },
+            arcticReach: {
+                name: 'Arctic Reach',
+                description: 'Frost Nova radius grows by 1',
+                tier: 0, maxRank: 2,
+                effects: [{ ability: 'frostNova', stat: 'radius', add: 1 }]
+            },
+            iceField: {
+                name: 'Ice Field',
+                description: 'Frost Nova leaves an ice patch that slows enemies for 3 seconds',
+                tier: 1, maxRank: 2,
+                effects: [{ ability: 'frostNova', stat: 'icePatchDuration', add: 3 }]
+            },
+            whiteout: {
+                name: 'Whiteout',
+                description: 'Blizzard covers 1 more radius and lasts 1 second longer',
+                tier: 1, maxRank: 2,
+                effects: [
+                    { ability: 'blizzard', stat: 'radius', add: 1 },
+                    { ability: 'blizzard', stat: 'duration', add: 1 }
+                ]
+            },
+            glacialOrb: {
+                name: 'Glacial Orb',
+                description: 'Frozen Orb deals 25% more damage and flies 5 further',
+                tier: 2, maxRank: 1,
+                effects: [
+                    { ability: 'frozenOrb', stat: 'damage', mult: 0.25 },
+                    { ability: 'frozenOrb', stat: 'explosionDamage', mult: 0.25 },
+                    { ability: 'frozenOrb', stat: 'range', add: 5 }
+                ]
+            },
+            arcaneEfficiency: {
+                name: 'Arcane Efficiency',
+                description: 'Blizzard and Frozen Orb cost 5 less mana',
+                tier: 2, maxRank: 2,
+                effects: [
+                    { ability: 'blizzard', stat: 'cost', add: -5 },
+                    { ability: 'frozenOrb', stat: 'cost', add: -5 }
+                ]
+            }
+        }
+    },
+
+    hunter: {
+        name: 'Hunter',
+        talents: {
+            volley: {
+                name: 'Volley',
+                description: 'Arrow Wave fires 2 more arrows',
+                tier: 0, maxRank: 3,
+                effects: [{ ability: 'arrowWave', stat: 'arrowCount', add: 2 }]
+            },
+            pointBlank: {
+                name: 'Point Blank',
+                description: 'Shotgun deals 15% more damage',
+                tier: 0, maxRank: 3,
+                effects: [{ ability: 'shotgun', stat: 'damage', mult: 0.15 }]
+            },
+            cripplingTrap: {
+                name: 'Crippling Trap',
+                description: 'Traps slow enemies caught in the blast for 2 seconds',
+                tier: 1, maxRank: 2,
+                effects: [{ ability: 'trap', stat: 'slowDuration', add: 2 }]
+            },
+            bladedSpin: {
+                name: 'Bladed Spin',
+                description: 'Spin Dash deals 20% more damage',
+                tier: 1, maxRank: 2,
+                effects: [{ ability: 'spinDash', stat: 'damage', mult: 0.2 }]
+            },
+            heavyDraw: {
+                name: 'Heavy Draw',
+                description: 'Giant Arrow deals 30% more damage and flies 5 further',
+                tier: 2, maxRank: 1,
+                effects: [
+                    { ability: 'giantArrow', stat: 'damage', mult: 0.3 },
+                    { ability: 'giantArrow', stat: 'range', add: 5 }
+                ]
+            },
+            steadyAim: {
+                name: 'Steady Aim',
+                description: 'Arrow Wave and Shotgun cost 5 less focus',
+                tier: 2, maxRank: 2,
+                effects: [
+                    { ability: 'arrowWave', stat: 'cost', add: -5 },
+                    { ability: 'shotgun', stat: 'cost', add: -5 }
+                ]
+            }
+        }
+    }
+};
+
+// Trees each class can train - the Adventurer's kit follows its weapon, so it can train all three
+export const CLASS_TALENT_TREES = {
+    warrior: ['warrior'],
+    mage: ['mage'],
+    hunter: ['hunter'],
+    adventurer: ['warrior', 'mage', 'hunter']
+};
+
+// Tree id and definition for a talent id, or null
+export function findTalent(talentId) {
+    for (const [treeId, tree] of Object.entries(TALENT_TREES)) {
+        if (tree.talents[talentId]) {
+            return { treeId, talent: tree.talents[talentId] };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,164 @@
+import { TALENT_TREES, TIER_POINTS } from './talentDatabase.js';
+
+// Talent tree panel - one tab per tree the player's class can train
+export class TalentUI {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.treeId = null;
+
+        this.panel = document.getElementById('talent-panel');
+        this.pointsEl = document.getElementById('talent-points');
+        this.tabsEl = document.getElementById('talent-tabs');
+        this.tiersEl = document.getElementById('talent-tiers');
+        this.message = document.getElementById('talent-message');
+        this.respecButton = document.getElementById('talent-respec');
+
+        this.initEventListeners();
+    }
+
+    get talents() {
+        return this.game.talents;
+    }
+
+    initEventListeners() {
+        document.getElementById('talent-close').addEventListener('click', () => this.close());
+
+        this.respecButton.addEventListener('click', () => this.onRespec());
+
+        this.tabsEl.addEventListener('click', (e) => {
+            const tab = e.target.closest('.talent-tab');
+            if (tab) {
+                this.treeId = tab.dataset.tree;
+                this.refresh();
+            }
+        });
+
+        this.tiersEl.addEventListener('click', (e) => {
+            const node = e.target.closest('.talent-node');
+            if (node) {
+                this.onLearn(node.dataset.talent);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.talents || this.talents.treeIds.length === 0) return;
+
+        this.isOpen = true;
+        if (!this.talents.treeIds.includes(this.treeId)) {
+            this.treeId = this.talents.treeIds[0];
+        }
+        this.message.textContent = '';
+        this.panel.classList.add('visible');
+        this.refresh();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.panel.classList.remove('visible');
+    }
+
+    onLearn(talentId) {
+        this.showResult(this.talents.learn(talentId));
+    }
+
+    onRespec() {
+        this.showResult(this.talents.respec());
+    }
+
+    showResult(result) {
+        this.message.textContent = result.message;
+        this.message.className = result.success ? 'success' : 'error';
+
+        if (result.success) {
+            this.game.sound?.play('menuOpen');
+            this.game.autoSave();
+        }
+        this.refresh();
+    }
+
+    refresh() {
+        const talents = this.talents;
+        if (!talents) return;
+
+        this.pointsEl.textContent = `${talents.availablePoints} point${talents.availablePoints === 1 ? '' : 's'}`;
+        this.respecButton.textContent = `Reset (${talents.respecCost}g)`;
+        this.respecButton.disabled = talents.spentPoints === 0;
+
+        // Tabs - only shown when the class can train more than one tree
+        this.tabsEl.innerHTML = '';
+        this.tabsEl.style.display = talents.treeIds.length > 1 ? 'flex' : 'none';
+        for (const treeId of talents.treeIds) {
+            const tab = document.createElement('button');
+            tab.className = 'talent-tab' + (treeId === this.treeId ? ' active' : '');
+            tab.dataset.tree = treeId;
+            tab.textContent = `${TALENT_TREES[treeId].name} (${talents.getTreeSpent(treeId)})`;
+            this.tabsEl.appendChild(tab);
+        }
+
+        // One row per tier
+        const tiers = [];
+        for (const [id, talent] of Object.entries(TALENT_TREES[this.treeId].talents)) {
+            (tiers[talent.tier] || (tiers[talent.tier] = [])).push({ id, talent });
+        }
+
+        this.tiersEl.innerHTML = '';
+        tiers.forEach((entries, tier) => {
+            const row = document.createElement('div');
+            row.className = 'talent-tier';
+            if (!talents.isTierUnlocked(this.treeId, tier)) {
+                row.classList.add('locked');
+                row.title = `Requires ${tier * TIER_POINTS} points in this tree`;
+            }
+
+            for (const { id, talent } of entries) {
+                row.appendChild(this.createNode(id, talent));
+            }
+            this.tiersEl.appendChild(row);
+        });
+    }
+
+    createNode(id, talent) {
+        const rank = this.talents.getRank(id);
+
+        const node = document.createElement('div');
+        node.className = 'talent-node';
+        node.dataset.talent = id;
+        if (rank > 0) node.classList.add('learned');
+        if (rank >= talent.maxRank) node.classList.add('maxed');
+        if (this.talents.canLearn(id)) node.classList.add('available');
+
+        const name = document.createElement('div');
+        name.className = 'talent-name';
+        name.textContent = talent.name;
+        node.appendChild(name);
+
+        const rankEl = document.createElement('div');
+        rankEl.className = 'talent-rank';
+        rankEl.textContent = `${rank} / ${talent.maxRank}`;
+        node.appendChild(rankEl);
+
+        const desc = document.createElement('div');
+        desc.className = 'talent-desc';
+        desc.textContent = talent.maxRank > 1 ? `${talent.description} per rank` : talent.description;
+        node.appendChild(desc);
+
+        return node;
+    }
+}
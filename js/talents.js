@@ -0,0 +1,119 @@
+import { TALENT_TREES, CLASS_TALENT_TREES, TIER_POINTS, RESPEC_COST_PER_POINT, findTalent } from './talentDatabase.js';
+
+// The player's spent talent ranks - points come from the level in game.experience
+export class Talents {
+    constructor(game, player, className) {
+        this.game = game;
+        this.player = player;
+        this.treeIds = CLASS_TALENT_TREES[className] || [];
+        this.ranks = {}; // talentId -> rank
+    }
+
+    get earnedPoints() {
+        return Math.max(0, (this.game.experience?.level || 1) - 1);
+    }
+
+    get spentPoints() {
+        return Object.values(this.ranks).reduce((sum, rank) => sum + rank, 0);
+    }
+
+    get availablePoints() {
+        return this.earnedPoints - this.spentPoints;
+    }
+
+    get respecCost() {
+        return this.spentPoints * RESPEC_COST_PER_POINT;
+    }
+
+    getRank(talentId) {
+        return this.ranks[talentId] || 0;
+    }
+
+    getTreeSpent(treeId) {
+        const talents = TALENT_TREES[treeId]?.talents || {};
+        return Object.keys(talents).reduce((sum, id) => sum + this.getRank(id), 0);
+    }
+
+    isTierUnlocked(treeId, tier) {
+        return this.getTreeSpent(treeId) >= tier * TIER_POINTS;
+    }
+
+    canLearn(talentId) {
+        const found = findTalent(talentId);
+        if (!found || !this.treeIds.includes(found.treeId)) return false;
+
+        return this.availablePoints > 0 &&
+            this.getRank(talentId) < found.talent.maxRank &&
+            this.isTierUnlocked(found.treeId, found.talent.tier);
+    }
+
+    // Each returns { success, message }
+    learn(talentId) {
+        if (!this.canLearn(talentId)) {
+            const found = findTalent(talentId);
+            if (!found) return { success: false, message: 'Unknown talent!' };
+            if (this.getRank(talentId) >= found.talent.maxRank) return { success: false, message: 'Already at max rank!' };
+            if (this.availablePoints <= 0) return { success: false, message: 'No talent points to spend!' };
+            return { success: false, message: `Needs ${found.talent.tier * TIER_POINTS} points in ${TALENT_TREES[found.treeId].name}` };
+        }
+
+        this.ranks[talentId] = this.getRank(talentId) + 1;
+        this.player.applyTalents();
+
+        const talent = findTalent(talentId).talent;
+        return { success: true, message: `Learned ${talent.name} (${this.ranks[talentId]}/${talent.maxRank})` };
+    }
+
+    respec() {
+        if (this.spentPoints === 0) return { success: false, message: 'No talents to reset!' };
+
+        const cost = this.respecCost;
+        const inventory = this.player.inventory;
+        if (inventory.gold < cost) return { success: false, message: 'Not enough gold!' };
+
+        inventory.removeGold(cost);
+        this.ranks = {};
+        this.player.applyTalents();
+
+        return { success: true, message: `Talents reset for ${cost}g` };
+    }
+
+    // Ability stat modifiers from every talent this class can train:
+    //   { abilityId: { stat: { mult, add } } } - untrained talents contribute nothing but are still
+    //   listed, so re-applying after a respec resets their stats too
+    getModifiers() {
+        const modifiers = {};
+        for (const treeId of this.treeIds) {
+            for (const [id, talent] of Object.entries(TALENT_TREES[treeId].talents)) {
+                const rank = this.getRank(id);
+                for (const effect of talent.effects) {
+                    const abilityMods = modifiers[effect.ability] || (modifiers[effect.ability] = {});
+                    const mod = abilityMods[effect.stat] || (abilityMods[effect.stat] = { mult: 1, add: 0 });
+                    mod.mult += (effect.mult || 0) * rank;
+                    mod.add += (effect.add || 0) * rank;
+                }
+            }
+        }
+        return modifiers;
+    }
+
+    serialize() {
+        return { ranks: { ...this.ranks } };
+    }
+
+    // Restore saved ranks - unknown talents are dropped, and a build worth more
+    // points than the restored level allows is refunded
+    restore(data) {
+        this.ranks = {};
+        for (const [id, rank] of Object.entries(data?.ranks || {})) {
+            const found = findTalent(id);
+            if (!found || !this.treeIds.includes(found.treeId)) continue;
+            this.ranks[id] = Math.max(0, Math.min(found.talent.maxRank, Math.floor(rank)));
+        }
+        if (this.availablePoints < 0) {
+            console.warn('Saved talents exceed earned points, resetting');
+            this.ranks = {};
+        }
+        this.player.applyTalents();
+    }
+}
@@ -0,0 +1,92 @@
+// Threat - how much each attacker has angered an enemy; the enemy goes after whoever tops its table
+//   damage builds threat equal to the damage dealt, scaled by the attacker's threatMultiplier
+//   a taunt puts the taunter on top and holds the enemy on them for a few seconds
+//   enemies whose spawns are within PACK_RADIUS of a pulled enemy join the fight (see pullPack)
+export const PACK_RADIUS = 8;
+
+// Taunts put the taunter this far above the previous top threat
+const TAUNT_THREAT_BONUS = 1.1;
+
+export class ThreatTable {
+    constructor(owner) {
+        this.owner = owner;
+        this.entries = new Map(); // source -> threat
+        this.taunt = null; // { source, remaining } while taunted
+    }
+
+    get isEmpty() {
+        return this.entries.size === 0;
+    }
+
+    get(source) {
+        return this.entries.get(source) || 0;
+    }
+
+    add(source, amount) {
+        const threat = amount * (source.threatMultiplier ?? 1);
+        this.entries.set(source, this.get(source) + threat);
+    }
+
+    // Jump source to the top of the table and hold the owner on them for duration seconds
+    forceTarget(source, duration) {
+        const top = this.getTarget();
+        const topThreat = top ? this.get(top) : 0;
+        this.entries.set(source, Math.max(this.get(source), topThreat * TAUNT_THREAT_BONUS));
+        this.taunt = { source, remaining: duration };
+    }
+
+    clear() {
+        this.entries.clear();
+        this.taunt = null;
+    }
+
+    update(deltaTime) {
+        if (this.taunt) {
+            this.taunt.remaining -= deltaTime;
+            if (this.taunt.remaining <= 0) {
+                this.taunt = null;
+            }
+        }
+    }
+
+    // Highest-threat living attacker, or null - dead attackers drop off the table
+    getTarget() {
+        for (const source of this.entries.keys()) {
+            if (source.isDead || source.isAlive === false) {
+                this.entries.delete(source);
+            }
+        }
+        if (this.taunt && this.entries.has(this.taunt.source)) {
+            return this.taunt.source;
+        }
+
+        let target = null;
+        let highest = -1;
+        for (const [source, threat] of this.entries) {
+            if (threat > highest) {
+                highest = threat;
+                target = source;
+            }
+        }
+        return target;
+    }
+}
+
+// Spawn point of an enemy - where it guards, leashes back to and groups into packs from
+export function getEnemyHome(enemy) {
+    return enemy.spawnData || enemy.ai?.home || enemy.position;
+}
+
+// Pulling one enemy brings the rest of its pack - idle enemies spawned within PACK_RADIUS of it.
+// Pack members don't pull their own neighbours, so packs don't chain across the level.
+export function pullPack(enemy, source, enemies) {
+    const home = getEnemyHome(enemy);
+    for (const other of enemies) {
+        if (other === enemy || !other.isAlive || other.isAggro || other.isEvading) continue;
+
+        const otherHome = getEnemyHome(other);
+        if (Math.hypot(otherHome.x - home.x, otherHome.z - home.z) <= PACK_RADIUS) {
+            other.addThreat(source, 0, false);
+        }
+    }
+}
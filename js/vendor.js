@@ -0,0 +1,105 @@
+import { ITEMS, ItemType } from './itemDatabase.js';
+
+// Vendors buy loot back at a fraction of its value
+export const SELL_FRACTION = 0.25;
+const BUYBACK_SIZE = 10;
+
+// Per-unit value - rolled affixes make an item worth more
+export function getItemValue(stack) {
+    return Math.floor(stack.definition.value * (1 + 0.5 * stack.affixes.length));
+}
+
+export function getSellPrice(stack) {
+    return Math.max(1, Math.floor(getItemValue(stack) * SELL_FRACTION)) * stack.quantity;
+}
+
+export function canSell(stack) {
+    const item = stack.definition;
+    return item.value > 0 && item.type !== ItemType.QUEST && !item.infinite;
+}
+
+// Shop state for one NPC - defined in level data with a "vendor" block:
+//   stock: [{ itemId, quantity (omit for unlimited), price (defaults to value) }]
+//   restockTime: seconds until stock resets
+//   priceMultiplier: markup over item value for entries without a price
+export class Vendor {
+    constructor(config) {
+        this.stockConfig = config.stock || [];
+        this.restockTime = config.restockTime || 300;
+        this.priceMultiplier = config.priceMultiplier || 1;
+        this.restockTimer = this.restockTime;
+        this.justRestocked = false; // Polled by the shop UI to redraw
+
+        this.stock = [];
+        this.buyback = []; // [{ stack, price }] most recent first
+        this.restock();
+    }
+
+    restock() {
+        this.stock = [];
+        for (const entry of this.stockConfig) {
+            const item = ITEMS[entry.itemId];
+            if (!item) {
+                console.warn(`Vendor stock item not found: ${entry.itemId}`);
+                continue;
+            }
+            this.stock.push({
+                itemId: entry.itemId,
+                price: entry.price ?? Math.ceil(item.value * this.priceMultiplier),
+                quantity: entry.quantity ?? Infinity
+            });
+        }
+    }
+
+    update(deltaTime) {
+        this.restockTimer -= deltaTime;
+        if (this.restockTimer <= 0) {
+            this.restock();
+            this.restockTimer = this.restockTime;
+            this.justRestocked = true;
+        }
+    }
+
+    // Each returns { success, message }
+    buy(index, inventory) {
+        const entry = this.stock[index];
+        if (!entry || entry.quantity <= 0) return { success: false, message: 'Sold out!' };
+        if (inventory.gold < entry.price) return { success: false, message: 'Not enough gold!' };
+
+        if (inventory.addItemById(entry.itemId, 1) > 0) {
+            return { success: false, message: 'Inventory full!' };
+        }
+        inventory.removeGold(entry.price);
+        entry.quantity--;
+
+        return { success: true, message: `Bought ${ITEMS[entry.itemId].name}` };
+    }
+
+    sell(slotIndex, inventory) {
+        const stack = inventory.slots[slotIndex];
+        if (!stack || !canSell(stack)) return { success: false, message: 'Can\'t sell that!' };
+
+        const price = getSellPrice(stack);
+        inventory.takeStack(slotIndex);
+        inventory.addGold(price);
+
+        this.buyback.unshift({ stack, price });
+        this.buyback.length = Math.min(this.buyback.length, BUYBACK_SIZE);
+
+        return { success: true, message: `Sold ${stack.name} for ${price}g` };
+    }
+
+    // Buy a recent sale back at the price it sold for
+    buyBack(index, inventory) {
+        const entry = this.buyback[index];
+        if (!entry) return { success: false, message: 'Nothing to buy back!' };
+        if (inventory.gold < entry.price) return { success: false, message: 'Not enough gold!' };
+        if (!inventory.hasSpace()) return { success: false, message: 'Inventory full!' };
+
+        inventory.addStack(entry.stack);
+        inventory.removeGold(entry.price);
+        this.buyback.splice(index, 1);
+
+        return { success: true, message: `Bought back ${entry.stack.name}` };
+    }
+}
@@ -1,15 +1,16 @@
 import * as THREE from 'three';
-import { ITEMS } from './itemDatabase.js';
+import { ITEMS, ItemRarity } from './itemDatabase.js';
 import { LootGenerator, getEnemyLootType } from './lootTable.js';
 
 // World item pickup class
 export class WorldItem {
-    constructor(scene, position, itemId, quantity, game) {
+    constructor(scene, position, itemId, quantity, game, stack = null) {
         this.scene = scene;
         this.game = game;
         this.position = position.clone();
         this.itemId = itemId;
         this.quantity = quantity;
+        this.stack = stack;  // Rolled item instance, if any
         this.pickupRadius = 1.2;
         this.bobTime = Math.random() * Math.PI * 2;  // Random start phase
         this.isCollected = false;
@@ -29,7 +30,7 @@ export class WorldItem {
             return;
         }
 
-        const rarity = itemDef.rarity;
+        const rarity = this.stack?.rarity || itemDef.rarity;
         const color = rarity.color;
 
         // Create item visual based on type
@@ -161,15 +162,23 @@ export class WorldItem {
         const itemDef = ITEMS[this.itemId];
         if (!itemDef) return false;
 
-        const overflow = inventory.addItem(itemDef, this.quantity);
+        const overflow = this.stack
+            ? inventory.addStack(this.stack)
+            : inventory.addItem(itemDef, this.quantity);
 
         if (overflow < this.quantity) {
             // At least some items were picked up
             this.isCollected = true;
 
             // Pickup visual effect
+            const rarity = this.stack?.rarity || itemDef.rarity;
             if (this.game && this.game.particles) {
-                this.game.particles.itemPickup(this.position, itemDef.rarity.color);
+                this.game.particles.itemPickup(this.position, rarity.color);
+            }
+
+            // Rare and better loot is worth saving straight away
+            if (rarity === ItemRarity.RARE || rarity === ItemRarity.EPIC) {
+                this.game?.autoSave?.();
             }
 
             this.dispose();
@@ -205,7 +214,7 @@ export class WorldItemManager {
         this.items = [];
     }
 
-    spawnDrop(position, itemId, quantity) {
+    spawnDrop(position, itemId, quantity, stack = null) {
         // Add some scatter from death position
         const offset = new THREE.Vector3(
             (Math.random() - 0.5) * 1.5,
@@ -215,7 +224,7 @@ export class WorldItemManager {
         const spawnPos = position.clone().add(offset);
         spawnPos.y = 0;  // Ground level
 
-        const worldItem = new WorldItem(this.scene, spawnPos, itemId, quantity, this.game);
+        const worldItem = new WorldItem(this.scene, spawnPos, itemId, quantity, this.game, stack);
         this.items.push(worldItem);
 
         return worldItem;
@@ -226,7 +235,7 @@ export class WorldItemManager {
 
         // Spawn item drops
         for (const drop of loot.items) {
-            this.spawnDrop(position, drop.itemId, drop.quantity);
+            this.spawnDrop(position, drop.itemId, drop.quantity, drop.stack);
         }
 
         // Add gold directly to player